@@ -69,6 +69,15 @@ function uploadTranscript(transcript) {
 	    media.push(possibleMedia[m]);
 	}
     }
+    if (schema && ext == "eaf") { // check how tiers will be mapped to layers
+	try {
+	    var eaf = labbcat.Eaf.parse(fs.readFileSync(transcript, "utf-8"));
+	    var problems = eaf.validate(schema);
+	    for (var p in problems) console.log("WARNING " + problems[p]);
+	} catch(x) {
+	    console.log("WARNING " + x.message);
+	}
+    }
     local.newTranscript(
 	transcript, media, null, transcriptType, corpus, 
 	null, 
@@ -89,8 +98,13 @@ function uploadTranscript(transcript) {
 }
 
 var transcriptFiles = [];
+var schema = null;
 
 console.log("Looking for transcripts...");
 recursivelyFindTranscriptFiles(null,".");
-console.log("Uploading...");
-uploadNextTranscript();
+local.loadSchema(function(result, errors, messages, call, id) {
+    for (var e in errors) console.log("SCHEMA " + errors[e]);
+    schema = result;
+    console.log("Uploading...");
+    uploadNextTranscript();
+});
@@ -84,6 +84,20 @@
  *     });
  * });
  *
+ * @example
+ * // if no callback is passed, functions return a Promise, so the same thing can be done
+ * // using async/await:
+ * const ids = await corpus.getParticipantIds();
+ * const pattern = [
+ *     {"orthography" : "i"},
+ *     {"phonemes" : "[cCEFHiIPqQuUV0123456789~#\\$@].*"}];
+ * const response = await corpus.search(pattern, [ ids[0] ], false);
+ * await corpus.waitForTask(response.threadId, 30);
+ * const result = await corpus.getMatches(response.threadId);
+ * const textgrids = await corpus.getFragments(
+ *     result.matches, [ "orthography", "phonemes" ], "text/praat-textgrid");
+ * const wavs = await corpus.getSoundFragments(result.matches);
+ *
  * @author Robert Fromont robert.fromont@canterbury.ac.nz
  * @license magnet:?xt=urn:btih:1f739d935676111cfff4b4693e3816e664797050&dn=gpl-3.0.txt GPL v3.0
  * @copyright 2016-2020 New Zealand Institute of Language, Brain and Behaviour, University of Canterbury
@@ -110,15 +124,18 @@
 (function(exports){
 
   var runningOnNode = false;
+  var fs = null; // for reading and writing files
+  var path = null;
+  var os = null;
+  var createHash = null; // for digests of files recorded by RecordingTransport
+  var Readable = null; // for streams of downloaded content
 
   if (typeof(require) == "function") { // running on node.js
-    XMLHttpRequest = require('xhr2');
-    FormData = require('form-data');
     fs = require('fs');
     path = require('path');
     os = require('os');
-    btoa = require('btoa');
-    parseUrl = require('url').parse;
+    createHash = require('crypto').createHash;
+    Readable = require('stream').Readable;
     runningOnNode = true;
   }
 
@@ -132,18 +149,43 @@
    * @param {string[]} messages A list of messages from the server if any.
    * @param {string} call The name of the function that was called
    * @param {string} id The ID that was passed to the method, if any.
+   * @param {LabbcatError} error If there were <var>errors</var>, a {@link LabbcatError}
+   * (or subclass, e.g. {@link AuthenticationError}) describing the cause of the failure,
+   * otherwise null. 
+   * <p>If a function is called without a resultCallback, it returns a Promise instead,
+   * which resolves with <var>result</var>, or is rejected with a {@link LabbcatError} if
+   * there were <var>errors</var>. The Promise's <var>messages</var> attribute contains
+   * any <var>messages</var> once it has resolved.
+   * <p>Any function can also be passed a request options object as its last argument,
+   * with a <var>signal</var> (an AbortSignal that cancels the request when aborted) and/or
+   * a <var>timeout</var> in milliseconds, e.g.
+   * <pre>labbcat.getLayerIds({ signal: controller.signal, timeout: 10000 })</pre>
+   * Cancelled requests fail with a {@link CancelledError}, or a {@link TimeoutError} if
+   * the timeout elapsed.
    */
   
-  function callComplete(evt) {
-    if (exports.verbose) console.log("callComplete: " + this.responseText);
+  /*
+   * Parses the body of a response to a request.
+   * @param {string} responseText The body of the response.
+   * @param {int} status The HTTP status of the response.
+   * @param {boolean} raw Whether the result should be the un-parsed response text.
+   * @param {string} call The name of the function that was called.
+   * @param {string} id The ID that was passed to the function, if any.
+   * @param {string} url The URL of the request.
+   * @return {object} An object with the attributes <var>result</var>, <var>errors</var>,
+   * <var>messages</var> and <var>error</var> - the arguments for the resultCallback.
+   */
+  function parseResponse(responseText, status, raw, call, id, url) {
     var result = null;
     var errors = null;
     var messages = null;
+    var error = null;
     try {
-      if (evt.target.raw) {
-        result = this.responseText;
+      if (raw) {
+        result = responseText;
+        if (status >= 400) errors = [`${status}: ${responseText}`];
       } else {
-        var response = JSON.parse(this.responseText);
+        var response = JSON.parse(responseText);
         if (response.model != null) {
           if (response.model.result) {
             result = response.model.result;
@@ -151,909 +193,2814 @@
 	  if (!result && result != 0) result = response.model;
         }
         if (exports.verbose) console.log("result: " + JSON.stringify(result));
-        var errors = response.errors;
+        errors = response.errors;
         if (!errors || errors.length == 0) errors = null;
-        var messages = response.messages;
+        messages = response.messages;
         if (!messages || messages.length == 0) messages = null;
+        if (!errors && status >= 400) errors = [`${status}: ${responseText}`];
       }
+      if (errors) error = errorForStatus(status, errors, messages, call, id, url, responseText);
     } catch(exception) {
       result = null;
-      errors = ["" +exception+ ": " + this.responseText];
+      errors = ["" +exception+ ": " + responseText];
       messages = [];
+      if (status >= 400) {
+        error = errorForStatus(status, errors, messages, call, id, url, responseText);
+      } else {
+        error = new ParseError(errors, messages, call, id, status, url, responseText);
+      }
     }
-    if (evt.target.onResult) {
-      if (exports.verbose) console.log("onResult: " + result);
-      evt.target.onResult(result, errors, messages, evt.target.call, evt.target.id);
-    }
+    return { result: result, errors: errors, messages: messages, error: error };
   }
-  function callFailed(evt) {
-    if (exports.verbose) console.log("callFailed: "+this.responseText);
-    if (evt.target.onResult) {
-      evt.target.onResult(
-        null, ["failed: " + this.responseText], [], evt.target.call, evt.target.id);
+  
+  /*
+   * Converts the outcome of a transport request into the arguments for a resultCallback.
+   * @param {Error} failure The error passed by the transport if there was no response.
+   * @param {object} response The response passed by the transport.
+   * @param {boolean} raw Whether the result should be the un-parsed response text.
+   * @param {string} call The name of the function that was called.
+   * @param {string} id The ID that was passed to the function, if any.
+   * @param {string} url The URL of the request.
+   * @return {object} An object with the attributes <var>result</var>, <var>errors</var>,
+   * <var>messages</var> and <var>error</var> - the arguments for the resultCallback.
+   */
+  function responseToResult(failure, response, raw, call, id, url) {
+    if (!failure) {
+      if (exports.verbose) console.log("response: " + response.body);
+      return parseResponse(response.body, response.status, raw, call, id, url);
     }
+    if (exports.verbose) console.log(call + " failed: " + failure);
+    var errors = null;
+    var error = null;
+    if (failure.name == "AbortError") {
+      errors = ["cancelled"];
+      error = new CancelledError(errors, [], call, id, 0, url);
+    } else if (failure.name == "TimeoutError") {
+      errors = ["timed out"];
+      error = new TimeoutError(errors, [], call, id, 0, url);
+    } else {
+      errors = ["failed: " + failure.message];
+      error = new NetworkError(errors, [], call, id, 0, url);
+    }
+    return { result: null, errors: errors, messages: [], error: error };
   }
-  function callCancelled(evt) {
-    if (exports.verbose) console.log("callCancelled");
-    if (evt.target.onResult) {
-      evt.target.onResult(null, ["cancelled"], [], evt.target.call, evt.target.id);
+
+  /**
+   * Error describing why a request failed. This is passed as the <var>error</var>
+   * argument of the {@link resultCallback}, and is the error with which the Promise
+   * returned by a function is rejected, if the function was called without a
+   * resultCallback.
+   * <p>Where the cause of the failure is known, the error is an instance of a subclass:
+   * {@link AuthenticationError}, {@link PermissionError}, {@link NotFoundError},
+   * {@link ServerError}, {@link NetworkError}, {@link CancelledError},
+   * {@link TimeoutError}, or {@link ParseError}.
+   * @example
+   * try {
+   *     const ids = await store.getParticipantIds();
+   * } catch(error) {
+   *     if (error instanceof labbcat.AuthenticationError) {
+   *         // prompt for credentials...
+   *     } else {
+   *         console.log(error.call + " failed: " + error.errors.join(", "));
+   *     }
+   * }
+   */
+  class LabbcatError extends Error {
+    /**
+     * @param {string[]} errors The errors returned by the request.
+     * @param {string[]} messages Any messages returned by the request.
+     * @param {string} call The name of the function that was called.
+     * @param {string} id The ID that was passed to the function, if any.
+     * @param {int} [status] The HTTP status of the response, or 0 if there was none.
+     * @param {string} [url] The URL of the request.
+     * @param {string} [body] The raw body of the response.
+     */
+    constructor(errors, messages, call, id, status, url, body) {
+      super(errors.join("\n"));
+      this.name = this.constructor.name;
+      /** The errors returned by the request. */
+      this.errors = errors;
+      /** Any messages returned by the request. */
+      this.messages = messages;
+      /** The name of the function that was called. */
+      this.call = call;
+      /** The ID that was passed to the function, if any. */
+      this.id = id;
+      /** The HTTP status of the response, or 0 if there was no response. */
+      this.status = status || 0;
+      /** The URL of the request. */
+      this.url = url;
+      /** The raw body of the response, if any. */
+      this.body = body;
+      /** Any partial result - e.g. the files that were downloaded before the request
+       * was cancelled. */ 
+      this.result = null;
     }
   }
 
-  // LabbcatView class - read-only "view" access
+  /**
+   * The request was not authenticated - i.e. the server responded with status 401,
+   * because the username/password are incorrect or missing.
+   * @extends LabbcatError
+   */
+  class AuthenticationError extends LabbcatError {}
   
   /**
-   * Read-only querying of LaBB-CAT corpora, based on the  
-   * <a href="https://nzilbb.github.io/ag/javadoc/nzilbb/ag/IGraphStoreQuery.html">nzilbb.ag.IGraphStoreQuery</a>
-   * interface.
-   * <p>This interface provides only <em>read-only</em> operations.
-   * @example
-   * // create annotation store client
-   * const store = new LabbcatView("https://labbcat.canterbury.ac.nz", "demo", "demo");
-   * // get some basic information
-   * store.getId((result, errors, messages, call)=>{ 
-   *     console.log("id: " + result); 
-   *   });
-   * store.getLayerIds((layers, errors, messages, call)=>{ 
-   *     for (l in result) console.log("layer: " + layers[l]); 
-   *   });
-   * store.getCorpusIds((corpora, errors, messages, call)=>{ 
-   *     store.getTranscriptIdsInCorpus(corpora[0], (ids, errors, messages, call, id)=>{ 
-   *         console.log("transcripts in: " + id); 
-   *         for (i in ids) console.log(ids[i]);
-   *       });
-   *   });
-   * @author Robert Fromont robert@fromont.net.nz
+   * The user does not have permission for the request - i.e. the server responded with
+   * status 403. 
+   * @extends LabbcatError
    */
-  class LabbcatView {
-    /** 
-     * Create a query client 
-     * @param {string} baseUrl The LaBB-CAT base URL (i.e. the address of the 'home' link)
-     * @param {string} username The LaBB-CAT user name.
-     * @param {string} password The LaBB-CAT password.
-     */
-    constructor(baseUrl, username, password) {
-      if (!/\/$/.test(baseUrl)) baseUrl += "/";
-      this._baseUrl = baseUrl;
-      this._storeUrl = baseUrl + "api/store/";
-      
-      this._username = username;
-      this._password = password;
+  class PermissionError extends LabbcatError {}
+  
+  /**
+   * The requested resource (e.g. transcript, participant, layer) does not exist -
+   * i.e. the server responded with status 404. 
+   * @extends LabbcatError
+   */
+  class NotFoundError extends LabbcatError {}
+  
+  /**
+   * The server failed to process the request - i.e. it responded with a 5xx status.
+   * @extends LabbcatError
+   */
+  class ServerError extends LabbcatError {}
+  
+  /**
+   * The server could not be reached, or the connection failed before a response was
+   * received. 
+   * @extends LabbcatError
+   */
+  class NetworkError extends LabbcatError {}
+  
+  /**
+   * The request was cancelled before it completed, because the <var>signal</var> passed
+   * in its request options was aborted.
+   * @extends LabbcatError
+   */
+  class CancelledError extends LabbcatError {}
+  
+  /**
+   * The request was cancelled because it did not complete within the <var>timeout</var>
+   * passed in its request options.
+   * @extends CancelledError
+   */
+  class TimeoutError extends CancelledError {}
+  
+  /**
+   * The server responded, but the response could not be parsed.
+   * @extends LabbcatError
+   */
+  class ParseError extends LabbcatError {}
+
+  /*
+   * Creates the LabbcatError appropriate for the given HTTP status.
+   */
+  function errorForStatus(status, errors, messages, call, id, url, body) {
+    var errorClass = LabbcatError;
+    if (!status) errorClass = NetworkError;
+    else if (status == 401) errorClass = AuthenticationError;
+    else if (status == 403) errorClass = PermissionError;
+    else if (status == 404) errorClass = NotFoundError;
+    else if (status >= 500) errorClass = ServerError;
+    return new errorClass(errors, messages, call, id, status, url, body);
+  }
+
+  /*
+   * The default retry policy, which is not to retry failed requests.
+   */
+  const defaultRetryPolicy = {
+    maxAttempts: 1,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    backoffFactor: 2,
+    jitter: 0.5,
+    retryStatuses: [0, 408, 429, 502, 503, 504],
+    retryMethods: ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"],
+    retryCalls: []
+  };
+
+  /*
+   * Determines whether a failed request should be retried, and if so, how long to wait
+   * before retrying. 
+   * @param {object} policy The retry policy.
+   * @param {LabbcatError} error The reason the request failed.
+   * @param {string} method The HTTP method of the request.
+   * @param {string} call The name of the function that was called.
+   * @param {int} attempt The number of attempts so far.
+   * @return {number} The delay in milliseconds, or null if the request should not be
+   * retried. 
+   */
+  function retryDelay(policy, error, method, call, attempt) {
+    if (!error || attempt >= policy.maxAttempts) return null;
+    if (error instanceof CancelledError || error instanceof ParseError) return null;
+    if (!policy.retryStatuses.includes(error.status)) return null;
+    // only repeat requests that are safe to repeat
+    if (!policy.retryMethods.includes(method) && !policy.retryCalls.includes(call)) {
+      return null;
+    }
+    var delay = Math.min(
+      policy.maxDelay, policy.initialDelay * Math.pow(policy.backoffFactor, attempt - 1));
+    return delay * (1 - policy.jitter * Math.random());
+  }
+
+  /*
+   * Wraps a resultCallback so that if the request fails, it's retried according to the
+   * given retry policy.
+   * @param {object} policy The retry policy.
+   * @param {string} method The HTTP method of the request.
+   * @param {function} retry Function that re-sends the request.
+   * @param {resultCallback} onResult Invoked when the request has returned a result that
+   * won't be retried. 
+   * @return {resultCallback} The wrapped callback.
+   */
+  function retryingCallback(policy, method, retry, onResult, signal) {
+    var attempt = 1;
+    return function(result, errors, messages, call, id, error) {
+      var delay = retryDelay(policy, error, method, call, attempt);
+      if (delay == null) {
+        if (onResult) onResult(result, errors, messages, call, id, error);
+      } else {
+        if (exports.verbose) {
+          console.log(call + " attempt " + attempt + " failed (" + error.status
+                      + ") - retrying in " + Math.round(delay) + "ms");
+        }
+        attempt++;
+        if (!signal) {
+          setTimeout(retry, delay);
+        } else { // don't wait if the request is cancelled - retry detects cancellation
+          const retryNow = () => {
+            clearTimeout(timer);
+            signal.removeEventListener("abort", retryNow);
+            retry();
+          };
+          const timer = setTimeout(retryNow, delay);
+          signal.addEventListener("abort", retryNow);
+        }
+      }
+    };
+  }
+
+  /*
+   * The attributes of the request options object that can be passed as the last argument
+   * of any API function.
+   */
+  const requestOptionNames = ["signal", "timeout"];
+
+  /*
+   * Determines whether the given function argument is a request options object -
+   * i.e. a plain object with only attributes in <var>requestOptionNames</var>.
+   */
+  function isRequestOptions(arg) {
+    if (!arg || typeof arg != "object"
+        || Object.getPrototypeOf(arg) !== Object.prototype) return false;
+    const keys = Object.keys(arg);
+    return keys.length > 0 && keys.every(key => requestOptionNames.includes(key));
+  }
+
+  /*
+   * Formats a value as a CSV field, quoting it if necessary.
+   */
+  function csvField(value) {
+    value = value == null ? "" : String(value);
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+  }
+
+  /*
+   * Returns a view of the given LabbcatView through which requests are made with the
+   * given request options, including requests made by API functions it calls. Attributes
+   * set through the view are set on the LabbcatView itself.
+   */
+  function withRequestOptions(labbcat, options) {
+    return new Proxy(labbcat, {
+      get: (target, key, receiver) => key == "_requestOptions" ?
+        options : Reflect.get(target, key, receiver)
+    });
+  }
+
+  /*
+   * Creates the error a transport passes to its callback when a request fails without
+   * a response.
+   */
+  function transportFailure(name, message) {
+    const failure = new Error(message);
+    failure.name = name;
+    return failure;
+  }
+
+  /**
+   * A multipart form - e.g. for uploading files - which is the <var>body</var> of a
+   * {@link Transport} request. The form doesn't depend on any particular HTTP
+   * implementation; the transport encodes it when the request is sent.
+   */
+  class Form {
+    constructor() {
+      /** The parts of the form, in order. Each is an object with a <var>name</var>, and
+       * either a string <var>value</var>, or a <var>file</var> and <var>fileName</var>.
+       * The file is a Blob or File, or on node.js, the path of the file. */
+      this.parts = [];
     }
     
     /**
-     * The base URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/store/
+     * Adds a field.
+     * @param {string} name The name of the field.
+     * @param value The value of the field.
      */
-    get baseUrl() {
-      return this._baseUrl;
+    append(name, value) {
+      this.parts.push({ name: name, value: "" + value });
     }
     
     /**
-     * The graph store URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/store/
-     */
-    get storeUrl() {
-      return this._storeUrl;
-    }
-    set storeUrl(url) {
-      this._storeUrl = url;
+     * Adds a file.
+     * @param {string} name The name of the field.
+     * @param {file|Blob|string} file The file. In a browser, this must be a file object
+     * or Blob, and in Node, it can be the full path to the file.
+     * @param {string} [fileName] The name of the file.
+     * @return {boolean} true if the file was added, or false if it's a path to a file
+     * that can't be read.
+     */
+    appendFile(name, file, fileName) {
+      if (typeof file == "string") { // path
+        if (!runningOnNode) return false;
+        try {
+          fs.accessSync(file, fs.constants.R_OK);
+        } catch(error) {
+          if (exports.verbose) console.log("Can't read " + file + ": " + error);
+          return false;
+        }
+      }
+      this.parts.push({ name: name, file: file, fileName: fileName || uploadName(file) });
+      return true;
     }
     
     /**
-     * The LaBB-CAT user name.
-     */
-    get username() {
-      return this._username;
+     * Adds a CSV file, which can be given as a file, or as its content.
+     * @param {string} name The name of the field.
+     * @param {file|Blob|string|object[]|Buffer|ReadableStream} csv The file, as for
+     * {@link Form#appendFile}, or its content: an array of rows - each an object mapping
+     * column names to values, or an array of values - a Buffer or ArrayBuffer, a
+     * readable stream, or a string. In Node, a string is the content only if it contains
+     * a line break; otherwise it's the path of the file.
+     * @param {string} [fileName] The name of the file.
+     * @return {boolean} true if the file was added, or false if it's a path to a file
+     * that can't be read, or not a file at all.
+     */
+    appendCsv(name, csv, fileName) {
+      if (isFilePath(csv) || csv instanceof Blob) {
+        return this.appendFile(name, csv, fileName);
+      }
+      if (Array.isArray(csv)) {
+        csv = new Blob([csvText(csv)]);
+      } else if (typeof csv == "string" || csv instanceof ArrayBuffer
+                 || ArrayBuffer.isView(csv)) {
+        csv = new Blob([csv]);
+      } else if (!isReadableStream(csv)) {
+        return false;
+      }
+      this.parts.push({ name: name, file: csv, fileName: fileName || uploadName(csv) });
+      return true;
     }
+  }
 
-    parametersToQueryString(parameters) {
-      var queryString = "";
-      if (parameters) {
-	for (var key in parameters) {
-	  if (parameters[key] // parameter is not false-ish
-              || parameters[key] === "" // or it's an empty string
-              || parameters[key] == 0) { // or it's 0
-  	    if (parameters[key].constructor === Array) {
-	      for (var i in parameters[key]) {
-		queryString += "&"+key+"="+encodeURIComponent(parameters[key][i])
-	      }
-	    } else {
-	      queryString += "&"+key+"="+encodeURIComponent(parameters[key])
-	    }
-	  }
-	} // next parameter
+  /*
+   * Determines whether the given file is a path, rather than the content of a file - i.e.
+   * on Node, a string with no line breaks.
+   */
+  function isFilePath(file) {
+    return runningOnNode && typeof file == "string" && !/[\r\n]/.test(file);
+  }
+
+  /*
+   * Determines whether the given file is a Node.js or web readable stream.
+   */
+  function isReadableStream(file) {
+    return !!file && typeof file == "object"
+      && (typeof file.pipe == "function" || typeof file.getReader == "function");
+  }
+
+  /*
+   * The name of the given file to upload: the last part of its path, its name attribute,
+   * or the given default name if it has neither - e.g. because it's a string of CSV.
+   */
+  function uploadName(file, defaultName) {
+    if (isFilePath(file)) return file.replace(/.*[\/\\]/, "");
+    if (file && typeof file.name == "string") return file.name;
+    if (file && typeof file.path == "string") return uploadName(file.path); // fs.ReadStream
+    return defaultName || "upload.csv";
+  }
+
+  /*
+   * Converts an array of CSV rows - objects mapping column names to values, or arrays of
+   * values - into CSV text. The columns of objects are the keys of all rows, in the
+   * order they first appear.
+   */
+  function csvText(rows) {
+    if (rows.length && !Array.isArray(rows[0])) { // objects
+      const columns = [];
+      for (let row of rows) {
+        for (let column of Object.keys(row)) if (!columns.includes(column)) columns.push(column);
       }
-      queryString = queryString.replace(/^&/,"");
-      return queryString;
+      rows = [ columns ].concat(rows.map(row => columns.map(column => row[column])));
     }
-    
-    //
-    // Creates an http request.
-    // @param {string} call The name of the API function to call
-    // @param {object} parameters The arguments of the function, if any
-    // @param {resultCallback} onResult Invoked when the request has returned a result.
-    // @param {string} [url=this.storeUrl] The URL
-    // @param {string} [method=GET] The HTTP method e.g. "POST"
-    // @param {string} [storeUrl=null] The URL for the graph store.
-    // @param {string} [contentTypeHeader=null] The request content type e.g "application/x-www-form-urlencoded".
-    // @param {boolean} [raw=false] Whether the result should be the un-parsed request response text.
-    // @return {XMLHttpRequest} An open request.
-    //
-    createRequest(call, parameters, onResult, url, method, storeUrl, contentTypeHeader, raw) {
-      if (exports.verbose)  {
-        console.log("createRequest "+method+" "+url + " "
-                    + call + " " + JSON.stringify(parameters));
+    return rows.map(row => row.map(csvField).join(",")).join("\n") + "\n";
+  }
+
+  /*
+   * The name LaBB-CAT gives the file of a transcript fragment, without the extension.
+   */
+  function fragmentName(transcriptId, start, end) {
+    return transcriptId.replace(/\.[^.]*$/, "")
+      + "__" + Number(start).toFixed(3) + "-" + Number(end).toFixed(3);
+  }
+
+  /*
+   * The CRC-32 lookup table, created when first needed.
+   */
+  let crcTable = null;
+
+  /*
+   * The CRC-32 checksum of the given bytes, as used by ZIP archives.
+   */
+  function crc32(data) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c;
       }
-      method = method || "GET";
-      
-      var xhr = new XMLHttpRequest();
-      xhr.call = call;
-      if (parameters && parameters.id) xhr.id = parameters.id;
-      xhr.onResult = onResult;
-      xhr.addEventListener("load", callComplete, false);
-      xhr.addEventListener("error", callFailed, false);
-      xhr.addEventListener("abort", callCancelled, false);
-      var queryString = this.parametersToQueryString(parameters);
-      if (!url) {
-        storeUrl = storeUrl || this.storeUrl;
-        if (exports.verbose) {
-          console.log(method + ": "+storeUrl + call + queryString + " as " + this.username);
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /*
+   * Lists the entries of a ZIP archive, each with its name, compression method, crc,
+   * uncompressed size, and data as stored - i.e. still compressed if the entry is.
+   */
+  function zipEntries(archive) {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    let end = archive.length - 22; // the end of central directory record
+    while (end >= 0 && view.getUint32(end, true) != 0x06054b50) end--;
+    if (end < 0) throw new Error("Not a ZIP archive");
+    const entries = [];
+    let offset = view.getUint32(end + 16, true);
+    for (let e = view.getUint16(end + 10, true); e > 0; e--) { // central directory
+      const nameLength = view.getUint16(offset + 28, true);
+      const local = view.getUint32(offset + 42, true);
+      const start = local + 30
+            + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      entries.push({
+        name: new TextDecoder().decode(
+          archive.subarray(offset + 46, offset + 46 + nameLength)),
+        method: view.getUint16(offset + 10, true),
+        crc: view.getUint32(offset + 16, true),
+        size: view.getUint32(offset + 24, true),
+        data: archive.subarray(start, start + view.getUint32(offset + 20, true))
+      });
+      offset += 46 + nameLength
+        + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    } // next entry
+    return entries;
+  }
+
+  /*
+   * Creates a writer of ZIP archives, which passes each part of the archive to the given
+   * write function, which returns a Promise. Entries are added with add({name, data}),
+   * which stores them uncompressed, or add({name, data, method, crc, size}) for data
+   * copied from another archive. finish() writes the central directory. Both return a
+   * Promise, and entries are written in the order they're added.
+   */
+  function zipWriter(write) {
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5)
+          | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5)
+          | now.getDate();
+    const directory = []; // central directory records
+    const names = new Set();
+    let offset = 0;
+    let queue = Promise.resolve(); // writes in progress
+    const record = (signature, size, fields) => { // fields are [bytes, value] pairs
+      const bytes = new Uint8Array(size);
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, signature, true);
+      let position = 4;
+      for (let [length, value] of fields) {
+        if (length == 2) view.setUint16(position, value, true);
+        else view.setUint32(position, value, true);
+        position += length;
+      }
+      return bytes;
+    };
+    const append = async bytes => {
+      if (offset + bytes.length > 0xFFFFFFFF) throw new Error("ZIP archive is too large");
+      await write(bytes);
+      offset += bytes.length;
+    };
+    return {
+      has: name => names.has(name),
+      add: entry => queue = queue.then(async () => {
+        if (directory.length >= 0xFFFF) {
+          throw new Error("ZIP archive has too many entries");
         }
-	xhr.open(method, storeUrl + call + (queryString?"?"+queryString:""), true);
-      } else { // explicit URL, so don't append call
-        if (exports.verbose) {
-          console.log(method + ": "+url + queryString + " as " + this.username);
+        names.add(entry.name);
+        const name = new TextEncoder().encode(entry.name);
+        const method = entry.method || 0;
+        const crc = entry.crc == null ? crc32(entry.data) : entry.crc;
+        const size = entry.size == null ? entry.data.length : entry.size;
+        // version 2.0, UTF-8 name, method, time, date, crc, sizes, name length, no extra
+        const header = [
+          [2, 20], [2, 0x0800], [2, method], [2, time], [2, date], [4, crc],
+          [4, entry.data.length], [4, size], [2, name.length], [2, 0] ];
+        directory.push({ header: header, name: name, offset: offset });
+        await append(record(0x04034b50, 30, header));
+        await append(name);
+        await append(entry.data);
+      }),
+      finish: () => queue = queue.then(async () => {
+        const start = offset;
+        for (let entry of directory) {
+          // version made by, then the local header fields, then no comment, disk 0,
+          // no attributes, and the offset of the local header
+          await append(record(0x02014b50, 46, [ [2, 20] ].concat(
+            entry.header, [ [2, 0], [2, 0], [2, 0], [4, 0], [4, entry.offset] ])));
+          await append(entry.name);
         }
-	xhr.open(method, url + (queryString?"?"+queryString:""), true);
-      }
-      if (contentTypeHeader) xhr.setRequestHeader("Content-Type", contentTypeHeader);
-      if (this.username) {
-	xhr.setRequestHeader(
-          "Authorization", "Basic " + btoa(this.username + ":" + this._password))
-      }
-      if (exports.language) {
-	xhr.setRequestHeader("Accept-Language", exports.language);
-      }
-      if (raw) {
-        xhr.raw = true;
-        xhr.setRequestHeader("Accept", "text/plain");
+        await append(record(0x06054b50, 22, [
+          [2, 0], [2, 0], [2, directory.length], [2, directory.length],
+          [4, offset - start], [4, start], [2, 0] ]));
+      })
+    };
+  }
+
+  /*
+   * Parses CSV text into an array of rows, each of which is an array of values.
+   */
+  function parseCsv(text, delimiter) {
+    delimiter = delimiter || ",";
+    text = text.replace(/^\uFEFF/, ""); // byte order mark
+    const rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c == '"' && text[i + 1] == '"') {
+          value += c;
+          i++;
+        } else if (c == '"') {
+          quoted = false;
+        } else {
+          value += c;
+        }
+      } else if (c == '"') {
+        quoted = true;
+      } else if (c == delimiter) {
+        row.push(value);
+        value = "";
+      } else if (c == "\n" || c == "\r") {
+        if (c == "\r" && text[i + 1] == "\n") i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = "";
       } else {
-        xhr.setRequestHeader("Accept", "application/json");
+        value += c;
       }
-      return xhr;
+    } // next character
+    if (value || row.length) {
+      row.push(value);
+      rows.push(row);
     }
-    
-    /**
-     * Gets version information of all components of LaBB-CAT.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  {object} An object containing section objects
-     * "System", "Formats", "Layer Managers", etc. each containing version information
-     * for sub-components. e.g.
-     * <ul>
-     *  <li>result["System"]["LaBB-CAT"] is the overall LaBB-CAT version,</li>
-     *  <li>result["System"]["nzilbb.ag"] is the overall annotation graph package
-     *      version,</li>
-     *  <li>result["Formats"]["Praat TextGrid"] is version of the Praat TextGrid
-     *      conversion module,</li>
-     *  <li>result["Layer Managers"]["HTK"] is version of the HTK Layer Manager, etc.</li>
-     * </ul>
+    return rows.filter(row => row.some(value => value != ""));
+  }
+
+  /*
+   * Matches the names of the measurement columns produced by Praat - e.g. "F1-time_0.5",
+   * "meanPitch", or "cog1".
+   */
+  const praatMeasurementColumn
+        = /^((F\d+-)?time_[\d.]+|(min|mean|max)Pitch|(min|mean|max)Intensity|cog\d*)$/i;
+
+  /*
+   * Parses CSV text into objects mapping the header row's column names to values.
+   * Values in numeric columns - those for which numeric(column) is true - are numbers,
+   * or null for blank values, or values Praat couldn't measure ("--undefined--").
+   * Other values are strings, as are values in numeric columns that aren't numbers.
+   */
+  function csvObjects(text, numeric) {
+    const rows = parseCsv(text);
+    const columns = rows.shift() || [];
+    const missing = value => value.trim() == "" || value == "--undefined--";
+    return rows.map(row => {
+      const object = {};
+      columns.forEach((column, c) => {
+        const value = row[c] == null ? "" : row[c];
+        object[column] = !numeric(column) ? value : missing(value) ? null
+          : isFinite(Number(value)) ? Number(value) : value;
+      });
+      return object;
+    });
+  }
+
+  /*
+   * Readable streams that have been read, mapped to Promises of their content as Blobs,
+   * so that the content can be uploaded more than once - e.g. when retrying.
+   */
+  const streamBlobs = new WeakMap();
+
+  /*
+   * Reads the given readable stream into a Blob.
+   * @return {Promise} A Promise that resolves with the Blob.
+   */
+  function streamToBlob(stream) {
+    if (!streamBlobs.has(stream)) {
+      streamBlobs.set(stream, typeof stream.getReader == "function" ?
+        new Response(stream).blob() // web stream
+        : (async () => { // node.js stream
+          const chunks = [];
+          for await (const chunk of stream) chunks.push(chunk);
+          return new Blob(chunks);
+        })());
+    }
+    return streamBlobs.get(stream);
+  }
+
+  /*
+   * Converts a Form into a FormData object, reading files from their paths if necessary.
+   * @param {Form} form The form to convert.
+   * @return {Promise} A Promise that resolves with the FormData.
+   */
+  function toFormData(form) {
+    return Promise.all(form.parts.map(part => {
+      if (isReadableStream(part.file)) return streamToBlob(part.file);
+      if (typeof part.file != "string") return part.file;
+      // on node.js, files are paths
+      return fs.openAsBlob ? fs.openAsBlob(part.file)
+        : fs.promises.readFile(part.file).then(data => new Blob([data]));
+    })).then(files => {
+      const fd = new FormData();
+      form.parts.forEach((part, p) => {
+        if (files[p]) {
+          fd.append(part.name, files[p], part.fileName);
+        } else {
+          fd.append(part.name, part.value);
+        }
+      });
+      return fd;
+    });
+  }
+
+  /**
+   * An HTTP transport, which sends the requests of a {@link LabbcatView} - e.g. to use a
+   * different HTTP library, or to return canned responses in tests. A transport can be
+   * passed to the LabbcatView constructor; the default is an {@link XhrTransport} where
+   * XMLHttpRequest is available (i.e. in browsers), and a {@link FetchTransport}
+   * otherwise.
+   * <p>A transport is any object with a <var>send(request, onResponse)</var> function,
+   * where <var>request</var> is an object with the following attributes:
+   * <dl>
+   *  <dt> method (string) </dt><dd> The HTTP method - e.g. "GET" or "POST". </dd>
+   *  <dt> url (string) </dt><dd> The URL, including any query string. </dd>
+   *  <dt> headers (object) </dt><dd> HTTP headers to send, keyed by header name,
+   *   including the Authorization header. </dd>
+   *  <dt> body (string|Form) </dt><dd> The request body if any, which may be a
+   *   {@link Form} to send as multipart/form-data. </dd>
+   *  <dt> responseType (string) </dt><dd> "arraybuffer" if the response body should be
+   *   an ArrayBuffer, "stream" if it should be a ReadableStream that's read as it
+   *   arrives (or an ArrayBuffer, if the transport can't stream responses), otherwise it
+   *   should be a string. </dd>
+   *  <dt> signal (AbortSignal) </dt><dd> If set, the request must be aborted when this
+   *   signal is. </dd> 
+   *  <dt> timeout (int) </dt><dd> If set, the number of milliseconds after which the
+   *   request must be aborted. </dd> 
+   *  <dt> onProgress (function) </dt><dd> If set, invoked with upload progress events,
+   *   if the transport supports them. </dd>
+   * </dl>
+   * <p><var>onResponse(failure, response)</var> must be invoked once when the request
+   * completes. If a response was received, <var>failure</var> is null and
+   * <var>response</var> is an object with the attributes: <var>status</var> (the HTTP
+   * status), <var>url</var> (the final URL, after any redirects), <var>headers</var>
+   * (an object whose keys are lower-case header names), and <var>body</var>. Otherwise,
+   * <var>failure</var> is an Error whose <var>name</var> is "AbortError" if the request
+   * was cancelled, "TimeoutError" if it timed out, or anything else if the server
+   * couldn't be reached.
+   * @typedef {object} Transport
+   * @example
+   * // a transport that never reaches the server
+   * const offline = {
+   *   send: (request, onResponse) => onResponse(new Error("offline"))
+   * };
+   * const store = new LabbcatView(baseUrl, username, password, { transport: offline });
+   */
+  
+  /**
+   * A {@link Transport} that sends requests with the native fetch function available in
+   * browsers and node.js 18 and later, which is the default on node.js. Upload progress
+   * is not reported.
+   * @example
+   * // use a proxy on node.js
+   * const { ProxyAgent } = require("undici");
+   * const transport = new FetchTransport({ dispatcher: new ProxyAgent(proxyUrl) });
+   * const store = new LabbcatView(baseUrl, username, password, { transport: transport });
+   */
+  class FetchTransport {
+    /** 
+     * Create a transport.
+     * @param {object} [fetchOptions] Options to pass to fetch with every request - e.g.
+     * <q>{ dispatcher: proxyAgent }</q> on node.js, or <q>{ credentials: "include" }</q>
+     * in a browser.
      */
-    versionInfo(onResult) {
-      this.createRequest("version", null, onResult, this.baseUrl+"api/versions").send();
+    constructor(fetchOptions) {
+      this.fetchOptions = fetchOptions || {};
     }
     
     /**
-     * Log in. This only works within a browser; in node, it's not possible to prevent
-     * request redirection or capture cookies set before redirects, so form-based login
-     * cannot be supported.
-     * @param {string} username The user's login ID.
-     * @param {string} password The user's password/phrase.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be an object with a "username" and "url"
-     * attribute - the latter is where the browser should be redirected next, which
-     * will be either the last requested page, or the LaBB-CAT's home page.
-     */
-    login(username, password, onResult) {
-      console.log(`login ${username}`);
-      var xhr = new XMLHttpRequest();
-      var labbcat = this;
-      xhr.onResult = onResult;
-      xhr.addEventListener("load", function(e) {
-        console.log(`load: ${this.status}: ${this.responseURL}`);
-        if (this.status == 303 || this.status == 200 || this.status == 404) {
-          onResult({
-            username: username,
-            url: this.responseURL
-          }, null, [`Logged in as ${username}`], "login", username);
-        } else if (this.status == 408) { // "Request Timeout"
-          // this really means there was no previous URL request,
-          // but Tomcat requires a previous URL, so let's give it one:
-          var home = new XMLHttpRequest();
-          home.open("GET", `${labbcat.baseUrl}`, false);
-          home.send(null);
-          labbcat.login(username, password, onResult);
-        } else {
-          onResult(null, [`${this.statusText}: ${this.status}`], [], "login", username);
+     * Sends a request.
+     * @param {object} request The request - see {@link Transport}.
+     * @param {function} onResponse Invoked with (failure, response) when the request
+     * completes. 
+     */
+    send(request, onResponse) {
+      const controller = new AbortController();
+      let failure = null; // the reason the request was aborted, if it was
+      const abort = () => {
+        failure = failure || transportFailure("AbortError", "cancelled");
+        controller.abort();
+      };
+      if (request.signal) request.signal.addEventListener("abort", abort);
+      const timer = request.timeout && setTimeout(() => {
+        failure = transportFailure("TimeoutError", `timed out after ${request.timeout}ms`);
+        controller.abort();
+      }, request.timeout);
+      const finished = response => {
+        clearTimeout(timer);
+        // a streamed body is still being read, so can still be cancelled
+        const streaming = response && !(typeof response.body == "string"
+                                         || response.body instanceof ArrayBuffer);
+        if (request.signal && !streaming) {
+          request.signal.removeEventListener("abort", abort);
+        }
+      };
+      const body = request.body instanceof Form ?
+            toFormData(request.body) : Promise.resolve(request.body);
+      body.then(body => fetch(request.url, Object.assign({}, this.fetchOptions, {
+        method: request.method,
+        headers: request.headers,
+        body: body,
+        signal: controller.signal
+      }))).then(response => {
+        const headers = {};
+        response.headers.forEach((value, name) => headers[name.toLowerCase()] = value);
+        if (request.responseType == "stream" && response.body) { // read by the caller
+          return {
+            status: response.status, url: response.url, headers: headers,
+            body: response.body };
+        }
+        const binary = request.responseType == "arraybuffer"
+              || request.responseType == "stream";
+        return (binary ? response.arrayBuffer() : response.text())
+          .then(body => ({
+            status: response.status, url: response.url, headers: headers, body: body }));
+      }).then(response => {
+        finished(response);
+        // respond outside the promise chain, so that exceptions thrown by callbacks
+        // aren't swallowed as rejections
+        setTimeout(() => onResponse(null, response));
+      }, error => {
+        finished();
+        failure = failure || transportFailure("NetworkError", error.cause ?
+                                              `${error.message}: ${error.cause.message}`
+                                              : error.message);
+        setTimeout(() => onResponse(failure));
+      });
+    }
+  }
+  
+  /**
+   * A {@link Transport} that sends requests with XMLHttpRequest, which reports upload
+   * progress. This is the default where XMLHttpRequest is available (i.e. in browsers).
+   * Responses are not streamed.
+   * @example
+   * const store = new LabbcatEdit(baseUrl, username, password, {
+   *   transport: new XhrTransport()
+   * });
+   */
+  class XhrTransport {
+    /**
+     * Sends a request.
+     * @param {object} request The request - see {@link Transport}.
+     * @param {function} onResponse Invoked with (failure, response) when the request
+     * completes. 
+     */
+    send(request, onResponse) {
+      const xhr = new XMLHttpRequest();
+      xhr.open(request.method, request.url, true);
+      for (let name in request.headers) xhr.setRequestHeader(name, request.headers[name]);
+      if (request.responseType) { // XMLHttpRequest can't stream responses
+        xhr.responseType = request.responseType == "stream" ?
+          "arraybuffer" : request.responseType;
+      }
+      if (request.timeout) xhr.timeout = request.timeout;
+      const abort = () => xhr.abort();
+      if (request.signal) request.signal.addEventListener("abort", abort);
+      xhr.addEventListener("loadend", () => {
+        if (request.signal) request.signal.removeEventListener("abort", abort);
+      }, false);
+      xhr.addEventListener("load", () => {
+        const headers = {};
+        for (let line of xhr.getAllResponseHeaders().trim().split(/[\r\n]+/)) {
+          const colon = line.indexOf(":");
+          if (colon > 0) {
+            headers[line.substring(0, colon).trim().toLowerCase()]
+              = line.substring(colon + 1).trim();
+          }
         }
+        onResponse(null, {
+          status: xhr.status, url: xhr.responseURL, headers: headers, body: xhr.response });
       }, false);
-      xhr.addEventListener("error", function(e) {
-        console.log(`error: ${this.status}: ${this.responseText}`);        
-        onResult("", ["Username/password invalid"], [], "login", username);
+      xhr.addEventListener("error", () => {
+        onResponse(transportFailure("NetworkError", "" + xhr.statusText));
       }, false);
-      xhr.addEventListener("abort", function(e) {
-        console.log(`abort: ${this.status}: ${this.responseText}`);
-        onResult("", ["Request aborted"], [], "login", username);
+      xhr.addEventListener("abort", () => {
+        onResponse(transportFailure("AbortError", "cancelled"));
       }, false);
-      if (exports.verbose) {
-        console.log("logging in: "+this.storeUrl + " as " + username);
+      xhr.addEventListener("timeout", () => {
+        onResponse(transportFailure("TimeoutError", `timed out after ${request.timeout}ms`));
+      }, false);
+      if (request.onProgress) {
+        xhr.upload.addEventListener("progress", request.onProgress, false);
+        xhr.upload.id = request.id; // for knowing what status to update during events
       }
-      xhr.open("POST", `${this.baseUrl}j_security_check`, true);
-      if (exports.language) {
-	xhr.setRequestHeader("Accept-Language", exports.language);
+      if (request.body instanceof Form) {
+        toFormData(request.body).then(fd => xhr.send(fd)).catch(error => {
+          if (request.signal) request.signal.removeEventListener("abort", abort);
+          onResponse(transportFailure("NetworkError", error.message));
+        });
+      } else {
+        xhr.send(request.body);
       }
-      xhr.raw = true;
-      xhr.setRequestHeader("Accept", "text/plain");
-      xhr.setRequestHeader(
-        "Content-Type", "application/x-www-form-urlencoded;charset=\"utf-8\"");
-      console.log(`about to log in...`);
-      xhr.send(this.parametersToQueryString({
-        j_username: username,
-        j_password: password
-      }));
     }
-    
-    /**
-     * Changes the current user's password.
-     * @param {string} currentPassword The user's current password.
-     * @param {string} newPassword The new password.
-     * @param {resultCallback} onResult Invoked when the request has returned. 
-     */
-    changePassword(currentPassword, newPassword, onResult) {
-      if (exports.verbose) console.log("changePassword(...)");
-      this.createRequest(
-        "users", null, onResult, this.baseUrl+"api/password", "PUT")
-        .send(JSON.stringify({
-          currentPassword : currentPassword,
-          newPassword : newPassword}));
+  }
+
+  /*
+   * The transport to use if none is specified: XMLHttpRequest where it's available (i.e.
+   * in browsers) so that upload progress is reported, and fetch otherwise.
+   */
+  function defaultTransport() {
+    return typeof XMLHttpRequest == "undefined" ?
+      new FetchTransport() : new XhrTransport();
+  }
+
+  /*
+   * Names of headers whose values are not recorded by a RecordingTransport.
+   */
+  const scrubbedHeaders = ["authorization", "proxy-authorization", "cookie", "set-cookie"];
+  
+  /*
+   * Whether a request field is a password, which must not be recorded.
+   */
+  function isPassword(name) {
+    return /password/i.test(name);
+  }
+  
+  /*
+   * Replaces the values of password fields in a JSON or URL-encoded request body.
+   */
+  function scrubBody(body) {
+    try {
+      const scrub = value => {
+        if (value && typeof value == "object") {
+          for (let name in value) {
+            if (isPassword(name)) value[name] = "[scrubbed]";
+            else scrub(value[name]);
+          }
+        }
+        return value;
+      };
+      return JSON.stringify(scrub(JSON.parse(body)));
+    } catch(notJson) {
+      const parameters = new URLSearchParams(body);
+      if (![...parameters.keys()].some(isPassword)) return body;
+      for (let name of new Set(parameters.keys())) {
+        if (isPassword(name)) parameters.set(name, "[scrubbed]");
+      }
+      return parameters.toString();
     }
-    
+  }
+
+  /*
+   * Returns the size and SHA-256 digest of a file, which is a path or a Blob.
+   */
+  function describeFile(file) {
+    if (isReadableStream(file)) return streamToBlob(file).then(describeFile);
+    if (typeof file != "string") {
+      return file.arrayBuffer().then(data => ({
+        size: data.byteLength,
+        sha256: createHash("sha256").update(Buffer.from(data)).digest("hex") }));
+    }
+    return new Promise((resolve, reject) => {
+      const hash = createHash("sha256");
+      let size = 0;
+      fs.createReadStream(file)
+        .on("data", chunk => { size += chunk.length; hash.update(chunk); })
+        .on("end", () => resolve({ size: size, sha256: hash.digest("hex") }))
+        .on("error", reject);
+    });
+  }
+
+  /*
+   * Describes a Transport request for recording, with secrets scrubbed: the
+   * Authorization and Cookie headers, credentials in the URL, and password fields in the
+   * body. Form bodies are described by their fields, and the names, sizes and digests of
+   * their files.
+   * @param {object} request The request - see {@link Transport}.
+   * @param {function} [scrub] Invoked with the exchange ({ request: description }) to
+   * remove other secrets.
+   * @return {Promise} A Promise that resolves with the description.
+   */
+  function describeRequest(request, scrub) {
+    const headers = {};
+    for (let name in request.headers) {
+      headers[name] = scrubbedHeaders.includes(name.toLowerCase()) ?
+        "[scrubbed]" : request.headers[name];
+    }
+    const description = {
+      method: request.method,
+      url: request.url.replace(/^(\w+:\/\/)[^\/@]*@/, "$1"),
+      headers: headers
+    };
+    const body = !(request.body instanceof Form) ?
+          Promise.resolve(request.body == null ? null : scrubBody("" + request.body))
+          : Promise.all(request.body.parts.map(part => part.file == null ?
+            { name: part.name, value: isPassword(part.name) ? "[scrubbed]" : part.value }
+            : describeFile(part.file).then(file => Object.assign(
+              { name: part.name, fileName: part.fileName }, file))))
+          .then(parts => ({ form: parts }));
+    return body.then(body => {
+      if (body != null) description.body = body;
+      if (scrub) scrub({ request: description });
+      return description;
+    });
+  }
+
+  /*
+   * The key of a request description, which identifies the recorded response to replay.
+   */
+  function exchangeKey(description) {
+    return JSON.stringify([description.method, description.url, description.body || null]);
+  }
+
+  /**
+   * A {@link Transport} that sends requests via another transport, and records each
+   * request and response to a fixture directory, so that they can be served back later
+   * by a {@link ReplayTransport} - e.g. to capture exchanges with a real LaBB-CAT server
+   * once, and use them in tests that don't need the server. Only available on node.js.
+   * <p>Each exchange is written to its own JSON file, numbered in the order the
+   * responses were received. Secrets are not recorded: the Authorization and Cookie
+   * headers, credentials in URLs, and password fields in request bodies are replaced
+   * with "[scrubbed]". Uploaded files are recorded by name, size, and SHA-256 digest, not
+   * content, and binary response bodies - e.g. from getSoundFragments - are recorded as
+   * base64. Requests that fail without a response are not recorded.
+   * @example
+   * // record exchanges with a real server...
+   * const store = new LabbcatView(baseUrl, username, password, {
+   *   transport: new RecordingTransport("test/fixtures/search")
+   * });
+   * // ...and later replay them without it
+   * const replayed = new LabbcatView(baseUrl, username, "", {
+   *   transport: new ReplayTransport("test/fixtures/search")
+   * });
+   */
+  class RecordingTransport {
     /**
-     * Gets the store's ID.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  {string} The annotation store's ID.
+     * Create a recording transport.
+     * @param {string} directory The directory to write fixtures to, which is created if
+     * it doesn't exist. This should be empty, as fixtures are added to any already there.
+     * @param {object} [options] Other settings, which may include:
+     * <dl>
+     *  <dt> transport ({@link Transport}) </dt><dd> The transport that sends the
+     *   requests. (default: an {@link XhrTransport} in browsers, and a
+     *   {@link FetchTransport} otherwise) </dd>
+     *  <dt> scrub (function) </dt><dd> Invoked with each exchange before it's recorded,
+     *   as an object with <var>request</var> and <var>response</var> attributes, to
+     *   remove secrets that aren't removed by default. The same function must be passed
+     *   to the {@link ReplayTransport}, where it's invoked with only a
+     *   <var>request</var>. </dd>
+     * </dl>
      */
-    getId(onResult) {
-      this.createRequest("getId", null, onResult).send();
+    constructor(directory, options) {
+      this.directory = directory;
+      this.transport = (options && options.transport) || defaultTransport();
+      this.scrub = options && options.scrub;
+      fs.mkdirSync(directory, { recursive: true });
+      this.count = fs.readdirSync(directory).filter(f => /^\d+\.json$/.test(f)).length;
     }
     
     /**
-     * Gets the store's information document.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: {string} An HTML document providing
-     * information about the corpus.
+     * Sends a request, and records it and its response.
+     * @param {object} request The request - see {@link Transport}.
+     * @param {function} onResponse Invoked with (failure, response) when the request
+     * completes. 
      */
-    getInfo(onResult) {
-      var xhr = new XMLHttpRequest();
-      xhr.onResult = onResult;
-      xhr.addEventListener("load", function(evt) {
-        onResult(this.responseText, null, null, "getInfo")
-      }, false);
-      xhr.addEventListener("error", callFailed, false);
-      xhr.addEventListener("abort", callCancelled, false);
-      xhr.open("GET", this.baseUrl + "doc/");
-      if (this.username) {
-	xhr.setRequestHeader(
-          "Authorization", "Basic " + btoa(this.username + ":" + this._password))
-      }
-      if (exports.language) {
-	xhr.setRequestHeader("Accept-Language", exports.language);
+    send(request, onResponse) {
+      // the description is started before sending, in case the transport consumes the body
+      const description = describeRequest(request);
+      if (request.responseType == "stream") { // the whole response is recorded anyway
+        request = Object.assign({}, request, { responseType: "arraybuffer" });
       }
-      xhr.setRequestHeader("Accept-Language", exports.language);
-      xhr.setRequestHeader("Accept", "text/html");
-      xhr.send();
+      this.transport.send(request, (failure, response) => {
+        if (failure) {
+          onResponse(failure);
+          return;
+        }
+        description.then(description => {
+          const headers = {};
+          for (let name in response.headers) {
+            headers[name] = scrubbedHeaders.includes(name) ?
+              "[scrubbed]" : response.headers[name];
+          }
+          const recorded = { status: response.status, url: response.url, headers: headers };
+          if (response.body instanceof ArrayBuffer) {
+            recorded.body = Buffer.from(response.body).toString("base64");
+            recorded.encoding = "base64";
+          } else {
+            recorded.body = response.body;
+          }
+          const exchange = { request: description, response: recorded };
+          if (this.scrub) this.scrub(exchange);
+          const file = path.join(
+            this.directory, String(++this.count).padStart(4, "0") + ".json");
+          if (exports.verbose) console.log("recording " + request.url + " in " + file);
+          fs.writeFileSync(file, JSON.stringify(exchange, null, 2));
+        }).then(() => {
+          setTimeout(() => onResponse(null, response));
+        }, error => { // fixtures must not be silently lost
+          setTimeout(() => onResponse(transportFailure(
+            "NetworkError", "Could not record " + request.url + ": " + error.message)));
+        });
+      });
     }
-    
+  }
+  
+  /**
+   * A {@link Transport} that doesn't send requests, but serves back responses recorded
+   * by a {@link RecordingTransport}. Only available on node.js.
+   * <p>A request is matched with a recorded one by its method, URL, and body (after
+   * scrubbing), so the LabbcatView's base URL must be the one that was used for
+   * recording, but its password can be anything. If the same request was recorded
+   * several times - e.g. taskStatus while waiting for a task - the recorded responses
+   * are served in order, and then the last one is repeated. Requests that weren't
+   * recorded fail as if the server couldn't be reached.
+   * @example
+   * const store = new LabbcatView(baseUrl, username, "", {
+   *   transport: new ReplayTransport("test/fixtures/search")
+   * });
+   */
+  class ReplayTransport {
     /**
-     * Gets a list of layer IDs (annotation 'types').
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  {string[]} A list of layer IDs.
+     * Create a replaying transport.
+     * @param {string} directory The directory of fixtures written by a
+     * {@link RecordingTransport}.
+     * @param {object} [options] Other settings, which may include:
+     * <dl>
+     *  <dt> scrub (function) </dt><dd> The <var>scrub</var> function passed to the
+     *   RecordingTransport, if any. </dd>
+     * </dl>
      */
-    getLayerIds(onResult) {
-      this.createRequest("getLayerIds", null, onResult).send();
+    constructor(directory, options) {
+      this.scrub = options && options.scrub;
+      this.responses = {}; // exchange key -> recorded responses, in order
+      for (let file of fs.readdirSync(directory).filter(f => /^\d+\.json$/.test(f)).sort()) {
+        const exchange = JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+        const key = exchangeKey(exchange.request);
+        this.responses[key] = this.responses[key] || [];
+        this.responses[key].push(exchange.response);
+      }
     }
     
     /**
-     * Gets a list of layer definitions.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  A list of layer definitions.
+     * Serves the recorded response to a request.
+     * @param {object} request The request - see {@link Transport}.
+     * @param {function} onResponse Invoked with (failure, response) when the request
+     * completes. 
      */
-    getLayers(onResult) {
-      this.createRequest("getLayers", null, onResult).send();
+    send(request, onResponse) {
+      describeRequest(request, this.scrub).then(description => {
+        if (request.signal && request.signal.aborted) {
+          return [transportFailure("AbortError", "cancelled")];
+        }
+        const responses = this.responses[exchangeKey(description)];
+        if (!responses) {
+          return [transportFailure(
+            "NetworkError", "No recorded response for " + request.method + " "
+              + description.url)];
+        }
+        const recorded = responses.length > 1 ? responses.shift() : responses[0];
+        let body = recorded.body;
+        if (request.responseType == "arraybuffer" || request.responseType == "stream") {
+          const data = Buffer.from(body, recorded.encoding == "base64" ? "base64" : "utf8");
+          body = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+        } else if (recorded.encoding == "base64") {
+          body = Buffer.from(body, "base64").toString("utf8");
+        }
+        return [null, {
+          status: recorded.status, url: recorded.url,
+          headers: Object.assign({}, recorded.headers), body: body }];
+      }, error => [transportFailure("NetworkError", error.message)])
+        .then(outcome => setTimeout(() => onResponse(...outcome)));
     }
-    
-    /**
-     * Gets the layer schema.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  A schema defining the layers and how they
-     * relate to each other. 
+  }
+  
+  /**
+   * Options for functions that iterate over paginated listings - e.g.
+   * {@link LabbcatView#iterateMatches}. Some functions accept other options too.
+   * @typedef {object} IteratorOptions
+   * @property {int} [pageLength=100] The number of items to fetch with each request.
+   * @property {boolean} [prefetch=false] Whether to request the next page as soon as
+   * each page arrives, rather than when the last item of the page has been consumed.
+   * @property {AbortSignal} [signal] A signal for cancelling the iteration. Once it's
+   * aborted, requests for pages fail, and the iterator throws a {@link CancelledError}.
+   */
+
+  /**
+   * Options for {@link LabbcatView#searchAndCollect} and
+   * {@link LabbcatView#iterateSearch}, which include the settings of
+   * {@link LabbcatView#search}, and {@link IteratorOptions} for fetching matches.
+   * @typedef {IteratorOptions} SearchOptions
+   * @property {string} [participantQuery] An expression identifying participants to
+   * search the utterances of.
+   * @property {string} [transcriptQuery] An expression identifying transcripts to search.
+   * @property {boolean} [mainParticipantOnly=true] Whether to search only
+   * main-participant utterances.
+   * @property {int} [offsetThreshold] The minimum alignment confidence of matches.
+   * @property {int} [matchesPerTranscript] The maximum number of matches per transcript.
+   * @property {int} [overlapThreshold] The percentage overlap with other utterances
+   * before simultaneous speech is excluded.
+   * @property {int} [wordsContext=0] The number of words of context to include before
+   * and after each match.
+   * @property {function} [onProgress] Invoked with the task status each time it's
+   * checked while the search is running.
+   */
+
+  /**
+   * Options for downloading fragments with {@link LabbcatView#getSoundFragments} or
+   * {@link LabbcatView#getFragments}.
+   * @typedef {object} FragmentOptions
+   * @property {string} [dir] The directory in which the files should be stored. By
+   * default, this is the system's temporary directory. This is ignored in browsers.
+   * @property {int} [concurrency=1] How many fragments to download at once.
+   * @property {boolean} [skipExisting=false] Whether to skip fragments whose files
+   * already exist in <var>dir</var> - e.g. to resume an interrupted download. The
+   * existing file is included in the result. This is ignored in browsers.
+   * @property {function} [onProgress] Invoked when each fragment has been downloaded,
+   * skipped, or has failed, with an object with the attributes: <var>index</var> (the
+   * index of the fragment), <var>file</var> (its file, or null if it failed),
+   * <var>error</var> (a {@link LabbcatError} if it failed, or null),
+   * <var>skipped</var> (true if the file already existed), <var>completed</var> (the
+   * number of fragments finished so far), and <var>total</var>.
+   */
+
+  /**
+   * Options for downloading fragments as a ZIP archive with
+   * {@link LabbcatView#getFragmentsZip}. <var>concurrency</var> and
+   * <var>onProgress</var> apply to fragments that are downloaded individually, if the
+   * server can't return them in an archive. <var>dir</var> and <var>skipExisting</var>
+   * are ignored.
+   * @typedef {FragmentOptions} ZipOptions
+   * @property {string[]} [mimeTypes=["audio/wav"]] The formats to include for each
+   * fragment - <q>audio/wav</q> for audio, and/or serializer MIME types like
+   * <q>text/praat-textgrid</q> - see {@link LabbcatView#getSerializerDescriptors}.
+   * @property {string[]} [layerIds] The layers to include in serialized fragments.
+   * @property {int} [sampleRate] The desired sample rate of audio, or null for no
+   * preference.
+   * @property {string[]} [matchIds] The MatchIds of the fragments, for the manifest, if
+   * transcript IDs and offsets are given instead of matches.
+   * @property {string} [file] On Node.js, the path of the ZIP file to write. By default,
+   * it's <q>fragments.zip</q> in the system's temporary directory.
+   */
+
+  /**
+   * Options for downloading media with {@link LabbcatView#downloadMedia}.
+   * @typedef {object} MediaOptions
+   * @property {float} [startOffset] The start offset of the media sample, or null for
+   * the start of the whole recording.
+   * @property {float} [endOffset] The end offset of the media sample, or null for the
+   * end of the whole recording.
+   * @property {string} [file] On Node.js, the path of the file to write. By default,
+   * the file is named by the server, in the system's temporary directory.
+   * @property {object} [stream] A stream to write the media to instead of a file - a
+   * Node.js Writable, or a WritableStream in browsers. The stream is ended when the
+   * download is complete.
+   * @property {boolean} [resume=false] Whether to continue downloading to
+   * <var>file</var> from the end of its existing content, if it exists - e.g. after an
+   * earlier download was cancelled or failed.
+   * @property {int} [chunkSize=8388608] The maximum number of bytes to request at once.
+   * @property {function} [onProgress] Invoked each time a chunk has been written, with
+   * an object with the attributes: <var>loaded</var> (the number of bytes written so
+   * far, including any resumed content) and <var>total</var> (the size of the media,
+   * or null if the server didn't say).
+   */
+
+  /*
+   * The default number of items to fetch per request when iterating.
+   */
+  const defaultIteratorPageLength = 100;
+
+  /*
+   * The default number of bytes of media to request at once.
+   */
+  const defaultMediaChunkSize = 8 * 1024 * 1024;
+
+  /*
+   * Iterates over the items of a paginated listing, fetching each page only when it's
+   * needed (or, with options.prefetch, when the previous page arrives). Iteration stops
+   * after a page with fewer than pageLength items.
+   * @param {function} fetchPage Invoked with (pageLength, pageNumber, requestOptions)
+   * to fetch a page; returns a Promise that resolves with the items on the page.
+   * @param {IteratorOptions} [options] Options for fetching pages.
+   * @return {AsyncIterable} The items.
+   */
+  async function* paginate(fetchPage, options) {
+    options = options || {};
+    const pageLength = options.pageLength || defaultIteratorPageLength;
+    const requestOptions = options.signal ? { signal: options.signal } : undefined;
+    const fetchPageNumber = pageNumber => fetchPage(pageLength, pageNumber, requestOptions);
+    let page = fetchPageNumber(0);
+    for (let pageNumber = 1; page; pageNumber++) {
+      const items = (await page) || [];
+      // a longer page means the server ignored the page length, and returned everything
+      const more = items.length == pageLength;
+      page = more && options.prefetch ? fetchPageNumber(pageNumber) : null;
+      yield* items;
+      if (more && !page) page = fetchPageNumber(pageNumber);
+    } // next page
+  }
+
+  /*
+   * The index of the <var>onResult</var> parameter of the given API function, or -1 if
+   * it has none.
+   */
+  function resultCallbackIndex(apiFunction) {
+    const parameters = /^[^(]*\(([^)]*)\)/.exec(apiFunction.toString());
+    if (!parameters) return -1;
+    return parameters[1].split(",").map(param => param.trim()).indexOf("onResult");
+  }
+
+  /*
+   * Wraps the API functions of the given class so that, if they're called without a
+   * resultCallback, they return a Promise instead. The Promise resolves with the result
+   * (and has a <var>messages</var> attribute for any messages returned), or is rejected
+   * with a LabbcatError if there were errors.
+   * <p>A resultCallback is given if the argument in the <var>onResult</var> position is
+   * a function, or if the last argument is a function given in place of omitted optional
+   * parameters, which functions like resultsUpload(results, onResult) allow. Otherwise,
+   * the Promise's callback is passed as <var>onResult</var>, with any omitted optional
+   * parameters before it undefined.
+   * @param {class} apiClass The class whose prototype functions should be wrapped.
+   * @param {string[]} exclude Names of functions that are not API calls, apart from
+   * private functions, whose names start with an underscore.
+   */
+  function promisify(apiClass, exclude) {
+    for (const name of Object.getOwnPropertyNames(apiClass.prototype)) {
+      const descriptor = Object.getOwnPropertyDescriptor(apiClass.prototype, name);
+      if (name == "constructor" || name.startsWith("_")
+          || typeof descriptor.value != "function" || exclude.includes(name)) continue;
+      const apiFunction = descriptor.value;
+      const resultIndex = resultCallbackIndex(apiFunction);
+      apiClass.prototype[name] = function(...args) {
+        // trailing undefined arguments would defeat detection of omitted optional parameters
+        while (args.length && args[args.length - 1] === undefined) args.pop();
+        let target = this;
+        if (args.length && isRequestOptions(args[args.length - 1])) {
+          target = withRequestOptions(this, args.pop());
+          while (args.length && args[args.length - 1] === undefined) args.pop();
+        }
+        const lastArg = args[args.length - 1];
+        if (resultIndex < 0 ? args.some(arg => typeof arg === "function")
+            : typeof args[resultIndex] === "function"
+            || (args.length <= resultIndex && typeof lastArg === "function")) {
+          return apiFunction.apply(target, args); // callback given
+        }
+        let messages = null;
+        const promise = new Promise((resolve, reject) => {
+          const onResult = (result, errors, resultMessages, call, id, error) => {
+            messages = resultMessages;
+            if (errors) {
+              error = error || new LabbcatError(errors, resultMessages, call || name, id);
+              if (result != null && error.result == null) error.result = result;
+              reject(error);
+            } else {
+              resolve(result);
+            }
+          };
+          if (resultIndex < 0) {
+            args.push(onResult);
+          } else {
+            while (args.length < resultIndex) args.push(undefined);
+            args[resultIndex] = onResult;
+          }
+          apiFunction.apply(target, args);
+        });
+        Object.defineProperty(promise, "messages", { get: () => messages });
+        return promise;
+      };
+    } // next function
+  }
+
+  // LabbcatView class - read-only "view" access
+  
+  /**
+   * Read-only querying of LaBB-CAT corpora, based on the  
+   * <a href="https://nzilbb.github.io/ag/javadoc/nzilbb/ag/IGraphStoreQuery.html">nzilbb.ag.IGraphStoreQuery</a>
+   * interface.
+   * <p>This interface provides only <em>read-only</em> operations.
+   * @example
+   * // create annotation store client
+   * const store = new LabbcatView("https://labbcat.canterbury.ac.nz", "demo", "demo");
+   * // get some basic information
+   * store.getId((result, errors, messages, call)=>{ 
+   *     console.log("id: " + result); 
+   *   });
+   * store.getLayerIds((layers, errors, messages, call)=>{ 
+   *     for (l in result) console.log("layer: " + layers[l]); 
+   *   });
+   * store.getCorpusIds((corpora, errors, messages, call)=>{ 
+   *     store.getTranscriptIdsInCorpus(corpora[0], (ids, errors, messages, call, id)=>{ 
+   *         console.log("transcripts in: " + id); 
+   *         for (i in ids) console.log(ids[i]);
+   *       });
+   *   });
+   * @author Robert Fromont robert@fromont.net.nz
+   */
+  class LabbcatView {
+    /** 
+     * Create a query client 
+     * @param {string} baseUrl The LaBB-CAT base URL (i.e. the address of the 'home' link)
+     * @param {string} username The LaBB-CAT user name.
+     * @param {string} password The LaBB-CAT password.
+     * @param {object} [options] Other settings, which currently may include:
+     * <dl>
+     *  <dt> transport ({@link Transport}) </dt><dd> The transport for sending HTTP
+     *   requests. (default: an {@link XhrTransport} in browsers, and a
+     *   {@link FetchTransport} otherwise) </dd>
+     * </dl>
      */
-    getSchema(onResult) {
-      this.createRequest("getSchema", null, onResult).send();
+    constructor(baseUrl, username, password, options) {
+      if (!/\/$/.test(baseUrl)) baseUrl += "/";
+      this._baseUrl = baseUrl;
+      this._storeUrl = baseUrl + "api/store/";
+      
+      this._username = username;
+      this._password = password;
+      this._retryPolicy = defaultRetryPolicy;
+      this._transport = (options && options.transport) || defaultTransport();
+      this._schema = null; // cached by loadSchema
     }
     
     /**
-     * Gets a layer definition.
-     * @param {string} id ID of the layer to get the definition for.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The definition of the given layer.
+     * The base URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/store/
      */
-    getLayer(id, onResult) {
-      var xhr = this.createRequest("getLayer", { id : id }, onResult).send();
+    get baseUrl() {
+      return this._baseUrl;
     }
     
     /**
-     * Gets a list of corpus IDs.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  {string[]} A list of corpus IDs.
+     * The graph store URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/store/
      */
-    getCorpusIds(onResult) {
-      this.createRequest("getCorpusIds", null, onResult).send();
+    get storeUrl() {
+      return this._storeUrl;
+    }
+    set storeUrl(url) {
+      this._storeUrl = url;
     }
     
     /**
-     * Gets statistics about a given corpus.
-     * @param {string} id ID of the corpus.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  An object, where each key is the name of
-     * a statistic and the value is the statistic's value.
+     * The LaBB-CAT user name.
      */
-    getCorpusInfo(id, onResult) {
-      this.createRequest("getCorpusInfo", null, onResult, `${this.baseUrl}api/corpus/${id}`)
-        .send();
+    get username() {
+      return this._username;
     }
     
     /**
-     * Gets a list of participant IDs.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: {string[]} A list of participant IDs.
+     * The policy for retrying requests that fail for transient reasons - e.g. because
+     * the server is restarting, or a proxy returns 502 or 503. By default, failed
+     * requests are not retried. The policy is an object with the following attributes,
+     * any of which can be omitted when setting the policy, to use the default value:
+     * <dl>
+     *  <dt> maxAttempts (int) </dt><dd> The maximum number of times a request is
+     *   attempted. (default: 1, i.e. no retries) </dd>
+     *  <dt> initialDelay (int) </dt><dd> Milliseconds to wait before the first retry.
+     *   (default: 1000) </dd>
+     *  <dt> backoffFactor (number) </dt><dd> The factor by which the delay increases
+     *   with each subsequent retry. (default: 2) </dd>
+     *  <dt> maxDelay (int) </dt><dd> The maximum number of milliseconds to wait before
+     *   a retry. (default: 30000) </dd>
+     *  <dt> jitter (number) </dt><dd> The proportion of the delay, between 0 and 1,
+     *   that's randomly subtracted, so that many clients don't retry at once.
+     *   (default: 0.5) </dd>
+     *  <dt> retryStatuses (int[]) </dt><dd> HTTP statuses for which the request is
+     *   retried, where 0 means the server could not be reached.
+     *   (default: [0, 408, 429, 502, 503, 504]) </dd>
+     *  <dt> retryMethods (string[]) </dt><dd> HTTP methods of requests that are safe to
+     *   repeat. (default: ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]) </dd>
+     *  <dt> retryCalls (string[]) </dt><dd> Names of functions whose requests are safe
+     *   to repeat even though their HTTP method is not in <var>retryMethods</var> -
+     *   e.g. "resultsUpload". Uploads use POST, so by default they're not repeated, in
+     *   case the server processed the first attempt. (default: []) </dd>
+     * </dl>
+     * @example
+     * store.retryPolicy = { maxAttempts: 5, retryCalls: ["resultsUpload"] };
      */
-    getParticipantIds(onResult) {
-      this.createRequest("getParticipantIds", null, onResult).send();
+    get retryPolicy() {
+      return this._retryPolicy;
+    }
+    set retryPolicy(policy) {
+      this._retryPolicy = Object.assign({}, defaultRetryPolicy, policy);
     }
 
     /**
-     * Gets the participant record specified by the given identifier.
-     * @param id The ID of the participant, which could be their name or their
-     * database annotation ID. 
-     * @param layerIds The IDs of the participant attribute layers to load, or null if only
-     * participant data is required. 
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:   An annotation representing the participant,
-     * or null if the participant was not found.
+     * The {@link Transport} that sends HTTP requests.
      */
-    getParticipant(id, layerIds, onResult) {
-      if (typeof layerIds === "function") { // (id, onResult)
-        onResult = layerIds;
-        layerIds = null;
-      }
-      this.createRequest("getParticipant", {id : id, layerIds : layerIds}, onResult).send();
+    get transport() {
+      return this._transport;
     }
-    
-    /**
-     * Counts the number of participants that match a particular pattern.
-     * @param {string} expression An expression that determines which participants match.
-     * <p> The expression language is loosely based on JavaScript; expressions such as the
-     * following can be used: 
-     * <ul>
-     *  <li><code>/Ada.+/.test(id)</code></li>
-     *  <li><code>labels('corpus').includes('CC')</code></li>
-     *  <li><code>labels('participant_languages').includes('en')</code></li>
-     *  <li><code>labels('transcript_language').includes('en')</code></li>
-     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC'</code></li>
-     *  <li><code>all('transcript_rating').length &gt; 2</code></li>
-     *  <li><code>all('participant_rating').length = 0</code></li>
-     *  <li><code>!annotators('transcript_rating').includes('labbcat')</code></li>
-     *  <li><code>first('participant_gender').label == 'NA'</code></li>
-     * </ul>
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The number of matching participants.
-     */
-    countMatchingParticipantIds(expression, onResult) {
-      this.createRequest("countMatchingParticipantIds", {
-        expression : expression
-      }, onResult).send();
+
+    parametersToQueryString(parameters) {
+      var queryString = "";
+      if (parameters) {
+	for (var key in parameters) {
+	  if (parameters[key] // parameter is not false-ish
+              || parameters[key] === "" // or it's an empty string
+              || parameters[key] == 0) { // or it's 0
+  	    if (parameters[key].constructor === Array) {
+	      for (var i in parameters[key]) {
+		queryString += "&"+key+"="+encodeURIComponent(parameters[key][i])
+	      }
+	    } else {
+	      queryString += "&"+key+"="+encodeURIComponent(parameters[key])
+	    }
+	  }
+	} // next parameter
+      }
+      queryString = queryString.replace(/^&/,"");
+      return queryString;
     }
     
-    /**
-     * Gets a list of IDs of participants that match a particular pattern.
-     * @param {string} expression An expression that determines which participants match.
-     * <p> The expression language is loosely based on JavaScript; expressions such as the
-     * following can be used: 
-     * <ul>
-     *  <li><code>/Ada.+/.test(id)</code></li>
-     *  <li><code>labels('corpus').includes('CC')</code></li>
-     *  <li><code>labels('participant_languages').includes('en')</code></li>
-     *  <li><code>labels('transcript_language').includes('en')</code></li>
-     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC'</code></li>
-     *  <li><code>all('transcript_rating').length &gt; 2</code></li>
-     *  <li><code>all('participant_rating').length = 0</code></li>
-     *  <li><code>!annotators('transcript_rating').includes('labbcat')</code></li>
-     *  <li><code>first('participant_gender').label == 'NA'</code></li>
-     * </ul>
-     * @param {int} [pageLength] The maximum number of IDs to return, or null to return all.
-     * @param {int} [pageNumber] The zero-based page number to return, or null to return the
-     * first page. 
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A list of participant IDs.
-     */
-    getMatchingParticipantIds(expression, pageLength, pageNumber, onResult) {
-      if (typeof pageLength === "function") { // no pageLength, pageNumber
-        onResult = pageLength;
-        pageLength = null;
-        pageNumber = null;
+    //
+    // Sends a request via the transport, adding authentication and other headers, and
+    // applying any request options.
+    // @param {object} request The request - see {@link Transport}.
+    // @param {function} onResponse Invoked with (failure, response) when the request
+    // completes.
+    //
+    _sendRequest(request, onResponse) {
+      var options = this._requestOptions || {};
+      request.headers = request.headers || {};
+      if (this.username) {
+        request.headers["Authorization"]
+          = "Basic " + btoa(this.username + ":" + this._password);
       }
-      this.createRequest("getMatchingParticipantIds", {
-        expression : expression,
-        pageLength : pageLength,
-        pageNumber : pageNumber
-      }, onResult).send();
+      if (exports.language) request.headers["Accept-Language"] = exports.language;
+      if (options.signal) request.signal = options.signal;
+      if (options.timeout) request.timeout = options.timeout;
+      if (exports.verbose) {
+        console.log(request.method + ": " + request.url + " as " + this.username);
+      }
+      if (options.signal && options.signal.aborted) { // cancelled before it was sent
+        setTimeout(() => onResponse(transportFailure("AbortError", "cancelled")));
+        return;
+      }
+      this._transport.send(request, onResponse);
+    }
+    
+    //
+    // Creates an http request.
+    // @param {string} call The name of the API function to call
+    // @param {object} parameters The arguments of the function, if any
+    // @param {resultCallback} onResult Invoked when the request has returned a result.
+    // @param {string} [url=this.storeUrl] The URL
+    // @param {string} [method=GET] The HTTP method e.g. "POST"
+    // @param {string} [storeUrl=null] The URL for the graph store.
+    // @param {string} [contentTypeHeader=null] The request content type e.g "application/x-www-form-urlencoded".
+    // @param {boolean} [raw=false] Whether the result should be the un-parsed request response text.
+    // @return {object} A request, which is sent by calling its send(body) function.
+    //
+    _createRequest(
+      call, parameters, onResult, url, method, storeUrl, contentTypeHeader, raw) {
+      if (exports.verbose)  {
+        console.log("createRequest "+method+" "+url + " "
+                    + call + " " + JSON.stringify(parameters));
+      }
+      method = method || "GET";
+      
+      var labbcat = this;
+      var id = parameters && parameters.id || undefined;
+      var queryString = this.parametersToQueryString(parameters);
+      if (!url) {
+        storeUrl = storeUrl || this.storeUrl;
+        url = storeUrl + call + (queryString?"?"+queryString:"");
+      } else { // explicit URL, so don't append call
+        url = url + (queryString?"?"+queryString:"");
+      }
+      var headers = { "Accept" : raw ? "text/plain" : "application/json" };
+      if (contentTypeHeader) headers["Content-Type"] = contentTypeHeader;
+      return {
+        send: function(body) {
+          var attempt = function() {
+            labbcat._sendRequest({
+              method: method, url: url, headers: Object.assign({}, headers), body: body
+            }, function(failure, response) {
+              var outcome = responseToResult(failure, response, raw, call, id, url);
+              onAttemptResult(
+                outcome.result, outcome.errors, outcome.messages, call, id, outcome.error);
+            });
+          };
+          var onAttemptResult = retryingCallback(
+            labbcat._retryPolicy, method, attempt, onResult,
+            (labbcat._requestOptions || {}).signal);
+          attempt();
+        }
+      };
+    }
+    
+    //
+    // Submits a multipart form - e.g. to upload files - and parses the response.
+    // @param {string} call The name of the API function being called.
+    // @param {string} id The ID to pass to <var>onResult</var>, if any.
+    // @param {string} url The URL to submit the form to.
+    // @param {function} createForm Returns the {@link Form} to submit, or null if the form
+    // could not be created (in which case it must have already called onResult). This is
+    // called for each attempt.
+    // @param {resultCallback} onResult Invoked when the request has returned a result.
+    // @param {function} [onProgress] Invoked on upload progress, if the transport
+    // supports it.
+    //
+    _submitForm(call, id, url, createForm, onResult, onProgress) {
+      if (exports.verbose) console.log("submitForm " + call + " " + url);
+      var labbcat = this;
+      var submit = function() {
+        var fd = createForm();
+        if (!fd) return;
+        labbcat._sendRequest({
+          method: "POST", url: url, id: id, headers: { "Accept" : "application/json" },
+          body: fd, onProgress: onProgress
+        }, function(failure, response) {
+          var outcome = responseToResult(failure, response, false, call, id, url);
+          onAttemptResult(
+            outcome.result, outcome.errors, outcome.messages, call, id, outcome.error);
+        });
+      };
+      var onAttemptResult = retryingCallback(
+        this._retryPolicy, "POST", submit, onResult, (this._requestOptions || {}).signal);
+      submit();
+    }
+    
+    //
+    // Downloads fragments to files, several at a time if the options allow, with the
+    // resulting files in the same order as the fragments.
+    // @param {string} call The name of the API function being called.
+    // @param {object[]} fragments The fragments to download, each with: url, accept (the
+    // Accept header), name (the file name to use if the server doesn't supply one), and
+    // serverName (the start of the server's file name, for finding existing files).
+    // @param {string|FragmentOptions} [dir] The directory to save files in, or download
+    // options.
+    // @param {resultCallback} onResult Invoked with the list of files when finished.
+    // @param {function} [save] Invoked with (index, fileName, response) to save each
+    // fragment somewhere other than a file, returning a Promise that resolves with the
+    // element of the result for the fragment.
+    //
+    _downloadFragments(call, fragments, dir, onResult, save) {
+      const options = dir && typeof dir == "object" ? dir : { dir: dir };
+      dir = options.dir;
+      if (!runningOnNode || save) { // files are returned, not saved
+        dir = null;
+      } else if (dir == null) {
+        dir = os.tmpdir();
+      } else {
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+      }
+      const concurrency = Math.max(1, parseInt(options.concurrency) || 1);
+      const existing = dir && options.skipExisting ? fs.readdirSync(dir) : [];
+      const files = fragments.map(() => null);
+      const failures = fragments.map(() => null);
+      const errors = [];
+      let failure = null; // the first fragment that failed, if any
+      let next = 0; // the index of the next fragment to start
+      let active = 0; // the number of fragments being downloaded
+      let completed = 0;
+      let stopped = false;
+      const lc = this;
+      
+      const progress = function(i, skipped) {
+        completed++;
+        if (options.onProgress) {
+          options.onProgress({
+            index: i, file: files[i], error: failures[i], skipped: skipped,
+            completed: completed, total: fragments.length });
+        }
+      };
+      // stops downloading, reporting the fragments that were downloaded before the error
+      const stop = function(error) {
+        stopped = true;
+        errors.push(...error.errors);
+        error.failures = failures;
+        if (onResult) onResult(files, errors, [], call, null, error);
+      };
+      const failed = function(i, error) {
+        if (exports.verbose) console.log(call+" "+i+" ERROR: "+error.message);
+        errors.push(...error.errors);
+        failures[i] = error;
+        failure = failure || error;
+        progress(i, false);
+        finished();
+      };
+      const finished = function() { // a download has finished
+        active--;
+        startNext();
+      };
+      const download = function(i, attempt) {
+        const fragment = fragments[i];
+        // retries the fragment if the retry policy allows, returning true if so
+        const retry = function(error) {
+          const delay = retryDelay(lc._retryPolicy, error, "GET", call, attempt);
+          if (delay == null) return false;
+          setTimeout(()=>download(i, attempt + 1), delay);
+          return true;
+        };
+        lc._sendRequest({
+          method: "GET", url: fragment.url, headers: { "Accept" : fragment.accept },
+          responseType: "arraybuffer" // we want binary data, not text
+        }, function(error, response) {
+          if (stopped) return;
+          if (error) {
+            const outcome = responseToResult(
+              error, response, false, call, i, fragment.url);
+            if (outcome.error instanceof CancelledError) {
+              stop(outcome.error);
+              return;
+            }
+            if (retry(outcome.error)) return;
+            failed(i, errorForStatus(
+              0, ["Could not get fragment "+i+": "+error.message], [], call, i,
+              fragment.url));
+            return;
+          }
+          if (exports.verbose) console.log(call+" "+i+" loaded.");
+          if (response.status >= 400) {
+            if (retry(errorForStatus(response.status, [], [], call))) return;
+            failed(i, errorForStatus(
+              response.status, ["Could not get fragment "+i+": "+response.status], [],
+              call, i, fragment.url));
+            return;
+          }
+          // save the result to a file, or in browsers, return it as a File
+          let fileName = fragment.name;
+          let contentDisposition = response.headers["content-disposition"];
+          if (contentDisposition != null) {
+            // something like attachment; filename=blah.wav
+            const equals = contentDisposition.indexOf("=");
+            if (equals > 0) {
+              fileName = contentDisposition.substring(equals + 1);
+            }
+          }
+          let saving = null;
+          if (save) {
+            saving = save(i, fileName, response);
+          } else if (!runningOnNode) {
+            saving = Promise.resolve(new File([response.body], fileName, {
+              type: response.headers["content-type"] || fragment.accept }));
+          } else {
+            const filePath = path.join(dir, fileName);
+            saving = fs.promises.writeFile(filePath, Buffer.from(response.body))
+              .then(() => {
+                if (exports.verbose) console.log("wrote file " + filePath);
+                return filePath;
+              });
+          }
+          saving.then(file => {
+            if (stopped) return;
+            files[i] = file;
+            progress(i, false);
+            finished();
+          }, err => {
+            if (stopped) return;
+            failed(i, new LabbcatError(
+              ["Could not save fragment "+i+": "+err], [], call, i, 0, fragment.url));
+          });
+        });
+      };
+      const startNext = function() {
+        while (!stopped && active < concurrency && next < fragments.length) {
+          const i = next++;
+          const fragment = fragments[i];
+          const found = existing.find(
+            name => name == fragment.name || name.startsWith(fragment.serverName + "."));
+          if (found) { // already downloaded
+            files[i] = path.join(dir, found);
+            progress(i, true);
+          } else {
+            active++;
+            download(i, 1);
+          }
+        } // next fragment
+        if (!stopped && active == 0 && next >= fragments.length) { // all finished
+          stopped = true;
+          let error = null;
+          if (failure) {
+            error = errorForStatus(failure.status, errors, [], call, null, failure.url);
+            error.failures = failures;
+          }
+          if (onResult) onResult(files, errors.length?errors:null, [], call, null, error);
+        }
+      };
+      startNext();
     }
 
+    //
+    // Requests several fragments in one format as a ZIP archive.
+    // @param {string} call The name of the API function being called.
+    // @param {string} mimeType The format of the fragments - e.g. "audio/wav".
+    // @param {string[]} transcriptIds The transcript of each fragment.
+    // @param {float[]} startOffsets The start offset of each fragment.
+    // @param {float[]} endOffsets The end offset of each fragment.
+    // @param {ZipOptions} options Options including layerIds and sampleRate.
+    // @return {Promise} A Promise that resolves with the archive as a Uint8Array, or null
+    // if the server didn't return an archive.
+    //
+    _fragmentsArchive(call, mimeType, transcriptIds, startOffsets, endOffsets, options) {
+      const audio = /^audio\//.test(mimeType);
+      const url = this.baseUrl
+            + (audio ? "api/media/fragments" : "api/serialize/fragment");
+      const parameters = new URLSearchParams();
+      parameters.append("mimeType", mimeType);
+      if (audio && options.sampleRate) {
+        parameters.append("sampleRate", options.sampleRate);
+      }
+      if (!audio) {
+        for (let layerId of options.layerIds || []) parameters.append("layerId", layerId);
+      }
+      transcriptIds.forEach((id, i) => {
+        parameters.append("id", id);
+        parameters.append("start", startOffsets[i]);
+        parameters.append("end", endOffsets[i]);
+      });
+      return new Promise((resolve, reject) => {
+        this._sendRequest({
+          method: "POST", url: url, body: parameters.toString(),
+          headers: {
+            "Accept" : "application/zip",
+            "Content-Type" : "application/x-www-form-urlencoded" },
+          responseType: "arraybuffer"
+        }, (failure, response) => {
+          if (failure) {
+            reject(responseToResult(failure, response, true, call, null, url).error);
+          } else if (response.status == 401 || response.status == 403) {
+            reject(errorForStatus(
+              response.status, ["Could not get fragments: " + response.status], [],
+              call, null, url));
+          } else if (response.status != 200
+                     || !/zip/.test(response.headers["content-type"] || "")) {
+            if (exports.verbose) console.log(call+": no "+mimeType+" archive");
+            resolve(null);
+          } else {
+            resolve(new Uint8Array(response.body));
+          }
+        });
+      });
+    }
+    
     /**
-     * Counts the number of transcripts that match a particular pattern.
-     * @param {string} expression An expression that determines which transcripts match.
-     * <p> The expression language is loosely based on JavaScript; expressions such as
-     * the following can be used: 
-     * <ul>
-     *  <li><code>/Ada.+/.test(id)</code></li>
-     *  <li><code>labels('participant').includes('Robert')</code></li>
-     *  <li><code>('CC', 'IA', 'MU').includes(first('corpus').label)</code></li>
-     *  <li><code>first('episode').label == 'Ada Aitcheson'</code></li>
-     *  <li><code>first('transcript_scribe').label == 'Robert'</code></li>
-     *  <li><code>first('participant_languages').label == 'en'</code></li>
-     *  <li><code>first('noise').label == 'bell'</code></li>
-     *  <li><code>labels('transcript_languages').includes('en')</code></li>
-     *  <li><code>labels('participant_languages').includes('en')</code></li>
-     *  <li><code>labels('noise').includes('bell')</code></li>
-     *  <li><code>all('transcript_languages').length gt; 1</code></li>
-     *  <li><code>all('participant_languages').length gt; 1</code></li>
-     *  <li><code>all('transcript').length gt; 100</code></li>
-     *  <li><code>annotators('transcript_rating').includes('Robert')</code></li>
-     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC' &amp;&amp;
-     * labels('participant').includes('Robert')</code></li> 
-     * </ul>
+     * Gets version information of all components of LaBB-CAT.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The number of matching transcripts.
-     */
-    countMatchingTranscriptIds(expression, onResult) {
-      this.createRequest("countMatchingTranscriptIds", {
-        expression : expression
-      }, onResult).send();
-    }    
-
-    /**
-     * <p>Gets a list of IDs of transcripts that match a particular pattern.
-     * <p>The results can be exhaustive, by omitting pageLength and pageNumber, or they
-     * can be a subset (a 'page') of results, by given pageLength and pageNumber values.</p>
-     * <p>The order of the list can be specified.  If ommitted, the transcripts are
-     * listed in ID order.</p> 
-     * @param {string} expression An expression that determines which transcripts match.
-     * <p> The expression language is loosely based on JavaScript; expressions such as
-     * the following can be used:
+     * <var>result</var> which will be:  {object} An object containing section objects
+     * "System", "Formats", "Layer Managers", etc. each containing version information
+     * for sub-components. e.g.
      * <ul>
-     *  <li><code>/Ada.+/.test(id)</code></li>
-     *  <li><code>labels('participant').includes('Robert')</code></li>
-     *  <li><code>('CC', 'IA', 'MU').includes(first('corpus').label)</code></li>
-     *  <li><code>first('episode').label == 'Ada Aitcheson'</code></li>
-     *  <li><code>first('transcript_scribe').label == 'Robert'</code></li>
-     *  <li><code>first('participant_languages').label == 'en'</code></li>
-     *  <li><code>first('noise').label == 'bell'</code></li>
-     *  <li><code>labels('transcript_languages').includes('en')</code></li>
-     *  <li><code>labels('participant_languages').includes('en')</code></li>
-     *  <li><code>labels('noise').includes('bell')</code></li>
-     *  <li><code>all('transcript_languages').length gt; 1</code></li>
-     *  <li><code>all('participant_languages').length gt; 1</code></li>
-     *  <li><code>all('transcript').length gt; 100</code></li>
-     *  <li><code>annotators('transcript_rating').includes('Robert')</code></li>
-     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC' &amp;&amp;
-     * labels('participant').includes('Robert')</code></li> 
+     *  <li>result["System"]["LaBB-CAT"] is the overall LaBB-CAT version,</li>
+     *  <li>result["System"]["nzilbb.ag"] is the overall annotation graph package
+     *      version,</li>
+     *  <li>result["Formats"]["Praat TextGrid"] is version of the Praat TextGrid
+     *      conversion module,</li>
+     *  <li>result["Layer Managers"]["HTK"] is version of the HTK Layer Manager, etc.</li>
      * </ul>
-     * @param {int} [pageLength] The maximum number of IDs to return, or null to return all.
-     * @param {int} [pageNumber] The zero-based page number to return, or null to return
-     * the first page. 
-     * @param {string} [order] The ordering for the list of IDs, a string containing a
-     * comma-separated list of 
-     * expressions, which may be appended by " ASC" or " DESC", or null for transcript ID order. 
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A list of transcript IDs.
      */
-    getMatchingTranscriptIds(expression, pageLength, pageNumber, order, onResult) {
-      if (typeof pageLength === "function") { // (expression, onResult)
-        onResult = pageLength;
-        pageLength = null;
-        pageNumber = null;
-        order = null;
-      } else if (typeof pageNumber === "function") { // (order, onResult)
-        order = pageLength;
-        onResult = pageNumber;
-        pageLength = null;
-        pageNumber = null;
-      } else if (typeof order === "function") { // (pageLength, pageNumber, onResult)
-        onResult = order;
-        order = null;
-      }
-      this.createRequest("getMatchingTranscriptIds", {
-        expression : expression,
-        pageLength : pageLength,
-        pageNumber : pageNumber,
-        order : order
-      }, onResult).send();
+    versionInfo(onResult) {
+      this._createRequest("version", null, onResult, this.baseUrl+"api/versions").send();
     }
     
     /**
-     * Gets the number of annotations on the given layer of the given transcript.
-     * @param {string} id The ID of the transcript.
-     * @param {string} layerId The ID of the layer.
-     * @param {int} [maxOrdinal] The maximum ordinal for the counted annotations.
-     * e.g. a <var>maxOrdinal</var> of 1 will ensure that only the first annotation for each
-     * parent is counted. If <var>maxOrdinal</var> is null, then all annotations are
-     * counted, regardless of their ordinal.
+     * Log in. This only works within a browser; in node, it's not possible to prevent
+     * request redirection or capture cookies set before redirects, so form-based login
+     * cannot be supported.
+     * @param {string} username The user's login ID.
+     * @param {string} password The user's password/phrase.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A (possibly empty) array of annotations.
-     */
-    countAnnotations(id, layerId, maxOrdinal, onResult) {
-      if (typeof maxOrdinal === "function") { // (id, layerId, onResult)
-        onResult = maxOrdinal;
-        maxOrdinal = null;
+     * <var>result</var> which will be an object with a "username" and "url"
+     * attribute - the latter is where the browser should be redirected next, which
+     * will be either the last requested page, or the LaBB-CAT's home page.
+     */
+    login(username, password, onResult) {
+      console.log(`login ${username}`);
+      var labbcat = this;
+      if (exports.verbose) {
+        console.log("logging in: "+this.storeUrl + " as " + username);
       }
-      this.createRequest("countAnnotations", {
-        id : id,
-        layerId : layerId,
-        maxOrdinal : maxOrdinal
-      }, onResult).send();
+      console.log(`about to log in...`);
+      this._sendRequest({
+        method: "POST", url: `${this.baseUrl}j_security_check`,
+        headers: {
+          "Accept" : "text/plain",
+          "Content-Type" : "application/x-www-form-urlencoded;charset=\"utf-8\""
+        },
+        body: this.parametersToQueryString({
+          j_username: username,
+          j_password: password
+        })
+      }, function(failure, response) {
+        if (failure) {
+          console.log(`${failure.name}: ${failure.message}`);
+          onResult("", [failure.name == "AbortError" ? "Request aborted"
+                        : "Username/password invalid"], [], "login", username);
+          return;
+        }
+        console.log(`load: ${response.status}: ${response.url}`);
+        if (response.status == 303 || response.status == 200 || response.status == 404) {
+          onResult({
+            username: username,
+            url: response.url
+          }, null, [`Logged in as ${username}`], "login", username);
+        } else if (response.status == 408) { // "Request Timeout"
+          // this really means there was no previous URL request,
+          // but Tomcat requires a previous URL, so let's give it one:
+          labbcat._sendRequest({ method: "GET", url: `${labbcat.baseUrl}` }, function() {
+            labbcat.login(username, password, onResult);
+          });
+        } else {
+          onResult(null, [`${response.status}`], [], "login", username);
+        }
+      });
     }
     
     /**
-     * Gets the annotations on the given layer of the given transcript.
-     * @param {string} id The ID of the transcript.
-     * @param {string} layerId The ID of the layer.
-     * @param {int} [maxOrdinal] The maximum ordinal for the returned annotations.
-     * e.g. a <var>maxOrdinal</var> of 1 will ensure that only the first annotation for each
-     * parent is returned. If <var>maxOrdinal</var> is null, then all annotations are
-     * returned, regardless of their ordinal.
-     * @param {int} [pageLength] The maximum number of IDs to return, or null to return all.
-     * @param {int} [pageNumber] The zero-based page number to return, or null to return 
-     * the first page. 
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A (possibly empty) array of annotations.
+     * Changes the current user's password.
+     * @param {string} currentPassword The user's current password.
+     * @param {string} newPassword The new password.
+     * @param {resultCallback} onResult Invoked when the request has returned. 
      */
-    getAnnotations(id, layerId, maxOrdinal, pageLength, pageNumber, onResult) {
-      if (typeof maxOrdinal === "function") { // (id, layerId, onResult)
-        onResult = maxOrdinal;
-        maxOrdinal = null;
-        pageLength = null;
-        pageNumber = null;
-      } else if (typeof pageLength === "function") { // (id, layerId, maxOrdinal, onResult)
-        onResult = pageLength;
-        pageLength = null;
-        pageNumber = null;
-      } else if (typeof pageNumber === "function") { // (id, layerId, pageLength, pageNumber, onResult)
-        onResult = pageNumber;
-        pageNumber = pageLength;
-        pageLength = maxOrdinal;
-        maxOrdinal = null;
-      }
-      this.createRequest("getAnnotations", {
-        id : id,
-        layerId : layerId,
-        maxOrdinal : maxOrdinal,
-        pageLength : pageLength,
-        pageNumber : pageNumber,
-        includeAnchors : true
-      }, onResult).send();
+    changePassword(currentPassword, newPassword, onResult) {
+      if (exports.verbose) console.log("changePassword(...)");
+      this._createRequest(
+        "users", null, onResult, this.baseUrl+"api/password", "PUT")
+        .send(JSON.stringify({
+          currentPassword : currentPassword,
+          newPassword : newPassword}));
     }
     
     /**
-     * Identifies a list of annotations that match a particular pattern, and aggregates
-     * their labels. <p> This allows for counting, listing distinct labels, etc. 
-     * @param {string} operation The aggregation operation(s) - e.g. 
-     *  <dl>
-     *   <dt> DISTINCT </dt><dd> List the distinct labels. </dd>
-     *   <dt> MAX </dt><dd> Return the highest label. </dd>
-     *   <dt> MIN </dt><dd> Return the lowest label. </dd>
-     *   <dt> COUNT </dt><dd> Return the number of annotations. </dd>
-     *   <dt> COUNT DISTINCT </dt><dd> Return the number of distinct labels. </dd>
-     *  </dl>
-     *  More than one operation can be specified, by using a comma delimiter. 
-     *  e.g. "DISTINCT,COUNT" will return each distinct label, followed by its count
-     *  (i.e. the array will have twice the number of elements as there are distinct words,
-     *  even-indexed elements are the word labels, and odd-indexed elements are the counts).
-     * @param {string} expression An expression that determines which participants match.
-     * <p> The expression language is loosely based on JavaScript; expressions such as
-     * the following can be used:
-     * <ul>
-     *  <li><code>layer.id == 'orthography'</code></li>
-     *  <li><code>graph.id == 'AdaAicheson-01.trs' &amp;&amp; layer.id == 'orthography'</code></li>
-     * </ul>
-     * <p><em>NB</em> all expressions must match by either id or layer.id.
+     * Gets the store's ID.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The number of matching annotations.
+     * <var>result</var> which will be:  {string} The annotation store's ID.
      */
-    aggregateMatchingAnnotations(operation, expression, onResult) {
-      this.createRequest("aggregateMatchingAnnotations", {
-        operation : operation,
-        expression : expression
-      }, onResult).send();
+    getId(onResult) {
+      this._createRequest("getId", null, onResult).send();
     }
     
     /**
-     * Counts the number of annotations that match a particular pattern.
-     * @param {string} expression An expression that determines which participants match.
-     * <p> The expression language is loosely based on JavaScript; expressions such as
-     * the following can be used:
-     * <ul>
-     *  <li><code>id == 'ew_0_456'</code></li>
-     *  <li><code>!/th[aeiou].&#47;/.test(label)</code></li>
-     *  <li><code>first('participant').label == 'Robert' &amp;&amp; first('utterances').start.offset ==
-     * 12.345</code></li> 
-     *  <li><code>graph.id == 'AdaAicheson-01.trs' &amp;&amp; layer.id == 'orthography'
-     * &amp;&amp; start.offset &gt; 10.5</code></li> 
-     *  <li><code>previous.id == 'ew_0_456'</code></li>
-     * </ul>
-     * </ul>
-     * <p><em>NB</em> all expressions must match by either id or layer.id.
+     * Gets the store's information document.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The number of matching annotations.
+     * <var>result</var> which will be: {string} An HTML document providing
+     * information about the corpus.
      */
-    countMatchingAnnotations(expression, onResult) {
-      this.createRequest("countMatchingAnnotations", {
-        expression : expression
-      }, onResult).send();
+    getInfo(onResult) {
+      var url = this.baseUrl + "doc/";
+      this._sendRequest({
+        method: "GET", url: url, headers: { "Accept" : "text/html" }
+      }, function(failure, response) {
+        if (failure) {
+          var outcome = responseToResult(failure, response, true, "getInfo", null, url);
+          onResult(null, outcome.errors, outcome.messages, "getInfo", null, outcome.error);
+        } else if (response.status >= 400) {
+          var error = errorForStatus(
+            response.status, ["Could not get info: " + response.status], [], "getInfo",
+            null, url, response.body);
+          onResult(null, error.errors, error.messages, "getInfo", null, error);
+        } else {
+          onResult(response.body, null, null, "getInfo");
+        }
+      });
     }
     
     /**
-     * Gets a list of annotations that match a particular pattern.
-     * @param {string} expression An expression that determines which transcripts match.
-     * <p> The expression language is loosely based on JavaScript; expressions such as the
-     * following can be used: 
-     * <ul>
-     *  <li><code>id == 'ew_0_456'</code></li>
-     *  <li><code>!/th[aeiou].&#47;/.test(label)</code></li>
-     *  <li><code>first('participant').label == 'Robert' &amp;&amp; first('utterances').start.offset ==
-     * 12.345</code></li> 
-     *  <li><code>graph.id == 'AdaAicheson-01.trs' &amp;&amp; layer.id == 'orthography'
-     * &amp;&amp; start.offset &gt; 10.5</code></li> 
-     *  <li><code>previous.id == 'ew_0_456'</code></li>
-     * </ul>
-     * <p><em>NB</em> all expressions must match by either id or layer.id.
-     * @param {int} [pageLength] The maximum number of annotations to return, or null
-     * to return all. 
-     * @param {int} [pageNumber] The zero-based page number to return, or null to
-     * return the first page. 
+     * Gets a list of layer IDs (annotation 'types').
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A list of matching Annotations.
+     * <var>result</var> which will be:  {string[]} A list of layer IDs.
      */
-    getMatchingAnnotations(expression, pageLength, pageNumber, onResult) {
-      if (typeof pageLength === "function") { // (expression, onResult)
-        onResult = pageLength;
-        pageLength = null;
-        pageNumber = null;
-      }
-      this.createRequest("getMatchingAnnotations", {
-        expression : expression,
-        pageLength : pageLength,
-        pageNumber : pageNumber
-      }, onResult).send();
+    getLayerIds(onResult) {
+      this._createRequest("getLayerIds", null, onResult).send();
     }
     
     /**
-     * Gets a list of transcript IDs.
+     * Gets a list of layer definitions.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  {string[]} A list of transcript IDs.
+     * <var>result</var> which will be:  A list of layer definitions.
      */
-    getTranscriptIds(onResult) {
-      this.createRequest("getTranscriptIds", null, onResult).send();
+    getLayers(onResult) {
+      this._createRequest("getLayers", null, onResult).send();
     }
     
     /**
-     * Gets a list of transcript IDs in the given corpus.
-     * @param {string} id A corpus ID.
+     * Gets the layer schema.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  {string[]} A list of transcript IDs.
+     * <var>result</var> which will be:  A schema defining the layers and how they
+     * relate to each other. 
      */
-    getTranscriptIdsInCorpus(id, onResult) {
-      this.createRequest("getTranscriptIdsInCorpus", { id : id }, onResult).send();
+    getSchema(onResult) {
+      this._createRequest("getSchema", null, onResult).send();
     }
     
     /**
-     * Gets a list of IDs of transcripts that include the given participant.
-     * @param {string} id A participant ID.
+     * Gets the layer schema as a {@link Schema}, for identifying layers by scope,
+     * checking layer IDs, etc. The schema is cached, so only the first call makes a request.
+     * <p>The schema is also loaded by the first call to a function that checks layer IDs
+     * before making its own requests - {@link LabbcatView#search},
+     * {@link LabbcatView#getMatchAnnotations}, {@link LabbcatView#getFragments},
+     * {@link LabbcatView#getFragmentsZip}, and {@link LabbcatView#praat} - so that call
+     * makes an extra request. If a layer ID isn't in the cached schema, the schema is
+     * reloaded once before the ID is reported as invalid, in case the layer has been
+     * added since.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  {string[]} A list of transcript IDs.
+     * <var>result</var> which will be: The {@link Schema}.
      */
-    getTranscriptIdsWithParticipant(id, onResult) {
-      this.createRequest("getTranscriptIdsWithParticipant", { id : id }, onResult).send();
+    loadSchema(onResult) {
+      if (this._schema) {
+        onResult(this._schema, null, [], "loadSchema");
+        return;
+      }
+      this.getSchema((json, errors, messages, call, id, error) => {
+        if (errors) {
+          onResult(null, errors, messages, "loadSchema", id, error);
+        } else {
+          this._schema = new Schema(json);
+          onResult(this._schema, null, messages, "loadSchema");
+        }
+      });
     }
     
-    /**
-     * Gets a transcript given its ID, containing only the given layers.
-     * @param {string} id The given transcript ID.
-     * @param {string[]} layerIds The IDs of the layers to load, or null for all
-     * layers. If only transcript data is required, set this to ["graph"]. 
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  The identified transcript.
-     */
-    getTranscript(id, layerIds, onResult) {
-      this.createRequest("getTranscript", { id : id, layerIds : layerIds }, onResult).send();
+    // Invokes proceed if validate(schema) returns no errors - e.g. because the given
+    // layer IDs are all in the schema - or otherwise reports the errors to onResult
+    // without making a request. If the schema can't be loaded, the server checks instead.
+    // A cached schema that fails validation is reloaded once, as it may be out of date.
+    _checkSchema(validate, call, onResult, proceed) {
+      const cached = this._schema != null;
+      this.loadSchema((schema, errors) => {
+        const invalid = schema ? validate(schema) : [];
+        if (invalid.length && cached) { // maybe layers were added since it was loaded
+          this._schema = null;
+          this._checkSchema(validate, call, onResult, proceed);
+        } else if (invalid.length) {
+          if (exports.verbose) console.log(call + ": " + invalid.join(", "));
+          if (onResult) onResult(null, invalid, [], call, null,
+                                 new LabbcatError(invalid, [], call));
+        } else {
+          proceed();
+        }
+      });
     }
     
     /**
-     * Gets a transcript given its ID, containing only the given layers.
-     * @param {string} transcriptId The given transcript ID.
-     * @param {string} annotationId The ID of an annotation that
-     * defines the bounds of the fragment. 
-     * @param {string[]} layerIds The IDs of the layers to load, or null for all
-     * layers. If only transcript data is required, set this to ["graph"]. 
+     * Gets a layer definition.
+     * @param {string} id ID of the layer to get the definition for.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  The identified transcript.
+     * <var>result</var> which will be: The definition of the given layer.
      */
-    getFragment(id, annotationId, layerIds, onResult) {
-      this.createRequest("getFragment", {
-        id : id, annotationId: annotationId, layerIds : layerIds
-      }, onResult).send();
+    getLayer(id, onResult) {
+      this._createRequest("getLayer", { id : id }, onResult).send();
     }
     
     /**
-     * Gets the given anchors in the given transcript.
-     * @param {string} id The given transcript ID.
-     * @param {string[]} anchorIds The IDs of the anchors to load.
+     * Gets a list of corpus IDs.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  The identified transcript.
+     * <var>result</var> which will be:  {string[]} A list of corpus IDs.
      */
-    getAnchors(id, anchorIds, onResult) {
-      this.createRequest("getAnchors", { id : id, anchorIds : anchorIds }, onResult).send();
+    getCorpusIds(onResult) {
+      this._createRequest("getCorpusIds", null, onResult).send();
     }
     
     /**
-     * List the predefined media tracks available for transcripts.
+     * Gets statistics about a given corpus.
+     * @param {string} id ID of the corpus.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  An ordered list of media track definitions.
+     * <var>result</var> which will be:  An object, where each key is the name of
+     * a statistic and the value is the statistic's value.
      */
-    getMediaTracks(onResult) {
-      this.createRequest("getMediaTracks", null, onResult).send();
+    getCorpusInfo(id, onResult) {
+      this._createRequest(
+        "getCorpusInfo", null, onResult, `${this.baseUrl}api/corpus/${id}`).send();
     }
     
     /**
-     * List the media available for the given transcript.
-     * @param {string} id The transcript ID.
+     * Gets a list of participant IDs.
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  List of media files available for the given transcript.
+     * <var>result</var> which will be: {string[]} A list of participant IDs.
      */
-    getAvailableMedia(id, onResult) {
-      this.createRequest("getAvailableMedia", { id : id }, onResult).send();
+    getParticipantIds(onResult) {
+      this._createRequest("getParticipantIds", null, onResult).send();
     }
-    
+
     /**
-     * Get a list of documents associated with the episode of the given transcript.
-     * @param {string} id The transcript ID.
+     * Gets the participant record specified by the given identifier.
+     * @param id The ID of the participant, which could be their name or their
+     * database annotation ID. 
+     * @param layerIds The IDs of the participant attribute layers to load, or null if only
+     * participant data is required. 
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be:  List of media files available for the given transcript.
+     * <var>result</var> which will be:   An annotation representing the participant,
+     * or null if the participant was not found.
      */
-    getEpisodeDocuments(id, onResult) {
-      this.createRequest("getEpisodeDocuments", { id : id }, onResult).send();
+    getParticipant(id, layerIds, onResult) {
+      if (typeof layerIds === "function") { // (id, onResult)
+        onResult = layerIds;
+        layerIds = null;
+      }
+      this._createRequest(
+        "getParticipant", {id : id, layerIds : layerIds}, onResult).send();
     }
     
     /**
-     * Gets a given media track for a given transcript.
-     * @param {string} id The transcript ID.
-     * @param {string} trackSuffix The track suffix of the media.
-     * @param {string} mimeType The MIME type of the media.
-     * @param {float} [startOffset] The start offset of the media sample, or null for
-     * the start of the whole recording. 
-     * @param {float} [endOffset[ The end offset of the media sample, or null for the
-     * end of the whole recording. 
+     * Counts the number of participants that match a particular pattern.
+     * @param {string} expression An expression that determines which participants match.
+     * <p> The expression language is loosely based on JavaScript; expressions such as the
+     * following can be used: 
+     * <ul>
+     *  <li><code>/Ada.+/.test(id)</code></li>
+     *  <li><code>labels('corpus').includes('CC')</code></li>
+     *  <li><code>labels('participant_languages').includes('en')</code></li>
+     *  <li><code>labels('transcript_language').includes('en')</code></li>
+     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC'</code></li>
+     *  <li><code>all('transcript_rating').length &gt; 2</code></li>
+     *  <li><code>all('participant_rating').length = 0</code></li>
+     *  <li><code>!annotators('transcript_rating').includes('labbcat')</code></li>
+     *  <li><code>first('participant_gender').label == 'NA'</code></li>
+     * </ul>
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: {string} A URL to the given media for the given
-     * transcript, or null if the given media doesn't exist.
+     * <var>result</var> which will be: The number of matching participants.
      */
-    getMedia(id, trackSuffix, mimeType, startOffset, endOffset, onResult) {
-      if (typeof startOffset === "function") { // (id, trackSuffix, mimeType, onResult)
-        onResult = startOffset;
-        startOffset = null;
-        endOffset = null;
-      }
-      this.createRequest("getMedia", {
-        id : id,
-        trackSuffix : trackSuffix,
-        mimeType : mimeType,
-        startOffset : startOffset,
-        endOffset : endOffset
+    countMatchingParticipantIds(expression, onResult) {
+      this._createRequest("countMatchingParticipantIds", {
+        expression : expression
       }, onResult).send();
     }
-
+    
     /**
-     * Gets list of tasks.
+     * Gets a list of IDs of participants that match a particular pattern.
+     * @param {string} expression An expression that determines which participants match.
+     * <p> The expression language is loosely based on JavaScript; expressions such as the
+     * following can be used: 
+     * <ul>
+     *  <li><code>/Ada.+/.test(id)</code></li>
+     *  <li><code>labels('corpus').includes('CC')</code></li>
+     *  <li><code>labels('participant_languages').includes('en')</code></li>
+     *  <li><code>labels('transcript_language').includes('en')</code></li>
+     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC'</code></li>
+     *  <li><code>all('transcript_rating').length &gt; 2</code></li>
+     *  <li><code>all('participant_rating').length = 0</code></li>
+     *  <li><code>!annotators('transcript_rating').includes('labbcat')</code></li>
+     *  <li><code>first('participant_gender').label == 'NA'</code></li>
+     * </ul>
+     * @param {int} [pageLength] The maximum number of IDs to return, or null to return all.
+     * @param {int} [pageNumber] The zero-based page number to return, or null to return the
+     * first page. 
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is an array of task IDs.
+     * <var>result</var> which will be: A list of participant IDs.
      */
-    getTasks(onResult) {
-      if (exports.verbose) console.log("getTasks()");
-      this.createRequest("getTasks", null, onResult, `${this.baseUrl}api/task/`).send();
+    getMatchingParticipantIds(expression, pageLength, pageNumber, onResult) {
+      if (typeof pageLength === "function") { // no pageLength, pageNumber
+        onResult = pageLength;
+        pageLength = null;
+        pageNumber = null;
+      }
+      this._createRequest("getMatchingParticipantIds", {
+        expression : expression,
+        pageLength : pageLength,
+        pageNumber : pageNumber
+      }, onResult).send();
     }
-    
+
     /**
-     * Gets the status of a task.
-     * @param {string} id ID of the task.
-     * @param {object} options An object with boolean settings, e.g. {log:true}
-     * Current supported options are:
+     * Iterates over the IDs of participants that match a particular pattern, fetching
+     * them a page at a time as they're needed.
+     * @param {string} expression An expression that determines which participants match
+     * - see {@link LabbcatView#getMatchingParticipantIds}.
+     * @param {IteratorOptions} [options] Options for fetching pages.
+     * @return {AsyncIterable} The participant IDs, for use with <code>for await</code>.
+     * @example
+     * for await (const id of store.iterateMatchingParticipantIds("/^A.+/.test(id)")) {
+     *   console.log(id);
+     * }
+     */
+    iterateMatchingParticipantIds(expression, options) {
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.getMatchingParticipantIds(
+          expression, pageLength, pageNumber, requestOptions), options);
+    }
+
+    /**
+     * Counts the number of transcripts that match a particular pattern.
+     * @param {string} expression An expression that determines which transcripts match.
+     * <p> The expression language is loosely based on JavaScript; expressions such as
+     * the following can be used: 
      * <ul>
-     *  <li>log: whether to return the tasks log (default is false)</li>
-     *  <li>keepalive: whether to keep the thread alive (default is true)</li>
+     *  <li><code>/Ada.+/.test(id)</code></li>
+     *  <li><code>labels('participant').includes('Robert')</code></li>
+     *  <li><code>('CC', 'IA', 'MU').includes(first('corpus').label)</code></li>
+     *  <li><code>first('episode').label == 'Ada Aitcheson'</code></li>
+     *  <li><code>first('transcript_scribe').label == 'Robert'</code></li>
+     *  <li><code>first('participant_languages').label == 'en'</code></li>
+     *  <li><code>first('noise').label == 'bell'</code></li>
+     *  <li><code>labels('transcript_languages').includes('en')</code></li>
+     *  <li><code>labels('participant_languages').includes('en')</code></li>
+     *  <li><code>labels('noise').includes('bell')</code></li>
+     *  <li><code>all('transcript_languages').length gt; 1</code></li>
+     *  <li><code>all('participant_languages').length gt; 1</code></li>
+     *  <li><code>all('transcript').length gt; 100</code></li>
+     *  <li><code>annotators('transcript_rating').includes('Robert')</code></li>
+     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC' &amp;&amp;
+     * labels('participant').includes('Robert')</code></li> 
      * </ul>
-     * "log": whether to return the tasks log,
-     * @param {resultCallback} onResult Invoked when the request has returned a result.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: The number of matching transcripts.
      */
-    taskStatus(id, options, onResult) {
-      if (typeof options === "function") { // (id, onResult)
-        onResult = options;
-        options = null;
-      }
-      options = Object.assign({log:false, keepalive:true}, options);
-      this.createRequest(
-        "taskStatus", options, onResult, `${this.baseUrl}api/task/${id}`).send();
-    }
+    countMatchingTranscriptIds(expression, onResult) {
+      this._createRequest("countMatchingTranscriptIds", {
+        expression : expression
+      }, onResult).send();
+    }    
 
     /**
-     * Wait for the given task to finish.
-     * @param {string} threadId The task ID.
-     * @param {int} maxSeconds The maximum time to wait for the task, or 0 for forever.
+     * <p>Gets a list of IDs of transcripts that match a particular pattern.
+     * <p>The results can be exhaustive, by omitting pageLength and pageNumber, or they
+     * can be a subset (a 'page') of results, by given pageLength and pageNumber values.</p>
+     * <p>The order of the list can be specified.  If ommitted, the transcripts are
+     * listed in ID order.</p> 
+     * @param {string} expression An expression that determines which transcripts match.
+     * <p> The expression language is loosely based on JavaScript; expressions such as
+     * the following can be used:
+     * <ul>
+     *  <li><code>/Ada.+/.test(id)</code></li>
+     *  <li><code>labels('participant').includes('Robert')</code></li>
+     *  <li><code>('CC', 'IA', 'MU').includes(first('corpus').label)</code></li>
+     *  <li><code>first('episode').label == 'Ada Aitcheson'</code></li>
+     *  <li><code>first('transcript_scribe').label == 'Robert'</code></li>
+     *  <li><code>first('participant_languages').label == 'en'</code></li>
+     *  <li><code>first('noise').label == 'bell'</code></li>
+     *  <li><code>labels('transcript_languages').includes('en')</code></li>
+     *  <li><code>labels('participant_languages').includes('en')</code></li>
+     *  <li><code>labels('noise').includes('bell')</code></li>
+     *  <li><code>all('transcript_languages').length gt; 1</code></li>
+     *  <li><code>all('participant_languages').length gt; 1</code></li>
+     *  <li><code>all('transcript').length gt; 100</code></li>
+     *  <li><code>annotators('transcript_rating').includes('Robert')</code></li>
+     *  <li><code>!/Ada.+/.test(id) &amp;&amp; first('corpus').label == 'CC' &amp;&amp;
+     * labels('participant').includes('Robert')</code></li> 
+     * </ul>
+     * @param {int} [pageLength] The maximum number of IDs to return, or null to return all.
+     * @param {int} [pageNumber] The zero-based page number to return, or null to return
+     * the first page. 
+     * @param {string} [order] The ordering for the list of IDs, a string containing a
+     * comma-separated list of 
+     * expressions, which may be appended by " ASC" or " DESC", or null for transcript ID order. 
      * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The final task status. To determine whether
-     * the task finished or waiting timed out, check <var>result.running</var>, which
-     * will be false if the task finished.
+     * <var>result</var> which will be: A list of transcript IDs.
      */
-    waitForTask(threadId, maxSeconds, onResult) {
-      if (exports.verbose) console.log("waitForTask("+threadId+", "+maxSeconds+")");
-      const labbcat = this;
-      this.taskStatus(threadId, (thread, errors, messages)=> {
-        const waitTimeMS = thread && thread.refreshSeconds?
-              thread.refreshSeconds*1000 : 2000;
-        if (thread.running && maxSeconds > waitTimeMS/1000) {
-          setTimeout(()=>labbcat.waitForTask(
-            threadId, maxSeconds - waitTimeMS/1000, onResult), waitTimeMS);
-        } else {
-          if (onResult) {
-            onResult(thread, errors, messages);
-          }
-        }
-      });
+    getMatchingTranscriptIds(expression, pageLength, pageNumber, order, onResult) {
+      if (typeof pageLength === "function") { // (expression, onResult)
+        onResult = pageLength;
+        pageLength = null;
+        pageNumber = null;
+        order = null;
+      } else if (typeof pageNumber === "function") { // (order, onResult)
+        order = pageLength;
+        onResult = pageNumber;
+        pageLength = null;
+        pageNumber = null;
+      } else if (typeof order === "function") { // (pageLength, pageNumber, onResult)
+        onResult = order;
+        order = null;
+      }
+      this._createRequest("getMatchingTranscriptIds", {
+        expression : expression,
+        pageLength : pageLength,
+        pageNumber : pageNumber,
+        order : order
+      }, onResult).send();
     }
 
     /**
-     * Releases a finished task so it no longer uses resources on the server.
-     * @param {string} id ID of the task.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Iterates over the IDs of transcripts that match a particular pattern, fetching
+     * them a page at a time as they're needed.
+     * @param {string} expression An expression that determines which transcripts match
+     * - see {@link LabbcatView#getMatchingTranscriptIds}.
+     * @param {IteratorOptions} [options] Options for fetching pages, which may also
+     * include <var>order</var>, an expression that determines the order the transcripts
+     * are listed in.
+     * @return {AsyncIterable} The transcript IDs, for use with <code>for await</code>.
+     */
+    iterateMatchingTranscriptIds(expression, options) {
+      const order = options && options.order;
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.getMatchingTranscriptIds(
+          expression, pageLength, pageNumber, order, requestOptions), options);
+    }
+    
+    /**
+     * Gets the number of annotations on the given layer of the given transcript.
+     * @param {string} id The ID of the transcript.
+     * @param {string} layerId The ID of the layer.
+     * @param {int} [maxOrdinal] The maximum ordinal for the counted annotations.
+     * e.g. a <var>maxOrdinal</var> of 1 will ensure that only the first annotation for each
+     * parent is counted. If <var>maxOrdinal</var> is null, then all annotations are
+     * counted, regardless of their ordinal.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A (possibly empty) array of annotations.
      */
-    releaseTask(id, onResult) {
-      if (exports.verbose) console.log("releaseTask("+id+")");
-      this.createRequest("releaseTask", {
-        release : true
-      }, onResult, `${this.baseUrl}api/task/${id}`, "DELETE").send();
+    countAnnotations(id, layerId, maxOrdinal, onResult) {
+      if (typeof maxOrdinal === "function") { // (id, layerId, onResult)
+        onResult = maxOrdinal;
+        maxOrdinal = null;
+      }
+      this._createRequest("countAnnotations", {
+        id : id,
+        layerId : layerId,
+        maxOrdinal : maxOrdinal
+      }, onResult).send();
     }
     
     /**
-     * Cancels a running task.
-     * @param id The ID of the task.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Gets the annotations on the given layer of the given transcript.
+     * @param {string} id The ID of the transcript.
+     * @param {string} layerId The ID of the layer.
+     * @param {int} [maxOrdinal] The maximum ordinal for the returned annotations.
+     * e.g. a <var>maxOrdinal</var> of 1 will ensure that only the first annotation for each
+     * parent is returned. If <var>maxOrdinal</var> is null, then all annotations are
+     * returned, regardless of their ordinal.
+     * @param {int} [pageLength] The maximum number of IDs to return, or null to return all.
+     * @param {int} [pageNumber] The zero-based page number to return, or null to return 
+     * the first page. 
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A (possibly empty) array of annotations.
      */
-    cancelTask(id, onResult) {
-      if (exports.verbose) console.log("cancelTask("+threadId+")");
-      this.createRequest("cancelTask", {
-        cancel : true
-      }, onResult, `${this.baseUrl}api/task/${id}`, "DELETE").send();
+    getAnnotations(id, layerId, maxOrdinal, pageLength, pageNumber, onResult) {
+      if (typeof maxOrdinal === "function") { // (id, layerId, onResult)
+        onResult = maxOrdinal;
+        maxOrdinal = null;
+        pageLength = null;
+        pageNumber = null;
+      } else if (typeof pageLength === "function") { // (id, layerId, maxOrdinal, onResult)
+        onResult = pageLength;
+        pageLength = null;
+        pageNumber = null;
+      } else if (typeof pageNumber === "function") { // (id, layerId, pageLength, pageNumber, onResult)
+        onResult = pageNumber;
+        pageNumber = pageLength;
+        pageLength = maxOrdinal;
+        maxOrdinal = null;
+      }
+      this._createRequest("getAnnotations", {
+        id : id,
+        layerId : layerId,
+        maxOrdinal : maxOrdinal,
+        pageLength : pageLength,
+        pageNumber : pageNumber,
+        includeAnchors : true
+      }, onResult).send();
+    }
+
+    /**
+     * Iterates over the annotations in the given transcript on the given layer,
+     * fetching them a page at a time as they're needed.
+     * @param {string} id The ID of the transcript.
+     * @param {string} layerId The ID of the layer.
+     * @param {IteratorOptions} [options] Options for fetching pages, which may also
+     * include <var>maxOrdinal</var>, the maximum ordinal of annotations to include.
+     * @return {AsyncIterable} The annotations, for use with <code>for await</code>.
+     * @example
+     * for await (const word of store.iterateAnnotations(transcriptId, "word")) {
+     *   console.log(word.label);
+     * }
+     */
+    iterateAnnotations(id, layerId, options) {
+      const maxOrdinal = options && options.maxOrdinal;
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.getAnnotations(
+          id, layerId, maxOrdinal, pageLength, pageNumber, requestOptions), options);
+    }
+    
+    /**
+     * Identifies a list of annotations that match a particular pattern, and aggregates
+     * their labels. <p> This allows for counting, listing distinct labels, etc. 
+     * @param {string} operation The aggregation operation(s) - e.g. 
+     *  <dl>
+     *   <dt> DISTINCT </dt><dd> List the distinct labels. </dd>
+     *   <dt> MAX </dt><dd> Return the highest label. </dd>
+     *   <dt> MIN </dt><dd> Return the lowest label. </dd>
+     *   <dt> COUNT </dt><dd> Return the number of annotations. </dd>
+     *   <dt> COUNT DISTINCT </dt><dd> Return the number of distinct labels. </dd>
+     *  </dl>
+     *  More than one operation can be specified, by using a comma delimiter. 
+     *  e.g. "DISTINCT,COUNT" will return each distinct label, followed by its count
+     *  (i.e. the array will have twice the number of elements as there are distinct words,
+     *  even-indexed elements are the word labels, and odd-indexed elements are the counts).
+     * @param {string} expression An expression that determines which participants match.
+     * <p> The expression language is loosely based on JavaScript; expressions such as
+     * the following can be used:
+     * <ul>
+     *  <li><code>layer.id == 'orthography'</code></li>
+     *  <li><code>graph.id == 'AdaAicheson-01.trs' &amp;&amp; layer.id == 'orthography'</code></li>
+     * </ul>
+     * <p><em>NB</em> all expressions must match by either id or layer.id.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: The number of matching annotations.
+     */
+    aggregateMatchingAnnotations(operation, expression, onResult) {
+      this._createRequest("aggregateMatchingAnnotations", {
+        operation : operation,
+        expression : expression
+      }, onResult).send();
+    }
+    
+    /**
+     * Counts the number of annotations that match a particular pattern.
+     * @param {string} expression An expression that determines which participants match.
+     * <p> The expression language is loosely based on JavaScript; expressions such as
+     * the following can be used:
+     * <ul>
+     *  <li><code>id == 'ew_0_456'</code></li>
+     *  <li><code>!/th[aeiou].&#47;/.test(label)</code></li>
+     *  <li><code>first('participant').label == 'Robert' &amp;&amp; first('utterances').start.offset ==
+     * 12.345</code></li> 
+     *  <li><code>graph.id == 'AdaAicheson-01.trs' &amp;&amp; layer.id == 'orthography'
+     * &amp;&amp; start.offset &gt; 10.5</code></li> 
+     *  <li><code>previous.id == 'ew_0_456'</code></li>
+     * </ul>
+     * </ul>
+     * <p><em>NB</em> all expressions must match by either id or layer.id.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: The number of matching annotations.
+     */
+    countMatchingAnnotations(expression, onResult) {
+      this._createRequest("countMatchingAnnotations", {
+        expression : expression
+      }, onResult).send();
+    }
+    
+    /**
+     * Gets a list of annotations that match a particular pattern.
+     * @param {string} expression An expression that determines which transcripts match.
+     * <p> The expression language is loosely based on JavaScript; expressions such as the
+     * following can be used: 
+     * <ul>
+     *  <li><code>id == 'ew_0_456'</code></li>
+     *  <li><code>!/th[aeiou].&#47;/.test(label)</code></li>
+     *  <li><code>first('participant').label == 'Robert' &amp;&amp; first('utterances').start.offset ==
+     * 12.345</code></li> 
+     *  <li><code>graph.id == 'AdaAicheson-01.trs' &amp;&amp; layer.id == 'orthography'
+     * &amp;&amp; start.offset &gt; 10.5</code></li> 
+     *  <li><code>previous.id == 'ew_0_456'</code></li>
+     * </ul>
+     * <p><em>NB</em> all expressions must match by either id or layer.id.
+     * @param {int} [pageLength] The maximum number of annotations to return, or null
+     * to return all. 
+     * @param {int} [pageNumber] The zero-based page number to return, or null to
+     * return the first page. 
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A list of matching Annotations.
+     */
+    getMatchingAnnotations(expression, pageLength, pageNumber, onResult) {
+      if (typeof pageLength === "function") { // (expression, onResult)
+        onResult = pageLength;
+        pageLength = null;
+        pageNumber = null;
+      }
+      this._createRequest("getMatchingAnnotations", {
+        expression : expression,
+        pageLength : pageLength,
+        pageNumber : pageNumber
+      }, onResult).send();
+    }
+
+    /**
+     * Iterates over the annotations that match a particular pattern, fetching them a
+     * page at a time as they're needed.
+     * @param {string} expression An expression that determines which annotations match
+     * - see {@link LabbcatView#getMatchingAnnotations}.
+     * @param {IteratorOptions} [options] Options for fetching pages.
+     * @return {AsyncIterable} The annotations, for use with <code>for await</code>.
+     */
+    iterateMatchingAnnotations(expression, options) {
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.getMatchingAnnotations(
+          expression, pageLength, pageNumber, requestOptions), options);
+    }
+    
+    /**
+     * Gets a list of transcript IDs.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  {string[]} A list of transcript IDs.
+     */
+    getTranscriptIds(onResult) {
+      this._createRequest("getTranscriptIds", null, onResult).send();
+    }
+    
+    /**
+     * Gets a list of transcript IDs in the given corpus.
+     * @param {string} id A corpus ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  {string[]} A list of transcript IDs.
+     */
+    getTranscriptIdsInCorpus(id, onResult) {
+      this._createRequest("getTranscriptIdsInCorpus", { id : id }, onResult).send();
+    }
+    
+    /**
+     * Gets a list of IDs of transcripts that include the given participant.
+     * @param {string} id A participant ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  {string[]} A list of transcript IDs.
+     */
+    getTranscriptIdsWithParticipant(id, onResult) {
+      this._createRequest(
+        "getTranscriptIdsWithParticipant", { id : id }, onResult).send();
+    }
+    
+    /**
+     * Gets a transcript given its ID, containing only the given layers.
+     * @param {string} id The given transcript ID.
+     * @param {string[]} layerIds The IDs of the layers to load, or null for all
+     * layers. If only transcript data is required, set this to ["graph"]. 
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  The identified transcript.
+     */
+    getTranscript(id, layerIds, onResult) {
+      this._createRequest(
+        "getTranscript", { id : id, layerIds : layerIds }, onResult).send();
+    }
+    
+    /**
+     * Gets a transcript given its ID, containing only the given layers.
+     * @param {string} transcriptId The given transcript ID.
+     * @param {string} annotationId The ID of an annotation that
+     * defines the bounds of the fragment. 
+     * @param {string[]} layerIds The IDs of the layers to load, or null for all
+     * layers. If only transcript data is required, set this to ["graph"]. 
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  The identified transcript.
+     */
+    getFragment(id, annotationId, layerIds, onResult) {
+      this._createRequest("getFragment", {
+        id : id, annotationId: annotationId, layerIds : layerIds
+      }, onResult).send();
+    }
+    
+    /**
+     * Gets the given anchors in the given transcript.
+     * @param {string} id The given transcript ID.
+     * @param {string[]} anchorIds The IDs of the anchors to load.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  The identified transcript.
+     */
+    getAnchors(id, anchorIds, onResult) {
+      this._createRequest(
+        "getAnchors", { id : id, anchorIds : anchorIds }, onResult).send();
+    }
+    
+    /**
+     * List the predefined media tracks available for transcripts.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  An ordered list of media track definitions.
+     */
+    getMediaTracks(onResult) {
+      this._createRequest("getMediaTracks", null, onResult).send();
+    }
+    
+    /**
+     * List the media available for the given transcript.
+     * @param {string} id The transcript ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  List of media files available for the given transcript.
+     */
+    getAvailableMedia(id, onResult) {
+      this._createRequest("getAvailableMedia", { id : id }, onResult).send();
+    }
+    
+    /**
+     * Get a list of documents associated with the episode of the given transcript.
+     * @param {string} id The transcript ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be:  List of media files available for the given transcript.
+     */
+    getEpisodeDocuments(id, onResult) {
+      this._createRequest("getEpisodeDocuments", { id : id }, onResult).send();
+    }
+    
+    /**
+     * Gets a given media track for a given transcript.
+     * @param {string} id The transcript ID.
+     * @param {string} trackSuffix The track suffix of the media.
+     * @param {string} mimeType The MIME type of the media.
+     * @param {float} [startOffset] The start offset of the media sample, or null for
+     * the start of the whole recording. 
+     * @param {float} [endOffset[ The end offset of the media sample, or null for the
+     * end of the whole recording. 
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: {string} A URL to the given media for the given
+     * transcript, or null if the given media doesn't exist.
+     */
+    getMedia(id, trackSuffix, mimeType, startOffset, endOffset, onResult) {
+      if (typeof startOffset === "function") { // (id, trackSuffix, mimeType, onResult)
+        onResult = startOffset;
+        startOffset = null;
+        endOffset = null;
+      }
+      this._createRequest("getMedia", {
+        id : id,
+        trackSuffix : trackSuffix,
+        mimeType : mimeType,
+        startOffset : startOffset,
+        endOffset : endOffset
+      }, onResult).send();
+    }
+
+    /**
+     * Downloads a given media track for a given transcript, to a file or a stream. The
+     * media is fetched in chunks, using HTTP range requests, so large recordings
+     * aren't held in memory, progress can be reported, and an interrupted download can
+     * be resumed. Chunks that fail for transient reasons are retried according to the
+     * {@link RetryPolicy}.
+     * <p>If the server returns the whole recording instead of a later chunk, a file or
+     * Blob is started again, but a download to a stream fails, as what's been written
+     * to the stream can't be taken back.
+     * @param {string} id The transcript ID.
+     * @param {string} trackSuffix The track suffix of the media.
+     * @param {string} mimeType The MIME type of the media.
+     * @param {MediaOptions} [options] The interval to download, where to write it, and
+     * how.
+     * @param {resultCallback} onResult Invoked when the download is complete, with a
+     * <var>result</var> which will be: The path of the file, or
+     * <var>options.stream</var> if the media was written to a stream, or a Blob in
+     * browsers if no stream was given.
+     * @example
+     * // download a video, resuming the download if the file is already there
+     * const file = await store.downloadMedia("AP511_MikeThorpe.eaf", "", "video/mp4", {
+     *   file: "AP511_MikeThorpe.mp4", resume: true,
+     *   onProgress: p => console.log(p.loaded + "/" + p.total) });
+     */
+    downloadMedia(id, trackSuffix, mimeType, options, onResult) {
+      if (typeof options === "function") { // (id, trackSuffix, mimeType, onResult)
+        onResult = options;
+        options = null;
+      }
+      options = Object.assign({ chunkSize: defaultMediaChunkSize }, options);
+      if (exports.verbose) {
+        console.log("downloadMedia("+id+", "+trackSuffix+", "+mimeType+", "
+                    +JSON.stringify(options)+")");
+      }
+      const call = "downloadMedia";
+      const chunks = []; // the media, if it's returned as a Blob
+      let fileName = null;
+      let file = null; // the file handle, if writing to a file
+      let writer = null; // the writer of a WritableStream
+      const write = async (data) => {
+        if (file) {
+          await file.write(data);
+        } else if (writer) {
+          await writer.write(data);
+        } else if (options.stream) { // a Node.js Writable
+          if (!options.stream.write(data)) {
+            await new Promise(resolve => options.stream.once("drain", resolve));
+          }
+        } else {
+          chunks.push(data);
+        }
+      };
+      (async () => {
+        const url = await this.getMedia(
+          id, trackSuffix, mimeType, options.startOffset, options.endOffset);
+        if (!url) {
+          throw errorForStatus(
+            404, ["Media not found: " + id + " " + trackSuffix + " " + mimeType], [],
+            call, id);
+        }
+        let offset = 0;
+        if (options.stream) {
+          if (options.stream.getWriter) writer = options.stream.getWriter();
+        } else if (runningOnNode && options.file && options.resume
+                   && fs.existsSync(options.file)) {
+          fileName = options.file;
+          offset = fs.statSync(fileName).size;
+          file = await fs.promises.open(fileName, "a");
+        }
+        let total = null;
+        try {
+          while (total == null || offset < total) {
+            const response = await this._mediaChunk(
+              call, id, url, mimeType, offset, offset + options.chunkSize - 1);
+            if (response.status == 416 && offset > 0) break; // already complete
+            if (response.status >= 400) {
+              throw errorForStatus(
+                response.status, ["Could not get media: " + response.status], [],
+                call, id, url);
+            }
+            const data = new Uint8Array(response.body);
+            if (response.status == 206) { // something like bytes 0-99/1234
+              const range = /\/(\d+)$/.exec(response.headers["content-range"] || "");
+              total = range ? parseInt(range[1]) : null;
+            } else { // the server ignored the range, and returned all the content
+              total = data.byteLength;
+              if (offset > 0) { // so we start again
+                if (options.stream) { // but what's been written can't be taken back
+                  throw new LabbcatError(
+                    ["Could not get media from byte " + offset
+                     + ": the server returned all of it"], [], call, id,
+                    response.status, url);
+                } else if (file) { // reopened, so it's written from the start
+                  await file.close();
+                  file = null;
+                  file = await fs.promises.open(fileName, "w");
+                } else {
+                  chunks.length = 0;
+                }
+                offset = 0;
+              }
+            }
+            if (runningOnNode && !file && !options.stream) {
+              // something like attachment; filename=blah.wav
+              const contentDisposition = response.headers["content-disposition"] || "";
+              const equals = contentDisposition.indexOf("=");
+              fileName = options.file || path.join(os.tmpdir(), path.basename(
+                equals > 0 ? contentDisposition.substring(equals + 1)
+                  : decodeURIComponent(new URL(url).pathname)));
+              file = await fs.promises.open(fileName, "w");
+            }
+            await write(data);
+            offset += data.byteLength;
+            if (options.onProgress) options.onProgress({ loaded: offset, total: total });
+            if (!data.byteLength) break; // no more content
+          } // next chunk
+        } finally {
+          if (file) await file.close();
+        }
+        if (options.stream) {
+          if (writer) {
+            await writer.close();
+          } else {
+            await new Promise(resolve => options.stream.end(resolve));
+          }
+          return options.stream;
+        }
+        return fileName || new Blob(chunks, { type: mimeType });
+      })().then(result => {
+        onResult(result, null, [], call, id);
+      }, error => {
+        onResult(null, error.errors || [error.message], error.messages || [],
+                 call, id, error);
+      });
+    }
+
+    //
+    // Gets a range of bytes of media, retrying if the retry policy allows.
+    // @param {string} call The name of the API function being called.
+    // @param {string} id The transcript ID.
+    // @param {string} url The URL of the media.
+    // @param {string} mimeType The MIME type of the media.
+    // @param {int} start The offset of the first byte.
+    // @param {int} end The offset of the last byte.
+    // @return {Promise} A Promise that resolves with the response.
+    //
+    _mediaChunk(call, id, url, mimeType, start, end) {
+      return new Promise((resolve, reject) => {
+        const send = attempt => this._sendRequest({
+          method: "GET", url: url,
+          headers: { "Accept" : mimeType, "Range" : "bytes=" + start + "-" + end },
+          responseType: "arraybuffer"
+        }, (failure, response) => {
+          const error = failure ?
+                responseToResult(failure, response, true, call, id, url).error
+                : response.status >= 400 ? errorForStatus(response.status, [], [], call)
+                : null;
+          const delay = retryDelay(this._retryPolicy, error, "GET", call, attempt);
+          if (delay != null) {
+            if (exports.verbose) console.log(call+" retrying "+start+" in "+delay+"ms");
+            setTimeout(() => send(attempt + 1), delay);
+          } else if (failure) {
+            reject(error);
+          } else {
+            resolve(response);
+          }
+        });
+        send(1);
+      });
+    }
+
+    /**
+     * Gets list of tasks.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is an object whose keys are task IDs, and whose values are the
+     * names of the tasks.
+     */
+    getTasks(onResult) {
+      if (exports.verbose) console.log("getTasks()");
+      this._createRequest("getTasks", null, onResult, `${this.baseUrl}api/task/`).send();
+    }
+    
+    /**
+     * Gets the status of a task.
+     * @param {string} id ID of the task.
+     * @param {object} options An object with boolean settings, e.g. {log:true}
+     * Current supported options are:
+     * <ul>
+     *  <li>log: whether to return the tasks log (default is false)</li>
+     *  <li>keepalive: whether to keep the thread alive (default is true)</li>
+     * </ul>
+     * "log": whether to return the tasks log,
+     * @param {resultCallback} onResult Invoked when the request has returned a result.
+     */
+    taskStatus(id, options, onResult) {
+      if (typeof options === "function") { // (id, onResult)
+        onResult = options;
+        options = null;
+      }
+      options = Object.assign({log:false, keepalive:true}, options);
+      this._createRequest(
+        "taskStatus", options, onResult, `${this.baseUrl}api/task/${id}`).send();
+    }
+
+    /**
+     * Wait for the given task to finish.
+     * @param {string} threadId The task ID.
+     * @param {int} maxSeconds The maximum time to wait for the task, or 0 for forever.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: The final task status. To determine whether
+     * the task finished or waiting timed out, check <var>result.running</var>, which
+     * will be false if the task finished.
+     */
+    waitForTask(threadId, maxSeconds, onResult) {
+      if (exports.verbose) console.log("waitForTask("+threadId+", "+maxSeconds+")");
+      const labbcat = this;
+      const signal = (this._requestOptions || {}).signal;
+      this.taskStatus(threadId, (thread, errors, messages, call, id, error)=> {
+        const waitTimeMS = thread && thread.refreshSeconds?
+              thread.refreshSeconds*1000 : 2000;
+        if (thread && thread.running && (!maxSeconds || maxSeconds > waitTimeMS/1000)) {
+          // stop waiting if cancelled - the next status request detects cancellation
+          const poll = ()=>{
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener("abort", poll);
+            labbcat.waitForTask(
+              threadId, maxSeconds ? maxSeconds - waitTimeMS/1000 : 0, onResult);
+          };
+          const timer = setTimeout(poll, waitTimeMS);
+          if (signal) signal.addEventListener("abort", poll);
+        } else {
+          if (onResult) {
+            onResult(thread, errors, messages, "waitForTask", threadId, error);
+          }
+        }
+      });
+    }
+
+    /**
+     * Releases a finished task so it no longer uses resources on the server.
+     * @param {string} id ID of the task.
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    releaseTask(id, onResult) {
+      if (exports.verbose) console.log("releaseTask("+id+")");
+      this._createRequest("releaseTask", {
+        release : true
+      }, onResult, `${this.baseUrl}api/task/${id}`, "DELETE").send();
+    }
+    
+    /**
+     * Cancels a running task.
+     * @param id The ID of the task.
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    cancelTask(id, onResult) {
+      if (exports.verbose) console.log("cancelTask("+id+")");
+      this._createRequest("cancelTask", {
+        cancel : true
+      }, onResult, `${this.baseUrl}api/task/${id}`, "DELETE").send();
     }
     
     /**
      * Searches for tokens that match the given pattern.
+     * <p> The layer IDs in the pattern are checked against the schema before searching,
+     * so the first call also requests the schema - see {@link LabbcatView#loadSchema}.
      * <p> Although <var>mainParticipantOnly</var>, <var>offsetThreshold</var> and
      * <var>matchesPerTranscript</var> are all optional, if one of them is specified,
      * then all must be specified.
@@ -1068,1877 +3015,3981 @@
      * Each element in the <q>layers</q> JSON object is named after the layer it matches, and
      * the value is a named list with the following possible attributes:
      * <dl>
-     *  <dt>pattern</dt> <dd>A regular expression to match against the label</dd>
-     *  <dt>min</dt> <dd>An inclusive minimum numeric value for the label</dd>
-     *  <dt>max</dt> <dd>An exclusive maximum numeric value for the label</dd>
-     *  <dt>not</dt> <dd>TRUE to negate the match</dd>
-     *  <dt>anchorStart</dt> <dd>TRUE to anchor to the start of the annotation on this layer
-     *     (i.e. the matching word token will be the first at/after the start of the matching
-     *     annotation on this layer)</dd>
-     *  <dt>anchorEnd</dt> <dd>TRUE to anchor to the end of the annotation on this layer
-     *     (i.e. the matching word token will be the last before/at the end of the matching
-     *     annotation on this layer)</dd>
-     *  <dt>target</dt> <dd>TRUE to make this layer the target of the search; the results will
-     *     contain one row for each match on the target layer</dd>
+     *  <dt>pattern</dt> <dd>A regular expression to match against the label</dd>
+     *  <dt>min</dt> <dd>An inclusive minimum numeric value for the label</dd>
+     *  <dt>max</dt> <dd>An exclusive maximum numeric value for the label</dd>
+     *  <dt>not</dt> <dd>TRUE to negate the match</dd>
+     *  <dt>anchorStart</dt> <dd>TRUE to anchor to the start of the annotation on this layer
+     *     (i.e. the matching word token will be the first at/after the start of the matching
+     *     annotation on this layer)</dd>
+     *  <dt>anchorEnd</dt> <dd>TRUE to anchor to the end of the annotation on this layer
+     *     (i.e. the matching word token will be the last before/at the end of the matching
+     *     annotation on this layer)</dd>
+     *  <dt>target</dt> <dd>TRUE to make this layer the target of the search; the results will
+     *     contain one row for each match on the target layer</dd>
+     * </dl>
+     *
+     * <p>Examples of valid pattern objects include:
+     * <pre>// words starting with 'ps...'
+     * const pattern1 = {
+     *     "columns" : [
+     *         {
+     *             "layers" : {
+     *                 "orthography" : {
+     *                     "pattern" : "ps.*"
+     *                 }
+     *             }
+     *         }
+     *     ]};
+     * 
+     * // the word 'the' followed immediately or with one intervening word by
+     * // a hapax legomenon (word with a frequency of 1) that doesn't start with a vowel
+     * const pattern2 = {
+     *     "columns" : [
+     *         {
+     *             "layers" : {
+     *                 "orthography" : {
+     *                     "pattern" : "the"
+     *                 }
+     *             }
+     *             "adj" : 2 },
+     *         {
+     *             "layers" : {
+     *                 "phonemes" : {
+     *                     "not" : true,
+     *                     "pattern" : "[cCEFHiIPqQuUV0123456789~#\\$@].*"}
+     *                 "frequency" {
+     *                     "max" : "2"
+     *                 }
+     *             }
+     *         }
+     *     ]};
+     * </pre>
+     *
+     * For ease of use, the function will also accept the following abbreviated forms:
+     * <pre>
+     * // a single list representing a 'one column' search, 
+     * // and string values, representing regular expression pattern matching
+     * const pattern3 = { orthography : "ps.*" };
+     *
+     * // a list containing the columns (adj defaults to 1, so matching tokens are contiguous)
+     * const pattrn4 = [{
+     *     orthography : "the"
+     * }, {
+     *     phonemes : {
+     *         not : true,
+     *         pattern : "[cCEFHiIPqQuUV0123456789~#\\$@].*" },
+     *     frequency : {
+     *         max = "2" }
+     * }];
+     *
+     * // or using a SearchPattern
+     * const pattern5 = new SearchPattern()
+     *     .column().layer("orthography").matches("the")
+     *     .column().layer("phonemes").not().matches("[cCEFHiIPqQuUV0123456789~#\\$@].*")
+     *     .layer("frequency").max(2);
+     * </pre>
+     * @param {object|SearchPattern} pattern An object representing the pattern to search
+     * for, which mirrors the Search Matrix in the browser interface, or a
+     * {@link SearchPattern}, which is checked against the schema before searching.
+     * @param {string[]} [participantQuery=null] An optional expression for
+     * identifying participants to search the utterances of. This can be any
+     * expression of the kind used with {@link LabbcatView#getMatchingParticipantIds}
+     * e.g. "['AP2505_Nelson','AP2512_MattBlack','AP2515_ErrolHitt'].includes(id)"
+     * @param {string[]} [transcriptQuery=null] An optional expression for
+     * identifying transcripts to search the utterances of. This can be any
+     * expression of the kind used with {@link LabbcatView#getMatchingTranscriptIds} 
+     * e.g. "['CC','ID'].includes(first('corpus').label)
+     *       && first('transcript_type').label == 'wordlist'"
+     * @param {boolean} [mainParticipantOnly=true] true to search only main-participant
+     * utterances, false to search all utterances. 
+     * @param {int} [offsetThreshold=null] Optional minimum alignment confidence for
+     * matching word or segment annotations. A value of 50 means that annotations that
+     * were at least automatically aligned will be returned. Use 100 for
+     * manually-aligned annotations only, and 0 or no value to return all matching
+     * annotations regardless of alignment confidence.
+     * @param {int} [matchesPerTranscript=null] Optional maximum number of matches per
+     * transcript to return. <tt>null</tt> means all matches.
+     * @param {int} [overlapThreshold=null] Optional percentage overlap with other
+     * utterances before simultaneous speech is excluded. <tt>null</tt> means include
+     * all overlapping utterances.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object with one attribute, "threadId",
+     * which identifies the resulting task, which can be passed to 
+     * {@link LabbcatView#getMatches}, {@link LabbcatView#taskStatus}, 
+     * {@link LabbcatView#waitForTask}, etc.
+     */
+    search(pattern, participantQuery, transcriptQuery, mainParticipantOnly, offsetThreshold, matchesPerTranscript, overlapThreshold, onResult) {
+      if (typeof participantQuery === "function") { // (pattern, onResult)
+        onResult = participantQuery;
+        participantQuery = null;
+        transcriptQuery = null;
+        mainParticipantOnly = true;
+        offsetThreshold = null;
+        matchesPerTranscript = null;
+        overlapThreshold = null;
+      } else if (typeof transcriptQuery === "function") {
+        // (pattern, participantQuery, onResult)
+        onResult = transcriptQuery;
+        transcriptQuery = null;
+        mainParticipantOnly = true;
+        offsetThreshold = null;
+        matchesPerTranscript = null;
+        overlapThreshold = null;
+      } else if (typeof transcriptQuery === "boolean") {
+        // (pattern, participantQuery, mainParticipantOnly, offsetThreshold,
+        // matchesPerTranscript, onResult) 
+        onResult = onResult || overlapThreshold; // unless given in its place
+        overlapThreshold = matchesPerTranscript
+        matchesPerTranscript = offsetThreshold;
+        offsetThreshold = mainParticipantOnly;
+        mainParticipantOnly = transcriptQuery;
+        overlapThreshold = null;
+      } else if (typeof mainParticipantOnly === "function") {
+        // (pattern, participantQuery, transcriptQuery, onResult)
+        onResult = mainParticipantOnly;
+        mainParticipantOnly = true;
+        offsetThreshold = null;
+        matchesPerTranscript = null;
+        overlapThreshold = null;
+      }
+      if (typeof offsetThreshold === "function") {
+        // (pattern, participantIds, transcriptQuery, mainParticipantOnly, onResult)
+        // i.e. the original signature of this function
+        onResult = offsetThreshold;
+        offsetThreshold = null;
+        matchesPerTranscript = null;
+        overlapThreshold = null;
+      }
+      if (typeof matchesPerTranscript === "function") {
+        // (pattern, participantIds, mainParticipantOnly, offsetThreshold, onResult)
+        // i.e. the original signature of this function
+        onResult = matchesPerTranscript;
+        matchesPerTranscript = null;
+        overlapThreshold = null;
+      }
+      if (typeof overlapThreshold === "function") {
+        // (pattern, participantIds, mainParticipantOnly, offsetThreshold, matchesPerTranscript, onResult)
+        onResult = overlapThreshold;
+        overlapThreshold = null;
+      }
+      if (mainParticipantOnly === undefined) mainParticipantOnly = true; // omitted
+      if (exports.verbose) {
+        console.log("search("+JSON.stringify(pattern)
+                    +", "+participantQuery
+                    +", "+transcriptQuery
+                    +", "+mainParticipantOnly
+                    +", "+offsetThreshold
+                    +", "+matchesPerTranscript
+                    +", "+overlapThreshold+")");
+      }
+
+      // for backwards compatibility, convert arrays of IDs to expressions
+      if (Array.isArray(participantQuery)) {
+        participantQuery = "["
+          +participantQuery
+          .map(s=>"'"+s.replace(/'/,"\\'")+"'")
+          .join(",")
+          +"].includes(id)";
+      }
+      if (Array.isArray(transcriptQuery)) {
+        transcriptQuery = "["
+          +transcriptQuery
+          .map(s=>"'"+s.replace(/'/,"\\'")+"'")
+          .join(",")
+          +"].includes(first('transcript_type').label)";
+      }
+
+      // a SearchPattern is validated against the schema before being sent
+      const searchPattern = pattern instanceof SearchPattern ? pattern : null;
+      if (searchPattern) pattern = searchPattern.toJSON();
+
+      // first normalize the pattern...
+
+      // if pattern isn't a list with a "columns" element, wrap a list around it
+      if (!pattern.columns) pattern = { columns : pattern };
+
+      // if pattern.columns isn't an array wrap an array list around it
+      if (!(pattern.columns instanceof Array)) pattern.columns = [ pattern.columns ];
+
+      // columns contain lists with no "layers" element, wrap a list around them
+      for (let c = 0; c < pattern.columns.length; c++) {
+        if (!("layers" in pattern.columns[c])) {
+          pattern.columns[c] = { layers : pattern.columns[c] };
+        }
+      } // next column
+
+      // convert layer:string to layer : { pattern:string }
+      for (let c = 0; c < pattern.columns.length; c++) { // for each column
+        for (let l in pattern.columns[c].layers) { // for each layer in the column
+          // if the layer value isn't an object
+          if (typeof pattern.columns[c].layers[l] == "string") {
+            // wrap a list(pattern=...) around it
+            pattern.columns[c].layers[l] = { pattern : pattern.columns[c].layers[l] };
+          } // value isn't a list
+        } // next layer
+      } // next column
+
+      const parameters = {
+        command : "search",
+        searchJson : JSON.stringify(pattern),
+        words_context : 0
+      }
+      if (mainParticipantOnly) parameters.mainParticipantOnly = true;
+      if (offsetThreshold) parameters.offsetThreshold = offsetThreshold;
+      if (matchesPerTranscript) parameters.matchesPerTranscript = matchesPerTranscript;
+      if (participantQuery) parameters.participantQuery = participantQuery;
+      if (transcriptQuery) parameters.transcriptQuery = transcriptQuery;
+      if (overlapThreshold) parameters.overlapThreshold = overlapThreshold;
+
+      const layerIds = [].concat(...pattern.columns.map(column => Object.keys(column.layers)));
+      const validate = searchPattern ? schema => searchPattern.validate(schema)
+            : schema => schema.validate(layerIds);
+      this._checkSchema(validate, "search", onResult, () => {
+        this._createRequest(
+          "search", null, onResult, this.baseUrl+"api/search",
+          "POST", // not GET, because the number of parameters can make the URL too long
+          null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+          .send(this.parametersToQueryString(parameters));
+      });
+    }
+    
+    /**
+     * Identifies all utterances by the given participants.
+     * @param {string[]} participantIds A list of participant IDs to identify
+     * the utterances of.
+     * @param {string[]} [transcriptTypes=null] An optional list of transcript types to limit
+     * the results to. If null, all transcript types will be searched. 
+     * @param {boolean} [mainParticipant=true] true to search only main-participant
+     * utterances, false to search all utterances. 
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object with one attribute, "threadId",
+     * which identifies the resulting task, which can be passed to 
+     * {@link LabbcatView#getMatches}, {@link LabbcatView#taskStatus}, 
+     * {@link LabbcatView#waitForTask}, etc.
+     */
+    allUtterances(participantIds, transcriptTypes, mainParticipant, onResult) {
+      if (typeof transcriptTypes === "function") { // (participantIds, onResult)
+        onResult = transcriptTypes;
+        transcriptTypes = null;
+        mainParticipant = true;
+      } else if (typeof mainParticipant === "function") {
+        // (participantIds, transcriptTypes, onResult)
+        onResult = mainParticipant;
+        mainParticipant = true;
+      } else if (typeof transcriptTypes === "boolean") {
+        // (participantIds, mainParticipant, onResult) 
+        onResult = onResult || mainParticipant; // unless given in its place
+        mainParticipant = transcriptTypes;
+        transcriptTypes = null;
+      }
+      if (mainParticipant === undefined) mainParticipant = true; // omitted
+      if (exports.verbose) {
+        console.log("allUtterances("+JSON.stringify(participantIds)
+                    +", "+JSON.stringify(transcriptTypes)
+                    +", "+mainParticipant+")");
+      }
+
+      // first normalize the pattern...
+
+      const parameters = {
+        list : "list",
+        id : participantIds,
+      }
+      if (mainParticipant) parameters.only_main_speaker = true;
+      if (transcriptTypes) parameters.transcript_type = transcriptTypes;
+      if (exports.verbose) console.log(JSON.stringify(parameters));
+
+      this._createRequest(
+        "allUtterances", null, onResult, this.baseUrl+"api/utterances",
+        "POST", // not GET, because the number of parameters can make the URL too long
+        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString(parameters));
+    }
+    
+    /**
+     * Upload a CSV results file to parse, for then processing as any other results.
+     * @param {file|string|object[]|Buffer|ReadableStream} results a CSV results file previously returned by
+     * <tt>/api/results</tt>, or its content - see {@link Form#appendCsv}.
+     * @param targetColumn Optional column name that identifies each match.
+     * The default is "MatchId".
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object with one attribute, "threadId",
+     * which identifies the resulting task, which can be passed to 
+     * {@link LabbcatView#getMatches}, {@link LabbcatView#taskStatus}, 
+     * {@link LabbcatView#waitForTask}, etc.
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    resultsUpload(results, targetColumn, onResult, onProgress) {
+      if (typeof targetColumn === "function") { // (results, onResult, onProgress)
+        onProgress = onResult;
+        onResult = targetColumn;
+        targetColumn = null;
+      }
+      if (exports.verbose) {
+        console.log("resultsUpload(" + results + ", " + targetColumn + ")");
+      }
+      var resultsName = uploadName(results, "results.csv");
+      var createForm = () => { // called for each attempt
+	// create form
+	var fd = new Form();
+	if (targetColumn) fd.append("targetColumn", targetColumn);
+      
+	// on node.js, files are actually paths
+	if (!fd.appendCsv("results", results, resultsName)) {
+	  onResult(null, ["Invalid results: " + resultsName], [], "resultsUpload", resultsName);
+	  return null;
+	}
+        return fd;
+      };
+
+      this._submitForm(
+        "resultsUpload", resultsName, this.baseUrl + "api/results/upload", createForm,
+        onResult, onProgress);
+    } // resultsUpload
+    
+    /**
+     * Gets a list of tokens that were matched by {@link LabbcatView#search}.
+     * <p>If the task is still running, then this function will wait for it to finish.
+     * <p>This means calls can be stacked like this:
+     *  <pre>const matches = labbcat.getMatches(
+     *     labbcat.search(
+     *        {"orthography", "and"},
+     *        participantIds, true), 1);</pre>
+     * @param {string} threadId A task ID returned by {@link LabbcatView#search}.
+     * @param {int} [wordsContext=0] Number of words context to include in the <q>Before
+     * Match</q> and <q>After Match</q> columns in the results.
+     * @param {int} [pageLength] The maximum number of matches to return, or null to
+     * return all. 
+     * @param {int} [pageNumber] The zero-based page number to return, or null to
+     * return the first page.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object with two attributes:
+     * <dl>
+     *  <dt>name</dt><dd>The name of the search results collection</dd>
+     *  <dt>matches</dt>
+     *   <dd>A list of match objects, with the following attributes
+     *    <dl>
+     *      <dt>Title</dt> <dd>The title of the LaBB-CAT instance</dd>
+     *      <dt>Version</dt> <dd>The current version of the LaBB-CAT instance</dd>
+     *      <dt>MatchId</dt> <dd>A string identifying the match, of the kind expected
+     *        by {@link LabbcatView#getMatchAnnotations}</dd>
+     *      <dt>Transcript</dt> <dd>The name of the transcript</dd>
+     *      <dt>Participant</dt> <dd>The name of the participant</dd>
+     *      <dt>Corpus</dt> <dd>The name of corpus the transcript belongs to</dd>
+     *      <dt>Line</dt> <dd>The start offset of the utterance, usually in seconds</dd>
+     *      <dt>LineEnd</dt> <dd>The end offset of the uttereance, usually in seconds</dd>
+     *      <dt>BeforeMatch</dt> <dd>The context of the trascript text just before the
+     *       match</dd> 
+     *      <dt>Text</dt> <dd>The transcript text that matched</dd>
+     *      <dt>AfterMatch</dt> <dd>The context of the transcript text just after
+     *       the match</dd> 
+     *    </dl>
+     *   </dd> 
+     * </dl>
+     */
+    getMatches(threadId, wordsContext, pageLength, pageNumber, onResult) {
+      if (typeof wordsContext === "function") { // (threadId, onResult)
+        onResult = wordsContext;
+        wordsContext = null;
+      }
+      else if (typeof pageLength === "function") { // (threadId, wordsContext, onResult)
+        onResult = pageLength;
+        pageLength = null;
+        pageNumber = null;
+      }
+      else if (typeof pageNumber === "function") {
+        // (threadId, pageLength, pageNumber, onResult)
+        onResult = pageNumber;
+        pageNumber = pageLength;
+        pageLength = wordsContext;
+        wordsContext = null;
+      }
+      if (exports.verbose) {
+        console.log("getMatches("+threadId+", "+wordsContext
+                    +", "+pageLength+", "+pageNumber+")");
+      }
+      wordsContext = wordsContext || 0;
+      
+      this._createRequest("getMatches", {
+        threadId : threadId,
+        words_context : wordsContext,
+        pageLength : pageLength,
+        pageNumber : pageNumber
+      }, onResult, this.baseUrl+"api/results").send();
+    }
+
+    /**
+     * Iterates over the results of a search, fetching them a page at a time as they're
+     * needed.
+     * @param {string} threadId The ID of the search task, returned by
+     * {@link LabbcatView#search}. 
+     * @param {IteratorOptions} [options] Options for fetching pages, which may also
+     * include <var>wordsContext</var>, the number of words of context to include before
+     * and after each match.
+     * @return {AsyncIterable} The match objects - see {@link LabbcatView#getMatches} -
+     * for use with <code>for await</code>.
+     * @example
+     * for await (const match of store.iterateMatches(threadId, { pageLength: 500 })) {
+     *   console.log(match.Transcript + ": " + match.Text);
+     * }
+     */
+    iterateMatches(threadId, options) {
+      const wordsContext = (options && options.wordsContext) || 0;
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.getMatches(threadId, wordsContext, pageLength, pageNumber, requestOptions)
+          .then(results => results.matches), options);
+    }
+
+    /**
+     * Searches for tokens that match the given pattern, waits for the search to finish,
+     * and iterates over the matches, fetching them a page at a time as they're needed.
+     * The search task is always released afterward - including if iteration stops early,
+     * fails, or is cancelled, in which case a search that's still running is cancelled.
+     * @param {object|SearchPattern} pattern The pattern to search for - see
+     * {@link LabbcatView#search}.
+     * @param {SearchOptions} [options] Search settings, and options for fetching pages.
+     * @return {AsyncIterable} The match objects - see {@link LabbcatView#getMatches} -
+     * for use with <code>for await</code>.
+     * @example
+     * for await (const match of store.iterateSearch({ orthography: "the" }, {
+     *   mainParticipantOnly: false,
+     *   onProgress: task => console.log(task.status) })) {
+     *   console.log(match.Transcript + ": " + match.Text);
+     * }
+     */
+    async *iterateSearch(pattern, options) {
+      options = options || {};
+      const signal = options.signal || (this._requestOptions || {}).signal;
+      const requestOptions = options.signal ? { signal: options.signal } : undefined;
+      const response = await this.search(
+        pattern, options.participantQuery || null, options.transcriptQuery || null,
+        options.mainParticipantOnly !== false, options.offsetThreshold || null,
+        options.matchesPerTranscript || null, options.overlapThreshold || null,
+        requestOptions);
+      const threadId = response.threadId;
+      let task = null;
+      try {
+        // wait for the search to finish
+        while (true) {
+          task = await this.taskStatus(threadId, requestOptions);
+          if (options.onProgress) options.onProgress(task);
+          if (!task.running) break;
+          // stop waiting if cancelled - the next status request detects cancellation
+          await new Promise(resolve => {
+            const poll = ()=>{
+              clearTimeout(timer);
+              if (signal) signal.removeEventListener("abort", poll);
+              resolve();
+            };
+            const timer = setTimeout(poll, (task.refreshSeconds || 2) * 1000);
+            if (signal) signal.addEventListener("abort", poll);
+          });
+        }
+        yield* this.iterateMatches(threadId, options);
+      } finally {
+        // release the task even if cancelled, so not with the cancelled signal
+        const labbcat = withRequestOptions(this, {});
+        if (!task || task.running) await labbcat.cancelTask(threadId).catch(()=>{});
+        await labbcat.releaseTask(threadId).catch(()=>{});
+      }
+    }
+
+    /**
+     * Searches for tokens that match the given pattern, waits for the search to finish,
+     * and gets all the matches. The search task is always released afterward, whether
+     * the search succeeds, fails, or is cancelled.
+     * @param {object|SearchPattern} pattern The pattern to search for - see
+     * {@link LabbcatView#search}.
+     * @param {SearchOptions} [options] Search settings, and options for fetching pages.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A list of match objects - see
+     * {@link LabbcatView#getMatches}. If the search fails or is cancelled after some
+     * matches were retrieved, those matches are the error's <var>result</var>.
+     * @example
+     * const matches = await store.searchAndCollect(pattern, {
+     *   participantQuery: "['AP511_MikeThorpe'].includes(id)",
+     *   wordsContext: 3,
+     *   onProgress: task => console.log(task.percentComplete + "%") });
+     */
+    searchAndCollect(pattern, options, onResult) {
+      if (typeof options === "function") { // (pattern, onResult)
+        onResult = options;
+        options = null;
+      }
+      if (exports.verbose) {
+        console.log("searchAndCollect("+JSON.stringify(pattern)+", "
+                    +JSON.stringify(options)+")");
+      }
+      const matches = [];
+      (async () => {
+        for await (const match of this.iterateSearch(pattern, options)) {
+          matches.push(match);
+        }
+      })().then(() => {
+        onResult(matches, null, [], "searchAndCollect");
+      }, error => {
+        onResult(matches.length ? matches : null,
+                 error.errors || [error.message], error.messages || [],
+                 "searchAndCollect", null, error);
+      });
+    }
+    
+    /**
+     * Gets annotations on selected layers related to search results returned by a previous
+     * call to {@link LabbcatView#getMatches}.
+     * <p>The layer IDs are checked against the schema first, which the first call loads
+     * - see {@link LabbcatView#loadSchema}.
+     * @param {string[]|object[]} matchIds A list of MatchIds, or a list of match
+     * objects returned by {@link LabbcatView#getMatches} 
+     * @param {string[]} layerIds A list of layer IDs.
+     * @param {int} [targetOffset=0] The distance from the original target of the match, e.g.
+     * <ul>
+     *  <li>0 - find annotations of the match target itself</li>
+     *  <li>1 - find annotations of the token immediately <em>after</em> match target</li>
+     *  <li>-1 - find annotations of the token immediately <em>before</em> match target</li>
+     * </ul>
+     * @param {int} [annotationsPerLayer=1] The number of annotations on the given layer to
+     * retrieve. In most cases, there's only one annotation available. However, tokens may,
+     * for example, be annotated with `all possible phonemic transcriptions', in which case
+     * using a value of greater than 1 for this parameter provides other phonemic
+     * transcriptions, for tokens that have more than one.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An array of arrays of Annotations, of
+     * dimensions <var>matchIds</var>.length &times; (<var>layerIds</var>.length *
+     * <var>annotationsPerLayer</var>). The first index matches the corresponding
+     * index in <var>matchIds</var>. 
+     */
+    getMatchAnnotations(matchIds, layerIds, targetOffset, annotationsPerLayer, onResult) {
+      if (typeof targetOffset === "function") { // (matchIds, layerIds, onResult)
+        onResult = targetOffset;
+        targetOffset = null;
+        annotationsPerLayer = null;
+      } else if (typeof annotationsPerLayer === "function") {
+        // (matchIds, layerIds, targetOffset, onResult)
+        onResult = annotationsPerLayer;
+        annotationsPerLayer = null;
+      }
+
+      // check that an array of matches hasn't been passed.
+      if (typeof matchIds[0] != "string" && matchIds[0].MatchId) {
+        // convert the array of matches into an array of MatchIds
+        matchIds = matchIds.map(match => match.MatchId);
+      }
+      
+      if (exports.verbose) {
+        console.log("getMatchAnnotations("+JSON.stringify(matchIds)+", "
+                    +JSON.stringify(layerIds)+", "+targetOffset+", "
+                    +annotationsPerLayer+")");
+      }
+      targetOffset = targetOffset || 0;
+      annotationsPerLayer = annotationsPerLayer || 1;
+
+      // create forms
+      var createForm = () => { // called for each attempt
+	var fdUpload = new Form();
+	fdUpload.append("csvFieldDelimiter", ",");
+	fdUpload.append("targetColumn", "MatchId");
+	// api/results/upload expects an uploaded CSV file for MatchIds, 
+	const uploadfile = "MatchId\n"+matchIds.join("\n");
+	fdUpload.appendFile(
+	  "results", new Blob([uploadfile], { type: "text/csv" }), "uploadfile.csv");
+        return fdUpload;
+      };
+      var downloadResults = (threadId) => {
+        this._createRequest(
+          "getMatchAnnotations", {
+            threadId: threadId,
+            targetOffset: targetOffset,
+            annotationsPerLayer: annotationsPerLayer,
+            offsetThreshold: 0, // return all anchors
+            csvFieldDelimiter: ",",
+            csv_layer: layerIds
+          }, (result, errors, messages, call, id, error) => {
+            this.releaseTask(threadId, ()=>{});
+            if (onResult) onResult(result && result.matches, errors, messages, call, id, error);
+          },
+          this.baseUrl+"api/results")
+          .send();
+      };
+      
+      this._checkSchema(
+        schema => schema.validate(layerIds), "getMatchAnnotations", onResult, () => {
+        this._submitForm(
+          "getMatchAnnotations", null, this.baseUrl + "api/results/upload", createForm,
+          (result, errors, messages, call, id, error) => {
+            if (result && result.threadId) {
+              downloadResults(result.threadId);
+            } else {
+              onResult(result, errors, messages, call, id, error);
+            }
+          });
+      });
+      // old API
+      // // create form
+      // var fd = new FormData();
+      // fd.append("targetOffset", targetOffset);
+      // fd.append("annotationsPerLayer", annotationsPerLayer);
+      // fd.append("csvFieldDelimiter", ",");
+      // fd.append("targetColumn", "0");
+      // fd.append("copyColumns", "false");
+      // for (let layerId of layerIds ) fd.append("layer", layerId);
+
+      // // getMatchAnnotations expects an uploaded CSV file for MatchIds, 
+      // const uploadfile = "MatchId\n"+matchIds.join("\n");
+      // fd.append("uploadfile", uploadfile, {
+      //   filename: 'uploadfile.csv',
+      //   contentType: 'text/csv',
+      //   knownLength: uploadfile.length
+      // });
+
+      // if (!runningOnNode) {	
+      //   // create HTTP request
+      //   var xhr = new XMLHttpRequest();
+      //   xhr.call = "getMatchAnnotations";
+      //   xhr.id = transcript.name;
+      //   xhr.onResult = onResult;
+      //   xhr.addEventListener("load", callComplete, false);
+      //   xhr.addEventListener("error", callFailed, false);
+      //   xhr.addEventListener("abort", callCancelled, false);	        
+      //   xhr.open("POST", this.baseUrl + "api/getMatchAnnotations");
+      //   if (this.username) {
+      //     xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
+      //   }
+      //   xhr.setRequestHeader("Accept", "application/json");
+      //   xhr.send(fd);
+      // } else { // runningOnNode
+      //   var urlParts = parseUrl(this.baseUrl + "api/getMatchAnnotations");
+      //   // for tomcat 8, we need to explicitly send the content-type and content-length headers...
+      //   var labbcat = this;
+      //   var password = this._password;
+      //   fd.getLength(function(something, contentLength) {
+      //     var requestParameters = {
+      //       port: urlParts.port,
+      //       path: urlParts.pathname,
+      //       host: urlParts.hostname,
+      //       headers: {
+      //         "Accept" : "application/json",
+      //         "content-length" : contentLength,
+      //         "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
+      //       }
+      //     };
+      //     if (labbcat.username && password) {
+      //       requestParameters.auth = labbcat.username+':'+password;
+      //     }
+      //     if (/^https.*/.test(labbcat.baseUrl)) {
+      //       requestParameters.protocol = "https:";
+      //     }
+      //     if (exports.verbose) {
+      //       console.log("submit: " + labbcat.baseUrl + "edit/transcript/new");
+      //     }
+      //     fd.submit(requestParameters, function(err, res) {
+      //       var responseText = "";
+      //       if (!err) {
+      //         res.on('data',function(buffer) {
+      // 	  //console.log('data ' + buffer);
+      // 	  responseText += buffer;
+      //         });
+      //         res.on('end',function(){
+      //           if (exports.verbose) console.log("response: " + responseText);
+      //           var result = null;
+      //           var errors = null;
+      //           var messages = null;
+      // 	  try {
+      // 	    var response = JSON.parse(responseText);
+      // 	    result = response.model.result || response.model;
+      // 	    errors = response.errors;
+      // 	    if (errors && errors.length == 0) errors = null
+      // 	    messages = response.messages;
+      // 	    if (messages && messages.length == 0) messages = null
+      // 	  } catch(exception) {
+      // 	    result = null
+      //             errors = ["" +exception+ ": " + labbcat.responseText];
+      //             messages = [];
+      // 	  }
+      // 	  onResult(result, errors, messages, "getMatchAnnotations");
+      //         });
+      //       } else {
+      //         onResult(null, ["" +err+ ": " + labbcat.responseText], [], "getMatchAnnotations");
+      //       }
+      
+      //       if (res) res.resume();
+      //     });
+      //   }); // got length
+      // } // runningOnNode
+    }
+    
+    /**
+     * Exports search results as CSV, in the format of the CSV files exported from search
+     * results in LaBB-CAT's web interface, with columns for annotations of the match
+     * tokens on the given layers. The file can be passed to
+     * {@link LabbcatView#resultsUpload}, {@link LabbcatView#praat}, or
+     * {@link LabbcatEdit#uploadTokenAnnotations}.
+     * <p>The columns are: Title, DataVersion, SearchName, Number, Transcript, Speaker,
+     * Line, LineEnd, MatchId, URL, Before Match, Text, After Match, then for each
+     * layer, a column named with the layer ID for the label, and, for aligned layers,
+     * <q><var>layerId</var> start</q> and <q><var>layerId</var> end</q> columns for
+     * the offsets.
+     * @param {string|object[]} matches The ID of a search task, or a list of match
+     * objects returned by {@link LabbcatView#getMatches}.
+     * @param {string[]} [layerIds] The layers to include annotations of.
+     * @param {object} [options] Export settings:
+     * <dl>
+     *  <dt> targetOffset (int) </dt><dd> The distance from the match target of the token
+     *   to include annotations of - see {@link LabbcatView#getMatchAnnotations}.
+     *   (default: 0) </dd>
+     *  <dt> annotationsPerLayer (int) </dt><dd> The number of annotations to include
+     *   for each layer. (default: 1) </dd>
+     *  <dt> wordsContext (int) </dt><dd> The number of words of context to include
+     *   before and after each match, if <var>matches</var> is a task ID.
+     *   (default: 0) </dd>
+     *  <dt> searchName (string) </dt><dd> The SearchName column value. (default: the
+     *   name of the search task, if known) </dd>
+     *  <dt> fileName (string) </dt><dd> On Node.js, the path of the file to write.
+     *   (default: a file named after the search in the system's temporary
+     *   directory) </dd>
+     * </dl>
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: On Node.js, the path of the CSV file; in
+     * browsers, a Blob of the CSV.
+     * @example
+     * const csv = await store.exportMatches(threadId, ["orthography", "phonemes"], {
+     *   fileName: "results.csv" });
+     */
+    exportMatches(matches, layerIds, options, onResult) {
+      if (typeof layerIds === "function") { // (matches, onResult)
+        onResult = layerIds;
+        layerIds = null;
+        options = null;
+      } else if (typeof options === "function") { // (matches, layerIds, onResult)
+        onResult = options;
+        options = null;
+      }
+      options = options || {};
+      layerIds = layerIds || [];
+      if (exports.verbose) {
+        console.log("exportMatches("+(typeof matches == "string" ? matches
+                                      : matches.length+" matches")
+                    +", "+JSON.stringify(layerIds)+", "+JSON.stringify(options)+")");
+      }
+      let searchName = options.searchName || "";
+      (async () => {
+        if (typeof matches == "string") { // a task ID
+          const results = await this.getMatches(matches, options.wordsContext || 0);
+          matches = results.matches;
+          searchName = options.searchName || results.name || "";
+        }
+        let annotations = [];
+        let schema = null;
+        if (layerIds.length) {
+          schema = await this.loadSchema().catch(() => null);
+          if (matches.length) {
+            annotations = await this.getMatchAnnotations(
+              matches, layerIds, options.targetOffset || 0, options.annotationsPerLayer || 1);
+          }
+        }
+        const perLayer = options.annotationsPerLayer || 1;
+        const aligned = layerIds.map(layerId => {
+          const layer = schema && schema.layer(layerId);
+          return !layer || layer.alignment > 0;
+        });
+        
+        const header = [
+          "Title", "DataVersion", "SearchName", "Number", "Transcript", "Speaker", "Line",
+          "LineEnd", "MatchId", "URL", "Before Match", "Text", "After Match"];
+        layerIds.forEach((layerId, l) => {
+          for (let a = 0; a < perLayer; a++) {
+            header.push(layerId);
+            if (aligned[l]) header.push(layerId + " start", layerId + " end");
+          }
+        });
+        const rows = [ header ];
+        matches.forEach((match, m) => {
+          const targetId = new MatchId(match.MatchId).targetId;
+          const row = [
+            match.Title || "LaBB-CAT", "1.0", searchName, m + 1, match.Transcript,
+            match.Participant, match.Line, match.LineEnd, match.MatchId,
+            this.baseUrl + "transcript?transcript=" + encodeURIComponent(match.Transcript)
+              + (targetId ? "#" + targetId : ""),
+            match.BeforeMatch, match.Text, match.AfterMatch ];
+          layerIds.forEach((layerId, l) => {
+            const tokenAnnotations = (annotations[m] && annotations[m][layerId]) || [];
+            for (let a = 0; a < perLayer; a++) {
+              const annotation = tokenAnnotations[a];
+              row.push(annotation ? annotation.label : "");
+              if (aligned[l]) {
+                row.push(annotation && annotation.start ? annotation.start.offset : "",
+                         annotation && annotation.end ? annotation.end.offset : "");
+              }
+            } // next annotation
+          }); // next layer
+          rows.push(row);
+        }); // next match
+        const csv = rows.map(row => row.map(csvField).join(",")).join("\n") + "\n";
+        
+        if (!runningOnNode) return new Blob([csv], { type: "text/csv" });
+        const fileName = options.fileName || path.join(
+          os.tmpdir(), (searchName || "results").replace(/[^\w.=-]+/g, "_") + ".csv");
+        await fs.promises.writeFile(fileName, csv);
+        return fileName;
+      })().then(result => {
+        onResult(result, null, [], "exportMatches");
+      }, error => {
+        onResult(null, error.errors || [error.message], error.messages || [],
+                 "exportMatches", null, error);
+      });
+    }
+    
+    /**
+     * Downloads WAV sound fragments.
+     * <p>For convenience, the first three arguments, <var>transcriptIds</var>, 
+     * <var>startOffsets</var>, and <var>endOffsets</var>, can be replaced by a single
+     * array of match objects of the kind returned by {@link LabbcatView#getMatches}, in
+     * which case the start/end times are the utterance boundaries - e.g.
+     * <pre>labbcat.getMatches(threadId, wordsContext (result, e, m) => {
+     *   labbcat.getMatchAnnotations(result.matches, sampleRate, dir, (files, e, m) => {
+     *       ...
+     *   });
+     * });</pre>
+     * @param {string[]} transcriptIds A list of transcript IDs (transcript names).
+     * @param {float[]} startOffsets A list of start offsets, with one element for each
+     * element in <var>transcriptIds</var>. 
+     * @param {float[]} endOffsets A list of end offsets, with one element for each element in
+     * <var>transcriptIds</var>. 
+     * @param {int} [sampleRate] The desired sample rate, or null for no preference.
+     * @param {string|FragmentOptions} [dir] A directory in which the files should be
+     * stored, or null for a temporary folder.  If specified, and the directory doesn't
+     * exist, it will be created. This can also be an object with download options,
+     * including <var>dir</var>.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of WAV files, with one element for each
+     * element in <var>transcriptIds</var>, which is null if the fragment couldn't be
+     * downloaded. If <var>dir</var> is null, these files will be stored under the
+     * system's temporary directory, so once processing is finished, they should be
+     * deleted by the caller, or moved to a more permanent location. In browsers, the
+     * elements are File objects - Blobs named by the server - which can be played or
+     * downloaded using <q>URL.createObjectURL(file)</q>. If any fragments
+     * failed, the <var>error</var>'s <var>failures</var> attribute is an array with an
+     * element for each fragment: null if it succeeded, or a {@link LabbcatError}.
+     * @example
+     * const files = await store.getSoundFragments(matches, 16000, {
+     *   dir: "fragments", concurrency: 4, skipExisting: true,
+     *   onProgress: p => console.log(p.completed + "/" + p.total) });
+     */
+    getSoundFragments(transcriptIds, startOffsets, endOffsets, sampleRate, dir, onResult) {
+      // ensure transcriptIds is a list of strings, not a list of matches
+      if (typeof transcriptIds[0] != "string" && transcriptIds[0].Transcript) {
+        // convert the array of matches into an arrays of transcriptIds, startOffset,
+        // and endOffsets...
+
+        // shift remaining arguments to the right
+        onResult = onResult || sampleRate; // unless given in its place
+        dir = endOffsets
+        sampleRate = startOffsets
+
+        // create arrays
+        startOffsets = transcriptIds.map(match => match.Line);
+        endOffsets = transcriptIds.map(match => match.LineEnd);
+        transcriptIds = transcriptIds.map(match => match.Transcript);
+      }            
+
+      if (typeof sampleRate === "function") {
+        // (transcriptIds, startOffsets, endOffsets, onResult)
+        onResult = sampleRate;
+        sampleRate = null;
+        dir = null;
+      } else if (typeof dir === "function") {
+        // (transcriptIds, startOffsets, endOffsets, sampleRate or dir, onResult)
+        onResult = dir;
+        dir = null;
+      }
+      if (typeof sampleRate === "string"
+          || (sampleRate && typeof sampleRate === "object")) { // dir or options
+        // (transcriptIds, startOffsets, endOffsets, dir, ...)
+        dir = sampleRate;
+        sampleRate = null;
+      }
+      if (transcriptIds.length != startOffsets.length || transcriptIds.length != endOffsets.length) {
+        onResult && onResult(null, [
+          "transcriptIds ("+transcriptIds.length +"), startOffsets ("+startOffsets.length
+            +"), and endOffsets ("+endOffsets.length+") must be arrays of equal size."],
+                             [], "getSoundFragments");
+        return;
+      }
+
+      if (exports.verbose) {
+        console.log("getSoundFragments("+transcriptIds.length+" transcriptIds, "
+                    +startOffsets.length+" startOffsets, "
+                    +endOffsets.length+" endOffsets, "
+                    +sampleRate+", "+dir+")");
+      }
+
+      // get fragments individually to ensure elements in result map 1:1 to element
+      // in transcriptIds
+      const url = this.baseUrl + "api/media/fragments";
+      this._downloadFragments("getSoundFragments", transcriptIds.map((id, i) => {
+        let queryString = "?id="+encodeURIComponent(id)
+            +"&start="+encodeURIComponent(startOffsets[i])
+            +"&end="+encodeURIComponent(endOffsets[i]);
+        if (sampleRate) queryString += "&sampleRate="+sampleRate;
+        queryString += "&prefix=true"; // TODO add function parameter for this
+        return {
+          url: url + queryString, accept: "audio/wav",
+          name: id+"__"+startOffsets[i]+"-"+endOffsets[i]+".wav",
+          serverName: fragmentName(id, startOffsets[i], endOffsets[i])
+        };
+      }), dir, onResult);
+    }
+    
+    /**
+     * Get transcript fragments in a specified format.
+     * <p>The layer IDs are checked against the schema before any fragment is requested,
+     * so the first call also loads the schema - see {@link LabbcatView#loadSchema}.
+     * <p>For convenience, the first three arguments, <var>transcriptIds</var>, 
+     * <var>startOffsets</var>, and <var>endOffsets</var>, can be replaced by a single
+     * array of match objects of the kind returned by {@link LabbcatView#getMatches}, in
+     * which case the start/end times are the utterance boundaries - e.g.
+     * <pre>labbcat.getMatches(threadId, wordsContext (result, e, m) => {
+     *   labbcat.getFragments(result.matches, layerIds, mimeType, dir, (files, e, m) => {
+     *       ...
+     *   });
+     * });</pre>
+     * @param {string[]} transcriptIds A list of transcript IDs (transcript names).
+     * @param {float[]} startOffsets A list of start offsets, with one element for
+     * each element in <var>transcriptIds</var>. 
+     * @param {float[]} endOffsets A list of end offsets, with one element for each element in
+     * <var>transcriptIds</var>. 
+     * @param {string[]} layerIds A list of IDs of annotation layers to include in the
+     * fragment. 
+     * @param {string} mimeType The desired format, for example "text/praat-textgrid" for Praat
+     * TextGrids, "text/plain" for plain text, etc.
+     * @param {string|FragmentOptions} [dir] A directory in which the files should be
+     * stored, or null for a temporary folder.   If specified, and the directory doesn't
+     * exist, it will be created. This can also be an object with download options,
+     * including <var>dir</var>.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be:  A list of files, with one element for each
+     * element in <var>transcriptIds</var>, which is null if the fragment couldn't be
+     * downloaded. If <var>dir</var> is null, these files will be stored under the
+     * system's temporary directory, so once processing is finished, they should be
+     * deleted by the caller, or moved to a more permanent location. In browsers, the
+     * elements are File objects - Blobs named by the server. If any fragments
+     * failed, the <var>error</var>'s <var>failures</var> attribute is an array with an
+     * element for each fragment: null if it succeeded, or a {@link LabbcatError}.
+     */
+    getFragments(transcriptIds, startOffsets, endOffsets, layerIds, mimeType, dir, onResult) {
+      // ensure transcriptIds is a list of strings, not a list of matches
+      if (typeof transcriptIds[0] != "string" && transcriptIds[0].Transcript) {
+        // convert the array of matches into an arrays of transcriptIds, startOffset,
+        // and endOffsets...
+
+        // shift remaining arguments to the right
+        onResult = onResult || mimeType; // unless given in its place
+        dir = layerIds
+        mimeType = endOffsets
+        layerIds = startOffsets
+
+        // create arrays
+        startOffsets = transcriptIds.map(match => match.Line);
+        endOffsets = transcriptIds.map(match => match.LineEnd);
+        transcriptIds = transcriptIds.map(match => match.Transcript);
+      }
+      
+      if (typeof dir === "function") {
+        // (transcriptIds, startOffsets, endOffsets, layerIds, mimeType, onResult)
+        onResult = dir;
+        dir = null;
+      }
+
+      if (transcriptIds.length != startOffsets.length || transcriptIds.length != endOffsets.length) {
+        onResult && onResult(
+          null,
+          ["transcriptIds ("+transcriptIds.length +"), startOffsets ("+startOffsets.length
+           +"), and endOffsets ("+endOffsets.length+") must be arrays of equal size."],
+          [], "getFragments");
+        return;
+      }
+      if (exports.verbose) {
+        console.log("getFragments("+transcriptIds.length+" transcriptIds, "
+                    +startOffsets.length+" startOffsets, "
+                    +endOffsets.length+" endOffsets, "
+                    +JSON.stringify(layerIds)+", "+mimeType+", "+dir+")");
+      }
+      
+      // get fragments individually to ensure elements in result map 1:1 to element
+      // in transcriptIds
+      let url = this.baseUrl + "api/serialize/fragment?mimeType="+encodeURIComponent(mimeType);
+      for (let layerId of layerIds) url += "&layerId=" + layerId;
+      const fragments = transcriptIds.map((id, i) => {
+        let queryString = "&id="+encodeURIComponent(id)
+            +"&start="+encodeURIComponent(startOffsets[i])
+            +"&end="+encodeURIComponent(endOffsets[i]);
+        queryString += "&prefix=true"; // TODO add a function parameter for this
+        return {
+          url: url + queryString, accept: mimeType,
+          name: id+"__"+startOffsets[i]+"-"+endOffsets[i],
+          serverName: fragmentName(id, startOffsets[i], endOffsets[i])
+        };
+      });
+      this._checkSchema(
+        schema => schema.validate(layerIds), "getFragments", onResult,
+        () => this._downloadFragments("getFragments", fragments, dir, onResult));
+    }
+
+    /**
+     * Gets many fragments - audio and/or other formats - as a single ZIP archive, which
+     * also contains a manifest, <q>manifest.csv</q>, with a row for each fragment in each
+     * format, and the columns: <var>file</var> (the name of the fragment's file in the
+     * archive, or blank if it couldn't be downloaded), <var>MatchId</var>,
+     * <var>transcript</var>, <var>start</var>, <var>end</var>, <var>mimeType</var>, and
+     * <var>error</var>. Rows are in the order of the fragments.
+     * <p>For each format, the fragments are requested from the server as one archive.
+     * If the server can't do that, they're downloaded individually and zipped by this
+     * library.
+     * <p>As with {@link LabbcatView#getFragments}, the first three arguments can be
+     * replaced by an array of matches, in which case the start/end times are the
+     * utterance boundaries, and the manifest includes their MatchIds.
+     * <p>If any format isn't audio, the layer IDs are checked against the schema first,
+     * which the first such call loads - see {@link LabbcatView#loadSchema}.
+     * @param {string[]} transcriptIds A list of transcript IDs (transcript names).
+     * @param {float[]} startOffsets A list of start offsets, with one element for each
+     * element in <var>transcriptIds</var>.
+     * @param {float[]} endOffsets A list of end offsets, with one element for each
+     * element in <var>transcriptIds</var>.
+     * @param {ZipOptions} [options] The formats to include, and where to save the
+     * archive.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: The path of the ZIP file, or a Blob in browsers.
+     * If some fragments couldn't be downloaded, the archive is still produced, and the
+     * <var>error</var>'s <var>result</var> is the archive, and its <var>failures</var>
+     * attribute is an array with an element for each fragment: null if it succeeded, or
+     * a {@link LabbcatError}.
+     * @example
+     * const zip = await store.getFragmentsZip(matches, {
+     *   mimeTypes: [ "audio/wav", "text/praat-textgrid" ],
+     *   layerIds: [ "orthography", "segment" ],
+     *   file: "fragments.zip" });
+     */
+    getFragmentsZip(transcriptIds, startOffsets, endOffsets, options, onResult) {
+      let matchIds = null;
+      // ensure transcriptIds is a list of strings, not a list of matches
+      if (typeof transcriptIds[0] != "string" && transcriptIds[0].Transcript) {
+        // shift remaining arguments to the right
+        onResult = onResult || endOffsets; // unless given in its place
+        options = startOffsets;
+        
+        // create arrays
+        matchIds = transcriptIds.map(match => match.MatchId);
+        startOffsets = transcriptIds.map(match => match.Line);
+        endOffsets = transcriptIds.map(match => match.LineEnd);
+        transcriptIds = transcriptIds.map(match => match.Transcript);
+      }
+      if (typeof options === "function") {
+        // (transcriptIds, startOffsets, endOffsets, onResult)
+        onResult = options;
+        options = null;
+      }
+      options = Object.assign({ mimeTypes: [ "audio/wav" ], layerIds: [] }, options);
+      matchIds = matchIds || options.matchIds || transcriptIds.map(() => "");
+      const call = "getFragmentsZip";
+      if (transcriptIds.length != startOffsets.length
+          || transcriptIds.length != endOffsets.length) {
+        onResult && onResult(
+          null,
+          ["transcriptIds ("+transcriptIds.length +"), startOffsets ("+startOffsets.length
+           +"), and endOffsets ("+endOffsets.length+") must be arrays of equal size."],
+          [], call);
+        return;
+      }
+      if (exports.verbose) {
+        console.log("getFragmentsZip("+transcriptIds.length+" transcriptIds, "
+                    +startOffsets.length+" startOffsets, "
+                    +endOffsets.length+" endOffsets, "+JSON.stringify(options)+")");
+      }
+      const failures = transcriptIds.map(() => null);
+      const rows = [];
+      let fileName = null;
+      let file = null; // the file handle, on Node.js
+      const chunks = []; // the archive, in browsers
+      const zip = zipWriter(bytes => file ? file.write(bytes) : chunks.push(bytes));
+      const proceed = () => (async () => {
+        if (runningOnNode) {
+          fileName = options.file || path.join(os.tmpdir(), "fragments.zip");
+          file = await fs.promises.open(fileName, "w");
+        }
+        try {
+          for (let mimeType of options.mimeTypes) {
+            const members = transcriptIds.map(() => null); // file names in the archive
+            const archive = await this._fragmentsArchive(
+              call, mimeType, transcriptIds, startOffsets, endOffsets, options);
+            if (archive) {
+              const entries = zipEntries(archive);
+              transcriptIds.forEach((id, i) => {
+                const serverName = fragmentName(id, startOffsets[i], endOffsets[i]) + ".";
+                const entry = entries.find(
+                  entry => entry.name.replace(/.*\//, "").startsWith(serverName));
+                if (!entry) return; // it will be downloaded individually
+                members[i] = entry.name.replace(/.*\//, "");
+                if (!zip.has(members[i])) {
+                  zip.add(Object.assign({}, entry, { name: members[i] }));
+                }
+              });
+            }
+            // download fragments that weren't in an archive individually
+            const missing = members.map((member, i) => i).filter(i => !members[i]);
+            const audio = /^audio\//.test(mimeType);
+            let url = this.baseUrl + "api/serialize/fragment?mimeType="
+                + encodeURIComponent(mimeType);
+            for (let layerId of options.layerIds) url += "&layerId=" + layerId;
+            if (audio) {
+              url = this.baseUrl + "api/media/fragments?prefix=true";
+              if (options.sampleRate) url += "&sampleRate=" + options.sampleRate;
+            }
+            // each fragment is added to the archive, unless it's already there
+            const save = (m, name, response) => zip.has(name) ? Promise.resolve(name)
+                  : zip.add({ name: name, data: new Uint8Array(response.body) })
+                  .then(() => name);
+            const names = await new Promise((resolve, reject) => this._downloadFragments(
+              call, missing.map(i => ({
+                url: url + "&id=" + encodeURIComponent(transcriptIds[i])
+                  + "&start=" + encodeURIComponent(startOffsets[i])
+                  + "&end=" + encodeURIComponent(endOffsets[i]),
+                accept: mimeType,
+                name: fragmentName(transcriptIds[i], startOffsets[i], endOffsets[i])
+              })), options, (names, errors, messages, call, id, error) => {
+                if (error instanceof CancelledError) {
+                  reject(error);
+                  return;
+                }
+                missing.forEach((i, m) => {
+                  if (error && error.failures[m]) {
+                    failures[i] = failures[i] || error.failures[m];
+                  }
+                });
+                resolve(names);
+              }, save));
+            missing.forEach((i, m) => members[i] = names[m]);
+            members.forEach((member, i) => rows.push({
+              file: member || "", MatchId: matchIds[i], transcript: transcriptIds[i],
+              start: startOffsets[i], end: endOffsets[i], mimeType: mimeType,
+              error: member ? "" : failures[i] && failures[i].message || "" }));
+          } // next mimeType
+          await zip.add({
+            name: "manifest.csv", data: new TextEncoder().encode(csvText(rows)) });
+          await zip.finish();
+        } finally {
+          if (file) await file.close();
+        }
+        const result = fileName || new Blob(chunks, { type: "application/zip" });
+        const failure = failures.find(failure => failure);
+        if (failure) {
+          const error = errorForStatus(
+            failure.status, failures.filter(failure => failure).map(f => f.message), [],
+            call, null, failure.url);
+          error.failures = failures;
+          error.result = result;
+          throw error;
+        }
+        return result;
+      })().then(result => {
+        onResult(result, null, [], call);
+      }, error => {
+        onResult(error.result || null, error.errors || [error.message],
+                 error.messages || [], call, null, error);
+      });
+      if (options.mimeTypes.find(mimeType => !/^audio\//.test(mimeType))) {
+        this._checkSchema(
+          schema => schema.validate(options.layerIds), call, onResult, proceed);
+      } else {
+        proceed();
+      }
+    }
+
+    /**
+     * Waits for a task to finish, and gets the file it produced - e.g. the CSV file of
+     * measurements produced by {@link LabbcatView#praat}, or labels produced by
+     * {@link LabbcatView#intervalAnnotations}. The file is downloaded from the task's
+     * <var>resultUrl</var>. The task is not released.
+     * @param {string} threadId The task ID.
+     * @param {object} [options] How to return the result:
+     * <dl>
+     *  <dt> as (string) </dt><dd> <q>file</q> to save it as a file on Node.js, or return
+     *   a Blob in browsers, <q>rows</q> to parse it as CSV into an array of row
+     *   objects, or <q>stream</q> for a readable stream of its content - a Node.js
+     *   Readable on Node.js, or a ReadableStream in browsers. (default: "file") </dd>
+     *  <dt> fileName (string) </dt><dd> On Node.js, the path of the file to write.
+     *   (default: a file named by the server in the system's temporary directory) </dd>
+     *  <dt> numbers (string[]|function) </dt><dd> For rows, the columns whose values
+     *   are numbers - a list of column names, or a function that takes a column name
+     *   and returns true if its values are numbers. (default: Praat's measurement
+     *   columns, e.g. <q>F1-time_0.5</q>, <q>meanPitch</q>, or <q>maxIntensity</q>) </dd>
      * </dl>
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: Depending on <var>options.as</var>, the path of
+     * the file (or a Blob), an array of row objects, or a readable stream. Row objects
+     * map column names to values, which are strings, except in numeric columns - e.g.
+     * F1, F2, or pitch measurements - whose values are numbers, or null where the value
+     * is blank or couldn't be measured. Other columns - e.g. transcript or participant
+     * IDs - are left as strings even if they look like numbers.
+     * @example
+     * const task = await store.praat("results.csv", 8, 5, 14, 15, 0.025, true, {
+     *   extractF1: true, extractF2: true });
+     * const measurements = await store.getTaskResult(task.threadId, { as: "rows" });
+     * console.log(measurements[0]["F1-time_0.5"] + 1); // it's a number
+     */
+    getTaskResult(threadId, options, onResult) {
+      if (typeof options === "function") { // (threadId, onResult)
+        onResult = options;
+        options = null;
+      }
+      options = Object.assign({ as: "file" }, options);
+      if (exports.verbose) {
+        console.log("getTaskResult("+threadId+", "+JSON.stringify(options)+")");
+      }
+      const call = "getTaskResult";
+      (async () => {
+        if (![ "file", "rows", "stream" ].includes(options.as)) {
+          throw new LabbcatError(
+            ["Invalid value for as: " + options.as], [], call, threadId);
+        }
+        const task = await this.waitForTask(threadId, 0);
+        if (task.lastException) {
+          throw new LabbcatError([task.lastException], [], call, threadId);
+        }
+        if (!task.resultUrl) {
+          throw new LabbcatError(
+            ["No result for task " + threadId + ": " + task.status], [],
+            call, threadId);
+        }
+        const response = await new Promise((resolve, reject) => {
+          this._sendRequest({
+            method: "GET", url: task.resultUrl, headers: { "Accept" : "text/csv" },
+            responseType: options.as == "stream" ? "stream" : "arraybuffer"
+          }, (failure, response) => {
+            if (failure) {
+              reject(responseToResult(
+                failure, response, true, call, threadId, task.resultUrl).error);
+            } else if (response.status >= 400) {
+              if (response.body && typeof response.body.cancel == "function") {
+                response.body.cancel().catch(()=>{});
+              }
+              reject(errorForStatus(
+                response.status, ["Could not get result: " + response.status], [],
+                call, threadId, task.resultUrl));
+            } else {
+              resolve(response);
+            }
+          });
+        });
+        if (options.as == "rows") {
+          const numbers = options.numbers
+                || (column => praatMeasurementColumn.test(column));
+          return csvObjects(new TextDecoder().decode(response.body),
+                            typeof numbers == "function" ? numbers
+                            : column => numbers.includes(column));
+        }
+        if (options.as == "stream") {
+          if (!(response.body instanceof ArrayBuffer)) { // streamed by the transport
+            return runningOnNode ? Readable.fromWeb(response.body) : response.body;
+          }
+          return runningOnNode ? Readable.from([Buffer.from(response.body)])
+            : new Blob([response.body]).stream();
+        }
+        if (!runningOnNode) return new Blob([response.body], { type: "text/csv" });
+        let fileName = options.fileName;
+        if (!fileName) {
+          // something like attachment; filename=blah.csv
+          const contentDisposition = response.headers["content-disposition"] || "";
+          const equals = contentDisposition.indexOf("=");
+          fileName = path.join(os.tmpdir(), path.basename(
+            equals > 0 ? contentDisposition.substring(equals + 1)
+              : "task-" + threadId + ".csv"));
+        }
+        await fs.promises.writeFile(fileName, Buffer.from(response.body));
+        return fileName;
+      })().then(result => {
+        onResult(result, null, [], call, threadId);
+      }, error => {
+        onResult(null, error.errors || [error.message], error.messages || [],
+                 call, threadId, error);
+      });
+    }
+
+    /**
+     * Gets transcript attribute values for given transcript IDs.
+     * @param {string[]} transcriptIds A list of transcript IDs (transcript names).
+     * @param {string[]} layerIds A list of layer IDs corresponding to transcript
+     * attributes. In general, these are layers whose ID is prefixed 'transcript_',
+     * however formally it's any layer where layer.parentId == 'graph' &&
+     * layer.alignment == 0, which includes 'corpus' as well as transcript attribute layers.
+     * @param {string} [fileName] The full path for the file where the results CSV
+     * should be saved, or in browsers, the name of the File returned. By default, it's
+     * <q>transcript-attributes.csv</q> in the system's temporary directory.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: The CSV file path - i.e. <var>fileName</var>
+     * or null if the request failed. In browsers, it's a File - a Blob with the given
+     * name - which can be downloaded using <q>URL.createObjectURL(file)</q>.
+     */
+    getTranscriptAttributes(transcriptIds, layerIds, fileName, onResult) {
+      if (typeof fileName === "function") { // (transcriptIds, layerIds, onResult)
+        onResult = fileName;
+        fileName = null;
+      }
+      if (!runningOnNode) {
+        fileName = fileName || "transcript-attributes.csv";
+      } else if (!fileName) {
+        fileName = path.join(os.tmpdir(), "transcript-attributes.csv");
+      }
+      if (exports.verbose) {
+        console.log("getTranscriptAttributes("+transcriptIds.length+" transcriptIds, "
+                    +JSON.stringify(layerIds)+")");
+      }
+      const url = this.baseUrl + "api/attributes";
+      let queryString = "?layer=transcript";
+      for (let id of layerIds) queryString += "&layer="+encodeURIComponent(id);
+      for (let id of transcriptIds) queryString += "&id="+encodeURIComponent(id);
+      this._sendRequest({
+        method: "GET", url: url + queryString, headers: { "Accept" : "text/csv" }
+      }, function(error, response) {
+        if (error || response.status >= 400) {
+          if (exports.verbose) {
+            console.log("getTranscriptAttributes ERROR: "+(error || response.body));
+          }
+          if (onResult) {
+            const outcome = responseToResult(
+              error, response, true, "getTranscriptAttributes", null, url + queryString);
+            onResult(null, outcome.errors, [], "getTranscriptAttributes", null, outcome.error);
+          }
+          return;
+        }
+        if (exports.verbose) {
+          console.log("getTranscriptAttributes loaded. " + JSON.stringify(response.body));
+        }
+        if (!runningOnNode) {
+          onResult(new File([response.body], fileName, { type: "text/csv" }), null, [],
+                   "getTranscriptAttributes");
+          return;
+        }
+        fs.writeFile(fileName, Buffer.from(response.body), function(err) {
+          if (exports.verbose) {
+            console.log("getTranscriptAttributes wrote file " + fileName);
+          }
+          let errors = null;
+          if (err) {
+            if (exports.verbose) {
+              console.log("getTranscriptAttributes SAVE ERROR: "+err);
+            }
+            errors = ["Could not get transcript attributes: "+err];
+          }
+          onResult(fileName, errors, [], "getTranscriptAttributes");
+        });
+      });
+    }
+    
+    /**
+     * Gets participant attribute values for given participant IDs.
+     * @param {string[]} participantIds A list of participant IDs.
+     * @param {string[]} layerIds A list of layer IDs corresponding to participant
+     * attributes. In general, these are layers whose ID is prefixed 'participant_',
+     * however formally it's any layer where layer.parentId == 'participant' &&
+     * layer.alignment == 0.
+     * @param {string} [fileName] The full path for the file where the results CSV
+     * should be saved, or in browsers, the name of the File returned. By default, it's
+     * <q>participant-attributes.csv</q> in the system's temporary directory.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: The CSV file path - i.e. <var>fileName</var>
+     * or null if the request failed. In browsers, it's a File - a Blob with the given
+     * name - which can be downloaded using <q>URL.createObjectURL(file)</q>.
+     */
+    getParticipantAttributes(participantIds, layerIds, fileName, onResult) {
+      if (typeof fileName === "function") { // (participantIds, layerIds, onResult)
+        onResult = fileName;
+        fileName = null;
+      }
+      if (!runningOnNode) {
+        fileName = fileName || "participant-attributes.csv";
+      } else if (!fileName) {
+        fileName = path.join(os.tmpdir(), "participant-attributes.csv");
+      }
+      if (exports.verbose) {
+        console.log("getParticipantAttributes("+participantIds.length+" participantIds, "
+                    +JSON.stringify(layerIds)+")");
+      }
+      const url = this.baseUrl + "participantsExport";
+      let queryString = "?type=participant&content-type=text/csv&csvFieldDelimiter=,";
+      for (let id of layerIds) queryString += "&layer="+encodeURIComponent(id);
+      for (let id of participantIds) queryString += "&participantId="+encodeURIComponent(id);
+      this._sendRequest({
+        method: "GET", url: url + queryString, headers: { "Accept" : "text/csv" }
+      }, function(error, response) {
+        if (error || response.status >= 400) {
+          if (exports.verbose) {
+            console.log("getParticipantAttributes ERROR: "+(error || response.body));
+          }
+          if (onResult) {
+            const outcome = responseToResult(
+              error, response, true, "getParticipantAttributes", null, url + queryString);
+            onResult(null, outcome.errors, [], "getParticipantAttributes", null, outcome.error);
+          }
+          return;
+        }
+        if (exports.verbose) {
+          console.log("getParticipantAttributes loaded. " + JSON.stringify(response.body));
+        }
+        if (!runningOnNode) {
+          onResult(new File([response.body], fileName, { type: "text/csv" }), null, [],
+                   "getParticipantAttributes");
+          return;
+        }
+        fs.writeFile(fileName, Buffer.from(response.body), function(err) {
+          if (exports.verbose) {
+            console.log("getParticipantAttributes wrote file " + fileName);
+          }
+          let errors = null;
+          if (err) {
+            if (exports.verbose) {
+              console.log("getParticipantAttributes SAVE ERROR: "+err);
+            }
+            errors = ["Could not get participant attributes: "+err];
+          }
+          onResult(fileName, errors, [], "getParticipantAttributes");
+        });
+      });
+    }
+
+    /**
+     * Lists the descriptors of all registered serializers.
+     * <p> Serializers are modules that export annotation structures as a specific file
+     * format, e.g. Praat TextGrid, plain text, etc., so the <var>mimeType</var> of descriptors
+     * reflects what <var>mimeType</var>s can be specified for {@link LabbcatView#getFragments}.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A list of the descriptors of all registered
+     * serializers. 
+     */
+    getSerializerDescriptors(onResult) {
+      this._createRequest("getSerializerDescriptors", null, onResult).send();
+    }
+
+    /**
+     * Lists the descriptors of all registered deserializers.
+     * <p> Deserializers are modules that import annotation structures from a specific file
+     * format, e.g. Praat TextGrid, plain text, etc.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A list of the descriptors of all registered
+     * deserializers. 
+     */
+    getDeserializerDescriptors(onResult) {
+      this._createRequest("getDeserializerDescriptors", null, onResult).send();
+    }
+
+    /**
+     * Lists the descriptors of all registered annotators.
+     * <p> Annotators are modules that perform automated annotation of transcripts.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A list of the descriptors of all registered
+     * annotators. 
+     */
+    getAnnotatorDescriptors(onResult) {
+      this._createRequest("getAnnotatorDescriptors", null, onResult).send();
+    }
+
+    /**
+     * Lists the descriptors of all registered transcribers.
+     * <p> Transcribers are modules that perform automated transcription of recordings
+     * that have not alreadye been transcribed.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: A list of the descriptors of all registered
+     * transcribers. 
+     */
+    getTranscriberDescriptors(onResult) {
+      this._createRequest("getTranscriberDescriptors", null, onResult).send();
+    }
+    
+    /**
+     * Gets the value of the given system attribute.
+     * @param {string} attribute Name of the attribute.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: The given attribute, with name and value properties. 
+     */
+    getSystemAttribute(attribute, onResult) {
+      this._createRequest(
+        "systemattributes", null, onResult, this.baseUrl+"api/systemattributes/" + attribute)
+        .send();
+    }
+    
+    /**
+     * Gets a list of currently-installed layer managers.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: an array of objects with the following
+     * structure:
+     * <ul>
+     *  <li> <q> layer_manager_id </q> : ID of the layer manager. </li>
+     *  <li> <q> version </q> : The version of the installed implementation. </li>
+     *  <li> <q> name </q> : The name for the layer manager. </li>
+     *  <li> <q> description </q> : A brief description of what the layer manager does. </li>
+     *  <li> <q> layer_type </q> : What kinds of layers the layer manager can process - a
+     *           string composed of any of the following:
+     *            <ul>
+     *             <li><b> S </b> - segment layers </li>
+     *             <li><b> W </b> - word layers </li>
+     *             <li><b> M </b> - phrase (meta) layers </li>
+     *             <li><b> F </b> - span (freeform) layers </li>
+     *            </ul>
+     *  </li>
+     * </ul>
+     */
+    getLayerManagers(onResult) {
+      this._createRequest(
+        "layermanagers", null, onResult, this.baseUrl+"api/layers/managers")
+        .send();
+    }
+    
+    /**
+     * Gets information about the current user, including the roles or groups they are
+     * in.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: The user record with an attribute called
+     * "roles" which is an array of string role names. 
+     */
+    getUserInfo(onResult) {
+      this._createRequest(
+        "user", null, onResult, this.baseUrl+"api/user")
+        .send();
+    }
+
+    /**
+     * Lists configured items for the given dashboard.
+     * <p> These are generally single statistics about the corpus that are displayed
+     *   on the home page or the 'statistics' page, which are individually configurable.
+     *   However items can also be links, or the output of a command.
+     * @param {string} dashboard Which dashboard to get items for;
+     * "home", "statistics", or "express"
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: an array of item objects, each with the
+     * following attributes:
+     * <ul>
+     *  <li> <q> item_id </q> : ID of the item. </li>
+     *  <li> <q> type </q> : The type of the item: "link", "sql", or "exec". </li>
+     *  <li> <q> label </q> : The item's text label. </li>
+     *  <li> <q> icon </q> : The item's icon. </li>
+     * </ul>
+     * The items are not evaluated by this function.
+     * To get item values, call {@link LabbcatView#getDashboardItem}.
+     */
+    getDashboardItems(dashboard, onResult) {
+      dashboard = dashboard||"home";
+      this._createRequest(
+        "dashboard", null, onResult,
+        this.baseUrl+"api/dashboard"+(dashboard=="home"?"":"/"+dashboard))
+        .send();
+    }
+
+    /**
+     * Gets the value of one dashboard item.
+     * @param {number} id The item_id of the item, as returned by
+     * {@link LabbcatView#getDashboardItems}
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be a string representing the value of the item.
+     */
+    getDashboardItem(id, onResult) {
+      this._createRequest(
+        "dashboard/item", null, onResult,
+        this.baseUrl+"api/dashboard/item/"+id)
+        .send();
+    }
+    /**
+     * For HTK dictionary-filling, this starts a task (returning it's threadId) that
+     * traverses the given utterances, looking for missing word pronunciations
+     * @param {string} seriesId search.search_id for identifying the utterances
+     * @param {string} tokenLayerId token layer ("orthography")
+     * @param {string} annotationLayerId tokens with missing annotations on this layer
+     * should be returned ("phonemes") the "model" returned is the threadId of the task
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: the threadId of the task.
+     * {@link LabbcatView#taskStatus} can be used to follow the progress of the task
+     * until it's finished. Once done, the resultUrl can be invoked, which returns a
+     * map from token labels to token IDs (one per type) i.e. the word that's missing,
+     * with an ID for finding its first occurance 
+     */
+    missingAnnotations(seriesId, tokenLayerId, annotationLayerId, fragmentIds, onResult) {
+      if (typeof fragmentIds === "function") {
+        // (seriesId, tokenLayerId, annotationLayerId, onResult)
+        onProgress = fragmentIds;
+        fragmentIds = null;
+      }
+      this._createRequest(
+        "missingAnnotations", {
+          seriesId : seriesId,
+          utterance : fragmentIds,
+          tokenLayerId : tokenLayerId,
+          annotationLayerId : annotationLayerId
+        }, onResult, this.baseUrl+"api/missingAnnotations").send();
+    }
+
+    /**
+     * Lists generic dictionaries published by layer managers.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be an object whose keys are layer manager IDs, with
+     * each value being an array of generic dictionary IDs for that layer manager.
+     */
+    getDictionaries(onResult) {
+      this._createRequest(
+        "getDictionaries", null, onResult, this.baseUrl+"api/dictionaries").send();
+    }
+
+    /**
+     * For HTK dictionary-filling, this looks up some given words to get their entries.
+     * @param {string} layerId The dictionary of this layer will be used.
+     * @param {string} labels Space-separated list of words to look up.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: an object with the following structure:
+     * returned has the following structure:
+     * <ul>
+     *  <li><b> words </b> - object where each key is the word, and each value is an
+     *                       array of entries for that word 
+     *  <li><b> combined </b> - the first entry of each word, concatenated together
+     *                          with a hyphen separator
+     * </ul>
+     */
+    dictionaryLookup(layerId, labels, onResult) {
+      this._createRequest(
+        "lookup", {
+          layerId : layerId,
+          labels : labels
+        }, onResult, this.baseUrl+"api/dictionary/lookup").send();
+    }
+
+    /**
+     * For HTK dictionary-filling, this uses a layer dictionary to suggest missing entries.
+     * @param {string} layerId The dictionary of this layer will be used.
+     * @param {string} labels Space-separated list of words to suggest entries for.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: an object with the following structure:
+     * returned has the following structure:
+     * <ul>
+     *  <li><b> words </b> - object where each key is the word, and each value is a
+     *                       array of suggestions for that word (with 0 or 1 elements)
+     * </ul>
+     */
+    dictionarySuggest(layerId, labels, onResult) {
+      this._createRequest(
+        "suggest", {
+          layerId : layerId,
+          labels : labels
+        }, onResult, this.baseUrl+"api/dictionary/suggest").send();
+    }
+
+    /**
+     * Process with Praat.
+     * <p>The measurement parameters are checked against the schema before uploading, so
+     * the first call also requests the schema - see {@link LabbcatView#loadSchema}.
+     * @param {file|string|object[]|Buffer|ReadableStream} csv The results file to
+     * upload. In a browser, this can be a file object, and in Node, the full path to the
+     * file. It can also be the CSV content, e.g. an array of row objects - see
+     * {@link Form#appendCsv}.
+     * @param {int} transcriptColumn CSV column index of the transcript name. 
+     * @param {int} participantColumn CSV column index of the participant name. 
+     * @param {int} startTimeColumn CSV column index of the start time. 
+     * @param {int} endTimeColumn CSV column index of the end time name. 
+     * @param {number} windowOffset How much surrounsing context to include, in seconds.
+     * @param {boolean} passThroughData Whether to include all CSV columns from the
+     * input file in the output file. 
+     * @param {object|PraatMeasurements} measurementParameters Parameters that define
+     * what to measure and output, which are checked before uploading - see
+     * {@link PraatMeasurements#validate}. Parameters are optional, except that at least
+     * one measurement must be requested. Numbers and booleans are converted to the
+     * strings the server expects, where a string is listed. They include:
+     * <dl>
      *
-     * <p>Examples of valid pattern objects include:
-     * <pre>// words starting with 'ps...'
-     * const pattern1 = {
-     *     "columns" : [
-     *         {
-     *             "layers" : {
-     *                 "orthography" : {
-     *                     "pattern" : "ps.*"
-     *                 }
-     *             }
-     *         }
-     *     ]};
-     * 
-     * // the word 'the' followed immediately or with one intervening word by
-     * // a hapax legomenon (word with a frequency of 1) that doesn't start with a vowel
-     * const pattern2 = {
-     *     "columns" : [
-     *         {
-     *             "layers" : {
-     *                 "orthography" : {
-     *                     "pattern" : "the"
-     *                 }
-     *             }
-     *             "adj" : 2 },
-     *         {
-     *             "layers" : {
-     *                 "phonemes" : {
-     *                     "not" : true,
-     *                     "pattern" : "[cCEFHiIPqQuUV0123456789~#\\$@].*"}
-     *                 "frequency" {
-     *                     "max" : "2"
-     *                 }
-     *             }
-     *         }
-     *     ]};
-     * </pre>
-     *
-     * For ease of use, the function will also accept the following abbreviated forms:
-     * <pre>
-     * // a single list representing a 'one column' search, 
-     * // and string values, representing regular expression pattern matching
-     * const pattern3 = { orthography : "ps.*" };
+     * <dt> extractF1 (boolean) </dt><dd> Extract F1. (default: false) </dd>
+     * <dt> extractF2 (boolean) </dt><dd> Extract F2. (default: false) </dd>
+     * <dt> extractF3 (boolean) </dt><dd> Extract F3. (default: false) </dd>
+     * <dt> samplePoints (string) </dt><dd> Space-delimited series of real
+     *   numbers between 0 and 1, specifying the proportional time points to measure
+     *   formant at. e.g. "0.5" will measure only the mid-point, "0 0.2 0.4 0.6 0.8 1"
+     *   will measure six points evenly spread across the duration of the segment,
+     *   etc. (default: "0.5")</dd>
+     * <dt> formantCeilingDefault (int) </dt><dd> Maximum Formant by default. (default:
+     *   550) </dd>
+     * <dt> formantDifferentiationLayerId (string) </dt><dd> Participant attribute
+     *   layer ID for differentiating formant settings; this will typically be
+     *   "participant_gender" but can be any participant attribute layer. </dd>
+     * <dt> formantOtherPattern (string[]) </dt><dd> Array of regular expression
+     *   strings to match against the value of that attribute identified by
+     *   <var>formantDifferentiationLayerId</var>. If the participant's attribute value
+     *   matches the pattern for an element in this array, the corresponding element in
+     *   <var>formantCeilingOther</var> will be used for that participant. </dd>
+     * <dt> formantCeilingOther (int[]) </dt><dd> Values to use as the formant ceiling
+     *   for participants who's attribute value matches the corresponding regular
+     *   expression in <var>formantOtherPattern</var></dd>
+     * <dt> scriptFormant (string) </dt><dd> Formant extraction script command.
+     *   (default: "To Formant (burg)... 0.0025 5 formantCeiling 0.025 50") </dd>
+     * 
+     * <dt> useFastTrack (boolean) </dt><dd> Use the FastTrack plugin to generate
+     *   optimum, smoothed formant tracks. (default: false)</dd>
+     * <dt> fastTrackDifferentiationLayerId (string) </dt><dd> Participant attribute
+     *   layer ID for differentiating fastTrack settings; this will typically be
+     *   "participant_gender" but can be any participant attribute layer. </dd>
+     * <dt> fastTrackOtherPattern (string[]) </dt><dd> Array of regular expression
+     *   strings to match against the value of that attribute identified by
+     *   <var>fastTrackDifferentiationLayerId</var>. If the participant's attribute value
+     *   matches the pattern for an element in this array, the corresponding element in
+     *   <var>fastTrackCeilingOther</var> will be used for that participant. </dd>
+     * <dt> fastTrackLowestAnalysisFrequencyDefault (int) </dt><dd> Fast Track lowest
+     *   analysis frequency by default. </dd>
+     * <dt> fastTrackLowestAnalysisFrequencyOther (int[]) </dt><dd> Values to use as
+     *   the Fast Track lowest analysis frequency for participants who's attribute
+     *   value matches the corresponding regular expression in
+     *   <var>fastTrackOtherPattern</var>.</dd> 
+     * <dt> fastTrackHighestAnalysisFrequencyDefault (int) </dt><dd> Fast Track highest
+     *   analysis frequency by default. </dd>
+     * <dt> fastTrackHighestAnalysisFrequencyOther (int[]) </dt><dd> Values to use as
+     *   the Fast Track highest analysis frequency for participants who's attribute
+     *   value matches the corresponding regular expression in
+     *   <var>fastTrackOtherPattern</var>.</dd> 
+     * <dt> fastTrackTimeStep </dt>
+     *       <dd> Fast Track time_step global setting. </dd>
+     * <dt> fastTrackBasisFunctions </dt>
+     *       <dd> Fast Track basis_functions global setting - "dct". </dd>
+     * <dt> fastTrackErrorMethod </dt>
+     *       <dd> Fast Track error_method global setting - "mae". </dd>
+     * <dt> fastTrackTrackingMethod </dt>
+     *       <dd> Fast Track tracking_method parameter for trackAutoselectProcedure; "burg" or
+     *       "robust". </dd> 
+     * <dt> fastTrackEnableF1FrequencyHeuristic ("true" or "false") </dt>
+     *       <dd> Fast Track enable_F1_frequency_heuristic global setting. </dd>
+     * <dt> fastTrackMaximumF1FrequencyValue </dt>
+     *       <dd> Fast Track maximum_F1_frequency_value global setting. </dd>
+     * <dt> fastTrackEnableF1BandwidthHeuristic </dt>
+     *       <dd> Fast Track enable_F1_bandwidth_heuristic global setting. </dd>
+     * <dt> fastTrackMaximumF1BandwidthValue </dt>
+     *       <dd> Fast Track maximum_F1_bandwidth_value global setting. </dd>
+     * <dt> fastTrackEnableF2BandwidthHeuristic ("true" or "false") </dt>
+     *       <dd> Fast Track enable_F2_bandwidth_heuristic global setting. </dd>
+     * <dt> fastTrackMaximumF2BandwidthValue </dt>
+     *       <dd> Fast Track maximum_F2_bandwidth_value global setting. </dd>
+     * <dt> fastTrackEnableF3BandwidthHeuristic ("true" or "false") </dt>
+     *       <dd> Fast Track enable_F3_bandwidth_heuristic global setting.. </dd>
+     * <dt> fastTrackMaximumF3BandwidthValue </dt>
+     *       <dd> Fast Track maximum_F3_bandwidth_value global setting. </dd>
+     * <dt> fastTrackEnableF4FrequencyHeuristic ("true" or "false") </dt>
+     *       <dd> Fast Track enable_F4_frequency_heuristic global setting. </dd>
+     * <dt> fastTrackMinimumF4FrequencyValue </dt>
+     *       <dd> Fast Track minimum_F4_frequency_value global setting. </dd>
+     * <dt> fastTrackEnableRhoticHeuristic ("true" of "false") </dt>
+     *       <dd> Fast Track enable_rhotic_heuristic global setting. </dd>
+     * <dt> fastTrackEnableF3F4ProximityHeuristic </dt>
+     *       <dd> Fast Track enable_F3F4_proximity_heuristic global setting. </dd>
+     * <dt> fastTrackNumberOfSteps </dt>
+     *       <dd> Fast Track number of steps. </dd>
+     * <dt> fastTrackNumberOfCoefficients </dt>
+     *       <dd> Fast Track number of coefficients for the regression function. </dd>
+     * <dt> fastTrackNumberOfFormants </dt>
+     *       <dd> Fast Track number of formants. </dd>
+     * <dt> fastTrackCoefficients ("true" or "false") </dt>
+     *       <dd> Whether to return the regression coefficients from FastTrack. </dd>
+     * 
+     * <dt> extractMinimumPitch (boolean) </dt><dd> Extract minimum pitch. 
+     *   (default: false) </dd>
+     * <dt> extractMeanPitch (boolean) </dt><dd> Extract mean pitch. (default: false) </dd>
+     * <dt> extractMaximumPitch (boolean) </dt><dd> Extract maximum pitch. 
+     *   (default: false) </dd>
+     * <dt> pitchFloorDefault (int) </dt><dd> Pitch Floor by default. (default: 60) </dd>
+     * <dt> pitchCeilingDefault (int) </dt><dd> Pitch Ceiling by default. (default: 500) </dd>
+     * <dt> voicingThresholdDefault (number) </dt><dd> Voicing Threshold by default. 
+     *   (default: 0.5) </dd>
+     * <dt> pitchDifferentiationLayerId (string) </dt><dd> Participant attribute
+     *   layer ID for differentiating pitch settings; this will typically be
+     *   "participant_gender" but can be any participant attribute layer. </dd>
+     * <dt> pitchOtherPattern (string[]) </dt><dd> Array of regular expression
+     *   strings to match against the value of that attribute identified by
+     *   <var>pitchDifferentiationLayerId</var>. If the participant's attribute value
+     *   matches the pattern for an element in this array, the corresponding element in
+     *   <var>pitchFloorOther</var>, <var>pitchCeilingOther</var>, and
+     *   <var>voicingThresholdOther</var> will be used for that participant. </dd> 
+     * <dt> pitchFloorOther (int[]) </dt><dd> Values to use as the pitch floor
+     *   for participants who's attribute value matches the corresponding regular
+     *   expression in <var>pitchOtherPattern</var></dd>
+     * <dt> pitchCeilingOther (int[]) </dt><dd> Values to use as the pitch ceiling
+     *   for participants who's attribute value matches the corresponding regular
+     *   expression in <var>pitchOtherPattern</var></dd>
+     * <dt> voicingThresholdOther (int[]) </dt><dd> Values to use as the voicing threshold
+     *   for participants who's attribute value matches the corresponding regular
+     *   expression in <var>pitchOtherPattern</var></dd>
+     * <dt> scriptPitch (string) </dt><dd> Pitch extraction script command.
+     *   (default: 
+     * "To Pitch (ac)...  0 pitchFloor 15 no 0.03 voicingThreshold 0.01 0.35 0.14 pitchCeiling") </dd>
+     * 
+     * <dt> extractMaximumIntensity (boolean) </dt><dd> Extract maximum intensity. 
+     *   (default: false) </dd>
+     * <dt> intensityPitchFloorDefault (int) </dt><dd> Pitch Floor by default. 
+     *   (default: 60) </dd>
+     * <dt> intensityDifferentiationLayerId (string) </dt><dd> Participant attribute
+     *   layer ID for differentiating intensity settings; this will typically be
+     *   "participant_gender" but can be any participant attribute layer. </dd>
+     * <dt> intensityOtherPattern (string[]) </dt><dd> Array of regular expression
+     *   strings to match against the value of that attribute identified by
+     *   <var>intensityDifferentiationLayerId</var>. If the participant's attribute value
+     *   matches the pattern for an element in this array, the corresponding element in
+     *   <var>intensityPitchFloorOther</var> will be used for that participant. </dd> 
+     * <dt> intensityPitchFloorOther (int[]) </dt><dd> Values to use as the pitch floor
+     *   for participants who's attribute value matches the corresponding regular
+     *   expression in <var>intensityPitchOtherPattern</var></dd>
+     * <dt> scriptIntensity (string) </dt><dd> Pitch extraction script command.
+     *   (default: "To Intensity... intensityPitchFloor 0 yes") </dd>
+     * 
+     * <dt> extractCOG1 (boolean) </dt><dd> Extract COG 1. (default: false) </dd>
+     * <dt> extractCOG2 (boolean) </dt><dd> Extract COG 2. (default: false) </dd>
+     * <dt> extractCOG23 (boolean) </dt><dd> Extract COG 2/3. (default: false) </dd>
      *
-     * // a list containing the columns (adj defaults to 1, so matching tokens are contiguous)
-     * const pattrn4 = [{
-     *     orthography : "the"
-     * }, {
-     *     phonemes : {
-     *         not : true,
-     *         pattern : "[cCEFHiIPqQuUV0123456789~#\\$@].*" },
-     *     frequency : {
-     *         max = "2" }
-     * }];
-     * </pre>
-     * @param {object} pattern An object representing the pattern to search for, which
-     * mirrors the Search Matrix in the browser interface.
-     * @param {string[]} [participantQuery=null] An optional expression for
-     * identifying participants to search the utterances of. This can be any
-     * expression of the kind used with {@link LabbcatView#getMatchingParticipantIds}
-     * e.g. "['AP2505_Nelson','AP2512_MattBlack','AP2515_ErrolHitt'].includes(id)"
-     * @param {string[]} [transcriptQuery=null] An optional expression for
-     * identifying transcripts to search the utterances of. This can be any
-     * expression of the kind used with {@link LabbcatView#getMatchingTranscriptIds} 
-     * e.g. "['CC','ID'].includes(first('corpus').label)
-     *       && first('transcript_type').label == 'wordlist'"
-     * @param {boolean} [mainParticipantOnly=true] true to search only main-participant
-     * utterances, false to search all utterances. 
-     * @param {int} [offsetThreshold=null] Optional minimum alignment confidence for
-     * matching word or segment annotations. A value of 50 means that annotations that
-     * were at least automatically aligned will be returned. Use 100 for
-     * manually-aligned annotations only, and 0 or no value to return all matching
-     * annotations regardless of alignment confidence.
-     * @param {int} [matchesPerTranscript=null] Optional maximum number of matches per
-     * transcript to return. <tt>null</tt> means all matches.
-     * @param {int} [overlapThreshold=null] Optional percentage overlap with other
-     * utterances before simultaneous speech is excluded. <tt>null</tt> means include
-     * all overlapping utterances.
+     * <dt> script (string) </dt><dd> A user-specified custom Praat script to execute
+     *   on each segment. </dd> 
+     * <dt> attributes (string[]) </dt><dd> A list of participant attribute layer IDs
+     *   to include as variables for the custom Praat <var>script</var>. </dd> 
+     * </dl>
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object with one attribute,
+     * <var>threadId</var>. 
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    praat(
+      csv, transcriptColumn, participantColumn, startTimeColumn, endTimeColumn,
+      windowOffset, passThroughData, measurementParameters,
+      onResult, onProgress) {
+      
+      if (exports.verbose) {
+        console.log(
+          "praat("
+            +csv+", "+transcriptColumn+", "+participantColumn+", "
+            +startTimeColumn+", "+endTimeColumn+", "+windowOffset+", "
+            +passThroughData+", "+JSON.stringify(measurementParameters)+")");
+      }
+
+      // check the parameters before uploading, as the server ignores unknown ones
+      const measurements = measurementParameters instanceof PraatMeasurements ?
+            measurementParameters : new PraatMeasurements(measurementParameters);
+      const invalid = measurements.validate();
+      if (invalid.length) {
+        if (exports.verbose) console.log("praat: " + invalid.join(", "));
+        if (onResult) onResult(null, invalid, [], "praat", null,
+                               new LabbcatError(invalid, [], "praat"));
+        return;
+      }
+      measurementParameters = measurements.toJSON();
+
+      var createForm = () => { // called for each attempt
+	// create form
+	var fd = new Form();
+	fd.append("transcriptColumn", transcriptColumn);
+	fd.append("participantColumn", participantColumn);
+	fd.append("startTimeColumn", startTimeColumn);
+	fd.append("endTimeColumn", endTimeColumn);
+	fd.append("windowOffset", windowOffset);
+	fd.append("passThroughData", passThroughData);
+	for (var parameter in measurementParameters) {
+	  var value = measurementParameters[parameter];
+	  if (Array.isArray(value)) {
+	    for (var element of value) {
+	      fd.append(parameter, element);
+	    } // next element
+	  } else { // simple value
+	    fd.append(parameter, value);
+	  }
+	} // next parameter
+
+	// on node.js, files are actually paths
+	if (!fd.appendCsv("csv", csv)) {
+	  var csvName = uploadName(csv);
+	  onResult(null, ["Invalid file: " + csvName], [], "praat", csvName);
+	  return null;
+	}
+        return fd;
+      };
+
+      const validate = schema => measurements.validate(schema);
+      this._checkSchema(validate, "praat", onResult, () => {
+        this._submitForm(
+          "praat", null, this.baseUrl + "api/praat", createForm,
+          onResult, onProgress);
+      });
+    }
+    
+    /**
+     * Measures intervals with Praat, without having to upload a CSV file - e.g. for the
+     * matches returned by {@link LabbcatView#getMatches}. This uploads the intervals
+     * with {@link LabbcatView#praat}, waits for the task to finish, gets its
+     * measurements, releases the task, and returns them merged into the given objects.
+     * <p>The interval for each match is:
+     * <ul>
+     *  <li>if <var>options.layerId</var> is set, the first annotation on that layer of
+     *   the match target - e.g. the vowel segment being measured - retrieved with
+     *   {@link LabbcatView#getMatchAnnotations},</li>
+     *  <li>otherwise, if the object has <var>start</var> and <var>end</var> attributes
+     *   (offsets in seconds, or {@link Anchor}-like objects with an
+     *   <var>offset</var>), the interval between them,</li>
+     *  <li>otherwise, the utterance of the match - i.e. <var>Line</var> to
+     *   <var>LineEnd</var>.</li>
+     * </ul>
+     * The transcript and participant are the <var>Transcript</var> and
+     * <var>Participant</var> attributes of the object, or its <var>transcript</var>
+     * and <var>participant</var> attributes.
+     * @param {object[]} matches The matches to measure.
+     * @param {object|PraatMeasurements} measurementParameters What to measure - see
+     * {@link LabbcatView#praat}.
+     * @param {object} [options] Measurement settings:
+     * <dl>
+     *  <dt> layerId (string) </dt><dd> A layer whose annotations of the match target
+     *   are the intervals to measure. </dd>
+     *  <dt> windowOffset (number) </dt><dd> How much surrounding context to include,
+     *   in seconds. (default: 0.025) </dd>
+     * </dl>
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: Copies of the given matches, in the same order,
+     * with the measurement columns returned by Praat - e.g. <q>F1-time_0.5</q> - added
+     * as attributes, with numeric values. The <var>Error</var> attribute is non-blank
+     * for matches that couldn't be measured.
+     * @example
+     * const matches = await store.searchAndCollect({ segment: "I" });
+     * const measured = await store.praatMatches(
+     *   matches, PraatMeasurements.vowelFormants(), { layerId: "segment" });
+     * console.log(measured[0].Text + " F1: " + measured[0]["F1-time_0.5"]);
+     */
+    praatMatches(matches, measurementParameters, options, onResult) {
+      if (typeof options === "function") { // (matches, measurementParameters, onResult)
+        onResult = options;
+        options = null;
+      }
+      options = options || {};
+      if (exports.verbose) {
+        console.log("praatMatches("+matches.length+" matches, "
+                    +JSON.stringify(measurementParameters)+", "
+                    +JSON.stringify(options)+")");
+      }
+      const call = "praatMatches";
+      const offset = time => time != null && typeof time == "object" ? time.offset : time;
+      const intervalColumns = ["transcript", "participant", "start", "end"];
+      (async () => {
+        let annotations = null;
+        if (options.layerId && matches.length) {
+          annotations = await this.getMatchAnnotations(matches, [options.layerId], 0, 1);
+        }
+        const intervals = matches.map((match, m) => {
+          let start = match.Line;
+          let end = match.LineEnd;
+          if (annotations) {
+            const annotation = (annotations[m][options.layerId] || [])[0];
+            start = annotation && annotation.start;
+            end = annotation && annotation.end;
+          } else if (match.start != null && match.end != null) {
+            start = match.start;
+            end = match.end;
+          }
+          return {
+            transcript: match.Transcript || match.transcript,
+            participant: match.Participant || match.participant,
+            start: offset(start), end: offset(end) };
+        });
+        const measurable = intervals.filter(interval => interval.transcript
+                                            && interval.start != null
+                                            && interval.end != null);
+        let measurements = [];
+        if (measurable.length) {
+          const task = await this.praat(
+            measurable, 0, 1, 2, 3,
+            options.windowOffset == null ? 0.025 : options.windowOffset, false,
+            measurementParameters);
+          try {
+            measurements = await this.getTaskResult(task.threadId, {
+              as: "rows",
+              numbers: column => column != "Error"
+                && !intervalColumns.includes(column) });
+          } finally {
+            // release the task even if cancelled, so not with the cancelled signal
+            await withRequestOptions(this, {}).releaseTask(task.threadId).catch(()=>{});
+          }
+        }
+        return matches.map((match, m) => {
+          const r = measurable.indexOf(intervals[m]);
+          if (r < 0) return Object.assign({}, match, { Error: "No interval to measure" });
+          const measured = Object.assign({}, measurements[r]);
+          for (let column of intervalColumns) delete measured[column];
+          return Object.assign({}, match, measured);
+        });
+      })().then(result => {
+        onResult(result, null, [], call);
+      }, error => {
+        onResult(null, error.errors || [error.message], error.messages || [],
+                 call, null, error);
+      });
+    }
+    
+    /**
+     * Concatenates annotation labels for given labels contained in given time intervals.
+     * @param {file|string|object[]|Buffer|ReadableStream} csv The results file to
+     * upload. In a browser, this can be a file object, and in Node, the full path to the
+     * file. It can also be the CSV content, e.g. an array of row objects - see
+     * {@link Form#appendCsv}.
+     * @param {int} transcriptColumn CSV column index of the transcript name. 
+     * @param {int} participantColumn CSV column index of the participant name. 
+     * @param {int} startTimeColumn CSV column index of the start time. 
+     * @param {int} endTimeColumn CSV column index of the end time name.
+     * @param {string[]} layerId IDs of layers to extract.
+     * @param {boolean} passThroughData Whether to include all CSV
+     * columns from the input file in the output file. 
+     * @param {string} labelDelimiter Delimiter to use between
+     * labels. Defaults to a space " ". 
+     * @param {string} containment "entire" if the annotations must be
+     * entirely between the start and end times, "partial" if they can
+     * extend before the start or after the end.  
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object with one attribute,
+     * <var>threadId</var>. {@link LabbcatView#getIntervalAnnotations} can be used to
+     * wait for the task to finish and download the resulting CSV file.
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     * @example
+     * const task = await store.intervalAnnotations(
+     *   "intervals.csv", 0, 1, 2, 3, ["orthography", "phonemes"]);
+     * const csv = await store.getIntervalAnnotations(task.threadId);
+     */
+    intervalAnnotations(
+      csv, transcriptColumn, participantColumn, startTimeColumn, endTimeColumn, layerId,
+      passThroughData, labelDelimiter, containment,
+      onResult, onProgress) {
+      if (typeof passThroughData === "function") {
+        // (csv, transcriptColumn, participantColumn, startTimeColumn,
+        // endTimeColumn, layerId, onResult, onProgress)
+        onResult = passThroughData;
+        onProgress = labelDelimiter;
+        passThroughData = false;
+        labelDelimiter = " ";
+        containment = "entire";
+      }
+      // omitted optional parameters
+      if (passThroughData === undefined) passThroughData = false;
+      if (labelDelimiter === undefined) labelDelimiter = " ";
+      if (containment === undefined) containment = "entire";
+      if (!Array.isArray(layerId)) layerId = [ layerId ];
+      
+      if (exports.verbose) {
+        console.log(
+          "intervalAnnotations("
+            +csv+", "+transcriptColumn+", "+participantColumn+", "
+            +startTimeColumn+", "+endTimeColumn+", "+JSON.stringify(layerId)+", "
+            +passThroughData+", "+labelDelimiter+", "+containment+")");
+      }
+
+      var createForm = () => { // called for each attempt
+	// create form
+	var fd = new Form();
+	fd.append("transcriptColumn", transcriptColumn);
+	fd.append("participantColumn", participantColumn);
+	fd.append("startTimeColumn", startTimeColumn);
+	fd.append("endTimeColumn", endTimeColumn);
+	for (let l of layerId) fd.append("layerId", l);
+	fd.append("passThroughData", passThroughData);
+	fd.append("labelDelimiter", labelDelimiter);
+	fd.append("containment", containment);
+
+	// on node.js, files are actually paths
+	if (!fd.appendCsv("csv", csv)) {
+	  var csvName = uploadName(csv);
+	  onResult(null, ["Invalid file: " + csvName], [], "intervalAnnotations", csvName);
+	  return null;
+	}
+        return fd;
+      };
+
+      this._submitForm(
+        "intervalAnnotations", null,
+        this.baseUrl + "api/annotation/intervals", createForm,
+        onResult, onProgress);
+    }
+    
+    /**
+     * Waits for a task started by {@link LabbcatView#intervalAnnotations} to finish,
+     * downloads the resulting CSV file, and releases the task.
+     * @param {string} threadId The task ID returned by
+     * {@link LabbcatView#intervalAnnotations}.
+     * @param {string} [fileName] On Node.js, the path of the file to write. (default: a
+     * file named by the server in the system's temporary directory)
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which will be: On Node.js, the path of the CSV file; in
+     * browsers, a Blob of the CSV.
+     */
+    getIntervalAnnotations(threadId, fileName, onResult) {
+      if (typeof fileName === "function") { // (threadId, onResult)
+        onResult = fileName;
+        fileName = null;
+      }
+      if (exports.verbose) {
+        console.log("getIntervalAnnotations("+threadId+", "+fileName+")");
+      }
+      this.getTaskResult(threadId, { fileName: fileName }, (
+        result, errors, messages, call, id, error) => {
+        // release the task even if cancelled, so not with the cancelled signal
+        withRequestOptions(this, {}).releaseTask(threadId, () => {
+          onResult(result, errors, messages, "getIntervalAnnotations", threadId, error);
+        });
+      });
+    }
+    
+    /**
+     * Supplies a list of automation tasks for the identified annotator.
+     * @param {string} annotatorId The ID of the annotator that will perform the task.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with one attribute, "threadId",
-     * which identifies the resulting task, which can be passed to 
-     * {@link LabbcatView#getMatches}, {@link LabbcatView#taskStatus}, 
-     * {@link LabbcatView#waitForTask}, etc.
+     * <var>result</var>, which is a map of task IDs to descriptions.
+     */
+    getAnnotatorTasks(annotatorId, onResult) {
+      this._createRequest(
+        "getAnnotatorTasks", {
+          annotatorId: annotatorId
+        }, onResult)
+        .send();
+    }
+    
+    /**
+     * Supplies the given task's parameter string.
+     * @param {string} taskId The ID of the task, which must not already exist.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var>, which is the task parameters, serialized as a string.
+     */
+    getAnnotatorTaskParameters(taskId, onResult) {
+      this._createRequest(
+        "getAnnotatorTaskParameters", {
+          taskId: taskId
+        }, onResult)
+        .send();
+    }
+    
+    /**
+     * Reads a list of category records.
+     * @param {string} class_id What attributes to read; "transcript" or "participant". 
+     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
+     * records will be returned). 
+     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of category records with the following
+     * attributes:
+     * <dl>
+     *  <dt> class_id </dt> <dd> The class_id of the category. </dd>
+     *  <dt> category </dt> <dd> The name/id of the category. </dd>
+     *  <dt> description </dt> <dd> The description of the category. </dd>
+     *  <dt> display_order </dt> <dd> Where the category appears among other categories. </dd>
+     * </dl>
+     */
+    readOnlyCategories(class_id, pageNumber, pageLength, onResult) {
+      if (typeof pageNumber === "function") { // (onResult)
+        onResult = pageNumber;
+        pageNumber = null;
+        pageLength = null;
+      } else if (typeof l === "function") { // (p, onResult)
+        onResult = l;
+        pageLength = null;
+      }
+      if (class_id == "participant") class_id = "speaker";
+      this._createRequest(
+        `categories/${class_id}`, {
+          pageNumber:pageNumber,
+          pageLength:pageLength
+        }, onResult, `${this.baseUrl}api/categories/${class_id}`)
+        .send();
+    }
+
+    /**
+     * Reads the current license agreement (HTML) document.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be a string containing the HTML document.
+     */
+    readAgreement(onResult) {
+      this._createRequest(
+        "readAgreement", null, onResult, `${this.baseUrl}agreement.html`, "GET", null, null, true)
+        .send();
+    }
+    
+    /**
+     * Gets the transcript of a given utterance, for possible correction suggestion using
+     * {@link #utteranceSuggestion}.
+     * @param {string} transcriptId The ID of the transcript.
+     * @param {string} utteranceId The utterance's ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> with a "text" attribute, which is the plain-text
+     * representation of the utterance, including word annotations and possibly
+     * noise, comment, pronunciation etc. annotations using the configured transcript
+     * conventions.
+     */
+    utteranceForSuggestion(transcriptId, utteranceId, onResult) {
+      this._createRequest(
+        "utteranceForSuggestion", {
+          transcriptId : transcriptId,
+          utteranceId : utteranceId
+        }, onResult, this.baseUrl+"api/utterance/correction").send();
+    }
+    
+    /**
+     * Submits a suggestion for correction of the transcript of a given utterance.
+     * @param {string} transcriptId The ID of the transcript.
+     * @param {string} utteranceId The utterance's ID.
+     * @param {string} text The corrected version of the transcript for the utterance.
+     * This may include noise, comment, pronunciation etc. annotations using the
+     * configured transcript conventions.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> with a "threadId" attribute, which is the ID of the task
+     * regenerating layers based on the new transcript.
+     */
+    utteranceSuggestion(transcriptId, utteranceId, text, onResult) {
+      this._createRequest(
+        "utterance/correction", null, onResult, null, "POST", // TODO should be PUT
+        this.baseUrl+"api/", "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          transcriptId : transcriptId,
+          utteranceId : utteranceId,
+          text : text
+        }));
+    }
+    
+  } // class LabbcatView
+
+  // LabbcatEdit class - read/write "edit" access
+
+  /**
+   * Read/write interaction with LaBB-CAT corpora, based on the  
+   * <a href="https://nzilbb.github.io/ag/javadoc/nzilbb/ag/IGraphStore.html">nzilbb.ag.IGraphStore</a>.
+   * interface.
+   * <p>This class inherits the <em>read-only</em> operations of LabbcatView
+   * and adds some <em>write</em> operations for updating data.
+   * @example
+   * // create annotation store client
+   * const store = new LabbcatEdit("https://labbcat.canterbury.ac.nz", "demo", "demo");
+   * // get a corpus
+   * store.getCorpusIds((corpora, errors, messages, call)=>{ 
+   *     console.log("transcripts in: " + corpora[0]); 
+   *     store.getTranscriptIdsInCorpus(corpora[0], (ids, errors, messages, call, id)=>{ 
+   *         console.log("Deleting all transcripts in " + id));
+   *         for (i in ids) {
+   *           store.deleteTranscript(ids[i], (ids, errors, messages, call, id)=>{ 
+   *               console.log("deleted " + id);
+   *             });
+   *         }
+   *       });
+   *   });
+   * @extends LabbcatView
+   * @author Robert Fromont robert@fromont.net.nz
+   */
+  class LabbcatEdit extends LabbcatView{
+    
+    /**
+     * The graph store URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/edit/store/
+     */
+    get storeEditUrl() {
+      return this._storeEditUrl;
+    }
+    /** 
+     * Create a store client 
+     * @param {string} baseUrl The LaBB-CAT base URL (i.e. the address of the 'home' link)
+     * @param {string} username The LaBB-CAT user name.
+     * @param {string} password The LaBB-CAT password.
+     * @param {object} [options] Other settings - see {@link LabbcatView}.
+     */
+    constructor(baseUrl, username, password, options) {
+      super(baseUrl, username, password, options);
+      this._storeEditUrl = this.baseUrl + "api/edit/store/";
+    }
+
+    /**
+     * Saves changes to the given transcript annotation graph object, which was
+     * previously returned from {@link #getTranscript}. 
+     * <em>NB</em> this not be confused with the methods that upload a file:
+     * {@link #newTranscript} and {@link #updateTranscript}.
+     * <em>NB</em> Currently only transcript attributes can be updated.
+     * <p> The graph can be partial e.g. include only some of the layers that the
+     * stored version of the transcript contains. 
+     * @param transcript The transcript to save.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: true if changes were saved, false if there
+     * were no changes to save.
+     * @see LabbcatView#getTranscript
+     */
+    saveTranscript(transcript, onResult) {
+      this._createRequest(
+        "saveTranscript", null, onResult, null, "POST",
+        this.storeEditUrl, "application/json")
+        .send(JSON.stringify(transcript));
+    }
+    
+    /**
+     * Saves the given media for the given transcript
+     * @param {string} id The transcript ID
+     * @param {file|string} media The media to upload. In a browser, this must be
+     * a file object, and in Node, it must be the full path to the file.
+     * @param {string} trackSuffix The track suffix of the media.
+     * @param {resultCallback} onResult Invoked when the request has returned a result.
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    saveMedia(id, media, trackSuffix, onResult, onProgress) {
+      if (typeof trackSuffix === "function") {
+        // (id, mediaUrl, onResult, onProgress)
+        onProgress = onResult;
+        onResult = trackSuffix;
+        trackSuffix = null;
+      }
+      if (exports.verbose) {
+        console.log("saveMedia(" + id + ", " + media + ", " + trackSuffix + ")");
+      }
+      
+      var createForm = () => { // called for each attempt
+	// create form
+	var fd = new Form();
+	fd.append("id", id);
+	if (trackSuffix) fd.append("trackSuffix", trackSuffix);
+      
+	// on node.js, files are actually paths
+	if (!fd.appendFile("media", media)) {
+	  onResult(null, ["Invalid media: " + path.basename(media)], [], "saveMedia", id);
+	  return null;
+	}
+        return fd;
+      };
+
+      this._submitForm(
+        "saveMedia", id, this._storeEditUrl + "saveMedia", createForm,
+        onResult, onProgress);
+    }
+    
+    /**
+     * Saves the given source file (transcript) for the given transcript.
+     * @param {string} id The transcript ID
+     * @param {string} url A URL to the transcript.
+     * @param {resultCallback} onResult Invoked when the request has returned a result.
+     */
+    saveSource(id, url, onResult) { // TODO
+    }
+
+    /**
+     * Saves the given document for the episode of the given transcript.
+     * @param {string} id The transcript ID
+     * @param {file|string} document The document to upload. In a browser, this must be
+     * a file object, and in Node, it must be the full path to the file.
+     * @param {resultCallback} onResult Invoked when the request has returned a result.
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    saveEpisodeDocument(id, document, onResult, onProgress) {
+      if (exports.verbose) {
+        console.log("saveEpisodeDocument(" + id + ", " + document + ")");
+      }
+      
+      var createForm = () => { // called for each attempt
+	// create form
+	var fd = new Form();
+	fd.append("id", id);
+      
+	// on node.js, files are actually paths
+	if (!fd.appendFile("document", document)) {
+	  onResult(
+            null, ["Invalid document: " + path.basename(document)], [], "saveEpisodeDocument",
+            id);
+	  return null;
+	}
+        return fd;
+      };
+
+      this._submitForm(
+        "saveEpisodeDocument", id, this._storeEditUrl + "saveEpisodeDocument", createForm,
+        onResult, onProgress);
+    }
+    
+    /**
+     * Delete a given media or episode document file.
+     * @param {string} id The transcript ID
+     * @param {string} fileName The media file name, e.g. mediaFile.name.
+     * @param {resultCallback} onResult Invoked when the request has completed.
      */
-    search(pattern, participantQuery, transcriptQuery, mainParticipantOnly, offsetThreshold, matchesPerTranscript, overlapThreshold, onResult) {
-      if (typeof participantQuery === "function") { // (pattern, onResult)
-        onResult = participantQuery;
-        participantQuery = null;
-        transcriptQuery = null;
-        mainParticipantOnly = true;
-        offsetThreshold = null;
-        matchesPerTranscript = null;
-        overlapThreshold = null;
-      } else if (typeof transcriptQuery === "function") {
-        // (pattern, participantQuery, onResult)
-        onResult = transcriptQuery;
-        transcriptQuery = null;
-        mainParticipantOnly = true;
-        offsetThreshold = null;
-        matchesPerTranscript = null;
-        overlapThreshold = null;
-      } else if (typeof transcriptQuery === "boolean") {
-        // (pattern, participantQuery, mainParticipantOnly, offsetThreshold,
-        // matchesPerTranscript, onResult) 
-        onResult = overlapThreshold;
-        overlapThreshold = matchesPerTranscript
-        matchesPerTranscript = offsetThreshold;
-        offsetThreshold = mainParticipantOnly;
-        mainParticipantOnly = transcriptQuery;
-        overlapThreshold = null;
-      } else if (typeof mainParticipantOnly === "function") {
-        // (pattern, participantQuery, transcriptQuery, onResult)
-        onResult = mainParticipantOnly;
-        mainParticipantOnly = true;
-        offsetThreshold = null;
-        matchesPerTranscript = null;
-        overlapThreshold = null;
+    deleteMedia(id, fileName, onResult) {
+      this._createRequest(
+        "deleteMedia", null, onResult, null, "POST",
+        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({id : id, fileName : fileName}));
+    }
+
+    /**
+     * Deletes the given transcript, and all associated media, from the graph store.
+     * @param {string} id The transcript ID
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    deleteTranscript(id, onResult) {
+      this._createRequest(
+        "deleteTranscript", null, onResult, null, "POST",
+        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({id : id}));
+    }
+
+    /**
+     * Saves a participant, and all its tags, to the graph store.
+     * To change the ID of an existing participant, pass the old/current ID as the
+     * <var>id</var>, and pass the new ID as the <var>label</var>.
+     * If the participant ID does not already exist in the database, a new participant record
+     * is created. 
+     * @param {string} id The participant ID - either the unique internal database ID,
+     * or their name. 
+     * @param {string} label The new ID (name) for the participant
+     * @param {object} attributes Participant attribute values - the names are the
+     * participant attribute layer IDs, and the values are the corresponding new
+     * attribute values. The pass phrase for participant access can also be set by
+     * specifying a "_password" attribute.
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    saveParticipant(id, label, attributes, onResult) {
+      attributes["id"] = id;
+      attributes["label"] = label;
+      this._createRequest(
+        "saveParticipant", null, onResult, null, "POST",
+        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString(attributes));
+    }
+    /**
+     * Deletes the given participan, and all assciated meta-data, from the graph store.
+     * @param {string} id The participant ID
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    deleteParticipant(id, onResult) {
+      this._createRequest(
+        "deleteParticipant", null, onResult, null, "POST",
+        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({id : id}));
+    }
+
+    /**
+     * Upload a transcript file and associated media files, as the first stage in adding or
+     * modifying a transcript to LaBB-CAT. The second stage is {@link #transcriptUploadParameters}
+     * @param {file|string} transcript The transcript to upload. In a browser, this
+     * must be a file object, and in Node, it must be the full path to the file. 
+     * @param {string|object} media The media to upload, if any. This can be a single
+     * file, or a map of  track suffixes to media files to upload for that track. In a
+     * browser, attribute values must be arrays of file objects, and in Node, they must be
+     * arrays of strings representing the full path to the file.
+     * @param merge Whether the upload corresponds to updates to an existing transcript
+     * (true) or a new transcript (false).
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is and object that has the following attributes:
+     * <dl>
+     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
+     *          calling {@link #transcriptUploadParameters}. </dd>
+     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
+     *          require values to be passed into {@link #transcriptUploadParameters}. 
+     *          The <q>parameters</q> returned may include both information
+     *          required by the format deserializer (e.g. mappings from tiers to LaBB-CAT
+     *          layers) and also general information required by LaBB-CAT (e.g. the
+     *          corpus, episode, and type of the transcript). 
+     *                 </dd>
+     * <p> Each parameter may contain the following attributes:
+     *  <dl>
+     *   <dt> name </dt>
+     *       <dd> The name that should be used when specifying the value for the parameter
+     *        when calling {@link #transcriptUploadParameters}. </dd> 
+     *   <dt> label </dt>
+     *       <dd> A label for the parameter intended for display to the user.</dd> 
+     *   <dt> hint </dt>
+     *       <dd> A description of the purpose of the parameter, for display to the user.</dd> 
+     *   <dt> type </dt>
+     *       <dd> The type of the parameter, e.g. <q>String</q>, <q>Double</q>, <q>Integer</q>,  
+     *         <q>Boolean</q>.</dd> 
+     *   <dt> required </dt>
+     *       <dd> <tt>true</tt> if the value must be specified, <tt>false</tt> if it is optional.</dd> 
+     *   <dt> value </dt>
+     *       <dd> A default value for the parameter.</dd> 
+     *   <dt> possibleValues </dt>
+     *       <dd> A list of possible values, if the possibilities are limited to a finite set.</dd> 
+     *  </dl>
+     * <p> The required parameters may include both information
+     * required by the format deserializer (e.g. mappings from tiers to LaBB-CAT layers) 
+     * and also general information required by LaBB-CAT, such as:
+     *  <dl>
+     *   <dt> labbcat_corpus </dt>
+     *       <dd> The corpus the new transcript(s) belong(s) to. </dd> 
+     *   <dt> labbcat_episode </dt>
+     *       <dd> The episode the new transcript(s) belong(s) to. </dd> 
+     *   <dt> labbcat_transcript_type </dt>
+     *       <dd> The transcript type for the new transcript(s). </dd> 
+     *   <dt> labbcat_generate </dt>
+     *       <dd> Whether to re-regenerate layers of automated annotations or not. </dd> 
+     *  </dl> 
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    transcriptUpload(transcript, media, merge, onResult, onProgress) {
+      if (typeof media === "boolean") { // no media
+        if (typeof merge === "function") { // (transcript, merge, onResult, onProgress)
+          onProgress = onResult;
+          onResult = merge;
+        }
+        merge = media;
+        media = null;
       }
-      if (typeof offsetThreshold === "function") {
-        // (pattern, participantIds, transcriptQuery, mainParticipantOnly, onResult)
-        // i.e. the original signature of this function
-        onResult = offsetThreshold;
-        offsetThreshold = null;
-        matchesPerTranscript = null;
-        overlapThreshold = null;
+      if (exports.verbose) {
+        console.log("transcriptUpload(" + transcript + ", " + media + ", " + merge + ")");
       }
-      if (typeof matchesPerTranscript === "function") {
-        // (pattern, participantIds, mainParticipantOnly, offsetThreshold, onResult)
-        // i.e. the original signature of this function
-        onResult = matchesPerTranscript;
-        matchesPerTranscript = null;
-        overlapThreshold = null;
+      var transcriptName = runningOnNode
+          ? transcript.replace(/.*\//g, "") : transcript.name;
+      var createForm = () => { // called for each attempt
+	// create form
+	var fd = new Form();
+	fd.append("merge", ""+(merge?true:false));
+      
+	// on node.js, files are actually paths
+	if (!fd.appendFile("transcript", transcript, transcriptName)) {
+	  onResult(
+	    null, ["Invalid transcript: " + transcriptName], [], "transcriptUpload",
+            transcriptName);
+	  return null;
+	}
+	if (media) {
+	  if (typeof media == "string" || media instanceof Blob) {
+            media = { "" : [media] }; // convert to track->array map
+          }
+	  for (var trackSuffix in media) {
+	    var files = media[trackSuffix];
+	    if (files) {
+	      if (files.constructor !== Array) files = [files]; // a single file
+	      for (var file of files) {
+		if (!fd.appendFile("media"+trackSuffix, file)) {
+		  onResult(
+		    null, ["Invalid media: " + path.basename(file)], [], "transcriptUpload",
+		    transcriptName);
+		  return null;
+		}
+	      } // next file
+	    } // there are files in this track
+	  } // next track suffix
+	} // media is specified
+        return fd;
+      };
+
+      this._submitForm(
+        "transcriptUpload", transcriptName,
+        this.baseUrl + "api/edit/transcript/upload", createForm,
+        onResult, onProgress);
+    } // transcriptUpload
+    
+    /**
+     * The second part of a transcript upload process started by a call to
+     * {@link #transcriptUpload}, which specifies values for the parameters
+     * required to save the uploaded transcript to LaBB-CAT's database. 
+     * <p> If the response includes more parameters, then this method should be called again
+     * to supply their values.
+     * @param {string} id Upload ID returned by the prior call to {@link #transcriptUpload}.
+     * @param {object} parameters Object with an attribute and value for each parameter
+     * returned by the prior call to {@link #transcriptUpload}.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is and object that has the following attributes:
+     * <dl>
+     *  <dt> transcripts </dt> <dd> an object for which each key is a transcript name, and its 
+     *          value is the threadId of the server task processing the uploaded transcript, 
+     *          which can be passed to {@link LabbcatView#taskStatus} to monitor progress. </dd>
+     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
+     *          calling {@link #transcriptUploadParameters} (if parameters are returned). </dd>
+     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
+     *          still require values. </dd>
+     * <p> If parameters are returned, they have the same structure as those returned by 
+     * {@link #transcriptUpload}
+     */
+    transcriptUploadParameters(id, parameters, onResult) {
+      if (parameters.constructor === Array) { // array of parameter objects, not keys/values
+        var parameterValues = {}
+        for (var p in parameters) {
+          var parameter = parameters[p];
+          if (parameter.name) {
+            parameterValues[parameter.name] = parameter.value;
+          }
+        } // next parameter
+        parameters = parameterValues;
       }
-      if (typeof overlapThreshold === "function") {
-        // (pattern, participantIds, mainParticipantOnly, offsetThreshold, matchesPerTranscript, onResult)
-        onResult = overlapThreshold;
-        overlapThreshold = null;
+      this._createRequest(
+        "transcriptUploadParameters", null, onResult,
+        this.baseUrl+"api/edit/transcript/upload/"+encodeURIComponent(id)
+          + "?"+this.parametersToQueryString(parameters),
+        "PUT").send();
+    } // transcriptUploadParameters
+
+    /**
+     * Cancel a transcript upload started by a call to {@link #transcriptUpload}, 
+     * deleting any uploaded files from the server.
+     * @param {string} id Upload ID returned by the prior call to {@link #transcriptUpload}.
+     * @param {resultCallback} onResult Invoked when the request has returned.
+     */
+    transcriptUploadDelete(id, onResult) {
+      this._createRequest(
+        "transcriptUploadDelete", null, onResult,
+        this.baseUrl+"api/edit/transcript/upload/"+encodeURIComponent(id),
+        "DELETE").send();
+    } // transcriptUploadDelete
+    
+    /**
+     * Uploads a new transcript.
+     * @param {file|string} transcript The transcript to upload. In a browser, this
+     * must be a file object, and in Node, it must be the full path to the file. 
+     * @param {file|file[]|string|string[]} media The media to upload, if any. In a
+     * browser, these must be file objects, and in Node, they must be the full paths
+     * to the files.
+     * @param {string} [trackSuffix] The track suffix for the media.
+     * @param {string} transcriptType The transcript type.
+     * @param {string} corpus The corpus for the transcript.
+     * @param {string} [episode] The episode the transcript belongs to.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is the task ID of the resulting annotation generation task. The
+     * task status can be updated using {@link LabbcatView#taskStatus} 
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    newTranscript(transcript, media, trackSuffix, transcriptType, corpus, episode, onResult, onProgress) {
+      if (typeof corpus === "function") {
+        // (transcript, media, transcriptType, corpus, onResult, onProgress)
+        onProgress = episode;
+        onResult = corpus;
+        episode = null;
+        corpus = transcriptType;
+        transcriptType = trackSuffix;
+        trackSuffix = null;
+      } else if (typeof episode === "function") {
+        // (transcript, media, transcriptType, corpus, episode, onResult, onProgress)
+        onProgress = onResult;
+        onResult = episode;
+        episode = corpus;
+        corpus= transcriptType;
+        transcriptType = trackSuffix;
+        trackSuffix = null;
       }
       if (exports.verbose) {
-        console.log("search("+JSON.stringify(pattern)
-                    +", "+participantQuery
-                    +", "+transcriptQuery
-                    +", "+mainParticipantOnly
-                    +", "+offsetThreshold
-                    +", "+matchesPerTranscript
-                    +", "+overlapThreshold+")");
+        console.log("newTranscript(" + transcript + ", " + media + ", " + trackSuffix
+                    + ", " + transcriptType + ", " + corpus + ", " + episode + ")");
       }
 
-      // for backwards compatibility, convert arrays of IDs to expressions
-      if (Array.isArray(participantQuery)) {
-        participantQuery = "["
-          +participantQuery
-          .map(s=>"'"+s.replace(/'/,"\\'")+"'")
-          .join(",")
-          +"].includes(id)";
-      }
-      if (Array.isArray(transcriptQuery)) {
-        transcriptQuery = "["
-          +transcriptQuery
-          .map(s=>"'"+s.replace(/'/,"\\'")+"'")
-          .join(",")
-          +"].includes(first('transcript_type').label)";
+      // determine transcript name for onResult
+      var transcriptName = transcript;
+      if (!runningOnNode) {
+        transcriptName = transcript.name;
+      } else { // node
+	transcriptName = transcript.replace(/.*\//g, "");
       }
+      
+      var legacyApi = () => { // for fallback if the new API isn't available:
+        var createForm = () => { // called for each attempt
+	  // create form
+	  var fd = new Form();
+	  fd.append("todo", "new");
+	  fd.append("auto", "true");
+	  if (transcriptType) fd.append("transcript_type", transcriptType);
+	  if (corpus) fd.append("corpus", corpus);
+	  if (episode) fd.append("episode", episode);
+        
+	  // on node.js, files are actually paths
+	  if (!fd.appendFile("uploadfile1_0", transcript, transcriptName)) {
+	    onResult(
+              null, ["Invalid transcript: " + transcriptName], [], "newTranscript",
+              transcriptName);
+	    return null;
+	  }
+	  if (media) {
+	    if (!trackSuffix) trackSuffix = "";
+	    for (var file of media.constructor === Array ? media : [media]) {
+	      if (!fd.appendFile("uploadmedia"+trackSuffix+"1", file)) {
+		onResult(
+                  null, ["Invalid media: " + path.basename(file)], [], "newTranscript",
+                  transcriptName);
+		return null;
+	      }
+	    } // next file
+	  }
+          return fd;
+        };
 
-      // first normalize the pattern...
-
-      // if pattern isn't a list with a "columns" element, wrap a list around it
-      if (!pattern.columns) pattern = { columns : pattern };
-
-      // if pattern.columns isn't an array wrap an array list around it
-      if (!(pattern.columns instanceof Array)) pattern.columns = [ pattern.columns ];
-
-      // columns contain lists with no "layers" element, wrap a list around them
-      for (let c = 0; c < pattern.columns.length; c++) {
-        if (!("layers" in pattern.columns[c])) {
-          pattern.columns[c] = { layers : pattern.columns[c] };
-        }
-      } // next column
-
-      // convert layer:string to layer : { pattern:string }
-      for (let c = 0; c < pattern.columns.length; c++) { // for each column
-        for (let l in pattern.columns[c].layers) { // for each layer in the column
-          // if the layer value isn't an object
-          if (typeof pattern.columns[c].layers[l] == "string") {
-            // wrap a list(pattern=...) around it
-            pattern.columns[c].layers[l] = { pattern : pattern.columns[c].layers[l] };
-          } // value isn't a list
-        } // next layer
-      } // next column
+        this._submitForm(
+          "newTranscript", transcriptName,
+          this.baseUrl + "edit/transcript/new", createForm,
+          onResult, onProgress);
+      }; // legacyApi
 
-      const parameters = {
-        command : "search",
-        searchJson : JSON.stringify(pattern),
-        words_context : 0
+      // phase 1: upload files
+      if (media) { // uploading media
+        // convert to the track structure expected by transcriptUpload
+        trackSuffix = trackSuffix || ""; // if not specified, trackSuffix is empty string
+        media = { trackSuffix: media };
       }
-      if (mainParticipantOnly) parameters.mainParticipantOnly = true;
-      if (offsetThreshold) parameters.offsetThreshold = offsetThreshold;
-      if (matchesPerTranscript) parameters.matchesPerTranscript = matchesPerTranscript;
-      if (participantQuery) parameters.participantQuery = participantQuery;
-      if (transcriptQuery) parameters.transcriptQuery = transcriptQuery;
-      if (overlapThreshold) parameters.overlapThreshold = overlapThreshold;
-
-      this.createRequest(
-        "search", null, onResult, this.baseUrl+"api/search",
-        "POST", // not GET, because the number of parameters can make the URL too long
-        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString(parameters));
+      this.transcriptUpload(
+        transcript, media, false, // merge=false: new transcript
+        (result, errors, messages, call, id, error)=>{
+          if (errors && errors.length > 0) {
+            if (error instanceof NotFoundError) { // endpoint not found
+              if (exports.verbose) {
+                console.log("transcriptUpload: " + errors[0] + " - falling back to legacy API");
+              }
+              // fall back to lgacy API
+              legacyApi();
+            } else { // some other error 
+	      onResult(result, errors, messages, "newTranscript", transcriptName, error);
+            }
+          } else { // no errors
+            // set parameters to default values
+            var parameters = {};
+            for (var parameter of result.parameters) {
+              parameters[parameter.name] = parameters[parameter.value];
+            }
+            // set the parameters we know the values of
+            if (transcriptType) parameters["labbcat_transcript_type"] = transcriptType;
+            if (corpus) parameters["labbcat_corpus"] = corpus;
+            if (episode) parameters["labbcat_episode"] = episode;
+            
+            // phase 2: upload parameters
+            this.transcriptUploadParameters(
+              result.id, parameters, // merge=false : new transcript
+              (result, errors, messages)=>{
+                if (result && result.transcripts) {
+                  // result is expected to be the transcriptId->threadId map
+                  result = result.transcripts;
+                }
+	        onResult(result, errors, messages, "newTranscript", transcriptName);
+              }); // transcriptUploadParameters
+          } // no errors
+      }, onProgress); // transcriptUpload
     }
     
     /**
-     * Identifies all utterances by the given participants.
-     * @param {string[]} participantIds A list of participant IDs to identify
-     * the utterances of.
-     * @param {string[]} [transcriptTypes=null] An optional list of transcript types to limit
-     * the results to. If null, all transcript types will be searched. 
-     * @param {boolean} [mainParticipant=true] true to search only main-participant
-     * utterances, false to search all utterances. 
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with one attribute, "threadId",
-     * which identifies the resulting task, which can be passed to 
-     * {@link LabbcatView#getMatches}, {@link LabbcatView#taskStatus}, 
-     * {@link LabbcatView#waitForTask}, etc.
+     * Uploads a new version of an existing transcript.
+     * <em>NB</em> this not be confused with the method that saves an annotation graph
+     * object: {@link #saveTranscript}
+     * @param {file|string} transcript The transcript to upload. In a browser, this
+     * must be a file object, and in Node, it must be the full path to the file. 
+     * @param {boolean} suppressGeneration (optional) false (the default) to run
+     * automatic layer generation, true to suppress automatic layer generation.
+     * @param {resultCallback} onResult Invoked when the request has returned a result, 
+     * which is the task ID of the resulting annotation generation task. The 
+     * task status can be updated using {@link LabbcatView#taskStatus}
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    updateTranscript(transcript, suppressGeneration, onResult, onProgress) {
+      if (typeof suppressGeneration === "function") {
+        onProgress = onResult;
+        onResult = suppressGeneration;
+        suppressGeneration = false
+      }
+      if (exports.verbose) {
+        console.log("updateTranscript(" + transcript + ","+suppressGeneration+")");
+      }
+      
+      // determine transcript name for onResult
+      var transcriptName = transcript;
+      if (!runningOnNode) {
+        transcriptName = transcript.name;
+      } else { // node
+	transcriptName = transcript.replace(/.*\//g, "");
+      }
+      
+      var legacyApi = () => { // for fallback if the new API isn't available:
+        var createForm = () => { // called for each attempt
+	  // create form
+	  var fd = new Form();
+	  fd.append("todo", "update");
+	  fd.append("auto", "true");
+	  if (suppressGeneration) fd.append("suppressGeneration", "true");
+        
+	  // on node.js, files are actually paths
+	  if (!fd.appendFile("uploadfile1_0", transcript, transcriptName)) {
+	    onResult(
+              null, ["Invalid transcript: " + transcriptName], [], "updateTranscript",
+              transcriptName);
+	    return null;
+	  }
+          return fd;
+        };
+
+        this._submitForm(
+          "updateTranscript", transcriptName,
+          this.baseUrl + "edit/transcript/new", createForm,
+          onResult, onProgress);
+      }; // legacyApi
+
+      // phase 1: upload files
+      this.transcriptUpload(
+        transcript, null, true, // merge=true: existing transcript
+        (result, errors, messages, call, id, error)=>{
+          if (errors && errors.length > 0) {
+            if (error instanceof NotFoundError) { // endpoint not found
+              if (exports.verbose) {
+                console.log("transcriptUpload: " + errors[0] + " - falling back to legacy API");
+              }
+              // fall back to lgacy API
+              legacyApi();
+            } else { // some other error 
+	      onResult(result, errors, messages, "updateTranscript", transcriptName, error);
+            }
+          } else { // no errors
+            // set parameters to default values
+            var parameters = {};
+            for (var parameter of result.parameters) {
+              parameters[parameter.name] = parameters[parameter.value];
+            }
+            // set the parameters we know the values of
+            if (suppressGeneration) {
+              parameters["labbcat_generate"] = false;
+            } else {
+              parameters["labbcat_generate"] = true;
+            }
+            
+            // phase 2: upload parameters
+            this.transcriptUploadParameters(
+              result.id, parameters, // merge=false : new transcript
+              (result, errors, messages)=>{
+                if (result && result.transcripts) {
+                  // result is expected to be the transcriptId->threadId map
+                  result = result.transcripts;
+                }
+	        onResult(result, errors, messages, "updateTranscript", transcriptName);
+              }); // transcriptUploadParameters
+          } // no errors
+      }, onProgress); // transcriptUpload      
+    }
+
+    /**
+     * Upload an annotated fragment file, as the first stage in updating a fragment
+     * (e.g. a single utterance) in LaBB-CAT. The second stage is
+     * {@link #fragmentUploadParameters}
+     * @param {file|string} fragment The fragment to upload. In a browser, this
+     * must be a file object, and in Node, it must be the full path to the file. 
+     * @param automaticMapping A value of true indicates that default parameters
+     * for processing the upload (e.g. mappings from TextGrid tiers to LaBB-CAT layers)
+     * should be automatically applied, and the resulting data should be immediately
+     * saved, instead of using the two-step process of first uploading the file via
+     * this method and then setting parameters via {@link #fragmentUploadParameters}.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is and object that has the following attributes:
+     * <dl>
+     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
+     *          calling {@link #fragmentUploadParameters}. </dd>
+     *  <dt> transcript </dt>
+     *     <dd> The name of the transcript, inferred from the fragment file name. </dd> 
+     *  <dt> start </dt>
+     *     <dd> The start time of the fragment, inferred from the fragment file name. </dd> 
+     *  <dt> end </dt>
+     *     <dd> The end time of the fragment, inferred from the fragment file name. </dd> 
+     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
+     *          require values to be passed into {@link #fragmentUploadParameters}. 
+     *          The <q>parameters</q> returned may include both information
+     *          required by the format deserializer (e.g. mappings from tiers to LaBB-CAT
+     *          layers) and also general information required by LaBB-CAT (e.g. the
+     *          corpus, episode, and type of the fragment). 
+     *                 </dd>
+     * <p> Each parameter may contain the following attributes:
+     *  <dl>
+     *   <dt> name </dt>
+     *       <dd> The name that should be used when specifying the value for the parameter
+     *        when calling {@link #fragmentUploadParameters}. </dd> 
+     *   <dt> label </dt>
+     *       <dd> A label for the parameter intended for display to the user.</dd> 
+     *   <dt> hint </dt>
+     *       <dd> A description of the purpose of the parameter, for display to the user.</dd> 
+     *   <dt> type </dt>
+     *       <dd> The type of the parameter, e.g. <q>String</q>, <q>Double</q>, <q>Integer</q>,  
+     *         <q>Boolean</q>.</dd> 
+     *   <dt> required </dt>
+     *       <dd> <tt>true</tt> if the value must be specified, <tt>false</tt> if it is optional.</dd> 
+     *   <dt> value </dt>
+     *       <dd> A default value for the parameter.</dd> 
+     *   <dt> possibleValues </dt>
+     *       <dd> A list of possible values, if the possibilities are limited to a finite set.</dd> 
+     *  </dl>
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
      */
-    allUtterances(participantIds, transcriptTypes, mainParticipant, onResult) {
-      if (typeof transcriptTypes === "function") { // (participantIds, onResult)
-        onResult = transcriptTypes;
-        transcriptTypes = null;
-        mainParticipant = true;
-      } else if (typeof mainParticipant === "function") {
-        // (participantIds, transcriptTypes, onResult)
-        onResult = mainParticipant;
-        mainParticipant = true;
-      } else if (typeof transcriptTypes === "boolean") {
-        // (participantIds, mainParticipant, onResult) 
-        onResult = mainParticipant;
-        mainParticipant = transcriptTypes;
-        transcriptTypes = null;
-      }
+    fragmentUpload(fragment, automaticMapping, onResult, onProgress) {
       if (exports.verbose) {
-        console.log("allUtterances("+JSON.stringify(participantIds)
-                    +", "+JSON.stringify(transcriptTypes)
-                    +", "+mainParticipant+")");
+        console.log("fragmentUpload(" + fragment + ", " + automaticMapping + ")");
       }
+      var fragmentName = runningOnNode ? fragment.replace(/.*\//g, "") : fragment.name;
+      var createForm = () => { // called for each attempt
+	// create form
+	var fd = new Form();
+	fd.append("automaticMapping", ""+(automaticMapping?true:false));
+      
+	// on node.js, files are actually paths
+	if (!fd.appendFile("fragment", fragment, fragmentName)) {
+	  onResult(null, ["Invalid fragment: " + fragmentName], [], "fragmentUpload", fragmentName);
+	  return null;
+	}
+        return fd;
+      };
 
-      // first normalize the pattern...
-
-      const parameters = {
-        list : "list",
-        id : participantIds,
+      this._submitForm(
+        "fragmentUpload", fragmentName,
+        this.baseUrl + "api/edit/fragment/upload", createForm,
+        onResult, onProgress);
+    } // fragmentUpload
+    
+    /**
+     * The second part of a fragment upload process started by a call to
+     * {@link #fragmentUpload}, which specifies values for the parameters
+     * required to save the uploaded fragment to LaBB-CAT's database. 
+     * @param {string} id Upload ID returned by the prior call to {@link #fragmentUpload}.
+     * @param {object} parameters Object with an attribute and value for each parameter
+     * returned by the prior call to {@link #fragmentUpload}.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is and object that has the following attributes:
+     * <dl>
+     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
+     *          calling {@link #fragmentUploadParameters} (if parameters are returned). </dd>
+     *   <dt> transcript </dt>
+     *     <dd> The name of the transcript, inferred from the fragment file name. </dd> 
+     *   <dt> start </dt>
+     *     <dd> The start time of the fragment, inferred from the fragment file name. </dd> 
+     *   <dt> end </dt>
+     *     <dd> The end time of the fragment, inferred from the fragment file name. </dd> 
+     *   <dt> url </dt>
+     *     <dd> The URL for the fragment, in the context of the whole transcript. </dd> 
+     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
+     *          still require values. </dd>
+     * <p> If parameters are returned, they have the same structure as those returned by 
+     * {@link #fragmentUpload}
+     */
+    fragmentUploadParameters(id, parameters, onResult) {
+      if (parameters.constructor === Array) { // array of parameter objects, not keys/values
+        var parameterValues = {}
+        for (var p in parameters) {
+          var parameter = parameters[p];
+          if (parameter.name) {
+            parameterValues[parameter.name] = parameter.value;
+          }
+        } // next parameter
+        parameters = parameterValues;
       }
-      if (mainParticipant) parameters.only_main_speaker = true;
-      if (transcriptTypes) parameters.transcript_type = transcriptTypes;
-      if (exports.verbose) console.log(JSON.stringify(parameters));
+      this._createRequest(
+        "fragmentUploadParameters", null, onResult,
+        this.baseUrl+"api/edit/fragment/upload/"+encodeURIComponent(id)
+          + "?"+this.parametersToQueryString(parameters),
+        "PUT").send();
+    } // fragmentUploadParameters
 
-      this.createRequest(
-        "allUtterances", null, onResult, this.baseUrl+"api/utterances",
-        "POST", // not GET, because the number of parameters can make the URL too long
-        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString(parameters));
-    }
+    /**
+     * Cancel a fragment upload started by a call to {@link #fragmentUpload}, 
+     * deleting any uploaded files from the server.
+     * @param {string} id Upload ID returned by the prior call to {@link #fragmentUpload}.
+     * @param {resultCallback} onResult Invoked when the request has returned.
+     */
+    fragmentUploadDelete(id, onResult) {
+      this._createRequest(
+        "fragmentUploadDelete", null, onResult,
+        this.baseUrl+"api/edit/fragment/upload/"+encodeURIComponent(id),
+        "DELETE").send();
+    } // fragmentUploadDelete
     
     /**
-     * Upload a CSV results file to parse, for then processing as any other results.
-     * @param {file|string} results a CSV results file previously returned by
-     * <tt>/api/results</tt>. 
-     * @param targetColumn Optional column name that identifies each match.
-     * The default is "MatchId".
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with one attribute, "threadId",
-     * which identifies the resulting task, which can be passed to 
-     * {@link LabbcatView#getMatches}, {@link LabbcatView#taskStatus}, 
-     * {@link LabbcatView#waitForTask}, etc.
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Uploads attribute values for multiple participants from CSV file.
+     * @param {file|string|object[]|Buffer|ReadableStream} csv CSV file containing the attribute values to import,
+     * or its content, e.g. an array of row objects - see {@link Form#appendCsv}.
+     * @param {number} idColumn The (zero based) index of the column that
+     * identifies the participant; if the participant exists, its
+     * attribute values will be updated, otherwise, and new participant
+     * will be created with the specified attribute values. If set to -1,
+     * all participant are new, and created with automatically generated
+     * IDs, formatted using the <q>participantNameFormat</q> system attribute. 
+     * @param {string[]} columnLayer Multiple values, where the index of the value
+     * corresponds to the (zero based) CSV column index, and the value
+     * is blank to ignore the column, the layer ID of the participant
+     * attribute to update, or <q>_password</q> if the columns contains the
+     * participants' passwords (for logging in to do elicitation tasks). 
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is an array of two integers; the first is the number of existing
+     * participants that were updated, and the second, the number of
+     * newly-added participants.
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
      */
-    resultsUpload(results, targetColumn, onResult, onProgress) {
-      if (typeof targetColumn === "function") { // (results, onResult, onProgress)
-        onProgress = onResult;
-        onResult = targetColumn;
-        targetColumn = null;
-      }
+    uploadParticipantAttributes(csv, idColumn, columnLayer, onResult, onProgress) {
       if (exports.verbose) {
-        console.log("resultsUpload(" + results + ", " + targetColumn + ")");
+        console.log("uploadParticipantAttributes(" + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
       }
-      // create form
-      var fd = new FormData();
-      if (targetColumn) fd.append("targetColumn", targetColumn);
-      
-      if (!runningOnNode) {
-        
-	fd.append("results", results);
-        
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "resultsUpload";
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	
-	xhr.open("POST", this.baseUrl + "api/results/upload");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
+      var csvName = uploadName(csv, "upload.csv");
+      var createForm = () => { // called for each attempt
+	var fd = new Form();
+	fd.append("idColumn", idColumn);
+	for (let c of columnLayer) {
+	  fd.append("columnLayer", c||"");
 	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
 	// on node.js, files are actually paths
-	var resultsName = results.replace(/.*\//g, "");
-        if (exports.verbose) console.log("resultsName: " + resultsName);
+	if (!fd.appendCsv("csv", csv, csvName)) {
+	  onResult(null, ["Invalid file: " + csvName], [], "uploadParticipantAttributes", csvName);
+	  return null;
+	}
+        return fd;
+      };
 
-	fd.append(
-          "results", 
-	  fs.createReadStream(results).on('error', function(){
-	    onResult(
-              null, ["Invalid results: " + resultsName], [], "resultsUpload", resultsName);
-	  }), resultsName);
-        
-	var urlParts = parseUrl(this.baseUrl + "api/results/upload");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-        if (exports.verbose) console.log("urlParts " + JSON.stringify(urlParts));
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "api/edit/transcript/upload");
-          }
-          if (exports.verbose) console.log("fd.submit " + JSON.stringify(requestParameters));
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "transcriptUpload", transcriptName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "transcriptUpload", transcriptName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-    } // resultsUpload
+      this._submitForm(
+        "uploadParticipantAttributes", csvName,
+        this.baseUrl + "api/edit/participants/attributes/upload", createForm,
+        onResult, onProgress);
+    } // uploadParticipantAttributes
     
     /**
-     * Gets a list of tokens that were matched by {@link LabbcatView#search}.
-     * <p>If the task is still running, then this function will wait for it to finish.
-     * <p>This means calls can be stacked like this:
-     *  <pre>const matches = labbcat.getMatches(
-     *     labbcat.search(
-     *        {"orthography", "and"},
-     *        participantIds, true), 1);</pre>
-     * @param {string} threadId A task ID returned by {@link LabbcatView#search}.
-     * @param {int} [wordsContext=0] Number of words context to include in the <q>Before
-     * Match</q> and <q>After Match</q> columns in the results.
-     * @param {int} [pageLength] The maximum number of matches to return, or null to
-     * return all. 
-     * @param {int} [pageNumber] The zero-based page number to return, or null to
-     * return the first page.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with two attributes:
-     * <dl>
-     *  <dt>name</dt><dd>The name of the search results collection</dd>
-     *  <dt>matches</dt>
-     *   <dd>A list of match objects, with the following attributes
-     *    <dl>
-     *      <dt>Title</dt> <dd>The title of the LaBB-CAT instance</dd>
-     *      <dt>Version</dt> <dd>The current version of the LaBB-CAT instance</dd>
-     *      <dt>MatchId</dt> <dd>A string identifying the match, of the kind expected
-     *        by {@link LabbcatView#getMatchAnnotations}</dd>
-     *      <dt>Transcript</dt> <dd>The name of the transcript</dd>
-     *      <dt>Participant</dt> <dd>The name of the participant</dd>
-     *      <dt>Corpus</dt> <dd>The name of corpus the transcript belongs to</dd>
-     *      <dt>Line</dt> <dd>The start offset of the utterance, usually in seconds</dd>
-     *      <dt>LineEnd</dt> <dd>The end offset of the uttereance, usually in seconds</dd>
-     *      <dt>BeforeMatch</dt> <dd>The context of the trascript text just before the
-     *       match</dd> 
-     *      <dt>Text</dt> <dd>The transcript text that matched</dd>
-     *      <dt>AfterMatch</dt> <dd>The context of the transcript text just after
-     *       the match</dd> 
-     *    </dl>
-     *   </dd> 
-     * </dl>
+     * Uploads attribute values for multiple transcripts from CSV file.
+     * @param {file|string|object[]|Buffer|ReadableStream} csv CSV file containing the attribute values to import,
+     * or its content, e.g. an array of row objects - see {@link Form#appendCsv}.
+     * @param {number} idColumn The (zero based) index of the column that
+     * identifies the transcript; if the transcript exists, its
+     * attribute values will be updated, otherwise, the row is ignored. 
+     * @param {string[]} columnLayer Multiple values, where the index of the value
+     * corresponds to the (zero based) CSV column index, and the value
+     * is blank to ignore the column, the layer ID of the transcript
+     * attribute to update. 
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * result, which is an array of two integers; the first is the number of existing
+     * transcripts that were updated, and the second, the number of transcripts
+     * that were not found.
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
      */
-    getMatches(threadId, wordsContext, pageLength, pageNumber, onResult) {
-      if (typeof wordsContext === "function") { // (threadId, onResult)
-        onResult = wordsContext;
-        wordsContext = null;
-      }
-      else if (typeof pageLength === "function") { // (threadId, wordsContext, onResult)
-        onResult = pageLength;
-        pageLength = null;
-        pageNumber = null;
-      }
-      else if (typeof pageNumber === "function") {
-        // (threadId, pageLength, pageNumber, onResult)
-        onResult = pageNumber;
-        pageNumber = pageLength;
-        pageLength = wordsContext;
-        wordsContext = null;
-      }
+    uploadTranscriptAttributes(csv, idColumn, columnLayer, onResult, onProgress) {
       if (exports.verbose) {
-        console.log("getMatches("+threadId+", "+wordsContext
-                    +", "+pageLength+", "+pageNumber+")");
+        console.log("uploadTranscriptAttributes("
+                    + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
       }
-      wordsContext = wordsContext || 0;
-      
-      this.createRequest("getMatches", {
-        threadId : threadId,
-        words_context : wordsContext,
-        pageLength : pageLength,
-        pageNumber : pageNumber
-      }, onResult, this.baseUrl+"api/results").send();
-    }
+      var csvName = uploadName(csv, "upload.csv");
+      var createForm = () => { // called for each attempt
+	var fd = new Form();
+	fd.append("idColumn", idColumn);
+	for (let c of columnLayer) {
+	  fd.append("columnLayer", c||"");
+	}
+	// on node.js, files are actually paths
+	if (!fd.appendCsv("csv", csv, csvName)) {
+	  onResult(null, ["Invalid file: " + csvName], [], "uploadTranscriptAttributes", csvName);
+	  return null;
+	}
+        return fd;
+      };
+
+      this._submitForm(
+        "uploadTranscriptAttributes", csvName,
+        this.baseUrl + "api/edit/transcripts/attributes/upload", createForm,
+        onResult, onProgress);
+    } // uploadTranscriptAttributes
     
     /**
-     * Gets annotations on selected layers related to search results returned by a previous
-     * call to {@link LabbcatView#getMatches}.
-     * @param {string[]|object[]} matchIds A list of MatchIds, or a list of match
-     * objects returned by {@link LabbcatView#getMatches} 
-     * @param {string[]} layerIds A list of layer IDs.
-     * @param {int} [targetOffset=0] The distance from the original target of the match, e.g.
-     * <ul>
-     *  <li>0 - find annotations of the match target itself</li>
-     *  <li>1 - find annotations of the token immediately <em>after</em> match target</li>
-     *  <li>-1 - find annotations of the token immediately <em>before</em> match target</li>
-     * </ul>
-     * @param {int} [annotationsPerLayer=1] The number of annotations on the given layer to
-     * retrieve. In most cases, there's only one annotation available. However, tokens may,
-     * for example, be annotated with `all possible phonemic transcriptions', in which case
-     * using a value of greater than 1 for this parameter provides other phonemic
-     * transcriptions, for tokens that have more than one.
+     * Uploads annotation labels for tagging match tokens from a results CSV file.
+     * @param {file|string|object[]|Buffer|ReadableStream} csv CSV file containing the annotation labels to import,
+     * or its content, e.g. an array of row objects - see {@link Form#appendCsv}.
+     * @param {number} idColumn The (zero based) index of the column that contains
+     * MatchId or another identifier that identifies target token(s);
+     * If the tokens are found, they're annotated with the labels in the columns
+     * identified by <var>columnLayer</var>, otherwise, the row is ignored. 
+     * @param {string[]} columnLayer Multiple values, where the index of the value
+     * corresponds to the (zero based) CSV column index, and the value
+     * is blank to ignore the column, or the ID of the layer to annotate the
+     * tokens on. 
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An array of arrays of Annotations, of
-     * dimensions <var>matchIds</var>.length &times; (<var>layerIds</var>.length *
-     * <var>annotationsPerLayer</var>). The first index matches the corresponding
-     * index in <var>matchIds</var>. 
+     * <var>result</var> which will be: An object with one attribute, the
+     * <var>threadId</var> of the server task processing the annotations. 
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
      */
-    getMatchAnnotations(matchIds, layerIds, targetOffset, annotationsPerLayer, onResult) {
-      if (typeof targetOffset === "function") { // (matchIds, layerIds, onResult)
-        onResult = targetOffset;
-        targetOffset = null;
-        annotationsPerLayer = null;
-      } else if (typeof annotationsPerLayer === "function") {
-        // (matchIds, layerIds, targetOffset, onResult)
-        onResult = annotationsPerLayer;
-        annotationsPerLayer = null;
+    uploadTokenAnnotations(csv, idColumn, columnLayer, onResult, onProgress) {
+      if (exports.verbose) {
+        console.log("uploadTokenAnnotations("
+                    + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
       }
+      var csvName = uploadName(csv, "upload.csv");
+      var createForm = () => { // called for each attempt
+	var fd = new Form();
+	fd.append("idColumn", idColumn);
+	for (let c of columnLayer) {
+	  fd.append("columnLayer", c||"");
+	}
+	// on node.js, files are actually paths
+	if (!fd.appendCsv("csv", csv, csvName)) {
+	  onResult(null, ["Invalid file: " + csvName], [], "uploadTokenAnnotations", csvName);
+	  return null;
+	}
+        return fd;
+      };
 
-      // check that an array of matches hasn't been passed.
-      if (typeof matchIds[0] != "string" && matchIds[0].MatchId) {
-        // convert the array of matches into an array of MatchIds
-        matchIds = matchIds.map(match => match.MatchId);
-      }
-      
+      this._submitForm(
+        "uploadTokenAnnotations", csvName,
+        this.baseUrl + "api/edit/annotations/tokens", createForm,
+        onResult, onProgress);
+    } // uploadTokenAnnotations
+        
+    /**
+     * Uploads annotation labels for tagging time intervals from a results CSV file.
+     * @param {file|string|object[]|Buffer|ReadableStream} csv CSV file containing the annotation labels to import,
+     * or its content, e.g. an array of row objects - see {@link Form#appendCsv}.
+     * @param {number} idColumn The (zero based) index of the column that contains
+     * @param {number} transcriptColumn The (zero based) index of the column that contains
+     * the transcript name to annotate.
+     * @param {number} startTimeColumn The (zero based) index of the column that contains
+     * the start time for the annotation.
+     * @param {number} endTimeColumn The (zero based) index of the column that contains the
+     * end time for the annotation.
+     * @param {string[]} columnLayer Multiple values, where the index of the value
+     * corresponds to the (zero based) CSV column index, and the value
+     * is blank to ignore the column, or the ID of the layer to annotate the
+     * intervals on. 
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object with one attribute, the
+     * <var>threadId</var> of the server task processing the annotations. 
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    uploadIntervalAnnotations(
+      csv, transcriptColumn, startTimeColumn, endTimeColumn, columnLayer,
+      onResult, onProgress) {
       if (exports.verbose) {
-        console.log("getMatchAnnotations("+JSON.stringify(matchIds)+", "
-                    +JSON.stringify(layerIds)+", "+targetOffset+", "
-                    +annotationsPerLayer+")");
+        console.log("uploadIntervalAnnotations("
+                    + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
       }
-      targetOffset = targetOffset || 0;
-      annotationsPerLayer = annotationsPerLayer || 1;
-
-      // create forms
-      var fdUpload = new FormData();
-      fdUpload.append("csvFieldDelimiter", ",");
-      fdUpload.append("targetColumn", "MatchId");
-      // api/results/upload expects an uploaded CSV file for MatchIds, 
-      const uploadfile = "MatchId\n"+matchIds.join("\n");
-      fdUpload.append("results", uploadfile, {
-        filename: 'uploadfile.csv',
-        contentType: 'text/csv',
-        knownLength: uploadfile.length
-      });
-      
-      var downloadResults = (threadId) => {
-        this.createRequest(
-          "getMatchAnnotations", {
-            threadId: threadId,
-            targetOffset: targetOffset,
-            annotationsPerLayer: annotationsPerLayer,
-            offsetThreshold: 0, // return all anchors
-            csvFieldDelimiter: ",",
-            csv_layer: layerIds
-          }, (result, errors, messages, call, id) => {
-            this.releaseTask(threadId, ()=>{});
-            if (onResult) onResult(result.matches, errors, messages, call, id);
-          },
-          this.baseUrl+"api/results")
-          .send();
-      };
-      
-      if (!runningOnNode) {	
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "getMatchAnnotations";
-	xhr.id = transcript.name;
-	xhr.onResult = (result, errors, messages, call, id) => {
-          if (result && result.threadId) {
-            downloadResults(result.threadId);
-          } else {
-	    onResult(result, errors, messages, "getMatchAnnotations");
-          }
-        };
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);	        
-	xhr.open("POST", this.baseUrl + "api/getMatchAnnotations");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
+      var csvName = uploadName(csv, "upload.csv");
+      var createForm = () => { // called for each attempt
+	var fd = new Form();
+	fd.append("transcriptColumn", transcriptColumn);
+	fd.append("startTimeColumn", startTimeColumn);
+	fd.append("endTimeColumn", endTimeColumn);
+	for (let c of columnLayer) {
+	  fd.append("columnLayer", c||"");
 	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fdUpload);
-      } else { // runningOnNode
-	var urlParts = parseUrl(this.baseUrl + "api/results/upload");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	var labbcat = this;
-        var password = this._password;
-	fdUpload.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fdUpload.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "edit/transcript/new");
-          }
-	  fdUpload.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		//console.log('data ' + buffer);
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-                if (result && result.threadId) {
-                  downloadResults(result.threadId);
-                } else {
-		  onResult(result, errors, messages, "getMatchAnnotations");
-                }
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "getMatchAnnotations");
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-      // old API
-      // // create form
-      // var fd = new FormData();
-      // fd.append("targetOffset", targetOffset);
-      // fd.append("annotationsPerLayer", annotationsPerLayer);
-      // fd.append("csvFieldDelimiter", ",");
-      // fd.append("targetColumn", "0");
-      // fd.append("copyColumns", "false");
-      // for (let layerId of layerIds ) fd.append("layer", layerId);
+	// on node.js, files are actually paths
+	if (!fd.appendCsv("csv", csv, csvName)) {
+	  onResult(null, ["Invalid file: " + csvName], [], "uploadIntervalAnnotations", csvName);
+	  return null;
+	}
+        return fd;
+      };
 
-      // // getMatchAnnotations expects an uploaded CSV file for MatchIds, 
-      // const uploadfile = "MatchId\n"+matchIds.join("\n");
-      // fd.append("uploadfile", uploadfile, {
-      //   filename: 'uploadfile.csv',
-      //   contentType: 'text/csv',
-      //   knownLength: uploadfile.length
-      // });
+      this._submitForm(
+        "uploadIntervalAnnotations", csvName,
+        this.baseUrl + "api/edit/annotations/intervals", createForm,
+        onResult, onProgress);
+    } // uploadIntervalAnnotations
+    
+    /**
+     * For HTK dictionary-filling, this adds a new dictionary entry and updates all tokens.
+     * @param {string} layerId The dictionary of this layer will be used.
+     * @param {string} label The word label to add an entry for.
+     * @param {string} entry The definition (pronunciation) of the word to add.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var>.
+     */
+    dictionaryAdd(layerId, label, entry, onResult) {
+      this._createRequest(
+        "add", {
+          layerId : layerId,
+          label : label,
+          entry : entry
+        }, onResult, this.baseUrl+"api/edit/dictionary/add").send();
+    }
 
-      // if (!runningOnNode) {	
-      //   // create HTTP request
-      //   var xhr = new XMLHttpRequest();
-      //   xhr.call = "getMatchAnnotations";
-      //   xhr.id = transcript.name;
-      //   xhr.onResult = onResult;
-      //   xhr.addEventListener("load", callComplete, false);
-      //   xhr.addEventListener("error", callFailed, false);
-      //   xhr.addEventListener("abort", callCancelled, false);	        
-      //   xhr.open("POST", this.baseUrl + "api/getMatchAnnotations");
-      //   if (this.username) {
-      //     xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-      //   }
-      //   xhr.setRequestHeader("Accept", "application/json");
-      //   xhr.send(fd);
-      // } else { // runningOnNode
-      //   var urlParts = parseUrl(this.baseUrl + "api/getMatchAnnotations");
-      //   // for tomcat 8, we need to explicitly send the content-type and content-length headers...
-      //   var labbcat = this;
-      //   var password = this._password;
-      //   fd.getLength(function(something, contentLength) {
-      //     var requestParameters = {
-      //       port: urlParts.port,
-      //       path: urlParts.pathname,
-      //       host: urlParts.hostname,
-      //       headers: {
-      //         "Accept" : "application/json",
-      //         "content-length" : contentLength,
-      //         "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-      //       }
-      //     };
-      //     if (labbcat.username && password) {
-      //       requestParameters.auth = labbcat.username+':'+password;
-      //     }
-      //     if (/^https.*/.test(labbcat.baseUrl)) {
-      //       requestParameters.protocol = "https:";
-      //     }
-      //     if (exports.verbose) {
-      //       console.log("submit: " + labbcat.baseUrl + "edit/transcript/new");
-      //     }
-      //     fd.submit(requestParameters, function(err, res) {
-      //       var responseText = "";
-      //       if (!err) {
-      //         res.on('data',function(buffer) {
-      // 	  //console.log('data ' + buffer);
-      // 	  responseText += buffer;
-      //         });
-      //         res.on('end',function(){
-      //           if (exports.verbose) console.log("response: " + responseText);
-      //           var result = null;
-      //           var errors = null;
-      //           var messages = null;
-      // 	  try {
-      // 	    var response = JSON.parse(responseText);
-      // 	    result = response.model.result || response.model;
-      // 	    errors = response.errors;
-      // 	    if (errors && errors.length == 0) errors = null
-      // 	    messages = response.messages;
-      // 	    if (messages && messages.length == 0) messages = null
-      // 	  } catch(exception) {
-      // 	    result = null
-      //             errors = ["" +exception+ ": " + labbcat.responseText];
-      //             messages = [];
-      // 	  }
-      // 	  onResult(result, errors, messages, "getMatchAnnotations");
-      //         });
-      //       } else {
-      //         onResult(null, ["" +err+ ": " + labbcat.responseText], [], "getMatchAnnotations");
-      //       }
-      
-      //       if (res) res.resume();
-      //     });
-      //   }); // got length
-      // } // runningOnNode
+    /**
+     * Creates an annotation starting at <var>fromId</var> and ending at <var>toId</var>.
+     * @param {string} id The ID of the transcript.
+     * @param {string} fromId The start anchor's ID, which can be null if the layer is a tag layer.
+     * @param {string} toId The end anchor's ID, which can be null if the layer is a tag layer.
+     * @param {string} layerId The layer ID of the resulting annotation.
+     * @param {string} label The label of the resulting annotation.
+     * @param {number} confidence The confidence rating.
+     * @param {string} parentId The new annotation's parent's ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> which is the new annotation's ID.
+     */
+    createAnnotation(id, fromId, toId, layerId, label, confidence, parentId, onResult) {
+      this._createRequest(
+        "createAnnotation", null, onResult, null, "POST",
+        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          id : id,
+          fromId : fromId,
+          toId : toId,
+          layerId : layerId,
+          label : label,
+          confidence : confidence,
+          parentId : parentId
+        }));
+    }
+    
+    /**
+     * Updates the label of the given annotation.
+     * @param {string} id The ID of the transcript.
+     * @param {string} annotationId The annotation's ID.
+     * @param {string} label The new label.
+     * @param {number} confidence The confidence rating.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * null <var>result</var> on success.
+     */
+    updateAnnotationLabel(id, annotationId, label, confidence, onResult) {
+      this._createRequest(
+        "updateAnnotationLabel", null, onResult, null, "POST",
+        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          id : id,
+          annotationId : annotationId,
+          label : label,
+          confidence : confidence
+        }));
+    }
+
+    /**
+     * Destroys the annotation with the given ID.
+     * @param {string} id The ID of the transcript.
+     * @param {string} annotationId The annotation's ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * null <var>result</var> on success.
+     */
+    destroyAnnotation(id, annotationId, onResult) {
+      this._createRequest(
+        "destroyAnnotation", null, onResult, null, "POST",
+        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          id : id,
+          annotationId : annotationId
+        }));
     }
     
     /**
-     * Downloads WAV sound fragments.
-     * <p>For convenience, the first three arguments, <var>transcriptIds</var>, 
-     * <var>startOffsets</var>, and <var>endOffsets</var>, can be replaced by a single
-     * array of match objects of the kind returned by {@link LabbcatView#getMatches}, in
-     * which case the start/end times are the utterance boundaries - e.g.
-     * <pre>labbcat.getMatches(threadId, wordsContext (result, e, m) => {
-     *   labbcat.getMatchAnnotations(result.matches, sampleRate, dir, (files, e, m) => {
-     *       ...
-     *   });
-     * });</pre>
-     * @param {string[]} transcriptIds A list of transcript IDs (transcript names).
-     * @param {float[]} startOffsets A list of start offsets, with one element for each
-     * element in <var>transcriptIds</var>. 
-     * @param {float[]} endOffsets A list of end offsets, with one element for each element in
-     * <var>transcriptIds</var>. 
-     * @param {int} [sampleRate] The desired sample rate, or null for no preference.
-     * @param {string} [dir] A directory in which the files should be stored, or null
-     * for a temporary folder.  If specified, and the directory doesn't exist, it will
-     * be created.  
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of WAV files. If <var>dir</var> is
-     * null, these files will be stored under the system's temporary directory, so
-     * once processing is finished, they should be deleted by the caller, or moved to
-     * a more permanent location.  
+     * Gets the transcript of a given utterance, for possible correction using
+     * {@link #utteranceCorrection}.
+     * @param {string} transcriptId The ID of the transcript.
+     * @param {string} utteranceId The utterance's ID.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> with a "text" attribute, which is the plain-text
+     * representation of the utterance, including word annotations and possibly
+     * noise, comment, pronunciation etc. annotations using the configured transcript
+     * conventions.
      */
-    getSoundFragments(transcriptIds, startOffsets, endOffsets, sampleRate, dir, onResult) {
-      if (!runningOnNode) {
-        onResult && onResult(
-          null, ["getSoundFragments is not yet implemented for browsers"], [], // TODO
-          "getSoundFragments");
-        return;
-      }
-      
-      // ensure transcriptIds is a list of strings, not a list of matches
-      if (typeof transcriptIds[0] != "string" && transcriptIds[0].Transcript) {
-        // convert the array of matches into an arrays of transcriptIds, startOffset,
-        // and endOffsets...
-
-        // shift remaining arguments to the right
-        onResult = sampleRate
-        dir = endOffsets
-        sampleRate = startOffsets
-
-        // create arrays
-        startOffsets = transcriptIds.map(match => match.Line);
-        endOffsets = transcriptIds.map(match => match.LineEnd);
-        transcriptIds = transcriptIds.map(match => match.Transcript);
-      }            
-
-      if (transcriptIds.length != startOffsets.length || transcriptIds.length != endOffsets.length) {
-        onResult && onResult(null, [
-          "transcriptIds ("+transcriptIds.length +"), startOffsets ("+startOffsets.length
-            +"), and endOffsets ("+endOffsets.length+") must be arrays of equal size."],
-                             [], "getSoundFragments");
-        return;
-      }
-
-      if (typeof sampleRate === "function") {
-        // (transcriptIds, startOffsets, endOffsets, onResult)
-        onResult = sampleRate;
-        sampleRate = null;
-        dir = null;
-      } else if (typeof dir === "function") {
-        onResult = dir;
-        if (typeof sampleRate === "string") {
-          // (transcriptIds, startOffsets, endOffsets, dir, onResult)
-          dir = sampleRate;
-          sampleRate = null;
-        } else {
-          // (transcriptIds, startOffsets, endOffsets, sampleRate, onResult)
-          dir = null;
-        }
-      }
-      if (exports.verbose) {
-        console.log("getSoundFragments("+transcriptIds.length+" transcriptIds, "
-                    +startOffsets.length+" startOffsets, "
-                    +endOffsets.length+" endOffsets, "
-                    +sampleRate+", "+dir+")");
-      }
-
-      if (dir == null) {
-        dir = os.tmpdir();
-      } else {
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir);
-      }
-      
-      let fragments = [];
-      let errors = [];
-      
-      // get fragments individually to ensure elements in result map 1:1 to element
-      // in transcriptIds
-      const url = this.baseUrl + "api/media/fragments";
-      const lc = this;
-      const nextFragment = function(i) {
-        if (i < transcriptIds.length) { // next file
-	  const xhr = new XMLHttpRequest();
-          
-	  let queryString = "?id="+encodeURIComponent(transcriptIds[i])
-            +"&start="+encodeURIComponent(startOffsets[i])
-            +"&end="+encodeURIComponent(endOffsets[i]);
-          if (sampleRate) queryString += "&sampleRate="+sampleRate;
-          queryString += "&prefix=true"; // TODO add function parameter for this
-          
-          if (exports.verbose) {
-            console.log("GET: "+url + "?" + queryString + " as " + lc.username);
-          }
-	  xhr.open("GET", url + queryString, true);
-	  if (lc.username) {
-	    xhr.setRequestHeader(
-              "Authorization", "Basic " + btoa(lc.username + ":" + lc._password))
- 	  }
-          
-	  xhr.setRequestHeader("Accept", "audio/wav");
-          // we want binary data, not text
-          xhr.responseType = "arraybuffer";
-          
-	  xhr.addEventListener("error", function(evt) {
-            if (exports.verbose) {
-              console.log("getSoundFragments "+i+" ERROR: "+this.responseText);
-            }
-            errors.push("Could not get fragment "+i+": "+this.responseText);
-            fragments.push(null); // add a blank element
-            nextFragment(i+1);
-          }, false);
-          
-	  xhr.addEventListener("load", function(evt) {
-            if (exports.verbose) {
-              console.log("getSoundFragments "+i+" loaded.");
-            }
-            // save the result to a file
-            let fileName = transcriptIds[i]+"__"+startOffsets[i]+"-"+endOffsets[i]+".wav";
-            let contentDisposition = this.getResponseHeader("content-disposition");
-            if (contentDisposition != null) {
-              // something like attachment; filename=blah.wav
-              const equals = contentDisposition.indexOf("=");
-              if (equals > 0) {
-                fileName = contentDisposition.substring(equals + 1);
-              }
-            }
-            const filePath = path.join(dir, fileName);
-            fs.writeFile(filePath, Buffer.from(this.response), function(err) {
-              if (err) {
-                if (exports.verbose) {
-                  console.log("getSoundFragments "+i+" SAVE ERROR: "+err);
-                }
-                errors.push("Could not save fragment "+i+": "+err);
-              }
-              // add the file name to the result
-              if (exports.verbose) console.log("wrote file " + filePath);
-              fragments.push(filePath); // add a blank element
-              nextFragment(i+1);
-            });
-          }, false);
-          
-          xhr.send();
-        } else { // there are no more triples
-          if (onResult) {
-            onResult(fragments, errors.length?errors:null, [], "getSoundFragments");
-          }
-        }
-      }
-      nextFragment(0);
+    utteranceForCorrection(transcriptId, utteranceId, onResult) {
+      this._createRequest(
+        "readUtteranceTranscript", {
+          transcriptId : transcriptId,
+          utteranceId : utteranceId
+        }, onResult, this.baseUrl+"api/edit/utterance/correction").send();
     }
     
     /**
-     * Get transcript fragments in a specified format.
-     * <p>For convenience, the first three arguments, <var>transcriptIds</var>, 
-     * <var>startOffsets</var>, and <var>endOffsets</var>, can be replaced by a single
-     * array of match objects of the kind returned by {@link LabbcatView#getMatches}, in
-     * which case the start/end times are the utterance boundaries - e.g.
-     * <pre>labbcat.getMatches(threadId, wordsContext (result, e, m) => {
-     *   labbcat.getFragments(result.matches, layerIds, mimeType, dir, (files, e, m) => {
-     *       ...
-     *   });
-     * });</pre>
-     * @param {string[]} transcriptIds A list of transcript IDs (transcript names).
-     * @param {float[]} startOffsets A list of start offsets, with one element for
-     * each element in <var>transcriptIds</var>. 
-     * @param {float[]} endOffsets A list of end offsets, with one element for each element in
-     * <var>transcriptIds</var>. 
-     * @param {string[]} layerIds A list of IDs of annotation layers to include in the
-     * fragment. 
-     * @param {string} mimeType The desired format, for example "text/praat-textgrid" for Praat
-     * TextGrids, "text/plain" for plain text, etc.
-     * @param {string} [dir] A directory in which the files should be stored, or null
-     * for a temporary folder.   If specified, and the directory doesn't exist, it will
-     * be created.  
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be:  A list of files. If <var>dir</var> is null,
-     * these files will be stored under the system's temporary directory, so once
-     * processing is finished, they should be deleted by the caller, or moved to a
-     * more permanent location. 
+     * Corrects the transcript of a given utterance.
+     * @param {string} transcriptId The ID of the transcript.
+     * @param {string} utteranceId The utterance's ID.
+     * @param {string} text The corrected version of the transcript for the utterance.
+     * This may include noise, comment, pronunciation etc. annotations using the
+     * configured transcript conventions.
+     * @param {boolean} suppressGeneration (optional) false (the default) to run
+     * automatic layer generation, true to suppress automatic layer generation.
+     * @param {resultCallback} onResult Invoked when the request has returned a
+     * <var>result</var> with a "threadId" attribute, which is the ID of the task
+     * regenerating layers based on the new transcript.
      */
-    getFragments(transcriptIds, startOffsets, endOffsets, layerIds, mimeType, dir, onResult) {
-      if (!runningOnNode) {
-        onResult && onResult(
-          null, ["getFragments is not yet implemented for browsers"], [], // TODO
-          "getFragments");
-        return;
-      }
-      
-      // ensure transcriptIds is a list of strings, not a list of matches
-      if (typeof transcriptIds[0] != "string" && transcriptIds[0].Transcript) {
-        // convert the array of matches into an arrays of transcriptIds, startOffset,
-        // and endOffsets...
-
-        // shift remaining arguments to the right
-        onResult = mimeType
-        dir = layerIds
-        mimeType = endOffsets
-        layerIds = startOffsets
-
-        // create arrays
-        startOffsets = transcriptIds.map(match => match.Line);
-        endOffsets = transcriptIds.map(match => match.LineEnd);
-        transcriptIds = transcriptIds.map(match => match.Transcript);
-      }
-      
-      if (transcriptIds.length != startOffsets.length || transcriptIds.length != endOffsets.length) {
-        onResult && onResult(
-          null,
-          ["transcriptIds ("+transcriptIds.length +"), startOffsets ("+startOffsets.length
-           +"), and endOffsets ("+endOffsets.length+") must be arrays of equal size."],
-          [], "getFragments");
-        return;
+    utteranceCorrection(transcriptId, utteranceId, text, suppressGeneration, onResult) {
+      if (typeof suppressGeneration === "function") {
+        // utteranceCorrection(transcriptId, utteranceId, text, onResult)
+        onResult = suppressGeneration;
+        suppressGeneration = false
       }
+      this._createRequest(
+        "utterance/correction", null, onResult, null, "POST", // TODO should be PUT
+        this.baseUrl+"api/edit/", "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          transcriptId : transcriptId,
+          utteranceId : utteranceId,
+          text : text,
+          suppressGeneration : suppressGeneration
+        }));
+    }
+  } // class LabbcatEdit
+  
+  // LabbcatAdmin class - read/write "admin" access
 
-      if (typeof dir === "function") {
-        // (transcriptIds, startOffsets, endOffsets, layerIds, mimeType, onResult)
-        onResult = dir;
-        dir = null;
-      }
-      if (exports.verbose) {
-        console.log("getFragments("+transcriptIds.length+" transcriptIds, "
-                    +startOffsets.length+" startOffsets, "
-                    +endOffsets.length+" endOffsets, "
-                    +JSON.stringify(layerIds)+", "+mimeType+", "+dir+")");
-      }
-      
-      if (dir == null) {
-        dir = os.tmpdir();
-      } else {
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir);
-      }
-      
-      let fragments = [];
-      let errors = [];
-      
-      // get fragments individually to ensure elements in result map 1:1 to element
-      // in transcriptIds
-      let url = this.baseUrl + "api/serialize/fragment?mimeType="+encodeURIComponent(mimeType);
-      for (let layerId of layerIds) url += "&layerId=" + layerId;
-      const lc = this;
-      const nextFragment = function(i) {
-        if (i < transcriptIds.length) { // next file
-	  const xhr = new XMLHttpRequest();
-          
-	  let queryString = "&id="+encodeURIComponent(transcriptIds[i])
-            +"&start="+encodeURIComponent(startOffsets[i])
-            +"&end="+encodeURIComponent(endOffsets[i]);
-          queryString += "&prefix=true"; // TODO add a function parameter for this
-          
-          if (exports.verbose) {
-            console.log("GET: "+url + queryString + " as " + lc.username);
-          }
-	  xhr.open("GET", url + queryString, true);
-	  if (lc.username) {
-	    xhr.setRequestHeader(
-              "Authorization", "Basic " + btoa(lc.username + ":" + lc._password))
- 	  }
-          
-	  xhr.setRequestHeader("Accept", mimeType);
-          // we want binary data, not text
-          xhr.responseType = "arraybuffer";
-          
-	  xhr.addEventListener("error", function(evt) {
-            if (exports.verbose) {
-              console.log("getFragments "+i+" ERROR: "+this.responseText);
-            }
-            errors.push("Could not get fragment "+i+": "+this.responseText);
-            fragments.push(null); // add a blank element
-            nextFragment(i+1);
-          }, false);
-          
-	  xhr.addEventListener("load", function(evt) {
-            if (exports.verbose) {
-              console.log("getSoundFragments "+i+" loaded.");
-            }
-            // save the result to a file
-            let fileName = transcriptIds[i]+"__"+startOffsets[i]+"-"+endOffsets[i];
-            let contentDisposition = this.getResponseHeader("content-disposition");
-            if (contentDisposition != null) {
-              // something like attachment; filename=blah.wav
-              const equals = contentDisposition.indexOf("=");
-              if (equals > 0) {
-                fileName = contentDisposition.substring(equals + 1);
-              }
-            }
-            const filePath = path.join(dir, fileName);
-            fs.writeFile(filePath, Buffer.from(this.response), function(err) {
-              if (err) {
-                if (exports.verbose) {
-                  console.log("getFragments "+i+" SAVE ERROR: "+err);
-                }
-                errors.push("Could not save fragment "+i+": "+err);
-              }
-              // add the file name to the result
-              fragments.push(filePath); // add a blank element
-              nextFragment(i+1);
-            });
-          }, false);
-          
-          xhr.send();
-        } else { // there are no more triples
-          if (onResult) {
-            onResult(fragments, errors.length?errors:null, [], "getSoundFragments");
-          }
-        }
-      }
-      nextFragment(0);
+  /**
+   * Read/write/administration interaction with LaBB-CAT corpora.
+   * <p>This class inherits the <em>read/write</em> operations of LabbcatEdit
+   * and adds some administration functions.
+   * @example
+   * // create annotation store client
+   * const store = new labbcat.LabbcatAdmin("http://localhost:8080/labbcat", "labbcat", "labbcat");
+   * // add a corpus
+   * store.createCorpus("new-corpus", "en", "New English Corpus", (corpus, errors, messages, call)=>{ 
+   *     console.log("new corpus ID is: " + corpus.corpus_id); 
+   *     store.updateCorpus("new-corpus", "de", "New German Corpus", (corpus, errors, messages, call)=>{ 
+   *         console.log("corpus updated, language is now: " + corpus.corpus_language); 
+   *         store.deleteCorpus("new-corpus", (result, errors, messages, call)=>{ 
+   *             console.log("corpus deleted"); 
+   *         });
+   *       });
+   *   });
+   * store.readCorpora((corpora, errors, messages, call)=>{ 
+   *     for (let corpus of corpora) {
+   *       console.log("corpus: " + corpus.corpus_name); 
+   *     } // next corpus
+   *   });
+   * @extends LabbcatView
+   * @author Robert Fromont robert@fromont.net.nz
+   */
+  class LabbcatAdmin extends LabbcatEdit {
+    
+    /**
+     * The graph store URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/edit/store/
+     */
+    get storeAdminUrl() {
+      return this._storeAdminUrl;
     }
-
+    /** 
+     * Create a store client 
+     * @param {string} baseUrl The LaBB-CAT base URL (i.e. the address of the 'home' link)
+     * @param {string} username The LaBB-CAT user name.
+     * @param {string} password The LaBB-CAT password.
+     * @param {object} [options] Other settings - see {@link LabbcatView}.
+     */
+    constructor(baseUrl, username, password, options) {
+      super(baseUrl, username, password, options);
+      this._storeAdminUrl = this.baseUrl + "api/admin/store/";
+    }
+    
     /**
-     * Gets transcript attribute values for given transcript IDs.
-     * @param {string[]} transcriptIds A list of transcript IDs (transcript names).
-     * @param {string[]} layerIds A list of layer IDs corresponding to transcript
-     * attributes. In general, these are layers whose ID is prefixed 'transcript_',
-     * however formally it's any layer where layer.parentId == 'graph' &&
-     * layer.alignment == 0, which includes 'corpus' as well as transcript attribute layers.
-     * @param {string} fileName The full path for the file where the results CSV
-     * should be saved. 
+     * Adds a new layer.
+     * @param {string|object} layer The layer ID, if all the other attribute
+     * parameters are specified, or an object with all the layer attributes, in which case
+     * only <var>onResult</var> need be specified.
+     * @param {string} parentId The layer's parent layer id.
+     * @param {string} description The description of the layer.
+     * @param {number} alignment The layer's alignment 
+     * - 0 for none, 1 for point alignment, 2 for interval alignment.
+     * @param {boolean} peers Whether children on this layer have peers or not.
+     * @param {boolean} peersOverlap Whether child peers on this layer can overlap or not.
+     * @param {boolean} parentIncludes Whether the parent temporally includes the child.
+     * @param {boolean} saturated Whether children must temporally fill the entire parent
+     * duration (true) or not (false).
+     * @param {string} type The type for labels on this layer, e.g. string, number,
+     * boolean, ipa. 
+     * @param {object} validLabels List of valid label values for this layer, or null 
+     * if the layer values are not restricted. The 'key' is the possible label value, and 
+     * each key is associated with a description of the value (e.g. for displaying to users). 
+     * @param {string} category Category for the layer, if any.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: The CSV file path - i.e. <var>fileName</var>
-     * or null if the request failed.  
+     * <var>result</var> which will be: The resulting layer definition.
      */
-    getTranscriptAttributes(transcriptIds, layerIds, fileName, onResult) {
-      if (!runningOnNode) {
-        onResult && onResult(
-          null, ["getTranscriptAttributes is not yet implemented for browsers"], [], // TODO
-          "getTranscriptAttributes");
-        return;
-      }
-      if (exports.verbose) {
-        console.log("getTranscriptAttributes("+transcriptIds.length+" transcriptIds, "
-                    +JSON.stringify(layerIds)+")");
-      }
-      const xhr = new XMLHttpRequest();            
-      const url = this.baseUrl + "api/attributes";            
-      let queryString = "?layer=transcript";
-      for (let id of layerIds) queryString += "&layer="+encodeURIComponent(id);
-      for (let id of transcriptIds) queryString += "&id="+encodeURIComponent(id);
-      if (exports.verbose) {
-        console.log("GET: "+url + queryString + " as " + this.username);
-      }
-      xhr.open("GET", url + queryString, true);
-      if (this.username) {
-	xhr.setRequestHeader(
-          "Authorization", "Basic " + btoa(this.username + ":" + this._password))
+    newLayer(layer, parentId, description, alignment,
+             peers, peersOverlap, parentIncludes, saturated, type, validLabels, category,
+             onResult) {
+      var layerDefinition = {
+        id: layer, parentId: parentId, description: description,
+        alignment: Number(alignment), // ensure a number is passed, not a string
+        peers: Boolean(peers), peersOverlap: Boolean(peersOverlap),
+        parentIncludes: Boolean(parentIncludes), saturated: Boolean(saturated),
+        type: type, validLabels: validLabels, category: category };
+      if (typeof parentId === "function") { // (layerObject, onResult)
+        onResult = parentId;
+        layerDefinition = layer;
+        // ensure important types are converted from strings
+        layerDefinition.alignment = Number(layerDefinition.alignment);
+        layerDefinition.peers = Boolean(layerDefinition.peers);
+        layerDefinition.peers = Boolean(layerDefinition.peers);
+        layerDefinition.peersOverlap = Boolean(layerDefinition.peersOverlap);
+        layerDefinition.parentIncludes = Boolean(layerDefinition.parentIncludes);
+        layerDefinition.saturated = Boolean(layerDefinition.saturated);
       }
-      xhr.setRequestHeader("Accept", "text/csv");
-
-      xhr.addEventListener("error", function(evt) {
-        if (exports.verbose) {
-          console.log("getTranscriptAttributes "+i+" ERROR: "+this.responseText);
-        }
-        fragments.push(null); // add a blank element
-        if (onResult) {
-          onResult(null, ["Could not get transcript attributes: "
-                          +this.responseText], [], "getTranscriptAttributes");
-        }
-      }, false);
-      
-      xhr.addEventListener("load", function(evt) {
-        if (exports.verbose) {
-          console.log("getTranscriptAttributes loaded. " + JSON.stringify(this.response));
-        }
-        fs.writeFile(fileName, Buffer.from(xhr.responseText), function(err) {
-          if (exports.verbose) {
-            console.log("getTranscriptAttributes wrote file " + fileName);
-          }
-          let errors = null;
-          if (err) {
-            if (exports.verbose) {
-              console.log("getTranscriptAttributes SAVE ERROR: "+err);
-            }
-            errors = ["Could not get transcript attributes: "+err];
-          }
-          onResult(fileName, errors, [], "getTranscriptAttributes");
-        });
-      }, false);
-      
-      xhr.send();
+      this._schema = null; // layers have changed
+      this._createRequest(
+        "newLayer", null, onResult, this.storeAdminUrl + "newLayer", "POST",
+        null, "application/json")
+        .send(JSON.stringify(layerDefinition));
     }
-    
+
     /**
-     * Gets participant attribute values for given participant IDs.
-     * @param {string[]} participantIds A list of participant IDs.
-     * @param {string[]} layerIds A list of layer IDs corresponding to participant
-     * attributes. In general, these are layers whose ID is prefixed 'participant_',
-     * however formally it's any layer where layer.parentId == 'participant' &&
-     * layer.alignment == 0.
-     * @param {string} fileName The full path for the file where the results CSV
-     * should be saved. 
+     * Saves changes to a layer.
+     * @param {string|object} layer The layer ID, if all the other attribute
+     * parameters are specified, or an object with all the layer attributes, in which case
+     * only <var>onResult</var> need be specified.
+     * @param {string} parentId The layer's parent layer id.
+     * @param {string} description The description of the layer.
+     * @param {number} alignment The layer's alignment 
+     * - 0 for none, 1 for point alignment, 2 for interval alignment.
+     * @param {boolean} peers Whether children on this layer have peers or not.
+     * @param {boolean} peersOverlap Whether child peers on this layer can overlap or not.
+     * @param {boolean} parentIncludes Whether the parent temporally includes the child.
+     * @param {boolean} saturated Whether children must temporally fill the entire parent
+     * duration (true) or not (false).
+     * @param {string} type The type for labels on this layer, e.g. string, number,
+     * boolean, ipa. 
+     * @param {object} validLabels List of valid label values for this layer, or null 
+     * if the layer values are not restricted. The 'key' is the possible label value, and 
+     * each key is associated with a description of the value (e.g. for displaying to users). 
+     * @param {string} category Category for the layer, if any.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: The CSV file path - i.e. <var>fileName</var>
-     * or null if the request failed.  
+     * <var>result</var> which will be: The resulting layer definition.
      */
-    getParticipantAttributes(participantIds, layerIds, fileName, onResult) {
-      if (!runningOnNode) {
-        onResult && onResult(
-          null, ["getParticipantAttributes is not yet implemented for browsers"], [], // TODO
-          "getParticipantAttributes");
-        return;
-      }
-      if (exports.verbose) {
-        console.log("getParticipantAttributes("+participantIds.length+" participantIds, "
-                    +JSON.stringify(layerIds)+")");
-      }
-      const xhr = new XMLHttpRequest();            
-      const url = this.baseUrl + "participantsExport";            
-      let queryString = "?type=participant&content-type=text/csv&csvFieldDelimiter=,";
-      for (let id of layerIds) queryString += "&layer="+encodeURIComponent(id);
-      for (let id of participantIds) queryString += "&participantId="+encodeURIComponent(id);
-      if (exports.verbose) {
-        console.log("GET: "+url + queryString + " as " + this.username);
-      }
-      xhr.open("GET", url + queryString, true);
-      if (this.username) {
-	xhr.setRequestHeader(
-          "Authorization", "Basic " + btoa(this.username + ":" + this._password))
+    saveLayer(layer, parentId, description, alignment,
+              peers, peersOverlap, parentIncludes, saturated, type, validLabels, category,
+              onResult) {
+      var layerDefinition = {
+        id: layer, parentId: parentId, description: description,
+        alignment: Number(alignment), // ensure a number is passed, not a string
+        peers: Boolean(peers), peersOverlap: Boolean(peersOverlap),
+        parentIncludes: Boolean(parentIncludes), saturated: Boolean(saturated),
+        type: type, validLabels: validLabels, category: category };
+      if (typeof parentId === "function") { // (layerObject, onResult)
+        onResult = parentId;
+        layerDefinition = layer;
+        // ensure important types are converted from strings
+        layerDefinition.alignment = Number(layerDefinition.alignment);
+        layerDefinition.peers = Boolean(layerDefinition.peers);
+        layerDefinition.peers = Boolean(layerDefinition.peers);
+        layerDefinition.peersOverlap = Boolean(layerDefinition.peersOverlap);
+        layerDefinition.parentIncludes = Boolean(layerDefinition.parentIncludes);
+        layerDefinition.saturated = Boolean(layerDefinition.saturated);
       }
-      xhr.setRequestHeader("Accept", "text/csv");
-
-      xhr.addEventListener("error", function(evt) {
-        if (exports.verbose) {
-          console.log("getParticipantAttributes "+i+" ERROR: "+this.responseText);
-        }
-        fragments.push(null); // add a blank element
-        if (onResult) {
-          onResult(null, ["Could not get participant attributes: "
-                          +this.responseText], [], "getParticipantAttributes");
-        }
-      }, false);
-      
-      xhr.addEventListener("load", function(evt) {
-        if (exports.verbose) {
-          console.log("getParticipantAttributes loaded. " + JSON.stringify(this.response));
-        }
-        fs.writeFile(fileName, Buffer.from(xhr.responseText), function(err) {
-          if (exports.verbose) {
-            console.log("getParticipantAttributes wrote file " + fileName);
-          }
-          let errors = null;
-          if (err) {
-            if (exports.verbose) {
-              console.log("getParticipantAttributes SAVE ERROR: "+err);
-            }
-            errors = ["Could not get participant attributes: "+err];
-          }
-          onResult(fileName, errors, [], "getParticipantAttributes");
-        });
-      }, false);
-      
-      xhr.send();
+      this._schema = null; // layers have changed
+      this._createRequest(
+        "saveLayer", null, onResult, this.storeAdminUrl + "saveLayer", "POST",
+        null, "application/json")
+        .send(JSON.stringify(layerDefinition));
     }
 
     /**
-     * Lists the descriptors of all registered serializers.
-     * <p> Serializers are modules that export annotation structures as a specific file
-     * format, e.g. Praat TextGrid, plain text, etc., so the <var>mimeType</var> of descriptors
-     * reflects what <var>mimeType</var>s can be specified for {@link LabbcatView#getFragments}.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A list of the descriptors of all registered
-     * serializers. 
+     * Deletes the given layer, and all associated annotations.
+     * @param {string|object} id The ID layer to delete.
+     * @param {resultCallback} onResult Invoked when the request has completed.
      */
-    getSerializerDescriptors(onResult) {
-      this.createRequest("getSerializerDescriptors", null, onResult).send();
+    deleteLayer(id, onResult) {
+      this._schema = null; // layers have changed
+      this._createRequest(
+        "deleteLayer", null, onResult, this.storeAdminUrl + "deleteLayer", "POST",
+        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          id : id
+        }));
     }
 
     /**
-     * Lists the descriptors of all registered deserializers.
-     * <p> Deserializers are modules that import annotation structures from a specific file
-     * format, e.g. Praat TextGrid, plain text, etc.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A list of the descriptors of all registered
-     * deserializers. 
+     * Creates a new corpus record.
+     * @see LabbcatAdmin#readCorpora
+     * @see LabbcatAdmin#updateCorpus
+     * @see LabbcatAdmin#deleteCorpus
+     * @param {string} corpus_name The name/ID of the corpus.
+     * @param {string} corpus_language The ISO 639-1 code for the default language.
+     * @param {string} corpus_description The description of the corpus.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the corpus record, 
+     * including <em> corpus_id </em> - The database key for the record. 
+     */
+    createCorpus(corpus_name, corpus_language, corpus_description, onResult) {
+      this._createRequest(
+        "corpora", null, onResult, this.baseUrl+"api/admin/corpora", "POST",
+        null, "application/json")
+        .send(JSON.stringify({
+          corpus_name : corpus_name,
+          corpus_language : corpus_language,
+          corpus_description : corpus_description}));
+    }
+    
+    /**
+     * Reads a list of corpus records.
+     * @see LabbcatAdmin#createCorpus
+     * @see LabbcatAdmin#updateCorpus
+     * @see LabbcatAdmin#deleteCorpus
+     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
+     * records will be returned). 
+     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of corpus records with the following
+     * attributes:
+     * <dl>
+     *  <dt> corpus_id </dt> <dd> The database key for the record. </dd>
+     *  <dt> corpus_name </dt> <dd> The name/id of the corpus. </dd>
+     *  <dt> corpus_language </dt> <dd> The ISO 639-1 code for the default language. </dd>
+     *  <dt> corpus_description </dt> <dd> The description of the corpus. </dd>
+     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
+     *    records returned from the server that can not currently be deleted; 
+     *    a string representing the reason the record can't be deleted. </dd>
+     * </dl>
      */
-    getDeserializerDescriptors(onResult) {
-      this.createRequest("getDeserializerDescriptors", null, onResult).send();
+    readCorpora(pageNumber, pageLength, onResult) {
+      if (typeof pageNumber === "function") { // (onResult)
+        onResult = pageNumber;
+        pageNumber = null;
+        pageLength = null;
+      } else if (typeof l === "function") { // (p, onResult)
+        onResult = l;
+        pageLength = null;
+      }
+      this._createRequest(
+        "corpora", {
+          pageNumber:pageNumber,
+          pageLength:pageLength
+        }, onResult, this.baseUrl+"api/admin/corpora")
+        .send();
     }
 
     /**
-     * Lists the descriptors of all registered annotators.
-     * <p> Annotators are modules that perform automated annotation of transcripts.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A list of the descriptors of all registered
-     * annotators. 
+     * Iterates over the corpus records, fetching them a page at a time as they're needed.
+     * @see LabbcatAdmin#readCorpora
+     * @param {IteratorOptions} [options] Options for fetching pages.
+     * @return {AsyncIterable} The corpus records - see
+     * {@link LabbcatAdmin#readCorpora} - for use with <code>for await</code>.
      */
-    getAnnotatorDescriptors(onResult) {
-      this.createRequest("getAnnotatorDescriptors", null, onResult).send();
+    iterateCorpora(options) {
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.readCorpora(pageNumber, pageLength, requestOptions), options);
     }
-
+    
     /**
-     * Lists the descriptors of all registered transcribers.
-     * <p> Transcribers are modules that perform automated transcription of recordings
-     * that have not alreadye been transcribed.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: A list of the descriptors of all registered
-     * transcribers. 
+     * Updates an existing corpus record.
+     * @see LabbcatAdmin#createCorpus
+     * @see LabbcatAdmin#readCorpora
+     * @see LabbcatAdmin#deleteCorpus
+     * @param {string} corpus_id The database key for the record. // TODO eliminate corpus_id
+     * @param {string} corpus_name The name/ID of the corpus.
+     * @param {string} corpus_language The ISO 639-1 code for the default language.
+     * @param {string} corpus_description The description of the corpus.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the corpus record. 
      */
-    getTranscriberDescriptors(onResult) {
-      this.createRequest("getTranscriberDescriptors", null, onResult).send();
+    updateCorpus(corpus_name, corpus_language, corpus_description, onResult) {
+      this._createRequest(
+        "corpora", null, onResult, this.baseUrl+"api/admin/corpora", "PUT")
+        .send(JSON.stringify({
+          corpus_name : corpus_name,
+          corpus_language : corpus_language,
+          corpus_description : corpus_description}));
     }
     
     /**
-     * Gets the value of the given system attribute.
-     * @param {string} attribute Name of the attribute.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The given attribute, with name and value properties. 
+     * Deletes an existing corpus record.
+     * @see LabbcatAdmin#createCorpus
+     * @see LabbcatAdmin#readCorpora
+     * @see LabbcatAdmin#updateCorpus
+     * @param {string} corpus_name The name/ID of the corpus.
+     * @param {resultCallback} onResult Invoked when the request has completed.
      */
-    getSystemAttribute(attribute, onResult) {
-      this.createRequest(
-        "systemattributes", null, onResult, this.baseUrl+"api/systemattributes/" + attribute)
-        .send();
+    deleteCorpus(corpus_name, onResult) {
+      this._createRequest(
+        "corpora", null, onResult, `${this.baseUrl}api/admin/corpora/${corpus_name}`,
+        "DELETE").send();
     }
     
     /**
-     * Gets a list of currently-installed layer managers.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: an array of objects with the following
-     * structure:
-     * <ul>
-     *  <li> <q> layer_manager_id </q> : ID of the layer manager. </li>
-     *  <li> <q> version </q> : The version of the installed implementation. </li>
-     *  <li> <q> name </q> : The name for the layer manager. </li>
-     *  <li> <q> description </q> : A brief description of what the layer manager does. </li>
-     *  <li> <q> layer_type </q> : What kinds of layers the layer manager can process - a
-     *           string composed of any of the following:
-     *            <ul>
-     *             <li><b> S </b> - segment layers </li>
-     *             <li><b> W </b> - word layers </li>
-     *             <li><b> M </b> - phrase (meta) layers </li>
-     *             <li><b> F </b> - span (freeform) layers </li>
-     *            </ul>
-     *  </li>
-     * </ul>
+     * Creates a new project record.
+     * @deprecated since version 1.6.0: 'projects' are now categories with classId = 'layer'
+     * - use createCategory instead. 
+     * @see LabbcatAdmin#createCategory
+     * @param {string} project The name/ID of the project.
+     * @param {string} description The description of the project.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the project record, 
+     * including <em> project_id </em> - The database key for the record. 
      */
-    getLayerManagers(onResult) {
-      this.createRequest(
-        "layermanagers", null, onResult, this.baseUrl+"api/layers/managers")
-        .send();
+    createProject(project, description, onResult) {
+      this.createCategory("layer", project, description, 0, onResult);
     }
     
     /**
-     * Gets information about the current user, including the roles or groups they are
-     * in.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: The user record with an attribute called
-     * "roles" which is an array of string role names. 
+     * Reads a list of project records.
+     * @deprecated since version 1.6.0: 'projects' are now categories with classId = 'layer'
+     * - use readCategories('layer') instead. 
+     * @see LabbcatAdmin#readCategories
+     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
+     * records will be returned). 
+     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of project records with the following
+     * attributes:
+     * <dl>
+     *  <dt> project_id </dt> <dd> The database key for the record. </dd>
+     *  <dt> project </dt> <dd> The name/id of the project. </dd>
+     *  <dt> description </dt> <dd> The description of the project. </dd>
+     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
+     *    records returned from the server that can not currently be deleted; 
+     *    a string representing the reason the record can't be deleted. </dd>
+     * </dl>
      */
-    getUserInfo(onResult) {
-      this.createRequest(
-        "user", null, onResult, this.baseUrl+"api/user")
-        .send();
+    readProjects(pageNumber, pageLength, onResult) {
+      this.readCategories("layer", pageNumber, pageLength, onResult);
     }
-
+    
     /**
-     * Lists configured items for the given dashboard.
-     * <p> These are generally single statistics about the corpus that are displayed
-     *   on the home page or the 'statistics' page, which are individually configurable.
-     *   However items can also be links, or the output of a command.
-     * @param {string} dashboard Which dashboard to get items for;
-     * "home", "statistics", or "express"
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: an array of item objects, each with the
-     * following attributes:
-     * <ul>
-     *  <li> <q> item_id </q> : ID of the item. </li>
-     *  <li> <q> type </q> : The type of the item: "link", "sql", or "exec". </li>
-     *  <li> <q> label </q> : The item's text label. </li>
-     *  <li> <q> icon </q> : The item's icon. </li>
-     * </ul>
-     * The items are not evaluated by this function.
-     * To get item values, call {@link LabbcatView#getDashboardItem}.
+     * Updates an existing project record.
+     * @deprecated since version 1.6.0: 'projects' are now categories with classId = 'layer'
+     * - use updateCategory instead. 
+     * @see LabbcatAdmin#updateCategory
+     * @param {string} project_id The database key for the record. // TODO eliminate project_id
+     * @param {string} project The name/ID of the project.
+     * @param {string} description The description of the project.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the project record. 
      */
-    getDashboardItems(dashboard, onResult) {
-      dashboard = dashboard||"home";
-      this.createRequest(
-        "dashboard", null, onResult,
-        this.baseUrl+"api/dashboard"+(dashboard=="home"?"":"/"+dashboard))
-        .send();
+    updateProject(project, description, onResult) {
+      this.updateCategory("layer", project, description, 0, onResult);
     }
-
+    
     /**
-     * Gets the value of one dashboard item.
-     * @param {number} id The item_id of the item, as returned by
-     * {@link LabbcatView#getDashboardItems}
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be a string representing the value of the item.
+     * Deletes an existing project record.
+     * @deprecated Deprecated as 'projects' are now categories with classId = 'layer' 
+     * - use deleteCategory instead.
+     * @see LabbcatAdmin#deleteCategory
+     * @param {string} project The name/ID of the project.
+     * @param {resultCallback} onResult Invoked when the request has completed.
      */
-    getDashboardItem(id, onResult) {
-      this.createRequest(
-        "dashboard/item", null, onResult,
-        this.baseUrl+"api/dashboard/item/"+id)
-        .send();
+    deleteProject(project, onResult) {
+      this.deleteCategory("layer", project, onResult);
     }
+    
     /**
-     * For HTK dictionary-filling, this starts a task (returning it's threadId) that
-     * traverses the given utterances, looking for missing word pronunciations
-     * @param {string} seriesId search.search_id for identifying the utterances
-     * @param {string} tokenLayerId token layer ("orthography")
-     * @param {string} annotationLayerId tokens with missing annotations on this layer
-     * should be returned ("phonemes") the "model" returned is the threadId of the task
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: the threadId of the task.
-     * {@link LabbcatView#taskStatus} can be used to follow the progress of the task
-     * until it's finished. Once done, the resultUrl can be invoked, which returns a
-     * map from token labels to token IDs (one per type) i.e. the word that's missing,
-     * with an ID for finding its first occurance 
+     * Reads a list of category records. This overrides the LabbcatView version, and includes
+     * information about the possibility of deletion.
+     * @see LabbcatAdmin#createCategory
+     * @see LabbcatAdmin#updateCategory
+     * @see LabbcatAdmin#deleteCategory
+     * @param {string} class_id What attributes to read; "transcript" or "participant". 
+     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
+     * records will be returned). 
+     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of category records with the following
+     * attributes:
+     * <dl>
+     *  <dt> class_id </dt> <dd> The class_id of the category. </dd>
+     *  <dt> category </dt> <dd> The name/id of the category. </dd>
+     *  <dt> description </dt> <dd> The description of the category. </dd>
+     *  <dt> display_order </dt> <dd> Where the category appears among other categories. </dd>
+     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
+     *    records returned from the server that can not currently be deleted; 
+     *    a string representing the reason the record can't be deleted. </dd>
+     * </dl>
      */
-    missingAnnotations(seriesId, tokenLayerId, annotationLayerId, fragmentIds, onResult) {
-      if (typeof fragmentIds === "function") {
-        // (seriesId, tokenLayerId, annotationLayerId, onResult)
-        onProgress = fragmentIds;
-        fragmentIds = null;
+    readCategories(class_id, pageNumber, pageLength, onResult) {
+      if (typeof pageNumber === "function") { // (onResult)
+        onResult = pageNumber;
+        pageNumber = null;
+        pageLength = null;
+      } else if (typeof l === "function") { // (p, onResult)
+        onResult = l;
+        pageLength = null;
       }
-      this.createRequest(
-        "missingAnnotations", {
-          seriesId : seriesId,
-          utterance : fragmentIds,
-          tokenLayerId : tokenLayerId,
-          annotationLayerId : annotationLayerId
-        }, onResult, this.baseUrl+"api/missingAnnotations").send();
+      if (class_id == "participant") class_id = "speaker";
+      this._createRequest(
+        `categories/${class_id}`, {
+          pageNumber:pageNumber,
+          pageLength:pageLength
+        }, onResult, `${this.baseUrl}api/admin/categories/${class_id}`)
+        .send();
     }
-
+    
     /**
-     * Lists generic dictionaries published by layer managers.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be an object whose keys are layer manager IDs, with
-     * each value being an array of generic dictionary IDs for that layer manager.
+     * Creates a new category record.
+     * @see LabbcatView#readCategories
+     * @see LabbcatAdmin#updateCategory
+     * @see LabbcatAdmin#deleteCategory
+     * @param {string} class_id What attributes the category applies to; "transcript" or
+     * "participant". 
+     * @param {string} category The name/ID of the category.
+     * @param {string} description The description of the category.
+     * @param {number} display_order Where the category appears among other categories.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the category record, 
+     * including <em> category_id </em> - The database key for the record. 
      */
-    getDictionaries(onResult) {
-      this.createRequest(
-        "getDictionaries", null, onResult, this.baseUrl+"api/dictionaries").send();
+    createCategory(class_id, category, description, display_order, onResult) {
+      if (class_id == "participant") class_id = "speaker";
+      this._createRequest(
+        "categories", null, onResult, this.baseUrl+"api/admin/categories", "POST",
+        null, "application/json")
+        .send(JSON.stringify({
+          class_id : class_id,
+          category : category,
+          description : description,
+          display_order : display_order}));
     }
-
+    
     /**
-     * For HTK dictionary-filling, this looks up some given words to get their entries.
-     * @param {string} layerId The dictionary of this layer will be used.
-     * @param {string} labels Space-separated list of words to look up.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: an object with the following structure:
-     * returned has the following structure:
-     * <ul>
-     *  <li><b> words </b> - object where each key is the word, and each value is an
-     *                       array of entries for that word 
-     *  <li><b> combined </b> - the first entry of each word, concatenated together
-     *                          with a hyphen separator
-     * </ul>
+     * Updates an existing category record.
+     * @see LabbcatAdmin#createCategory
+     * @see LabbcatView#readCategories
+     * @see LabbcatAdmin#deleteCategory
+     * @param {string} class_id What attributes the category applies to; "transcript" or
+     * "participant". 
+     * @param {string} category The name/ID of the category.
+     * @param {string} description The description of the category.
+     * @param {number} display_order Where the category appears among other categories.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the category record. 
      */
-    dictionaryLookup(layerId, labels, onResult) {
-      this.createRequest(
-        "lookup", {
-          layerId : layerId,
-          labels : labels
-        }, onResult, this.baseUrl+"api/dictionary/lookup").send();
+    updateCategory(class_id, category, description, display_order, onResult) {
+      if (class_id == "participant") class_id = "speaker";
+      this._createRequest(
+        "categories", null, onResult, this.baseUrl+"api/admin/categories", "PUT")
+        .send(JSON.stringify({
+          class_id : class_id,
+          category : category,
+          description : description,
+          display_order : display_order}));
     }
-
+    
     /**
-     * For HTK dictionary-filling, this uses a layer dictionary to suggest missing entries.
-     * @param {string} layerId The dictionary of this layer will be used.
-     * @param {string} labels Space-separated list of words to suggest entries for.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which will be: an object with the following structure:
-     * returned has the following structure:
-     * <ul>
-     *  <li><b> words </b> - object where each key is the word, and each value is a
-     *                       array of suggestions for that word (with 0 or 1 elements)
-     * </ul>
+     * Deletes an existing category record.
+     * @see LabbcatAdmin#createCategory
+     * @see LabbcatView#readCategories
+     * @see LabbcatAdmin#updateCategory
+     * @param {string} class_id What attributes the category applies to; "transcript" or
+     * "participant". 
+     * @param {string} category The name/ID of the category.
+     * @param {resultCallback} onResult Invoked when the request has completed.
      */
-    dictionarySuggest(layerId, labels, onResult) {
-      this.createRequest(
-        "suggest", {
-          layerId : layerId,
-          labels : labels
-        }, onResult, this.baseUrl+"api/dictionary/suggest").send();
+    deleteCategory(class_id, category, onResult) {
+      if (class_id == "participant") class_id = "speaker";
+      this._createRequest(
+        "categories", null, onResult,
+        `${this.baseUrl}api/admin/categories/${class_id}/${category}`,
+        "DELETE").send();
     }
-
+    
     /**
-     * Process with Praat.
-     * @param {file|string} csv The results file to upload. In a browser, this
-     * must be a file object, and in Node, it must be the full path to the file. 
-     * @param {int} transcriptColumn CSV column index of the transcript name. 
-     * @param {int} participantColumn CSV column index of the participant name. 
-     * @param {int} startTimeColumn CSV column index of the start time. 
-     * @param {int} endTimeColumn CSV column index of the end time name. 
-     * @param {number} windowOffset How much surrounsing context to include, in seconds.
-     * @param {boolean} passThroughData Whether to include all CSV columns from the
-     * input file in the output file. 
-     * @param {object} measurementParameters Parameters that define what to measure
-     * and output. All parameters are optional, and include:
-     * <dl>
-     *
-     * <dt> extractF1 (boolean) </dt><dd> Extract F1. (default: false) </dd>
-     * <dt> extractF2 (boolean) </dt><dd> Extract F2. (default: false) </dd>
-     * <dt> extractF3 (boolean) </dt><dd> Extract F3. (default: false) </dd>
-     * <dt> samplePoints (string) </dt><dd> Space-delimited series of real
-     *   numbers between 0 and 1, specifying the proportional time points to measure
-     *   formant at. e.g. "0.5" will measure only the mid-point, "0 0.2 0.4 0.6 0.8 1"
-     *   will measure six points evenly spread across the duration of the segment,
-     *   etc. (default: "0.5")</dd>
-     * <dt> formantCeilingDefault (int) </dt><dd> Maximum Formant by default. (default:
-     *   550) </dd>
-     * <dt> formantDifferentiationLayerId (string) </dt><dd> Participant attribute
-     *   layer ID for differentiating formant settings; this will typically be
-     *   "participant_gender" but can be any participant attribute layer. </dd>
-     * <dt> formantOtherPattern (string[]) </dt><dd> Array of regular expression
-     *   strings to match against the value of that attribute identified by
-     *   <var>formantDifferentiationLayerId</var>. If the participant's attribute value
-     *   matches the pattern for an element in this array, the corresponding element in
-     *   <var>formantCeilingOther</var> will be used for that participant. </dd>
-     * <dt> formantCeilingOther (int[]) </dt><dd> Values to use as the formant ceiling
-     *   for participants who's attribute value matches the corresponding regular
-     *   expression in <var>formantOtherPattern</var></dd>
-     * <dt> scriptFormant (string) </dt><dd> Formant extraction script command.
-     *   (default: "To Formant (burg)... 0.0025 5 formantCeiling 0.025 50") </dd>
-     * 
-     * <dt> useFastTrack (boolean) </dt><dd> Use the FastTrack plugin to generate
-     *   optimum, smoothed formant tracks. (default: false)</dd>
-     * <dt> fastTrackDifferentiationLayerId (string) </dt><dd> Participant attribute
-     *   layer ID for differentiating fastTrack settings; this will typically be
-     *   "participant_gender" but can be any participant attribute layer. </dd>
-     * <dt> fastTrackOtherPattern (string[]) </dt><dd> Array of regular expression
-     *   strings to match against the value of that attribute identified by
-     *   <var>fastTrackDifferentiationLayerId</var>. If the participant's attribute value
-     *   matches the pattern for an element in this array, the corresponding element in
-     *   <var>fastTrackCeilingOther</var> will be used for that participant. </dd>
-     * <dt> fastTrackLowestAnalysisFrequencyDefault (int) </dt><dd> Fast Track lowest
-     *   analysis frequency by default. </dd>
-     * <dt> fastTrackLowestAnalysisFrequencyOther (int[]) </dt><dd> Values to use as
-     *   the Fast Track lowest analysis frequency for participants who's attribute
-     *   value matches the corresponding regular expression in
-     *   <var>fastTrackOtherPattern</var>.</dd> 
-     * <dt> fastTrackHighestAnalysisFrequencyDefault (int) </dt><dd> Fast Track highest
-     *   analysis frequency by default. </dd>
-     * <dt> fastTrackHighestAnalysisFrequencyOther (int[]) </dt><dd> Values to use as
-     *   the Fast Track highest analysis frequency for participants who's attribute
-     *   value matches the corresponding regular expression in
-     *   <var>fastTrackOtherPattern</var>.</dd> 
-     * <dt> fastTrackTimeStep </dt>
-     *       <dd> Fast Track time_step global setting. </dd>
-     * <dt> fastTrackBasisFunctions </dt>
-     *       <dd> Fast Track basis_functions global setting - "dct". </dd>
-     * <dt> fastTrackErrorMethod </dt>
-     *       <dd> Fast Track error_method global setting - "mae". </dd>
-     * <dt> fastTrackTrackingMethod </dt>
-     *       <dd> Fast Track tracking_method parameter for trackAutoselectProcedure; "burg" or
-     *       "robust". </dd> 
-     * <dt> fastTrackEnableF1FrequencyHeuristic ("true" or "false") </dt>
-     *       <dd> Fast Track enable_F1_frequency_heuristic global setting. </dd>
-     * <dt> fastTrackMaximumF1FrequencyValue </dt>
-     *       <dd> Fast Track maximum_F1_frequency_value global setting. </dd>
-     * <dt> fastTrackEnableF1BandwidthHeuristic </dt>
-     *       <dd> Fast Track enable_F1_bandwidth_heuristic global setting. </dd>
-     * <dt> fastTrackMaximumF1BandwidthValue </dt>
-     *       <dd> Fast Track maximum_F1_bandwidth_value global setting. </dd>
-     * <dt> fastTrackEnableF2BandwidthHeuristic ("true" or "false") </dt>
-     *       <dd> Fast Track enable_F2_bandwidth_heuristic global setting. </dd>
-     * <dt> fastTrackMaximumF2BandwidthValue </dt>
-     *       <dd> Fast Track maximum_F2_bandwidth_value global setting. </dd>
-     * <dt> fastTrackEnableF3BandwidthHeuristic ("true" or "false") </dt>
-     *       <dd> Fast Track enable_F3_bandwidth_heuristic global setting.. </dd>
-     * <dt> fastTrackMaximumF3BandwidthValue </dt>
-     *       <dd> Fast Track maximum_F3_bandwidth_value global setting. </dd>
-     * <dt> fastTrackEnableF4FrequencyHeuristic ("true" or "false") </dt>
-     *       <dd> Fast Track enable_F4_frequency_heuristic global setting. </dd>
-     * <dt> fastTrackMinimumF4FrequencyValue </dt>
-     *       <dd> Fast Track minimum_F4_frequency_value global setting. </dd>
-     * <dt> fastTrackEnableRhoticHeuristic ("true" of "false") </dt>
-     *       <dd> Fast Track enable_rhotic_heuristic global setting. </dd>
-     * <dt> fastTrackEnableF3F4ProximityHeuristic </dt>
-     *       <dd> Fast Track enable_F3F4_proximity_heuristic global setting. </dd>
-     * <dt> fastTrackNumberOfSteps </dt>
-     *       <dd> Fast Track number of steps. </dd>
-     * <dt> fastTrackNumberOfCoefficients </dt>
-     *       <dd> Fast Track number of coefficients for the regression function. </dd>
-     * <dt> fastTrackNumberOfFormants </dt>
-     *       <dd> Fast Track number of formants. </dd>
-     * <dt> fastTrackCoefficients ("true" or "false") </dt>
-     *       <dd> Whether to return the regression coefficients from FastTrack. </dd>
-     * 
-     * <dt> extractMinimumPitch (boolean) </dt><dd> Extract minimum pitch. 
-     *   (default: false) </dd>
-     * <dt> extractMeanPitch (boolean) </dt><dd> Extract mean pitch. (default: false) </dd>
-     * <dt> extractMaximumPitch (boolean) </dt><dd> Extract maximum pitch. 
-     *   (default: false) </dd>
-     * <dt> pitchFloorDefault (int) </dt><dd> Pitch Floor by default. (default: 60) </dd>
-     * <dt> pitchCeilingDefault (int) </dt><dd> Pitch Ceiling by default. (default: 500) </dd>
-     * <dt> voicingThresholdDefault (number) </dt><dd> Voicing Threshold by default. 
-     *   (default: 0.5) </dd>
-     * <dt> pitchDifferentiationLayerId (string) </dt><dd> Participant attribute
-     *   layer ID for differentiating pitch settings; this will typically be
-     *   "participant_gender" but can be any participant attribute layer. </dd>
-     * <dt> pitchOtherPattern (string[]) </dt><dd> Array of regular expression
-     *   strings to match against the value of that attribute identified by
-     *   <var>pitchDifferentiationLayerId</var>. If the participant's attribute value
-     *   matches the pattern for an element in this array, the corresponding element in
-     *   <var>pitchFloorOther</var>, <var>pitchCeilingOther</var>, and
-     *   <var>voicingThresholdOther</var> will be used for that participant. </dd> 
-     * <dt> pitchFloorOther (int[]) </dt><dd> Values to use as the pitch floor
-     *   for participants who's attribute value matches the corresponding regular
-     *   expression in <var>pitchOtherPattern</var></dd>
-     * <dt> pitchCeilingOther (int[]) </dt><dd> Values to use as the pitch ceiling
-     *   for participants who's attribute value matches the corresponding regular
-     *   expression in <var>pitchOtherPattern</var></dd>
-     * <dt> voicingThresholdOther (int[]) </dt><dd> Values to use as the voicing threshold
-     *   for participants who's attribute value matches the corresponding regular
-     *   expression in <var>pitchOtherPattern</var></dd>
-     * <dt> scriptPitch (string) </dt><dd> Pitch extraction script command.
-     *   (default: 
-     * "To Pitch (ac)...  0 pitchFloor 15 no 0.03 voicingThreshold 0.01 0.35 0.14 pitchCeiling") </dd>
-     * 
-     * <dt> extractMaximumIntensity (boolean) </dt><dd> Extract maximum intensity. 
-     *   (default: false) </dd>
-     * <dt> intensityPitchFloorDefault (int) </dt><dd> Pitch Floor by default. 
-     *   (default: 60) </dd>
-     * <dt> intensityDifferentiationLayerId (string) </dt><dd> Participant attribute
-     *   layer ID for differentiating intensity settings; this will typically be
-     *   "participant_gender" but can be any participant attribute layer. </dd>
-     * <dt> intensityOtherPattern (string[]) </dt><dd> Array of regular expression
-     *   strings to match against the value of that attribute identified by
-     *   <var>intensityDifferentiationLayerId</var>. If the participant's attribute value
-     *   matches the pattern for an element in this array, the corresponding element in
-     *   <var>intensityPitchFloorOther</var> will be used for that participant. </dd> 
-     * <dt> intensityPitchFloorOther (int[]) </dt><dd> Values to use as the pitch floor
-     *   for participants who's attribute value matches the corresponding regular
-     *   expression in <var>intensityPitchOtherPattern</var></dd>
-     * <dt> scriptIntensity (string) </dt><dd> Pitch extraction script command.
-     *   (default: "To Intensity... intensityPitchFloor 0 yes") </dd>
-     * 
-     * <dt> extractCOG1 (boolean) </dt><dd> Extract COG 1. (default: false) </dd>
-     * <dt> extractCOG2 (boolean) </dt><dd> Extract COG 2. (default: false) </dd>
-     * <dt> extractCOG23 (boolean) </dt><dd> Extract COG 2/3. (default: false) </dd>
-     *
-     * <dt> script (string) </dt><dd> A user-specified custom Praat script to execute
-     *   on each segment. </dd> 
-     * <dt> attributes (string[]) </dt><dd> A list of participant attribute layer IDs
-     *   to include as variables for the custom Praat <var>script</var>. </dd> 
-     * </dl>
+     * Creates a new media track record.
+     * @see LabbcatAdmin#readMediaTracks
+     * @see LabbcatAdmin#updateTask
+     * @see LabbcatAdmin#deleteTask
+     * @param {string} suffix The suffix of the mediaTrack.
+     * @param {string} description The description of the mediaTrack.
+     * @param {int} display_order The position of the mediaTrack relative to other mediaTracks.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the mediaTrack record. 
+     */
+    createMediaTrack(suffix, description, display_order, onResult) {
+      this._createRequest(
+        "mediaTracks", null, onResult, this.baseUrl+"api/admin/mediatracks", "POST",
+        null, "application/json")
+        .send(JSON.stringify({
+          suffix : suffix,
+          description : description,
+          display_order: display_order}));
+    }
+    
+    /**
+     * Reads a list of media track records.
+     * @see LabbcatAdmin#createMediaTrack
+     * @see LabbcatAdmin#updateTask
+     * @see LabbcatAdmin#deleteTask
+     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
+     * records will be returned). 
+     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with one attribute,
-     * <var>threadId</var>. 
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * <var>result</var> which will be: A list of mediaTrack records with the following
+     * attributes:
+     * <dl>
+     *  <dt> suffix </dt> <dd> The suffix of the mediaTrack. </dd>
+     *  <dt> description </dt> <dd> The description of the mediaTrack. </dd>
+     *  <dt> display_order </dt> <dd> The position of the mediaTrack relative to other mediaTracks. </dd>
+     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
+     *    records returned from the server that can not currently be deleted; 
+     *    a string representing the reason the record can't be deleted. </dd>
+     * </dl>
      */
-    praat(
-      csv, transcriptColumn, participantColumn, startTimeColumn, endTimeColumn,
-      windowOffset, passThroughData, measurementParameters,
-      onResult, onProgress) {
-      
-      if (exports.verbose) {
-        console.log(
-          "praat("
-            +csv+", "+transcriptColumn+", "+participantColumn+", "
-            +startTimeColumn+", "+endTimeColumn+", "+windowOffset+", "
-            +passThroughData+", "+JSON.stringify(measurementParameters)+")");
+    readMediaTracks(pageNumber, pageLength, onResult) {
+      if (typeof pageNumber === "function") { // (onResult)
+        onResult = pageNumber;
+        pageNumber = null;
+        pageLength = null;
+      } else if (typeof l === "function") { // (p, onResult)
+        onResult = l;
+        pageLength = null;
       }
-
-      // create form
-      var fd = new FormData();
-      fd.append("transcriptColumn", transcriptColumn);
-      fd.append("participantColumn", participantColumn);
-      fd.append("startTimeColumn", startTimeColumn);
-      fd.append("endTimeColumn", endTimeColumn);
-      fd.append("windowOffset", windowOffset);
-      for (var parameter in measurementParameters) {
-        var value = measurementParameters[parameter];
-        if (Array.isArray(value)) {
-          for (var element of value) {
-            fd.append(parameter, element);
-          } // next element
-        } else { // simple value
-          fd.append(parameter, value);
-        }
-      } // next parameter
-
-      if (!runningOnNode) {	
-	fd.append("csv", csv);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "praat";
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);	        
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.open("POST", this.baseUrl + "api/praat");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-        var csvName = csv.replace(/.*\//g, "");
-        if (exports.verbose) console.log("csvName: " + csvName);
-	fd.append("csv", 
-		  fs.createReadStream(csv).on('error', function(){
-		    onResult(null, ["Invalid file: " + csvName], [], "praat", csvName);
-		  }), csvName);
-
-	var urlParts = parseUrl(this.baseUrl + "api/praat");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "api/praat");
-          }
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		//console.log('data ' + buffer);
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "getMatchAnnotations");
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "praat");
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
+      this._createRequest(
+        "mediaTracks", {
+          pageNumber:pageNumber,
+          pageLength:pageLength
+        }, onResult, this.baseUrl+"api/admin/mediatracks")
+        .send();
     }
     
     /**
-     * Concatenates annotation labels for given labels contained in given time intervals.
-     * @param {file|string} csv The results file to upload. In a browser, this
-     * must be a file object, and in Node, it must be the full path to the file. 
-     * @param {int} transcriptColumn CSV column index of the transcript name. 
-     * @param {int} participantColumn CSV column index of the participant name. 
-     * @param {int} startTimeColumn CSV column index of the start time. 
-     * @param {int} endTimeColumn CSV column index of the end time name.
-     * @param {string[]} layerId IDs of layers to extract.
-     * @param {boolean} passThroughData Whether to include all CSV
-     * columns from the input file in the output file. 
-     * @param {string} labelDelimiter Delimiter to use between
-     * labels. Defaults to a space " ". 
-     * @param {string} containment "entire" if the annotations must be
-     * entirely between the start and end times, "partial" if they can
-     * extend before the start or after the end.  
+     * Updates an existing media track record.
+     * @see LabbcatAdmin#createMediaTrack
+     * @see LabbcatAdmin#readMediaTracks
+     * @see LabbcatAdmin#deleteMediaTrack
+     * @param {string} suffix The suffix of the mediaTrack.
+     * @param {string} description The description of the mediaTrack.
+     * @param {int} display_order The position of the mediaTrack relative to other mediaTracks.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with one attribute,
-     * <var>threadId</var>. 
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * <var>result</var> which will be: A copy of the mediaTrack record. 
      */
-    intervalAnnotations(
-      csv, transcriptColumn, participantColumn, startTimeColumn, endTimeColumn, layerId,
-      passThroughData, labelDelimiter, containment,
-      onResult, onProgress) {
-      if (typeof passThroughData === "function") {
-        // (csv, transcriptColumn, participantColumn, startTimeColumn,
-        // endTimeColumn, layerId, onResult, onProgress)
-        onResult = passThroughData;
-        onProgress = labelDelimiter;
-        passThroughData = false;
-        labelDelimiter = " ";
-        containment = "entire";
-      }
-      
-      if (exports.verbose) {
-        console.log(
-          "intervalAnnotations("
-            +csv+", "+transcriptColumn+", "+participantColumn+", "
-            +startTimeColumn+", "+endTimeColumn+", "+JSON.stringif(layerIds)+", "
-            +passThroughData+", "+labelDelimiter+", "+containment+")");
+    updateMediaTrack(suffix, description, display_order, onResult) {
+      this._createRequest(
+        "mediaTracks", null, onResult, this.baseUrl+"api/admin/mediatracks", "PUT")
+        .send(JSON.stringify({
+          suffix : suffix,
+          description : description,
+          display_order: display_order}));
+    }
+    
+    /**
+     * Deletes an existing media track record.
+     * @see LabbcatAdmin#createMediaTrack
+     * @see LabbcatAdmin#readMediaTracks
+     * @see LabbcatAdmin#updateMediaTrack
+     * @param {string} suffix The suffix of the mediaTrack.
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    deleteMediaTrack(suffix, onResult) {
+      this._createRequest(
+        "mediaTracks", null, onResult, `${this.baseUrl}api/admin/mediatracks/${suffix}`,
+        "DELETE").send();
+    }
+    
+    /**
+     * Creates a new role record.
+     * @see LabbcatAdmin#readRoles
+     * @see LabbcatAdmin#updateRole
+     * @see LabbcatAdmin#deleteRole
+     * @param {string} role_id The name/ID of the role.
+     * @param {string} description The description of the role.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the role record, 
+     * including <em> role_id </em> - The database key for the record. 
+     */
+    createRole(role_id, description, onResult) {
+      this._createRequest(
+        "roles", null, onResult, this.baseUrl+"api/admin/roles", "POST",
+        null, "application/json")
+        .send(JSON.stringify({
+          role_id : role_id,
+          description : description}));
+    }
+    
+    /**
+     * Reads a list of role records.
+     * @see LabbcatAdmin#createRole
+     * @see LabbcatAdmin#updateRole
+     * @see LabbcatAdmin#deleteRole
+     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
+     * records will be returned). 
+     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of role records with the following
+     * attributes:
+     * <dl>
+     *  <dt> role_id </dt> <dd> The name/id of the role. </dd>
+     *  <dt> description </dt> <dd> The description of the role. </dd>
+     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
+     *    records returned from the server that can not currently be deleted; 
+     *    a string representing the reason the record can't be deleted. </dd>
+     * </dl>
+     */
+    readRoles(pageNumber, pageLength, onResult) {
+      if (typeof pageNumber === "function") { // (onResult)
+        onResult = pageNumber;
+        pageNumber = null;
+        pageLength = null;
+      } else if (typeof l === "function") { // (p, onResult)
+        onResult = l;
+        pageLength = null;
       }
+      this._createRequest(
+        "roles", {
+          pageNumber:pageNumber,
+          pageLength:pageLength
+        }, onResult, this.baseUrl+"api/admin/roles")
+        .send();
+    }
 
-      // create form
-      var fd = new FormData();
-      fd.append("transcriptColumn", transcriptColumn);
-      fd.append("participantColumn", participantColumn);
-      fd.append("startTimeColumn", startTimeColumn);
-      fd.append("endTimeColumn", endTimeColumn);
-      for (let l of layerId) fd.append("layerId", l);
-      fd.append("passThroughData", passThroughData);
-      fd.append("labelDelimiter", labelDelimiter);
-      fd.append("containment", containment);
-
-      if (!runningOnNode) {	
-	fd.append("csv", csv);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "intervalAnnotations";
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);	        
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.open("POST", this.baseUrl + "api/annotation/intervals");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-        var csvName = csv.replace(/.*\//g, "");
-        if (exports.verbose) console.log("csvName: " + csvName);
-	fd.append("csv", 
-		  fs.createReadStream(csv).on('error', function(){
-		    onResult(null, ["Invalid file: " + csvName], [], "praat", csvName);
-		  }), csvName);
-
-	var urlParts = parseUrl(this.baseUrl + "api/praat");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "api/annotation/intervals");
-          }
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		//console.log('data ' + buffer);
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "intervalAnnotations");
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "praat");
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
+    /**
+     * Iterates over the role records, fetching them a page at a time as they're needed.
+     * @see LabbcatAdmin#readRoles
+     * @param {IteratorOptions} [options] Options for fetching pages.
+     * @return {AsyncIterable} The role records - see
+     * {@link LabbcatAdmin#readRoles} - for use with <code>for await</code>.
+     */
+    iterateRoles(options) {
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.readRoles(pageNumber, pageLength, requestOptions), options);
     }
     
     /**
-     * Supplies a list of automation tasks for the identified annotator.
-     * @param {string} annotatorId The ID of the annotator that will perform the task.
+     * Updates an existing role record.
+     * @see LabbcatAdmin#createRole
+     * @see LabbcatAdmin#readRoles
+     * @see LabbcatAdmin#deleteRole
+     * @param {string} role_id The name/ID of the role.
+     * @param {string} description The description of the role.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>, which is a map of task IDs to descriptions.
+     * <var>result</var> which will be: A copy of the role record. 
      */
-    getAnnotatorTasks(annotatorId, onResult) {
-      this.createRequest(
-        "getAnnotatorTasks", {
-          annotatorId: annotatorId
-        }, onResult)
-        .send();
+    updateRole(role_id, description, onResult) {
+      this._createRequest(
+        "roles", null, onResult, this.baseUrl+"api/admin/roles", "PUT")
+        .send(JSON.stringify({
+          role_id : role_id,
+          description : description}));
     }
     
     /**
-     * Supplies the given task's parameter string.
-     * @param {string} taskId The ID of the task, which must not already exist.
+     * Deletes an existing role record.
+     * @see LabbcatAdmin#createRole
+     * @see LabbcatAdmin#readRoles
+     * @see LabbcatAdmin#updateRole
+     * @param {string} role_id The name/ID of the role.
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    deleteRole(role_id, onResult) {
+      this._createRequest(
+        "roles", null, onResult, `${this.baseUrl}api/admin/roles/${role_id}`,
+        "DELETE").send();
+    }
+    
+    /**
+     * Creates a new role permission record.
+     * @see LabbcatAdmin#readRolePermissions
+     * @see LabbcatAdmin#updateRolePermission
+     * @see LabbcatAdmin#deleteRolePermission
+     * @param {string} role_id The name/ID of the role.
+     * @param {string} entity A string indentifying the entities the permission
+     * applies to.
+     * @param {string} layer The ID of a  a transcript attribute layer (or "corpus")
+     * the label of which determines the access.
+     * @param {string} value_pattern A regular expression; if the value of the
+     * label identified by <var> layer </var> matches this pattern, then
+     * access to the entities identfied by <var> entity </var> is granted.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>, which is the task parameters, serialized as a string.
+     * <var>result</var> which will be: A copy of the role permission record, 
+     * including <em> rolePermission_id </em> - The database key for the record. 
      */
-    getAnnotatorTaskParameters(taskId, onResult) {
-      this.createRequest(
-        "getAnnotatorTaskParameters", {
-          taskId: taskId
-        }, onResult)
-        .send();
+    createRolePermission(role_id, entity, layer, value_pattern, onResult) {
+      this._createRequest(
+        "rolePermissions", null, (permission, errors, messages, call, id) => {
+          if (permission) {
+            // attribute_name -> layer
+            if (permission.attribute_name == "corpus") {
+              permission.layer = permission.attribute_name;
+            } else {
+              permission.layer = "transcript_" + permission.attribute_name;
+            }
+          }
+          if (onResult) onResult(permission, errors, messages, call, id);
+        }, this.baseUrl+"api/admin/roles/permissions", "POST",
+        null, "application/json")
+        .send(JSON.stringify({
+          role_id : role_id,
+          entity : entity,
+          attribute_name : layer.replace(/^transcript_/,""), // layer -> attribute_name
+          value_pattern : value_pattern}));
     }
     
     /**
-     * Reads a list of category records.
-     * @param {string} class_id What attributes to read; "transcript" or "participant". 
+     * Reads a list of role permission records for a given user role.
+     * @see LabbcatAdmin#createRolePermission
+     * @see LabbcatAdmin#updateRolePermission
+     * @see LabbcatAdmin#deleteRolePermission
+     * @param {string} role_id The name/ID of the role.
      * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
      * records will be returned). 
      * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of category records with the following
+     * <var>result</var> which will be: A list of role permission records with the following
      * attributes:
      * <dl>
-     *  <dt> class_id </dt> <dd> The class_id of the category. </dd>
-     *  <dt> category </dt> <dd> The name/id of the category. </dd>
-     *  <dt> description </dt> <dd> The description of the category. </dd>
-     *  <dt> display_order </dt> <dd> Where the category appears among other categories. </dd>
+     *  <dt> role_id </dt> <dd> The name/id of the rolePermission. </dd>
+     *  <dt> entity </dt> <dd> A string indentifying the entities the permission
+     *    applies to. </dd>
+     *  <dt> layer </dt> <dd> The ID of a  a transcript attribute layer (or "corpus")
+     *    the label of which determines the access. </dd>
+     *  <dt> value_pattern </dt> <dd> A regular expression; if the value of the
+     *    label identified by <var> layer </var> matches this pattern, then
+     *    access to the entities identfied by <var> entity </var> is granted. </dd>
+     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
+     *    records returned from the server that can not currently be deleted; 
+     *    a string representing the reason the record can't be deleted. </dd>
      * </dl>
      */
-    readOnlyCategories(class_id, pageNumber, pageLength, onResult) {
+    readRolePermissions(role_id, pageNumber, pageLength, onResult) {
       if (typeof pageNumber === "function") { // (onResult)
         onResult = pageNumber;
         pageNumber = null;
@@ -2947,3363 +6998,3014 @@
         onResult = l;
         pageLength = null;
       }
-      if (class_id == "participant") class_id = "speaker";
-      this.createRequest(
-        `categories/${class_id}`, {
+      this._createRequest(
+        "rolePermissions", {
           pageNumber:pageNumber,
           pageLength:pageLength
-        }, onResult, `${this.baseUrl}api/categories/${class_id}`)
+        }, (permissions, errors, messages, call, id) => {
+          if (permissions) {
+            // attribute_name -> layer
+            for (var permission of permissions) {
+              if (permission.attribute_name == "corpus") {
+                permission.layer = permission.attribute_name;
+              } else {
+                permission.layer = "transcript_" + permission.attribute_name;
+              }
+            }
+          }
+          if (onResult) onResult(permissions, errors, messages, call, id);
+        }, `${this.baseUrl}api/admin/roles/permissions/${role_id}`)
         .send();
     }
-
+    
     /**
-     * Reads the current license agreement (HTML) document.
+     * Updates an existing role permission record.
+     * @see LabbcatAdmin#createRolePermission
+     * @see LabbcatAdmin#readRolePermissions
+     * @see LabbcatAdmin#deleteRolePermission
+     * @param {string} role_id The name/ID of the role.
+     * @param {string} entity A string indentifying the entities the permission
+     * applies to.
+     * @param {string} layer The ID of a  a transcript attribute layer (or "corpus")
+     * the label of which determines the access.
+     * @param {string} value_pattern A regular expression; if the value of the
+     * label identified by <var> layer </var> matches this pattern, then
+     * access to the entities identfied by <var> entity </var> is granted.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be a string containing the HTML document.
+     * <var>result</var> which will be: A copy of the role permission record. 
      */
-    readAgreement(onResult) {
-      this.createRequest(
-        "readAgreement", null, onResult, `${this.baseUrl}agreement.html`, "GET", null, null, true)
-        .send();
+    updateRolePermission(role_id, entity, layer, value_pattern, onResult) {
+      var permission = this._createRequest(
+        "rolePermissions", null, (permission, errors, messages, call, id) => {
+          if (permission) {
+            // attribute_name -> layer
+            if (permission.attribute_name == "corpus") {
+              permission.layer = permission.attribute_name;
+            } else {
+              permission.layer = "transcript_" + permission.attribute_name;
+            }
+          }
+          if (onResult) onResult(permission, errors, messages, call, id);
+        }, this.baseUrl+"api/admin/roles/permissions", "PUT")
+          .send(JSON.stringify({
+            role_id : role_id,
+            entity : entity,
+            attribute_name : layer.replace(/^transcript_/,""), // layer -> attribute_name
+            value_pattern : value_pattern}));
     }
     
     /**
-     * Gets the transcript of a given utterance, for possible correction suggestion using
-     * {@link #utteranceSuggestion}.
-     * @param {string} transcriptId The ID of the transcript.
-     * @param {string} utteranceId The utterance's ID.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> with a "text" attribute, which is the plain-text
-     * representation of the utterance, including word annotations and possibly
-     * noise, comment, pronunciation etc. annotations using the configured transcript
-     * conventions.
+     * Deletes an existing role permission record.
+     * @see LabbcatAdmin#createRolePermission
+     * @see LabbcatAdmin#readRolePermissions
+     * @see LabbcatAdmin#updateRolePermission
+     * @param {string} rolePermission_id The name/ID of the rolePermission.
+     * @param {resultCallback} onResult Invoked when the request has completed.
      */
-    utteranceForSuggestion(transcriptId, utteranceId, onResult) {
-      this.createRequest(
-        "utteranceForSuggestion", {
-          transcriptId : transcriptId,
-          utteranceId : utteranceId
-        }, onResult, this.baseUrl+"api/utterance/correction").send();
+    deleteRolePermission(role_id, entity, onResult) {
+      this._createRequest(
+        "rolePermissions", null, onResult, `${this.baseUrl}api/admin/roles/permissions/${role_id}/${entity}`,
+        "DELETE").send();
     }
     
     /**
-     * Submits a suggestion for correction of the transcript of a given utterance.
-     * @param {string} transcriptId The ID of the transcript.
-     * @param {string} utteranceId The utterance's ID.
-     * @param {string} text The corrected version of the transcript for the utterance.
-     * This may include noise, comment, pronunciation etc. annotations using the
-     * configured transcript conventions.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> with a "threadId" attribute, which is the ID of the task
-     * regenerating layers based on the new transcript.
+     * Reads a list of system attribute records.
+     * @see LabbcatAdmin#updateSystemAttribute
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of system attribute records with the following
+     * attributes:
+     * <dl>
+     *  <dt> attribute </dt> <dd> ID of the attribute. </dd>
+     *  <dt> type </dt> <dd> The type of the attribute - "string", "integer",
+     *                       "boolean", "select", etc. </dd>
+     *  <dt> style </dt> <dd> Style definition which depends on <var> type </var> -
+     *                        e.g. whether the "boolean" is shown as a checkbox or
+     *                        radio buttons, etc. </dd>
+     *  <dt> label </dt> <dd> User-facing label for the attribute. </dd>
+     *  <dt> description </dt> <dd> User-facing (long) description for the attribute. </dd>
+     *  <dt> options </dt> <dd> If <var> type </var> is "select", this is an object
+     *                          defining the valid options for the attribute, where
+     *                          the attribute key is the attribute value and the attribute
+     *                          value is the user-facing label for the option. </dd>
+     *  <dt> value </dt> <dd> The value of the attribute. </dd>
+     * </dl>
      */
-    utteranceSuggestion(transcriptId, utteranceId, text, onResult) {
-      this.createRequest(
-        "utterance/correction", null, onResult, null, "POST", // TODO should be PUT
-        this.baseUrl+"api/", "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          transcriptId : transcriptId,
-          utteranceId : utteranceId,
-          text : text
-        }));
+    readSystemAttributes(onResult) {
+      this._createRequest(
+        "systemattributes", null, onResult, this.baseUrl+"api/admin/systemattributes")
+        .send();
     }
     
-  } // class LabbcatView
-
-  // LabbcatEdit class - read/write "edit" access
-
-  /**
-   * Read/write interaction with LaBB-CAT corpora, based on the  
-   * <a href="https://nzilbb.github.io/ag/javadoc/nzilbb/ag/IGraphStore.html">nzilbb.ag.IGraphStore</a>.
-   * interface.
-   * <p>This class inherits the <em>read-only</em> operations of LabbcatView
-   * and adds some <em>write</em> operations for updating data.
-   * @example
-   * // create annotation store client
-   * const store = new LabbcatEdit("https://labbcat.canterbury.ac.nz", "demo", "demo");
-   * // get a corpus
-   * store.getCorpusIds((corpora, errors, messages, call)=>{ 
-   *     console.log("transcripts in: " + corpora[0]); 
-   *     store.getTranscriptIdsInCorpus(corpora[0], (ids, errors, messages, call, id)=>{ 
-   *         console.log("Deleting all transcripts in " + id));
-   *         for (i in ids) {
-   *           store.deleteTranscript(ids[i], (ids, errors, messages, call, id)=>{ 
-   *               console.log("deleted " + id);
-   *             });
-   *         }
-   *       });
-   *   });
-   * @extends LabbcatView
-   * @author Robert Fromont robert@fromont.net.nz
-   */
-  class LabbcatEdit extends LabbcatView{
-    
-    /**
-     * The graph store URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/edit/store/
-     */
-    get storeEditUrl() {
-      return this._storeEditUrl;
-    }
-    /** 
-     * Create a store client 
-     * @param {string} baseUrl The LaBB-CAT base URL (i.e. the address of the 'home' link)
-     * @param {string} username The LaBB-CAT user name.
-     * @param {string} password The LaBB-CAT password.
-     */
-    constructor(baseUrl, username, password) {
-      super(baseUrl, username, password);
-      this._storeEditUrl = this.baseUrl + "api/edit/store/";
-    }
-
     /**
-     * Saves changes to the given transcript annotation graph object, which was
-     * previously returned from {@link #getTranscript}. 
-     * <em>NB</em> this not be confused with the methods that upload a file:
-     * {@link #newTranscript} and {@link #updateTranscript}.
-     * <em>NB</em> Currently only transcript attributes can be updated.
-     * <p> The graph can be partial e.g. include only some of the layers that the
-     * stored version of the transcript contains. 
-     * @param transcript The transcript to save.
+     * Updates an existing system attribute record.
+     * @see LabbcatAdmin#readSystemAttributes
+     * @param {string} attribute The ID of the attribute.
+     * @param {string} value The value of the attribute.
      * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: true if changes were saved, false if there
-     * were no changes to save.
-     * @see LabbcatView#getTranscript
+     * <var>result</var> which will be: A copy of the system attribute record. 
      */
-    saveTranscript(transcript, onResult) {
-      this.createRequest(
-        "saveTranscript", null, onResult, null, "POST",
-        this.storeEditUrl, "application/json")
-        .send(JSON.stringify(transcript));
+    updateSystemAttribute(attribute, value, onResult) {
+      this._createRequest(
+        "systemattributes", null, onResult, this.baseUrl+"api/admin/systemattributes", "PUT")
+        .send(JSON.stringify({
+          attribute : attribute,
+          value : value}));
     }
     
     /**
-     * Saves the given media for the given transcript
-     * @param {string} id The transcript ID
-     * @param {file|string} media The media to upload. In a browser, this must be
-     * a file object, and in Node, it must be the full path to the file.
-     * @param {string} trackSuffix The track suffix of the media.
-     * @param {resultCallback} onResult Invoked when the request has returned a result.
-     * @param onProgress Invoked on XMLHttpRequest progress.
-     */
-    saveMedia(id, media, trackSuffix, onResult, onProgress) {
-      if (typeof trackSuffix === "function") {
-        // (id, mediaUrl, onResult, onProgress)
-        onProgress = onResult;
-        onResult = trackSuffix;
-        trackSuffix = null;
-      }
-      if (exports.verbose) {
-        console.log("saveMedia(" + id + ", " + media + ", " + trackSuffix + ")");
-      }
-      
-      // create form
-      var fd = new FormData();
-      fd.append("id", id);
-      if (trackSuffix) fd.append("trackSuffix", trackSuffix);
-      
-      if (!runningOnNode) {
-	fd.append("media", media);
-        
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "saveMedia";
-	xhr.id = id;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = id; // for knowing what status to update during events
-	
-	xhr.open("POST", this._storeEditUrl + "saveMedia");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
+     * Uploads an annotator module in preparation for installing it.
+     * @param {string|file} jarFile Annotator .jar file.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object describing the attributes of the
+     * annotator found in the jar file:
+     * <dl>
+     *  <dt> jar </dt><dd> The name of the file uploaded. </dd>
+     *  <dt> annotatorId </dt><dd> The ID of the annotator. </dd>
+     *  <dt> version </dt><dd> The version of the annotator implementation. </dd>
+     *  <dt> installedVersion </dt><dd> The version of the annotator that this one will 
+     *         replace, if the annotator ID has already been installed. </dd> 
+     *  <dt> hasConfigWebapp </dt><dd> Whether the annotator has a
+     *         installation/configuration web-app. </dd>
+     *  <dt> hasTaskWebapp </dt><dd> Whether the annotator has a task definition
+     *         web-app. </dd>
+     *  <dt> hasExtWebapp </dt><dd> Whether the annotator has an 'extensions' web-app. </dd>
+     *  <dt> info </dt><dd> HTML document describing the annotator. </dd>
+     * </dl>
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    uploadAnnotator(jarFile, onResult, onProgress) {
+      var jarName = typeof jarFile == "string" ? jarFile.replace(/.*\//g, "") : jarFile.name;
+      var createForm = () => { // called for each attempt
+	var fd = new Form();
 	// on node.js, files are actually paths
-	var mediaName = media.replace(/.*\//g, "");
-        if (exports.verbose) console.log("mediaName: " + mediaName);
-        
-	fd.append("media", 
-		  fs.createReadStream(media).on('error', function(){
-		    onResult(null, ["Invalid media: " + mediaName], [], "saveMedia", id);
-		  }), mediaName);
-        var urlParts = parseUrl(this._storeEditUrl + "saveMedia");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat._storeEditUrl + "saveMedia");
-          }
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		//console.log('data ' + buffer);
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "saveMedia", id);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "saveMedia", id);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
+	if (!fd.appendFile("jarFile", jarFile, jarName)) {
+	  onResult(null, ["Invalid jar: " + jarFile], [], "uploadAnnotator", jarFile);
+	  return null;
+	}
+        return fd;
+      };
+      
+      this._submitForm(
+        "uploadAnnotator", jarName, this.baseUrl + "admin/annotator", createForm, onResult, onProgress);
     }
     
     /**
-     * Saves the given source file (transcript) for the given transcript.
-     * @param {string} id The transcript ID
-     * @param {string} url A URL to the transcript.
-     * @param {resultCallback} onResult Invoked when the request has returned a result.
+     * Uploads an annotator module in preparation for installing it.
+     * @param {string} jar Name of the annotator .jar file already uploaded, as
+     * specified by the "jar" attribute of the uploadAnnotator() response. 
+     * @param {boolean} install true to install the annotator, false to cancel the
+     * installation. 
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: the annotator ID if it was installed, and null 
+     * otherwise.
      */
-    saveSource(id, url, onResult) { // TODO
+    installAnnotator(jar, install, onResult) {
+      this._createRequest(
+        "installAnnotator", null, onResult, this.baseUrl+"admin/annotator",
+        "POST", // not GET, because the number of parameters can make the URL too long
+        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          jar : jar,
+          action : install?"install":"cancel"
+        }));
     }
 
     /**
-     * Saves the given document for the episode of the given transcript.
-     * @param {string} id The transcript ID
-     * @param {file|string} document The document to upload. In a browser, this must be
-     * a file object, and in Node, it must be the full path to the file.
-     * @param {resultCallback} onResult Invoked when the request has returned a result.
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Uploads an annotator module in preparation for installing it.
+     * @param {string} annotatorId ID of the annotator to uninstall.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var>.
      */
-    saveEpisodeDocument(id, document, onResult, onProgress) {
-      if (exports.verbose) {
-        console.log("saveEpisodeDocument(" + id + ", " + document + ")");
-      }
-      
-      // create form
-      var fd = new FormData();
-      fd.append("id", id);
-      
-      if (!runningOnNode) {
-	fd.append("document", document);
-        
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "saveEpisodeDocument";
-	xhr.id = id;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = id; // for knowing what status to update during events
-	
-	xhr.open("POST", this._storeEditUrl + "saveEpisodeDocument");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
-	// on node.js, files are actually paths
-	var docName = document.replace(/.*\//g, "");
-        if (exports.verbose) console.log("docName: " + docName);
-        
-	fd.append("document", 
-		  fs.createReadStream(document).on('error', function(){
-		    onResult(null, ["Invalid document: " + docName],[],"saveEpisodeDocument",id);
-		  }), docName);
-        var urlParts = parseUrl(this._storeEditUrl + "saveEpisodeDocument");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat._storeEditUrl + "saveEpisodeDocument");
-          }
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		//console.log('data ' + buffer);
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "saveEpisodeDocument", id);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText],[],"saveEpisodeDocument",id);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
+    uninstallAnnotator(annotatorId, onResult) {
+      this._createRequest(
+        "uninstallAnnotator", null, onResult, this.baseUrl+"admin/annotator",
+        "POST", // not GET, because the number of parameters can make the URL too long
+        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          annotatorId : annotatorId,
+          action : "uninstall"
+        }));
     }
-    
+
     /**
-     * Delete a given media or episode document file.
-     * @param {string} id The transcript ID
-     * @param {string} fileName The media file name, e.g. mediaFile.name.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Create a new annotator task with the given ID and description.
+     * @param {string} annotatorId The ID of the annotator that will perform the task.
+     * @param {string} taskId The ID of the task, which must not already exist.
+     * @param {string} description The description of the task.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var>.
      */
-    deleteMedia(id, fileName, onResult) {
-      this.createRequest(
-        "deleteMedia", null, onResult, null, "POST",
-        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({id : id, fileName : fileName}));
+    newAnnotatorTask(annotatorId, taskId, description, onResult) {
+      this._createRequest(
+        "newAnnotatorTask", null, onResult, null, "POST",
+        this.storeAdminUrl+"newAnnotatorTask",
+        "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          annotatorId: annotatorId,
+          taskId: taskId,
+          description: description
+        }));
     }
-
+    
     /**
-     * Deletes the given transcript, and all associated media, from the graph store.
-     * @param {string} id The transcript ID
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Update the annotator task description.
+     * @param {string} taskId The ID of the task, which must not already exist.
+     * @param {string} description The description of the task.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var>.
      */
-    deleteTranscript(id, onResult) {
-      this.createRequest(
-        "deleteTranscript", null, onResult, null, "POST",
-        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({id : id}));
+    saveAnnotatorTaskDescription(taskId, description, onResult) {
+      this._createRequest(
+        "saveAnnotatorTaskDescription", null, onResult, null, "POST",
+        this.storeAdminUrl+"saveAnnotatorTaskDescription",
+        "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          taskId: taskId,
+          description: description
+        }));
     }
-
+    
     /**
-     * Saves a participant, and all its tags, to the graph store.
-     * To change the ID of an existing participant, pass the old/current ID as the
-     * <var>id</var>, and pass the new ID as the <var>label</var>.
-     * If the participant ID does not already exist in the database, a new participant record
-     * is created. 
-     * @param {string} id The participant ID - either the unique internal database ID,
-     * or their name. 
-     * @param {string} label The new ID (name) for the participant
-     * @param {object} attributes Participant attribute values - the names are the
-     * participant attribute layer IDs, and the values are the corresponding new
-     * attribute values. The pass phrase for participant access can also be set by
-     * specifying a "_password" attribute.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Update the annotator task parameters.
+     * @param {string} taskId The ID of the task, which must not already exist.
+     * @param {string} parameters The task parameters, serialized as a string.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var>.
      */
-    saveParticipant(id, label, attributes, onResult) {
-      attributes["id"] = id;
-      attributes["label"] = label;
-      this.createRequest(
-        "saveParticipant", null, onResult, null, "POST",
-        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString(attributes));
+    saveAnnotatorTaskParameters(taskId, parameters, onResult) {
+      this._createRequest(
+        "saveAnnotatorTaskParameters", null, onResult, null, "POST",
+        this.storeAdminUrl+"saveAnnotatorTaskParameters",
+        "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          taskId: taskId,
+          parameters: parameters
+        }));
     }
+    
     /**
-     * Deletes the given participan, and all assciated meta-data, from the graph store.
-     * @param {string} id The participant ID
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Delete the identified automation task.
+     * @param {string} taskId The ID of the task, which must not already exist.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var>.
      */
-    deleteParticipant(id, onResult) {
-      this.createRequest(
-        "deleteParticipant", null, onResult, null, "POST",
-        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({id : id}));
+    deleteAnnotatorTask(taskId, onResult) {
+      this._createRequest(
+        "deleteAnnotatorTask", null, onResult, null, "POST",
+        this.storeAdminUrl+"deleteAnnotatorTask",
+        "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          taskId: taskId
+        }));
     }
-
+    
     /**
-     * Upload a transcript file and associated media files, as the first stage in adding or
-     * modifying a transcript to LaBB-CAT. The second stage is {@link #transcriptUploadParameters}
-     * @param {file|string} transcript The transcript to upload. In a browser, this
-     * must be a file object, and in Node, it must be the full path to the file. 
-     * @param {string|object} media The media to upload, if any. This can be a single
-     * file, or a map of  track suffixes to media files to upload for that track. In a
-     * browser, attribute values must be arrays of file objects, and in Node, they must be
-     * arrays of strings representing the full path to the file.
-     * @param merge Whether the upload corresponds to updates to an existing transcript
-     * (true) or a new transcript (false).
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is and object that has the following attributes:
+     * Uploads an transcriber module in preparation for installing it.
+     * @param {string|file} jarFile Transcriber .jar file.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: An object describing the attributes of the
+     * transcriber found in the jar file:
      * <dl>
-     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
-     *          calling {@link #transcriptUploadParameters}. </dd>
-     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
-     *          require values to be passed into {@link #transcriptUploadParameters}. 
-     *          The <q>parameters</q> returned may include both information
-     *          required by the format deserializer (e.g. mappings from tiers to LaBB-CAT
-     *          layers) and also general information required by LaBB-CAT (e.g. the
-     *          corpus, episode, and type of the transcript). 
-     *                 </dd>
-     * <p> Each parameter may contain the following attributes:
-     *  <dl>
-     *   <dt> name </dt>
-     *       <dd> The name that should be used when specifying the value for the parameter
-     *        when calling {@link #transcriptUploadParameters}. </dd> 
-     *   <dt> label </dt>
-     *       <dd> A label for the parameter intended for display to the user.</dd> 
-     *   <dt> hint </dt>
-     *       <dd> A description of the purpose of the parameter, for display to the user.</dd> 
-     *   <dt> type </dt>
-     *       <dd> The type of the parameter, e.g. <q>String</q>, <q>Double</q>, <q>Integer</q>,  
-     *         <q>Boolean</q>.</dd> 
-     *   <dt> required </dt>
-     *       <dd> <tt>true</tt> if the value must be specified, <tt>false</tt> if it is optional.</dd> 
-     *   <dt> value </dt>
-     *       <dd> A default value for the parameter.</dd> 
-     *   <dt> possibleValues </dt>
-     *       <dd> A list of possible values, if the possibilities are limited to a finite set.</dd> 
-     *  </dl>
-     * <p> The required parameters may include both information
-     * required by the format deserializer (e.g. mappings from tiers to LaBB-CAT layers) 
-     * and also general information required by LaBB-CAT, such as:
-     *  <dl>
-     *   <dt> labbcat_corpus </dt>
-     *       <dd> The corpus the new transcript(s) belong(s) to. </dd> 
-     *   <dt> labbcat_episode </dt>
-     *       <dd> The episode the new transcript(s) belong(s) to. </dd> 
-     *   <dt> labbcat_transcript_type </dt>
-     *       <dd> The transcript type for the new transcript(s). </dd> 
-     *   <dt> labbcat_generate </dt>
-     *       <dd> Whether to re-regenerate layers of automated annotations or not. </dd> 
-     *  </dl> 
-     * @param onProgress Invoked on XMLHttpRequest progress.
-     */
-    transcriptUpload(transcript, media, merge, onResult, onProgress) {
-      if (typeof media === "boolean") {
-        // (transcript, merge, onResult, onProgress)
-        onProgress = onResult;
-        onResult = merge;
-        merge = media;
-        media = null;
-      }
-      if (exports.verbose) {
-        console.log("transcriptUpload(" + transcript + ", " + media + ", " + merge + ")");
-      }
-      // create form
-      var fd = new FormData();
-      fd.append("merge", ""+(merge?true:false));
-      
-      if (!runningOnNode) {	
-        
-	fd.append("transcript", transcript);
-	if (media) {
-          if (typeof media != "object") media = { "" : [media] }; // convert to track->array map
-          for (var trackSuffix of Object.keys(media)) {
-            var files = media[trackSuffix];
-            if (files) {
-	      if (files.constructor === Array) { // multiple files
-	        for (var f in files) {
-	          fd.append("media"+trackSuffix, files[f]);
-	        } // next file
-              } else { // a single file
-	        fd.append("media"+trackSuffix, files);
-	      }
-            }
-          } // next track suffix
-	} // media to upload
-        
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "transcriptUpload";
-	xhr.id = transcript.name;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = transcript.name; // for knowing what status to update during events
-	
-	xhr.open("POST", this.baseUrl + "api/edit/transcript/upload");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
+     *  <dt> jar </dt><dd> The name of the file uploaded. </dd>
+     *  <dt> transcriberId </dt><dd> The ID of the transcriber. </dd>
+     *  <dt> version </dt><dd> The version of the transcriber implementation. </dd>
+     *  <dt> installedVersion </dt><dd> The version of the transcriber that this one will 
+     *         replace, if the transcriber ID has already been installed. </dd> 
+     *  <dt> hasConfigWebapp </dt><dd> Whether the transcriber has a
+     *         installation/configuration web-app. </dd>
+     *  <dt> info </dt><dd> HTML document describing the transcriber. </dd>
+     * </dl>
+     * @param onProgress Invoked on upload progress, if the {@link Transport} reports it.
+     */
+    uploadTranscriber(jarFile, onResult, onProgress) {
+      var jarName = typeof jarFile == "string" ? jarFile.replace(/.*\//g, "") : jarFile.name;
+      var createForm = () => { // called for each attempt
+	var fd = new Form();
 	// on node.js, files are actually paths
-	var transcriptName = transcript.replace(/.*\//g, "");
-        if (exports.verbose) console.log("transcriptName: " + transcriptName);
-
-	fd.append(
-          "transcript", 
-	  fs.createReadStream(transcript).on('error', function(){
-	    onResult(
-              null, ["Invalid transcript: " + transcriptName], [], "transcriptUpload", transcriptName);
-	  }), transcriptName);
-        
-        if (media) {
-          console.log("media " + JSON.stringify(media));
-          if (typeof media == "string") media = { "" : [media] }; // convert to track->array map
-          for (var trackSuffix in media) {
-            var files = media[trackSuffix];
-            if (files) {
-	      if (files.constructor === Array) { // multiple files
-	        for (var f in files) {
-	          var mediaName = files[f].replace(/.*\//g, "");
-	          try {
-		    fd.append(
-                      "media"+trackSuffix, 
-		      fs.createReadStream(files[f]).on('error', function(x){
-		        onResult(
-                          null, ["Invalid media: " + mediaName], [], "transcriptUpload", transcriptName);
-		      }), mediaName);
-	          } catch(error) {
-		    onResult(
-                      null, ["Invalid media: " + mediaName, error.code], [], "transcriptUpload", 
-                      transcriptName);
-		    return;
-	          }
-	        } // next file
-              } else { // a single file
-	        var mediaName = files.replace(/.*\//g, "");
-	        try {
-	          fd.append(
-                    "media"+trackSuffix, 
-		    fs.createReadStream(files).on('error', function(){
-		      onResult(null, ["Invalid media: " + mediaName], [], "transcriptUpload", transcriptName);
-		    }), mediaName);
-	        } catch(error) {
-		  onResult(
-                    null, ["Invalid media: " + mediaName, error.code], [], "transcriptUpload", 
-                    transcriptName);
-		  return;
-	        }
-	      } // single file
-            } // there are files in this track
-          } // next track suffix
-        } // media is specified
-	var urlParts = parseUrl(this.baseUrl + "api/edit/transcript/upload");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-        if (exports.verbose) console.log("urlParts " + JSON.stringify(urlParts));
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "api/edit/transcript/upload");
-          }
-          if (exports.verbose) console.log("fd.submit " + JSON.stringify(requestParameters));
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "transcriptUpload", transcriptName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "transcriptUpload", transcriptName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-    } // transcriptUpload
+	if (!fd.appendFile("jarFile", jarFile, jarName)) {
+	  onResult(null, ["Invalid jar: " + jarFile], [], "uploadTranscriber", jarFile);
+	  return null;
+	}
+        return fd;
+      };
+      
+      this._submitForm(
+        "uploadTranscriber", jarName, this.baseUrl + "admin/transcriber", createForm, onResult, onProgress);
+    }
     
     /**
-     * The second part of a transcript upload process started by a call to
-     * {@link #transcriptUpload}, which specifies values for the parameters
-     * required to save the uploaded transcript to LaBB-CAT's database. 
-     * <p> If the response includes more parameters, then this method should be called again
-     * to supply their values.
-     * @param {string} id Upload ID returned by the prior call to {@link #transcriptUpload}.
-     * @param {object} parameters Object with an attribute and value for each parameter
-     * returned by the prior call to {@link #transcriptUpload}.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is and object that has the following attributes:
-     * <dl>
-     *  <dt> transcripts </dt> <dd> an object for which each key is a transcript name, and its 
-     *          value is the threadId of the server task processing the uploaded transcript, 
-     *          which can be passed to {@link LabbcatView#taskStatus} to monitor progress. </dd>
-     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
-     *          calling {@link #transcriptUploadParameters} (if parameters are returned). </dd>
-     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
-     *          still require values. </dd>
-     * <p> If parameters are returned, they have the same structure as those returned by 
-     * {@link #transcriptUpload}
+     * Uploads an transcriber module in preparation for installing it.
+     * @param {string} jar Name of the transcriber .jar file already uploaded, as
+     * specified by the "jar" attribute of the uploadTranscriber() response. 
+     * @param {boolean} install true to install the transcriber, false to cancel the
+     * installation. 
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: the transcriber ID if it was installed, and null 
+     * otherwise.
      */
-    transcriptUploadParameters(id, parameters, onResult) {
-      if (parameters.constructor === Array) { // array of parameter objects, not keys/values
-        var parameterValues = {}
-        for (var p in parameters) {
-          var parameter = parameters[p];
-          if (parameter.name) {
-            parameterValues[parameter.name] = parameter.value;
-          }
-        } // next parameter
-        parameters = parameterValues;
-      }
-      this.createRequest(
-        "transcriptUploadParameters", null, onResult,
-        this.baseUrl+"api/edit/transcript/upload/"+encodeURIComponent(id)
-          + "?"+this.parametersToQueryString(parameters),
-        "PUT").send();
-    } // transcriptUploadParameters
+    installTranscriber(jar, install, onResult) {
+      this._createRequest(
+        "installTranscriber", null, onResult, this.baseUrl+"admin/transcriber",
+        "POST", // not GET, because the number of parameters can make the URL too long
+        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          jar : jar,
+          action : install?"install":"cancel"
+        }));
+    }
 
     /**
-     * Cancel a transcript upload started by a call to {@link #transcriptUpload}, 
-     * deleting any uploaded files from the server.
-     * @param {string} id Upload ID returned by the prior call to {@link #transcriptUpload}.
-     * @param {resultCallback} onResult Invoked when the request has returned.
+     * Uploads an transcriber module in preparation for installing it.
+     * @param {string} transcriberId ID of the transcriber to uninstall.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var>.
      */
-    transcriptUploadDelete(id, onResult) {
-      this.createRequest(
-        "transcriptUploadDelete", null, onResult,
-        this.baseUrl+"api/edit/transcript/upload/"+encodeURIComponent(id),
-        "DELETE").send();
-    } // transcriptUploadDelete
+    uninstallTranscriber(transcriberId, onResult) {
+      this._createRequest(
+        "uninstallTranscriber", null, onResult, this.baseUrl+"admin/transcriber",
+        "POST", // not GET, because the number of parameters can make the URL too long
+        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
+        .send(this.parametersToQueryString({
+          transcriberId : transcriberId,
+          action : "uninstall"
+        }));
+    }
+
+    /**
+     * Creates a new user record.
+     * @see LabbcatAdmin#readUsers
+     * @see LabbcatAdmin#updateUser
+     * @see LabbcatAdmin#deleteUser
+     * @param {string} user The ID of the user.
+     * @param {string} email The email address of the user.
+     * @param {boolean} resetPassword Whether the user must reset their password when
+     * they next log in. 
+     * @param {string[]} roles Roles or groups the user belongs to.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the user record, 
+     * including <em> user </em> - The database key for the record. 
+     */
+    createUser(user, email, resetPassword, roles, onResult) {
+      this._createRequest(
+        "users", null, onResult, this.baseUrl+"api/admin/users", "POST",
+        null, "application/json")
+        .send(JSON.stringify({
+          user : user,
+          email : email,
+          resetPassword : resetPassword?1:0,
+          roles : roles}));
+    }
     
     /**
-     * Uploads a new transcript.
-     * @param {file|string} transcript The transcript to upload. In a browser, this
-     * must be a file object, and in Node, it must be the full path to the file. 
-     * @param {file|file[]|string|string[]} media The media to upload, if any. In a
-     * browser, these must be file objects, and in Node, they must be the full paths
-     * to the files.
-     * @param {string} [trackSuffix] The track suffix for the media.
-     * @param {string} transcriptType The transcript type.
-     * @param {string} corpus The corpus for the transcript.
-     * @param {string} [episode] The episode the transcript belongs to.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is the task ID of the resulting annotation generation task. The
-     * task status can be updated using {@link LabbcatView#taskStatus} 
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Reads a list of user records.
+     * @see LabbcatAdmin#createUser
+     * @see LabbcatAdmin#updateUser
+     * @see LabbcatAdmin#deleteUser
+     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
+     * records will be returned). 
+     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A list of user records with the following
+     * attributes:
+     * <dl>
+     *  <dt> user </dt> <dd> The name/id of the user. </dd>
+     *  <dt> email </dt> <dd> The email address of the user. </dd>
+     *  <dt> resetPassword </dt> <dd> Whether the user must reset their password when
+     * they next log in. </dd>
+     *  <dt> roles </dt> <dd> Roles or groups the user belongs to. </dd>
+     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
+     *    records returned from the server that can not currently be deleted; 
+     *    a string representing the reason the record can't be deleted. </dd>
+     * </dl>
      */
-    newTranscript(transcript, media, trackSuffix, transcriptType, corpus, episode, onResult, onProgress) {
-      if (typeof corpus === "function") {
-        // (transcript, media, transcriptType, corpus, onResult, onProgress)
-        onProgress = episode;
-        onResult = corpus;
-        episode = null;
-        corpus = transcriptType;
-        transcriptType = trackSuffix;
-        trackSuffix = null;
-      } else if (typeof episode === "function") {
-        // (transcript, media, transcriptType, corpus, episode, onResult, onProgress)
-        onProgress = onResult;
-        onResult = episode;
-        episode = corpus;
-        corpus= transcriptType;
-        transcriptType = trackSuffix;
-        trackSuffix = null;
-      }
-      if (exports.verbose) {
-        console.log("newTranscript(" + transcript + ", " + media + ", " + trackSuffix
-                    + ", " + transcriptType + ", " + corpus + ", " + episode + ")");
-      }
-
-      // determine transcript name for onResult
-      var transcriptName = transcript;
-      if (!runningOnNode) {
-        transcriptName = transcript.name;
-      } else { // node
-	transcriptName = transcript.replace(/.*\//g, "");
-      }
-      
-      var legacyApi = () => { // for fallback if the new API isn't available:
-        // create form
-        var fd = new FormData();
-        fd.append("todo", "new");
-        fd.append("auto", "true");
-        if (transcriptType) fd.append("transcript_type", transcriptType);
-        if (corpus) fd.append("corpus", corpus);
-        if (episode) fd.append("episode", episode);
-        
-        if (!runningOnNode) {	
-          
-	  fd.append("uploadfile1_0", transcript);
-	  if (media) {
-	    if (!trackSuffix) trackSuffix = "";
-	    if (media.constructor === Array) { // multiple files
-	      for (var f in media) {
-	        fd.append("uploadmedia"+trackSuffix+"1", media[f]);
-	      } // next file
-            } else { // a single file
-	      fd.append("uploadmedia"+trackSuffix+"1", media);
-	    }
-	  }
-          
-	  // create HTTP request
-	  var xhr = new XMLHttpRequest();
-	  xhr.call = "newTranscript";
-	  xhr.id = transcript.name;
-	  xhr.onResult = onResult;
-	  xhr.addEventListener("load", callComplete, false);
-	  xhr.addEventListener("error", callFailed, false);
-	  xhr.addEventListener("abort", callCancelled, false);
-	  xhr.upload.addEventListener("progress", onProgress, false);
-	  xhr.upload.id = transcript.name; // for knowing what status to update during events
-	  
-	  xhr.open("POST", this.baseUrl + "edit/transcript/new");
-	  if (this.username) {
-	    xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	  }
-	  xhr.setRequestHeader("Accept", "application/json");
-	  xhr.send(fd);
-        } else { // runningOnNode
-	  
-	  // on node.js, files are actually paths
-          if (exports.verbose) console.log("transcriptName: " + transcriptName);
-
-	  fd.append("uploadfile1_0", 
-		    fs.createReadStream(transcript).on('error', function(){
-		      onResult(null, ["Invalid transcript: " + transcriptName], [], "newTranscript", transcriptName);
-		    }), transcriptName);
-          
-	  if (media) {
-	    if (!trackSuffix) trackSuffix = "";
-	    if (media.constructor === Array) { // multiple files
-	      for (var f in media) {
-	        var mediaName = media[f].replace(/.*\//g, "");
-	        try {
-		  fd.append("uploadmedia"+trackSuffix+(f+1), 
-			    fs.createReadStream(media[f]).on('error', function(){
-			      onResult(null, ["Invalid media: " + mediaName], [], "newTranscript", transcriptName);
-			    }), mediaName);
-	        } catch(error) {
-		  onResult(null, ["Invalid media: " + mediaName], [], "newTranscript", transcriptName);
-		  return;
-	        }
-	      } // next file
-            } else { // a single file
-	      var mediaName = media.replace(/.*\//g, "");
-	      fd.append("uploadmedia"+trackSuffix+"1", 
-		        fs.createReadStream(media).on('error', function(){
-			  onResult(null, ["Invalid media: " + mediaName], [], "newTranscript", transcriptName);
-		        }), mediaName);
-	    }
-	  }
-	  
-	  var urlParts = parseUrl(this.baseUrl + "edit/transcript/new");
-	  // for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	  var labbcat = this;
-          var password = this._password;
-	  fd.getLength(function(something, contentLength) {
-	    var requestParameters = {
-	      port: urlParts.port,
-	      path: urlParts.pathname,
-	      host: urlParts.hostname,
-	      headers: {
-	        "Accept" : "application/json",
-	        "content-length" : contentLength,
-	        "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	      }
-	    };
-	    if (labbcat.username && password) {
-	      requestParameters.auth = labbcat.username+':'+password;
-	    }
-	    if (/^https.*/.test(labbcat.baseUrl)) {
-	      requestParameters.protocol = "https:";
-	    }
-            if (exports.verbose) {
-              console.log("submit: " + labbcat.baseUrl + "edit/transcript/new");
-            }
-	    fd.submit(requestParameters, function(err, res) {
-	      var responseText = "";
-	      if (!err) {
-	        res.on('data',function(buffer) {
-		  //console.log('data ' + buffer);
-		  responseText += buffer;
-	        });
-	        res.on('end',function(){
-                  if (exports.verbose) console.log("response: " + responseText);
-	          var result = null;
-	          var errors = null;
-	          var messages = null;
-		  try {
-		    var response = JSON.parse(responseText);
-		    result = response.model.result || response.model;
-		    errors = response.errors;
-		    if (errors && errors.length == 0) errors = null
-		    messages = response.messages;
-		    if (messages && messages.length == 0) messages = null
-		  } catch(exception) {
-		    result = null
-                    errors = ["" +exception+ ": " + labbcat.responseText];
-                    messages = [];
-		  }
-		  onResult(result, errors, messages, "newTranscript",
-                           transcriptName);
-	        });
-	      } else {
-	        onResult(null, ["" +err+ ": " + labbcat.responseText], [], "newTranscript", transcriptName);
-	      }
-	      
-	      if (res) res.resume();
-	    });
-	  }); // got length
-        } // runningOnNode
-      }; // legacyApi
-
-      // phase 1: upload files
-      if (media) { // uploading media
-        // convert to the track structure expected by transcriptUpload
-        trackSuffix = trackSuffix || ""; // if not specified, trackSuffix is empty string
-        media = { trackSuffix: media };
+    readUsers(pageNumber, pageLength, onResult) {
+      if (typeof pageNumber === "function") { // (onResult)
+        onResult = pageNumber;
+        pageNumber = null;
+        pageLength = null;
+      } else if (typeof l === "function") { // (p, onResult)
+        onResult = l;
+        pageLength = null;
       }
-      this.transcriptUpload(
-        transcript, media, false, // merge=false: new transcript
-        (result, errors, messages)=>{
-          if (errors && errors.length > 0) {
-            if (/.*404.*/.test(errors[0])) { // endpoint not found
-              if (exports.verbose) {
-                console.log("transcriptUpload: " + errors[0] + " - falling back to legacy API");
-              }
-              // fall back to lgacy API
-              legacyApi();
-            } else { // some other error 
-	      onResult(result, errors, messages, "newTranscript", transcriptName);
-            }
-          } else { // no errors
-            // set parameters to default values
-            var parameters = {};
-            for (var parameter of result.parameters) {
-              parameters[parameter.name] = parameters[parameter.value];
-            }
-            // set the parameters we know the values of
-            if (transcriptType) parameters["labbcat_transcript_type"] = transcriptType;
-            if (corpus) parameters["labbcat_corpus"] = corpus;
-            if (episode) parameters["labbcat_episode"] = episode;
-            
-            // phase 2: upload parameters
-            this.transcriptUploadParameters(
-              result.id, parameters, // merge=false : new transcript
-              (result, errors, messages)=>{
-                if (result && result.transcripts) {
-                  // result is expected to be the transcriptId->threadId map
-                  result = result.transcripts;
-                }
-	        onResult(result, errors, messages, "newTranscript", transcriptName);
-              }); // transcriptUploadParameters
-          } // no errors
-      }, onProgress); // transcriptUpload
+      this._createRequest(
+        "users", {
+          pageNumber:pageNumber,
+          pageLength:pageLength
+        }, onResult, this.baseUrl+"api/admin/users")
+        .send();
+    }
+
+    /**
+     * Iterates over the user records, fetching them a page at a time as they're needed.
+     * @see LabbcatAdmin#readUsers
+     * @param {IteratorOptions} [options] Options for fetching pages.
+     * @return {AsyncIterable} The user records - see
+     * {@link LabbcatAdmin#readUsers} - for use with <code>for await</code>.
+     */
+    iterateUsers(options) {
+      return paginate((pageLength, pageNumber, requestOptions) =>
+        this.readUsers(pageNumber, pageLength, requestOptions), options);
     }
     
     /**
-     * Uploads a new version of an existing transcript.
-     * <em>NB</em> this not be confused with the method that saves an annotation graph
-     * object: {@link #saveTranscript}
-     * @param {file|string} transcript The transcript to upload. In a browser, this
-     * must be a file object, and in Node, it must be the full path to the file. 
-     * @param {boolean} suppressGeneration (optional) false (the default) to run
-     * automatic layer generation, true to suppress automatic layer generation.
-     * @param {resultCallback} onResult Invoked when the request has returned a result, 
-     * which is the task ID of the resulting annotation generation task. The 
-     * task status can be updated using {@link LabbcatView#taskStatus}
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Updates an existing user record.
+     * @see LabbcatAdmin#createUser
+     * @see LabbcatAdmin#readUsers
+     * @see LabbcatAdmin#deleteUser
+     * @param {string} user The ID of the user.
+     * @param {string} email The email address of the user.
+     * @param {boolean} resetPassword Whether the user must reset their password when
+     * they next log in. 
+     * @param {string[]} roles Roles or groups the user belongs to.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be: A copy of the user record. 
      */
-    updateTranscript(transcript, suppressGeneration, onResult, onProgress) {
-      if (typeof suppressGeneration === "function") {
-        onProgress = onResult;
-        onResult = suppressGeneration;
-        suppressGeneration = false
-      }
-      if (exports.verbose) {
-        console.log("updateTranscript(" + transcript + ","+suppressGeneration+")");
-      }
-      
-      // determine transcript name for onResult
-      var transcriptName = transcript;
-      if (!runningOnNode) {
-        transcriptName = transcript.name;
-      } else { // node
-	transcriptName = transcript.replace(/.*\//g, "");
-      }
-      
-      var legacyApi = () => { // for fallback if the new API isn't available:
-        // create form
-        var fd = new FormData();
-        fd.append("todo", "update");
-        fd.append("auto", "true");
-        if (suppressGeneration) fd.append("suppressGeneration", "true");
-        
-        if (!runningOnNode) {	
-          
-	  fd.append("uploadfile1_0", transcript);
-          
-	  // create HTTP request
-	  var xhr = new XMLHttpRequest();
-	  xhr.call = "updateTranscript";
-	  xhr.id = transcript.name;
-	  xhr.onResult = onResult;
-	  xhr.addEventListener("load", callComplete, false);
-	  xhr.addEventListener("error", callFailed, false);
-	  xhr.addEventListener("abort", callCancelled, false);
-	  xhr.upload.addEventListener("progress", onProgress, false);
-	  xhr.upload.id = transcript.name; // for knowing what status to update during events
-	  
-	  xhr.open("POST", this.baseUrl + "edit/transcript/new");
-	  if (this.username) {
-	    xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this._password))
-	  }
-	  xhr.setRequestHeader("Accept", "application/json");
-	  xhr.send(fd);
-        } else { // runningOnNode
-	  
-	  // on node.js, files are actually paths
-	  fd.append("uploadfile1_0", 
-		    fs.createReadStream(transcript).on('error', function(){
-		      onResult(null, ["Invalid transcript: " + transcriptName], [], "updateTranscript", transcriptName);
-		    }), transcriptName);
-	  
-	  var urlParts = parseUrl(this.baseUrl + "edit/transcript/new");
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: { "Accept" : "application/json" }
-	  };
-	  if (this.username && this._password) {
-	    requestParameters.auth = this.username+':'+this._password;
-	  }
-	  if (/^https.*/.test(this.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-	        //console.log('data ' + buffer);
-	        responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-	        try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-                  ;
-	        } catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-	        }
-                // for this call, the result is an object with one key, whose
-                // value is the threadId - so just return that
-	        onResult(result, errors, messages, "updateTranscript", transcriptName);
-              });
-	    } else {
-	      onResult(null, ["" +err+ ": " + this.responseText], [], "updateTranscript", transcriptName);
-	    }
-            
-	    if (res) res.resume();
-	  });
-        }
-      }; // legacyApi
+    updateUser(user, email, resetPassword, roles, onResult) {
+      if (exports.verbose) console.log("updateUser("+user+", "+email+", "+resetPassword+", "+JSON.stringify(roles));
+      this._createRequest(
+        "users", null, onResult, this.baseUrl+"api/admin/users", "PUT")
+        .send(JSON.stringify({
+          user : user,
+          email : email,
+          resetPassword : resetPassword?1:0,
+          roles : roles}));
+    }
+    
+    /**
+     * Deletes an existing user record.
+     * @see LabbcatAdmin#createUser
+     * @see LabbcatAdmin#readUsers
+     * @see LabbcatAdmin#updateUser
+     * @param {string} user The name/ID of the user.
+     * @param {resultCallback} onResult Invoked when the request has completed.
+     */
+    deleteUser(user, onResult) {
+      this._createRequest(
+        "users", null, onResult, `${this.baseUrl}api/admin/users/${user}`,
+        "DELETE").send();
+    }
+    
+    /**
+     * Sets a given user's password.
+     * @param {string} user The ID of the user.
+     * @param {string} password The new password.
+     * @param {boolean} resetPassword Whether the user must reset their password when
+     * they next log in. 
+     * @param {resultCallback} onResult Invoked when the request has returned. 
+     */
+    setPassword(user, password, resetPassword, onResult) {
+      if (exports.verbose) console.log(`updateUsersetP(${user}, ****, ${resetPassword})`);
+      this._createRequest(
+        "users", null, onResult, this.baseUrl+"api/admin/password", "PUT")
+        .send(JSON.stringify({
+          user : user,
+          password : password,
+          resetPassword : resetPassword}));
+    }
 
-      // phase 1: upload files
-      this.transcriptUpload(
-        transcript, null, true, // merge=true: existing transcript
-        (result, errors, messages)=>{
-          if (errors && errors.length > 0) {
-            if (/.*404.*/.test(errors[0])) { // endpoint not found
-              if (exports.verbose) {
-                console.log("transcriptUpload: " + errors[0] + " - falling back to legacy API");
-              }
-              // fall back to lgacy API
-              legacyApi();
-            } else { // some other error 
-	      onResult(result, errors, messages, "updateTranscript", transcriptName);
-            }
-          } else { // no errors
-            // set parameters to default values
-            var parameters = {};
-            for (var parameter of result.parameters) {
-              parameters[parameter.name] = parameters[parameter.value];
-            }
-            // set the parameters we know the values of
-            if (suppressGeneration) {
-              parameters["labbcat_generate"] = false;
-            } else {
-              parameters["labbcat_generate"] = true;
-            }
-            
-            // phase 2: upload parameters
-            this.transcriptUploadParameters(
-              result.id, parameters, // merge=false : new transcript
-              (result, errors, messages)=>{
-                if (result && result.transcripts) {
-                  // result is expected to be the transcriptId->threadId map
-                  result = result.transcripts;
-                }
-	        onResult(result, errors, messages, "updateTranscript", transcriptName);
-              }); // transcriptUploadParameters
-          } // no errors
-      }, onProgress); // transcriptUpload      
+    /**
+     * Updates the current license agreement (HTML) document (creating it if it 
+     * doesn't already exist).
+     * @param {string} agreementHtml The HTML content of the document. 
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be "OK" if the operation succeeded.
+     */
+    updateAgreement(agreementHtml, onResult) {
+      this._createRequest(
+        "updateAgreement", null, onResult, this.baseUrl+"agreement.html", "PUT")
+        .send(agreementHtml);
     }
 
     /**
-     * Upload an annotated fragment file, as the first stage in updating a fragment
-     * (e.g. a single utterance) in LaBB-CAT. The second stage is
-     * {@link #fragmentUploadParameters}
-     * @param {file|string} fragment The fragment to upload. In a browser, this
-     * must be a file object, and in Node, it must be the full path to the file. 
-     * @param automaticMapping A value of true indicates that default parameters
-     * for processing the upload (e.g. mappings from TextGrid tiers to LaBB-CAT layers)
-     * should be automatically applied, and the resulting data should be immediately
-     * saved, instead of using the two-step process of first uploading the file via
-     * this method and then setting parameters via {@link #fragmentUploadParameters}.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is and object that has the following attributes:
-     * <dl>
-     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
-     *          calling {@link #fragmentUploadParameters}. </dd>
-     *  <dt> transcript </dt>
-     *     <dd> The name of the transcript, inferred from the fragment file name. </dd> 
-     *  <dt> start </dt>
-     *     <dd> The start time of the fragment, inferred from the fragment file name. </dd> 
-     *  <dt> end </dt>
-     *     <dd> The end time of the fragment, inferred from the fragment file name. </dd> 
-     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
-     *          require values to be passed into {@link #fragmentUploadParameters}. 
-     *          The <q>parameters</q> returned may include both information
-     *          required by the format deserializer (e.g. mappings from tiers to LaBB-CAT
-     *          layers) and also general information required by LaBB-CAT (e.g. the
-     *          corpus, episode, and type of the fragment). 
-     *                 </dd>
-     * <p> Each parameter may contain the following attributes:
-     *  <dl>
-     *   <dt> name </dt>
-     *       <dd> The name that should be used when specifying the value for the parameter
-     *        when calling {@link #fragmentUploadParameters}. </dd> 
-     *   <dt> label </dt>
-     *       <dd> A label for the parameter intended for display to the user.</dd> 
-     *   <dt> hint </dt>
-     *       <dd> A description of the purpose of the parameter, for display to the user.</dd> 
-     *   <dt> type </dt>
-     *       <dd> The type of the parameter, e.g. <q>String</q>, <q>Double</q>, <q>Integer</q>,  
-     *         <q>Boolean</q>.</dd> 
-     *   <dt> required </dt>
-     *       <dd> <tt>true</tt> if the value must be specified, <tt>false</tt> if it is optional.</dd> 
-     *   <dt> value </dt>
-     *       <dd> A default value for the parameter.</dd> 
-     *   <dt> possibleValues </dt>
-     *       <dd> A list of possible values, if the possibilities are limited to a finite set.</dd> 
-     *  </dl>
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Deletes the current license agreement (HTML) document.
+     * @param {resultCallback} onResult Invoked when the request has returned a 
+     * <var>result</var> which will be "OK" if the operation succeeded.
      */
-    fragmentUpload(fragment, automaticMapping, onResult, onProgress) {
-      if (exports.verbose) {
-        console.log("fragmentUpload(" + fragment + ", " + automaticMapping + ")");
-      }
-      // create form
-      var fd = new FormData();
-      fd.append("automaticMapping", ""+(automaticMapping?true:false));
-      
-      if (!runningOnNode) {	
-        
-	fd.append("fragment", fragment);
-        
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "fragmentUpload";
-	xhr.id = fragment.name;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = fragment.name; // for knowing what status to update during events
-	
-	xhr.open("POST", this.baseUrl + "api/edit/fragment/upload");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
-	// on node.js, files are actually paths
-	var fragmentName = fragment.replace(/.*\//g, "");
-        if (exports.verbose) console.log("fragmentName: " + fragmentName);
-        
-	fd.append(
-          "fragment", 
-	  fs.createReadStream(fragment).on('error', function(){
-	    onResult(
-              null, ["Invalid fragment: " + fragmentName], [], "fragmentUpload", fragmentName);
-	  }), fragmentName);
-        
-	var urlParts = parseUrl(this.baseUrl + "api/edit/fragment/upload");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-        if (exports.verbose) console.log("urlParts " + JSON.stringify(urlParts));
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "api/edit/fragment/upload");
-          }
-          if (exports.verbose) console.log("fd.submit " + JSON.stringify(requestParameters));
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "fragmentUpload", fragmentName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "fragmentUpload", fragmentName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-    } // fragmentUpload
-    
+    deleteAgreement(onResult) {
+      this._createRequest(
+        "deleteAgreement", null, onResult, `${this.baseUrl}agreement.html`, "DELETE")
+        .send();
+    }
+
+  }
+  
+  /**
+   * Interpreter for match ID strings.
+   * <p>The schema is:</p>
+   * <ul>
+   * 	<li>
+   * 		when there's a defining annotation UID:<br>
+   * 		g_<i>ag_id</i>;<em>uid</em><br>
+   * 		e.g. <tt>g_243;em_12_20035</tt></li>
+   * 	<li>
+   * 		when there's anchor IDs:<br>
+   * 		g_<i>ag_id</i>;<em>startuid</em>-<em>enduid</em><br>
+   * 		e.g. <tt>g_243;n_72700-n_72709</tt></li>
+   * 	<li>
+   * 		when there's anchor offsets:<br>
+   * 		g_<i>ag_id</i>;<em>startoffset</em>-<em>endoffset</em><br>
+   * 		e.g. <tt>g_243;39.400-46.279</tt></li>
+   * 	<li>
+   * 		when there's a participant/speaker number, it will be appended:<br>
+   * 		<em>...</em>;p_<em>speakernumber</em><br>
+   * 		e.g.&nbsp;<tt>g_243;n_72700-n_72709;p_76</tt></li>
+   * 	<li>
+   * 		matching subparts can be identified by appending a list of annotation UIDs for insertion into {@link #mMatchAnnotationUids}, the keys being enclosed in square brackets:<br>
+   * 		...;<em>[key]=uid;[key]=uid</em><br>
+   * 		e.g. <samp>g_243;n_72700-n_72709;[0,0]=ew_0_123;[1,0]ew_0_234</samp></li>
+   * 	<li>
+   * 		a target annotation by appending a uid prefixed by <samp>#=</samp>:<br>
+   * 		...;#=<em>uid</em><br>
+   * 		e.g. <samp>g_243;n_72700-n_72709;#=ew_0_123</samp></li>
+   * 	<li>
+   * 		other items (search name or prefix) could then come after all that, and key=value pairs:<br>
+   * 		...;<em>key</em>=<em>value</em><br>
+   * 		e.g.&nbsp;<tt>g_243;n_72700-n_72709;ew_0_123-ew_0_234;prefix=024-;name=the_aeiou</tt></li>
+   * <p>These can be something like:
+   * <ul>
+   * <li><q>g_3;em_11_23;n_19985-n_20003;p_4;#=ew_0_12611;prefix=001-;[0]=ew_0_12611</q></li>
+   * <li><q>AgnesShacklock-01.trs;60.897-67.922;prefix=001-</q></li>
+   * <li><q>AgnesShacklock-01.trs;60.897-67.922;m_-1_23</q></li>
+   * </ul>
+   */
+  class MatchId {
     /**
-     * The second part of a fragment upload process started by a call to
-     * {@link #fragmentUpload}, which specifies values for the parameters
-     * required to save the uploaded fragment to LaBB-CAT's database. 
-     * @param {string} id Upload ID returned by the prior call to {@link #fragmentUpload}.
-     * @param {object} parameters Object with an attribute and value for each parameter
-     * returned by the prior call to {@link #fragmentUpload}.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is and object that has the following attributes:
-     * <dl>
-     *  <dt> id </dt> <dd> The unique identifier to use for this upload when subsequently
-     *          calling {@link #fragmentUploadParameters} (if parameters are returned). </dd>
-     *   <dt> transcript </dt>
-     *     <dd> The name of the transcript, inferred from the fragment file name. </dd> 
-     *   <dt> start </dt>
-     *     <dd> The start time of the fragment, inferred from the fragment file name. </dd> 
-     *   <dt> end </dt>
-     *     <dd> The end time of the fragment, inferred from the fragment file name. </dd> 
-     *   <dt> url </dt>
-     *     <dd> The URL for the fragment, in the context of the whole transcript. </dd> 
-     *  <dt> parameters </dt> <dd> An array of objects representing the parameters that
-     *          still require values. </dd>
-     * <p> If parameters are returned, they have the same structure as those returned by 
-     * {@link #fragmentUpload}
+     * String constructor.
      */
-    fragmentUploadParameters(id, parameters, onResult) {
-      if (parameters.constructor === Array) { // array of parameter objects, not keys/values
-        var parameterValues = {}
-        for (var p in parameters) {
-          var parameter = parameters[p];
-          if (parameter.name) {
-            parameterValues[parameter.name] = parameter.value;
+    constructor(matchId) {
+      this._transcriptId = null;
+      this._startAnchorId = null;
+      this._endAnchorId = null;
+      this._startOffset = null;
+      this._endOffset = null;
+      this._utteranceId = null;
+      this._participantId = null;
+      this._targetId = null;
+      this._prefix = null;
+      if (matchId) {
+        const parts = matchId.split(";");
+        this._transcriptId = parts[0];
+        let intervalPart = null;
+        for (let part of parts) {
+          if (part == parts[0]) continue;
+          if (part.indexOf("-") > 0) {
+            intervalPart = part;
+            break;
           }
-        } // next parameter
-        parameters = parameterValues;
-      }
-      this.createRequest(
-        "fragmentUploadParameters", null, onResult,
-        this.baseUrl+"api/edit/fragment/upload/"+encodeURIComponent(id)
-          + "?"+this.parametersToQueryString(parameters),
-        "PUT").send();
-    } // fragmentUploadParameters
-
+        } // next part
+        const interval = intervalPart.split("-");
+        if (interval[0].startsWith("n_")) { // anchor IDs
+          this._startAnchorId = interval[0];
+          this._endAnchorId = interval[1];
+        } else { // offsets
+          this._startOffset = parseFloat(interval[0]);
+          this._endOffset = parseFloat(interval[1]);
+        }
+        for (let part of parts) {
+          if (part.startsWith("prefix=")) {
+            this._prefix = part.substring("prefix=".length);
+          } else if (part.startsWith("em_") || part.startsWith("m_")) {
+            this._utteranceId = part;
+          } else if (part.startsWith("p_")) {
+            this._participantId = part;
+          } else if (part.startsWith("#=")) {
+            this._targetId = part.substring("#=".length);
+          }
+        } // next part
+      } // string was given
+    }
     /**
-     * Cancel a fragment upload started by a call to {@link #fragmentUpload}, 
-     * deleting any uploaded files from the server.
-     * @param {string} id Upload ID returned by the prior call to {@link #fragmentUpload}.
-     * @param {resultCallback} onResult Invoked when the request has returned.
+     * The transcript identifier.
      */
-    fragmentUploadDelete(id, onResult) {
-      this.createRequest(
-        "fragmentUploadDelete", null, onResult,
-        this.baseUrl+"api/edit/fragment/upload/"+encodeURIComponent(id),
-        "DELETE").send();
-    } // fragmentUploadDelete
-    
+    get transcriptId() { return this._transcriptId; }
     /**
-     * Uploads attribute values for multiple participants from CSV file.
-     * @param {file|string} csv CSV file containing the attribute values to import.
-     * @param {number} idColumn The (zero based) index of the column that
-     * identifies the participant; if the participant exists, its
-     * attribute values will be updated, otherwise, and new participant
-     * will be created with the specified attribute values. If set to -1,
-     * all participant are new, and created with automatically generated
-     * IDs, formatted using the <q>participantNameFormat</q> system attribute. 
-     * @param {string[]} columnLayer Multiple values, where the index of the value
-     * corresponds to the (zero based) CSV column index, and the value
-     * is blank to ignore the column, the layer ID of the participant
-     * attribute to update, or <q>_password</q> if the columns contains the
-     * participants' passwords (for logging in to do elicitation tasks). 
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is an array of two integers; the first is the number of existing
-     * participants that were updated, and the second, the number of
-     * newly-added participants.
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * ID of the start anchor.
      */
-    uploadParticipantAttributes(csv, idColumn, columnLayer, onResult, onProgress) {
-      if (exports.verbose) {
-        console.log("uploadParticipantAttributes(" + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
-      }
-      var fd = new FormData();
-      fd.append("idColumn", idColumn);
-      for (let c of columnLayer) {
-        fd.append("columnLayer", c||"");
-      }
-      if (!runningOnNode) {	        
-	fd.append("csv", csv);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "uploadParticipantAttributes";
-	xhr.id = csv.name;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = csv.name;
-	
-	xhr.open("POST", this.baseUrl + "api/edit/participants/attributes/upload");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
-	// on node.js, files are actually paths
-	var csvName = csv.replace(/.*\//g, "");
-        if (exports.verbose) console.log("csvName: " + csvName);
-        
-	fd.append(
-          "csv", 
-	  fs.createReadStream(csv).on('error', function(){
-	    onResult(
-              null, ["Invalid file: " + csvName], [], "uploadParticipantAttributes", csvName);
-	  }), csvName);
-	var urlParts = parseUrl(this.baseUrl + "api/edit/participants/attributes/upload");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-        if (exports.verbose) console.log("urlParts " + JSON.stringify(urlParts));
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(error, contentLength) {
-          if (error) console.log(error);
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl
-                        + "api/edit/participants/attributes/upload");
-          }
-          if (exports.verbose) console.log("fd.submit " + JSON.stringify(requestParameters));
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "uploadParticipantAttributes", csvName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "uploadParticipantAttributes", csvName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-    } // uploadParticipantAttributes
-    
+    get startAnchorId() { return this._startAnchorId; }
     /**
-     * Uploads attribute values for multiple transcripts from CSV file.
-     * @param {file|string} csv CSV file containing the attribute values to import.
-     * @param {number} idColumn The (zero based) index of the column that
-     * identifies the transcript; if the transcript exists, its
-     * attribute values will be updated, otherwise, the row is ignored. 
-     * @param {string[]} columnLayer Multiple values, where the index of the value
-     * corresponds to the (zero based) CSV column index, and the value
-     * is blank to ignore the column, the layer ID of the transcript
-     * attribute to update. 
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * result, which is an array of two integers; the first is the number of existing
-     * transcripts that were updated, and the second, the number of transcripts
-     * that were not found.
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * ID of the end anchor.
      */
-    uploadTranscriptAttributes(csv, idColumn, columnLayer, onResult, onProgress) {
-      if (exports.verbose) {
-        console.log("uploadTranscriptAttributes("
-                    + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
-      }
-      var fd = new FormData();
-      fd.append("idColumn", idColumn);
-      for (let c of columnLayer) {
-        fd.append("columnLayer", c||"");
-      }
-      if (!runningOnNode) {	        
-	fd.append("csv", csv);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "uploadTranscriptAttributes";
-	xhr.id = csv.name;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = csv.name;
-	
-	xhr.open("POST", this.baseUrl + "api/edit/transcripts/attributes/upload");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
-	// on node.js, files are actually paths
-	var csvName = csv.replace(/.*\//g, "");
-        if (exports.verbose) console.log("csvName: " + csvName);
-        
-	fd.append(
-          "csv", 
-	  fs.createReadStream(csv).on('error', function(){
-	    onResult(
-              null, ["Invalid file: " + csvName], [], "uploadTranscriptAttributes", csvName);
-	  }), csvName);
-	var urlParts = parseUrl(this.baseUrl + "api/edit/transcripts/attributes/upload");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-        if (exports.verbose) console.log("urlParts " + JSON.stringify(urlParts));
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(error, contentLength) {
-          if (error) console.log(error);
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl
-                        + "api/edit/transcripts/attributes/upload");
-          }
-          if (exports.verbose) console.log("fd.submit " + JSON.stringify(requestParameters));
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "uploadTranscriptAttributes", csvName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "uploadTranscriptAttributes", csvName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-    } // uploadTranscriptAttributes
-    
+    get endAnchorId() { return this._endAnchorId; }
     /**
-     * Uploads annotation labels for tagging match tokens from a results CSV file.
-     * @param {file|string} csv CSV file containing the annotation labels to import.
-     * @param {number} idColumn The (zero based) index of the column that contains
-     * MatchId or another identifier that identifies target token(s);
-     * If the tokens are found, they're annotated with the labels in the columns
-     * identified by <var>columnLayer</var>, otherwise, the row is ignored. 
-     * @param {string[]} columnLayer Multiple values, where the index of the value
-     * corresponds to the (zero based) CSV column index, and the value
-     * is blank to ignore the column, or the ID of the layer to annotate the
-     * tokens on. 
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with one attribute, the
-     * <var>threadId</var> of the server task processing the annotations. 
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Offset of the start anchor.
      */
-    uploadTokenAnnotations(csv, idColumn, columnLayer, onResult, onProgress) {
-      if (exports.verbose) {
-        console.log("uploadTokenAnnotations("
-                    + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
-      }
-      var fd = new FormData();
-      fd.append("idColumn", idColumn);
-      for (let c of columnLayer) {
-        fd.append("columnLayer", c||"");
-      }
-      if (!runningOnNode) {	        
-	fd.append("csv", csv);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "uploadTokenAnnotations";
-	xhr.id = csv.name;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = csv.name;
-	
-	xhr.open("POST", this.baseUrl + "api/edit/annotations/tokens");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
-	// on node.js, files are actually paths
-	var csvName = csv.replace(/.*\//g, "");
-        if (exports.verbose) console.log("csvName: " + csvName);
-        
-	fd.append(
-          "csv", 
-	  fs.createReadStream(csv).on('error', function(){
-	    onResult(
-              null, ["Invalid file: " + csvName], [], "uploadTranscriptAttributes", csvName);
-	  }), csvName);
-	var urlParts = parseUrl(this.baseUrl + "api/edit/annotations/tokens");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-        if (exports.verbose) console.log("urlParts " + JSON.stringify(urlParts));
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(error, contentLength) {
-          if (error) console.log(error);
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl
-                        + "api/edit/annotations/tokens");
-          }
-          if (exports.verbose) console.log("fd.submit " + JSON.stringify(requestParameters));
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "uploadTranscriptAttributes", csvName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "uploadTranscriptAttributes", csvName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-    } // uploadTokenAnnotations
-        
+    get startOffset() { return this._startOffset; }
     /**
-     * Uploads annotation labels for tagging time intervals from a results CSV file.
-     * @param {file|string} csv CSV file containing the annotation labels to import.
-     * @param {number} idColumn The (zero based) index of the column that contains
-     * @param {number} transcriptColumn The (zero based) index of the column that contains
-     * the transcript name to annotate.
-     * @param {number} startTimeColumn The (zero based) index of the column that contains
-     * the start time for the annotation.
-     * @param {number} endTimeColumn The (zero based) index of the column that contains the
-     * end time for the annotation.
-     * @param {string[]} columnLayer Multiple values, where the index of the value
-     * corresponds to the (zero based) CSV column index, and the value
-     * is blank to ignore the column, or the ID of the layer to annotate the
-     * intervals on. 
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object with one attribute, the
-     * <var>threadId</var> of the server task processing the annotations. 
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Offset of the end anchor.
      */
-    uploadIntervalAnnotations(
-      csv, transcriptColumn, startTimeColumn, endTimeColumn, columnLayer,
-      onResult, onProgress) {
-      if (exports.verbose) {
-        console.log("uploadIntervalAnnotations("
-                    + csv + ", " + idColumn + ", " + JSON.stringify(columnLayer) + ")");
-      }
-      var fd = new FormData();
-      fd.append("transcriptColumn", transcriptColumn);
-      fd.append("startTimeColumn", startTimeColumn);
-      fd.append("endTimeColumn", endTimeColumn);
-      for (let c of columnLayer) {
-        fd.append("columnLayer", c||"");
-      }
-      if (!runningOnNode) {	        
-	fd.append("csv", csv);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "uploadIntervalAnnotations";
-	xhr.id = csv.name;
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	xhr.upload.id = csv.name;
-	
-	xhr.open("POST", this.baseUrl + "api/edit/annotations/intervals");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-	
-	// on node.js, files are actually paths
-	var csvName = csv.replace(/.*\//g, "");
-        if (exports.verbose) console.log("csvName: " + csvName);
-        
-	fd.append(
-          "csv", 
-	  fs.createReadStream(csv).on('error', function(){
-	    onResult(
-              null, ["Invalid file: " + csvName], [], "uploadTranscriptAttributes", csvName);
-	  }), csvName);
-	var urlParts = parseUrl(this.baseUrl + "api/edit/annotations/intervals");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-        if (exports.verbose) console.log("urlParts " + JSON.stringify(urlParts));
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(error, contentLength) {
-          if (error) console.log(error);
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl
-                        + "api/edit/annotations/intervals");
-          }
-          if (exports.verbose) console.log("fd.submit " + JSON.stringify(requestParameters));
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-		onResult(result, errors, messages, "uploadTranscriptAttributes", csvName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "uploadTranscriptAttributes", csvName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
-    } // uploadIntervalAnnotations
-    
+    get endOffset() { return this._endOffset; }
     /**
-     * For HTK dictionary-filling, this adds a new dictionary entry and updates all tokens.
-     * @param {string} layerId The dictionary of this layer will be used.
-     * @param {string} label The word label to add an entry for.
-     * @param {string} entry The definition (pronunciation) of the word to add.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var>.
+     * ID of the participant.
      */
-    dictionaryAdd(layerId, label, entry, onResult) {
-      this.createRequest(
-        "add", {
-          layerId : layerId,
-          label : label,
-          entry : entry
-        }, onResult, this.baseUrl+"api/edit/dictionary/add").send();
-    }
-
+    get participantId() { return this._participantId; }
     /**
-     * Creates an annotation starting at <var>fromId</var> and ending at <var>toId</var>.
-     * @param {string} id The ID of the transcript.
-     * @param {string} fromId The start anchor's ID, which can be null if the layer is a tag layer.
-     * @param {string} toId The end anchor's ID, which can be null if the layer is a tag layer.
-     * @param {string} layerId The layer ID of the resulting annotation.
-     * @param {string} label The label of the resulting annotation.
-     * @param {number} confidence The confidence rating.
-     * @param {string} parentId The new annotation's parent's ID.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> which is the new annotation's ID.
+     * ID of the match utterance.
      */
-    createAnnotation(id, fromId, toId, layerId, label, confidence, parentId, onResult) {
-      this.createRequest(
-        "createAnnotation", null, onResult, null, "POST",
-        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          id : id,
-          fromId : fromId,
-          toId : toId,
-          layerId : layerId,
-          label : label,
-          confidence : confidence,
-          parentId : parentId
-        }));
-    }
-    
+    get utteranceId() { return this._utteranceId; }
     /**
-     * Updates the label of the given annotation.
-     * @param {string} id The ID of the transcript.
-     * @param {string} annotationId The annotation's ID.
-     * @param {string} label The new label.
-     * @param {number} confidence The confidence rating.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * null <var>result</var> on success.
+     * ID of the match target annotation.
      */
-    updateAnnotationLabel(id, annotationId, label, confidence, onResult) {
-      this.createRequest(
-        "updateAnnotationLabel", null, onResult, null, "POST",
-        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          id : id,
-          annotationId : annotationId,
-          label : label,
-          confidence : confidence
-        }));
-    }
+    get targetId() { return this._targetId; }
+    /**
+     * Match prefix for fragments.
+     */
+    get prefix() { return this._prefix; }
+  }
+  
+  /*
+   * The ID of the root layer of LaBB-CAT transcripts, if the schema doesn't say.
+   */
+  const defaultRootLayerId = "transcript";
+
+  /*
+   * The ID of the layer of phone segments in LaBB-CAT, which the schema doesn't identify.
+   */
+  const defaultSegmentLayerId = "segment";
+
+  /*
+   * Attributes of annotation JSON objects that aren't layers of child annotations.
+   */
+  const annotationAttributes = [
+    "id", "layerId", "label", "startId", "endId", "parentId", "ordinal", "confidence",
+    "annotator", "when", "start", "end"];
+  
+  /*
+   * Compares annotations by start offset, with unknown offsets last, and then by ordinal.
+   */
+  function compareAnnotations(a, b) {
+    const aOffset = a.start ? a.start.offset : null;
+    const bOffset = b.start ? b.start.offset : null;
+    if (aOffset != bOffset) {
+      if (aOffset == null) return 1;
+      if (bOffset == null) return -1;
+      return aOffset - bOffset;
+    }
+    return (a.ordinal || 0) - (b.ordinal || 0);
+  }
 
+  /**
+   * A builder for search patterns to pass to {@link LabbcatView#search}, which can be
+   * checked against the corpus {@link Schema}, so that mistakes like misspelled layer IDs
+   * are reported before searching, instead of as empty results or server errors.
+   * <p>Each call to {@link SearchPattern#column} starts a new column - i.e. a token in a
+   * sequence of matching words - and each call to {@link SearchPattern#layer} starts a
+   * condition on a layer within the current column. Other functions apply to the current
+   * column or layer.
+   * @example
+   * // the word 'the' followed immediately or with one intervening word by a word that
+   * // doesn't start with a vowel and has a frequency of 2 or less
+   * const pattern = new SearchPattern()
+   *     .column().layer("orthography").matches("the").adj(2)
+   *     .column().layer("phonemes").not().matches("[cCEFHiIPqQuUV0123456789~#\\$@].*")
+   *              .layer("frequency").max(2);
+   * const response = await store.search(pattern);
+   */
+  class SearchPattern {
     /**
-     * Destroys the annotation with the given ID.
-     * @param {string} id The ID of the transcript.
-     * @param {string} annotationId The annotation's ID.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * null <var>result</var> on success.
+     * Create an empty search pattern.
      */
-    destroyAnnotation(id, annotationId, onResult) {
-      this.createRequest(
-        "destroyAnnotation", null, onResult, null, "POST",
-        this.storeEditUrl, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          id : id,
-          annotationId : annotationId
-        }));
+    constructor() {
+      this._columns = [];
+      this._column = null;
+      this._layer = null;
     }
     
     /**
-     * Gets the transcript of a given utterance, for possible correction using
-     * {@link #utteranceCorrection}.
-     * @param {string} transcriptId The ID of the transcript.
-     * @param {string} utteranceId The utterance's ID.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> with a "text" attribute, which is the plain-text
-     * representation of the utterance, including word annotations and possibly
-     * noise, comment, pronunciation etc. annotations using the configured transcript
-     * conventions.
+     * Starts a new column, which matches the next word token.
+     * @return {SearchPattern} This pattern.
      */
-    utteranceForCorrection(transcriptId, utteranceId, onResult) {
-      this.createRequest(
-        "readUtteranceTranscript", {
-          transcriptId : transcriptId,
-          utteranceId : utteranceId
-        }, onResult, this.baseUrl+"api/edit/utterance/correction").send();
+    column() {
+      this._column = { layers : {} };
+      this._columns.push(this._column);
+      this._layer = null;
+      return this;
     }
     
     /**
-     * Corrects the transcript of a given utterance.
-     * @param {string} transcriptId The ID of the transcript.
-     * @param {string} utteranceId The utterance's ID.
-     * @param {string} text The corrected version of the transcript for the utterance.
-     * This may include noise, comment, pronunciation etc. annotations using the
-     * configured transcript conventions.
-     * @param {boolean} suppressGeneration (optional) false (the default) to run
-     * automatic layer generation, true to suppress automatic layer generation.
-     * @param {resultCallback} onResult Invoked when the request has returned a
-     * <var>result</var> with a "threadId" attribute, which is the ID of the task
-     * regenerating layers based on the new transcript.
+     * Starts a condition on the given layer in the current column.
+     * @param {string} layerId The layer ID.
+     * @return {SearchPattern} This pattern.
      */
-    utteranceCorrection(transcriptId, utteranceId, text, suppressGeneration, onResult) {
-      if (typeof suppressGeneration === "function") {
-        // utteranceCorrection(transcriptId, utteranceId, text, onResult)
-        onResult = suppressGeneration;
-        suppressGeneration = false
+    layer(layerId) {
+      if (!this._column) this.column();
+      this._layer = this._column.layers[layerId] = this._column.layers[layerId] || {};
+      return this;
+    }
+    
+    // The current layer condition, which the given function applies to.
+    currentLayer(name) {
+      if (!this._layer) {
+        throw new Error("SearchPattern: layer() must be called before " + name + "()");
       }
-      this.createRequest(
-        "utterance/correction", null, onResult, null, "POST", // TODO should be PUT
-        this.baseUrl+"api/edit/", "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          transcriptId : transcriptId,
-          utteranceId : utteranceId,
-          text : text,
-          suppressGeneration : suppressGeneration
-        }));
+      return this._layer;
     }
-  } // class LabbcatEdit
-  
-  // LabbcatAdmin class - read/write "admin" access
-
-  /**
-   * Read/write/administration interaction with LaBB-CAT corpora.
-   * <p>This class inherits the <em>read/write</em> operations of LabbcatEdit
-   * and adds some administration functions.
-   * @example
-   * // create annotation store client
-   * const store = new labbcat.LabbcatAdmin("http://localhost:8080/labbcat", "labbcat", "labbcat");
-   * // add a corpus
-   * store.createCorpus("new-corpus", "en", "New English Corpus", (corpus, errors, messages, call)=>{ 
-   *     console.log("new corpus ID is: " + corpus.corpus_id); 
-   *     store.updateCorpus("new-corpus", "de", "New German Corpus", (corpus, errors, messages, call)=>{ 
-   *         console.log("corpus updated, language is now: " + corpus.corpus_language); 
-   *         store.deleteCorpus("new-corpus", (result, errors, messages, call)=>{ 
-   *             console.log("corpus deleted"); 
-   *         });
-   *       });
-   *   });
-   * store.readCorpora((corpora, errors, messages, call)=>{ 
-   *     for (let corpus of corpora) {
-   *       console.log("corpus: " + corpus.corpus_name); 
-   *     } // next corpus
-   *   });
-   * @extends LabbcatView
-   * @author Robert Fromont robert@fromont.net.nz
-   */
-  class LabbcatAdmin extends LabbcatEdit {
     
     /**
-     * The graph store URL - e.g. https://labbcat.canterbury.ac.nz/demo/api/edit/store/
-     */
-    get storeAdminUrl() {
-      return this._storeAdminUrl;
-    }
-    /** 
-     * Create a store client 
-     * @param {string} baseUrl The LaBB-CAT base URL (i.e. the address of the 'home' link)
-     * @param {string} username The LaBB-CAT user name.
-     * @param {string} password The LaBB-CAT password.
+     * Sets the regular expression that labels on the current layer must match.
+     * @param {string} pattern The regular expression.
+     * @return {SearchPattern} This pattern.
      */
-    constructor(baseUrl, username, password) {
-      super(baseUrl, username, password);
-      this._storeAdminUrl = this.baseUrl + "api/admin/store/";
+    matches(pattern) {
+      this.currentLayer("matches").pattern = pattern;
+      return this;
     }
     
     /**
-     * Adds a new layer.
-     * @param {string|object} layer The layer ID, if all the other attribute
-     * parameters are specified, or an object with all the layer attributes, in which case
-     * only <var>onResult</var> need be specified.
-     * @param {string} parentId The layer's parent layer id.
-     * @param {string} description The description of the layer.
-     * @param {number} alignment The layer's alignment 
-     * - 0 for none, 1 for point alignment, 2 for interval alignment.
-     * @param {boolean} peers Whether children on this layer have peers or not.
-     * @param {boolean} peersOverlap Whether child peers on this layer can overlap or not.
-     * @param {boolean} parentIncludes Whether the parent temporally includes the child.
-     * @param {boolean} saturated Whether children must temporally fill the entire parent
-     * duration (true) or not (false).
-     * @param {string} type The type for labels on this layer, e.g. string, number,
-     * boolean, ipa. 
-     * @param {object} validLabels List of valid label values for this layer, or null 
-     * if the layer values are not restricted. The 'key' is the possible label value, and 
-     * each key is associated with a description of the value (e.g. for displaying to users). 
-     * @param {string} category Category for the layer, if any.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: The resulting layer definition.
+     * Negates the condition on the current layer - i.e. labels must <em>not</em> match.
+     * @return {SearchPattern} This pattern.
      */
-    newLayer(layer, parentId, description, alignment,
-             peers, peersOverlap, parentIncludes, saturated, type, validLabels, category,
-             onResult) {
-      var layerDefinition = {
-        id: layer, parentId: parentId, description: description,
-        alignment: Number(alignment), // ensure a number is passed, not a string
-        peers: Boolean(peers), peersOverlap: Boolean(peersOverlap),
-        parentIncludes: Boolean(parentIncludes), saturated: Boolean(saturated),
-        type: type, validLabels: validLabels, category: category };
-      if (typeof parentId === "function") { // (layerObject, onResult)
-        onResult = parentId;
-        layerDefinition = layer;
-        // ensure important types are converted from strings
-        layerDefinition.alignment = Number(layerDefinition.alignment);
-        layerDefinition.peers = Boolean(layerDefinition.peers);
-        layerDefinition.peers = Boolean(layerDefinition.peers);
-        layerDefinition.peersOverlap = Boolean(layerDefinition.peersOverlap);
-        layerDefinition.parentIncludes = Boolean(layerDefinition.parentIncludes);
-        layerDefinition.saturated = Boolean(layerDefinition.saturated);
-      }
-      this.createRequest(
-        "newLayer", null, onResult, this.storeAdminUrl + "newLayer", "POST",
-        null, "application/json")
-        .send(JSON.stringify(layerDefinition));
+    not() {
+      this.currentLayer("not").not = true;
+      return this;
     }
-
+    
     /**
-     * Saves changes to a layer.
-     * @param {string|object} layer The layer ID, if all the other attribute
-     * parameters are specified, or an object with all the layer attributes, in which case
-     * only <var>onResult</var> need be specified.
-     * @param {string} parentId The layer's parent layer id.
-     * @param {string} description The description of the layer.
-     * @param {number} alignment The layer's alignment 
-     * - 0 for none, 1 for point alignment, 2 for interval alignment.
-     * @param {boolean} peers Whether children on this layer have peers or not.
-     * @param {boolean} peersOverlap Whether child peers on this layer can overlap or not.
-     * @param {boolean} parentIncludes Whether the parent temporally includes the child.
-     * @param {boolean} saturated Whether children must temporally fill the entire parent
-     * duration (true) or not (false).
-     * @param {string} type The type for labels on this layer, e.g. string, number,
-     * boolean, ipa. 
-     * @param {object} validLabels List of valid label values for this layer, or null 
-     * if the layer values are not restricted. The 'key' is the possible label value, and 
-     * each key is associated with a description of the value (e.g. for displaying to users). 
-     * @param {string} category Category for the layer, if any.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: The resulting layer definition.
+     * Sets the minimum label value of the current layer, which must be numeric.
+     * @param {number} min The minimum value (inclusive).
+     * @return {SearchPattern} This pattern.
      */
-    saveLayer(layer, parentId, description, alignment,
-              peers, peersOverlap, parentIncludes, saturated, type, validLabels, category,
-              onResult) {
-      var layerDefinition = {
-        id: layer, parentId: parentId, description: description,
-        alignment: Number(alignment), // ensure a number is passed, not a string
-        peers: Boolean(peers), peersOverlap: Boolean(peersOverlap),
-        parentIncludes: Boolean(parentIncludes), saturated: Boolean(saturated),
-        type: type, validLabels: validLabels, category: category };
-      if (typeof parentId === "function") { // (layerObject, onResult)
-        onResult = parentId;
-        layerDefinition = layer;
-        // ensure important types are converted from strings
-        layerDefinition.alignment = Number(layerDefinition.alignment);
-        layerDefinition.peers = Boolean(layerDefinition.peers);
-        layerDefinition.peers = Boolean(layerDefinition.peers);
-        layerDefinition.peersOverlap = Boolean(layerDefinition.peersOverlap);
-        layerDefinition.parentIncludes = Boolean(layerDefinition.parentIncludes);
-        layerDefinition.saturated = Boolean(layerDefinition.saturated);
-      }
-      this.createRequest(
-        "saveLayer", null, onResult, this.storeAdminUrl + "saveLayer", "POST",
-        null, "application/json")
-        .send(JSON.stringify(layerDefinition));
+    min(min) {
+      this.currentLayer("min").min = String(min);
+      return this;
     }
-
+    
     /**
-     * Deletes the given layer, and all associated annotations.
-     * @param {string|object} id The ID layer to delete.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Sets the maximum label value of the current layer, which must be numeric.
+     * @param {number} max The maximum value (exclusive).
+     * @return {SearchPattern} This pattern.
      */
-    deleteLayer(id, onResult) {
-      this.createRequest(
-        "deleteLayer", null, onResult, this.storeAdminUrl + "deleteLayer", "POST",
-        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          id : id
-        }));
+    max(max) {
+      this.currentLayer("max").max = String(max);
+      return this;
     }
-
+    
     /**
-     * Creates a new corpus record.
-     * @see LabbcatAdmin#readCorpora
-     * @see LabbcatAdmin#updateCorpus
-     * @see LabbcatAdmin#deleteCorpus
-     * @param {string} corpus_name The name/ID of the corpus.
-     * @param {string} corpus_language The ISO 639-1 code for the default language.
-     * @param {string} corpus_description The description of the corpus.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the corpus record, 
-     * including <em> corpus_id </em> - The database key for the record. 
+     * Sets the range of label values of the current layer, which must be numeric.
+     * @param {number} min The minimum value (inclusive).
+     * @param {number} max The maximum value (exclusive).
+     * @return {SearchPattern} This pattern.
      */
-    createCorpus(corpus_name, corpus_language, corpus_description, onResult) {
-      this.createRequest(
-        "corpora", null, onResult, this.baseUrl+"api/admin/corpora", "POST",
-        null, "application/json")
-        .send(JSON.stringify({
-          corpus_name : corpus_name,
-          corpus_language : corpus_language,
-          corpus_description : corpus_description}));
+    between(min, max) {
+      return this.min(min).max(max);
     }
     
     /**
-     * Reads a list of corpus records.
-     * @see LabbcatAdmin#createCorpus
-     * @see LabbcatAdmin#updateCorpus
-     * @see LabbcatAdmin#deleteCorpus
-     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
-     * records will be returned). 
-     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of corpus records with the following
-     * attributes:
-     * <dl>
-     *  <dt> corpus_id </dt> <dd> The database key for the record. </dd>
-     *  <dt> corpus_name </dt> <dd> The name/id of the corpus. </dd>
-     *  <dt> corpus_language </dt> <dd> The ISO 639-1 code for the default language. </dd>
-     *  <dt> corpus_description </dt> <dd> The description of the corpus. </dd>
-     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
-     *    records returned from the server that can not currently be deleted; 
-     *    a string representing the reason the record can't be deleted. </dd>
-     * </dl>
+     * Anchors the match to the start of the annotation on the current layer - i.e. the
+     * matching word token will be the first at/after the start of the matching
+     * annotation on this layer.
+     * @return {SearchPattern} This pattern.
      */
-    readCorpora(pageNumber, pageLength, onResult) {
-      if (typeof pageNumber === "function") { // (onResult)
-        onResult = pageNumber;
-        pageNumber = null;
-        pageLength = null;
-      } else if (typeof l === "function") { // (p, onResult)
-        onResult = l;
-        pageLength = null;
-      }
-      this.createRequest(
-        "corpora", {
-          pageNumber:pageNumber,
-          pageLength:pageLength
-        }, onResult, this.baseUrl+"api/admin/corpora")
-        .send();
+    anchorStart() {
+      this.currentLayer("anchorStart").anchorStart = true;
+      return this;
     }
     
     /**
-     * Updates an existing corpus record.
-     * @see LabbcatAdmin#createCorpus
-     * @see LabbcatAdmin#readCorpora
-     * @see LabbcatAdmin#deleteCorpus
-     * @param {string} corpus_id The database key for the record. // TODO eliminate corpus_id
-     * @param {string} corpus_name The name/ID of the corpus.
-     * @param {string} corpus_language The ISO 639-1 code for the default language.
-     * @param {string} corpus_description The description of the corpus.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the corpus record. 
+     * Anchors the match to the end of the annotation on the current layer - i.e. the
+     * matching word token will be the last before/at the end of the matching annotation
+     * on this layer.
+     * @return {SearchPattern} This pattern.
      */
-    updateCorpus(corpus_name, corpus_language, corpus_description, onResult) {
-      this.createRequest(
-        "corpora", null, onResult, this.baseUrl+"api/admin/corpora", "PUT")
-        .send(JSON.stringify({
-          corpus_name : corpus_name,
-          corpus_language : corpus_language,
-          corpus_description : corpus_description}));
+    anchorEnd() {
+      this.currentLayer("anchorEnd").anchorEnd = true;
+      return this;
     }
     
     /**
-     * Deletes an existing corpus record.
-     * @see LabbcatAdmin#createCorpus
-     * @see LabbcatAdmin#readCorpora
-     * @see LabbcatAdmin#updateCorpus
-     * @param {string} corpus_name The name/ID of the corpus.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Makes the current layer's annotation the target of each match - e.g. the token
+     * that {@link LabbcatView#getMatchAnnotations} returns annotations of.
+     * @return {SearchPattern} This pattern.
      */
-    deleteCorpus(corpus_name, onResult) {
-      this.createRequest(
-        "corpora", null, onResult, `${this.baseUrl}api/admin/corpora/${corpus_name}`,
-        "DELETE").send();
+    target() {
+      this.currentLayer("target").target = true;
+      return this;
     }
     
     /**
-     * Creates a new project record.
-     * @deprecated since version 1.6.0: 'projects' are now categories with classId = 'layer'
-     * - use createCategory instead. 
-     * @see LabbcatAdmin#createCategory
-     * @param {string} project The name/ID of the project.
-     * @param {string} description The description of the project.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the project record, 
-     * including <em> project_id </em> - The database key for the record. 
+     * Sets how far the next column's token can be from the current column's token - 1
+     * (the default) means it must be the next word, 2 allows one intervening word, etc.
+     * @param {int} adj The maximum distance to the next column's token.
+     * @return {SearchPattern} This pattern.
      */
-    createProject(project, description, onResult) {
-      this.createCategory("layer", project, description, 0, onResult);
+    adj(adj) {
+      if (!this._column) throw new Error("SearchPattern: column() must be called before adj()");
+      this._column.adj = adj;
+      return this;
     }
     
     /**
-     * Reads a list of project records.
-     * @deprecated since version 1.6.0: 'projects' are now categories with classId = 'layer'
-     * - use readCategories('layer') instead. 
-     * @see LabbcatAdmin#readCategories
-     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
-     * records will be returned). 
-     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of project records with the following
-     * attributes:
-     * <dl>
-     *  <dt> project_id </dt> <dd> The database key for the record. </dd>
-     *  <dt> project </dt> <dd> The name/id of the project. </dd>
-     *  <dt> description </dt> <dd> The description of the project. </dd>
-     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
-     *    records returned from the server that can not currently be deleted; 
-     *    a string representing the reason the record can't be deleted. </dd>
-     * </dl>
+     * The pattern as sent by {@link LabbcatView#search} - i.e. an object with a
+     * <var>columns</var> array, each with a <var>layers</var> object, which maps layer IDs
+     * to conditions.
      */
-    readProjects(pageNumber, pageLength, onResult) {
-      this.readCategories("layer", pageNumber, pageLength, onResult);
+    toJSON() {
+      return { columns : JSON.parse(JSON.stringify(this._columns)) };
     }
     
     /**
-     * Updates an existing project record.
-     * @deprecated since version 1.6.0: 'projects' are now categories with classId = 'layer'
-     * - use updateCategory instead. 
-     * @see LabbcatAdmin#updateCategory
-     * @param {string} project_id The database key for the record. // TODO eliminate project_id
-     * @param {string} project The name/ID of the project.
-     * @param {string} description The description of the project.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the project record. 
+     * Checks the pattern is complete, and, if a schema is given, that its layers can be
+     * searched, and that only numeric layers have <var>min</var>/<var>max</var> values.
+     * @param {Schema} [schema] The schema of the corpus to be searched.
+     * @return {string[]} The problems with the pattern, or an empty array if there are
+     * none.
+     */
+    validate(schema) {
+      const errors = [];
+      if (!this._columns.length) errors.push("Pattern has no columns");
+      let searchable = null;
+      if (schema) {
+        searchable = [schema.wordLayerId, schema.segmentLayerId].concat(
+          [].concat(schema.wordLayers(), schema.segmentLayers(), schema.phraseLayers(),
+                    schema.spanLayers()).map(layer => layer.id));
+      }
+      let targets = 0;
+      this._columns.forEach((column, c) => {
+        const layerIds = Object.keys(column.layers);
+        if (!layerIds.length) errors.push("Column " + (c+1) + " has no layers");
+        for (let layerId of layerIds) {
+          const condition = column.layers[layerId];
+          const numeric = condition.min != null || condition.max != null;
+          if (condition.pattern == null && !numeric) {
+            errors.push("No pattern or range for " + layerId + " in column " + (c+1));
+          }
+          for (let bound of ["min", "max"]) {
+            if (condition[bound] != null && isNaN(Number(condition[bound]))) {
+              errors.push("Invalid " + bound + " for " + layerId + ": " + condition[bound]);
+            }
+          }
+          if (condition.target) targets++;
+          if (!schema) continue;
+          const layer = schema.layer(layerId);
+          if (!layer) {
+            errors.push("Invalid layer ID: " + layerId);
+          } else if (!searchable.includes(layerId)) {
+            errors.push("Layer cannot be searched: " + layerId);
+          } else if (numeric && layer.type != "number") {
+            errors.push("Layer is not numeric, so min/max cannot be used: " + layerId);
+          }
+        } // next layer
+      }); // next column
+      if (targets > 1) errors.push("Pattern has more than one target");
+      return errors;
+    }
+  }
+
+  /*
+   * The types of the measurement parameters of {@link LabbcatView#praat}: "boolean",
+   * "flag" (the string "true" or "false"), "number", "string", "number[]" or "string[]".
+   */
+  const praatParameterTypes = {
+    extractF1: "boolean", extractF2: "boolean", extractF3: "boolean",
+    samplePoints: "string", formantCeilingDefault: "number",
+    formantDifferentiationLayerId: "string", formantOtherPattern: "string[]",
+    formantCeilingOther: "number[]", scriptFormant: "string",
+    useFastTrack: "boolean", fastTrackDifferentiationLayerId: "string",
+    fastTrackOtherPattern: "string[]",
+    fastTrackLowestAnalysisFrequencyDefault: "number",
+    fastTrackLowestAnalysisFrequencyOther: "number[]",
+    fastTrackHighestAnalysisFrequencyDefault: "number",
+    fastTrackHighestAnalysisFrequencyOther: "number[]",
+    fastTrackTimeStep: "number", fastTrackBasisFunctions: "string",
+    fastTrackErrorMethod: "string", fastTrackTrackingMethod: "string",
+    fastTrackEnableF1FrequencyHeuristic: "flag",
+    fastTrackMaximumF1FrequencyValue: "number",
+    fastTrackEnableF1BandwidthHeuristic: "flag",
+    fastTrackMaximumF1BandwidthValue: "number",
+    fastTrackEnableF2BandwidthHeuristic: "flag",
+    fastTrackMaximumF2BandwidthValue: "number",
+    fastTrackEnableF3BandwidthHeuristic: "flag",
+    fastTrackMaximumF3BandwidthValue: "number",
+    fastTrackEnableF4FrequencyHeuristic: "flag",
+    fastTrackMinimumF4FrequencyValue: "number",
+    fastTrackEnableRhoticHeuristic: "flag", fastTrackEnableF3F4ProximityHeuristic: "flag",
+    fastTrackNumberOfSteps: "number", fastTrackNumberOfCoefficients: "number",
+    fastTrackNumberOfFormants: "number", fastTrackCoefficients: "flag",
+    extractMinimumPitch: "boolean", extractMeanPitch: "boolean",
+    extractMaximumPitch: "boolean", pitchFloorDefault: "number",
+    pitchCeilingDefault: "number", voicingThresholdDefault: "number",
+    pitchDifferentiationLayerId: "string", pitchOtherPattern: "string[]",
+    pitchFloorOther: "number[]", pitchCeilingOther: "number[]",
+    voicingThresholdOther: "number[]", scriptPitch: "string",
+    extractMaximumIntensity: "boolean", intensityPitchFloorDefault: "number",
+    intensityDifferentiationLayerId: "string", intensityOtherPattern: "string[]",
+    intensityPitchFloorOther: "number[]", scriptIntensity: "string",
+    extractCOG1: "boolean", extractCOG2: "boolean", extractCOG23: "boolean",
+    script: "string", attributes: "string[]"
+  };
+
+  /*
+   * For each kind of praat measurement whose settings can differ by participant
+   * attribute, the parameters whose elements correspond to <var>kindOtherPattern</var>.
+   */
+  const praatOtherParameters = {
+    formant: [ "formantCeilingOther" ],
+    fastTrack: [ "fastTrackLowestAnalysisFrequencyOther",
+                 "fastTrackHighestAnalysisFrequencyOther" ],
+    pitch: [ "pitchFloorOther", "pitchCeilingOther", "voicingThresholdOther" ],
+    intensity: [ "intensityPitchFloorOther" ]
+  };
+
+  /*
+   * Determines whether the given value has the given praat parameter type.
+   */
+  function isPraatParameterType(value, type) {
+    const isNumber = value => (typeof value == "number" && isFinite(value))
+          || (typeof value == "string" && value.trim() != "" && isFinite(Number(value)));
+    switch (type) {
+    case "boolean":
+      return typeof value == "boolean" || value == "true" || value == "false";
+    case "flag": return value == "true" || value == "false";
+    case "number": return isNumber(value);
+    case "string": return typeof value == "string";
+    case "number[]": return Array.isArray(value) && value.every(isNumber);
+    case "string[]":
+      return Array.isArray(value) && value.every(v => typeof v == "string");
+    }
+    return false;
+  }
+
+  /*
+   * Converts a praat parameter value given as a number or boolean into the string the
+   * server expects, e.g. samplePoints 0.5 or [0.25, 0.75], or a Fast Track flag of true.
+   * Other values are returned as they are, to be checked by isPraatParameterType.
+   */
+  function praatParameterValue(name, value) {
+    switch (praatParameterTypes[name]) {
+    case "flag":
+      return typeof value == "boolean" ? String(value) : value;
+    case "string":
+      if (typeof value == "number" && isFinite(value)) return String(value);
+      if (name == "samplePoints" && Array.isArray(value)) return value.join(" ");
+    }
+    return value;
+  }
+
+  /**
+   * A builder for the <var>measurementParameters</var> of {@link LabbcatView#praat},
+   * which can be checked before uploading, so that mistakes like misspelled parameter
+   * names or mismatched per-participant settings are reported, instead of being silently
+   * ignored by the server.
+   * <p>Settings that differ by participant - e.g. formant ceilings for men and women -
+   * are given with a regular expression that the value of the participant attribute
+   * identified by {@link PraatMeasurements#differentiateBy} must match. Settings without
+   * a pattern are the defaults.
+   * @example
+   * // F1 and F2 at three points, with a lower formant ceiling for men
+   * const measurements = new PraatMeasurements()
+   *     .formants([1, 2], [0.25, 0.5, 0.75])
+   *     .differentiateBy("participant_gender")
+   *     .formantCeiling(5500)
+   *     .formantCeiling(5000, "M");
+   * const task = await store.praat(
+   *     "results.csv", 8, 5, 14, 15, 0.025, true, measurements);
+   */
+  class PraatMeasurements {
+    /**
+     * Create a set of measurement parameters.
+     * @param {object} [parameters] Initial parameters, as documented for
+     * {@link LabbcatView#praat}.
      */
-    updateProject(project, description, onResult) {
-      this.updateCategory("layer", project, description, 0, onResult);
+    constructor(parameters) {
+      this._parameters = {};
+      this._differentiationLayerId = null;
+      for (let name in parameters) this.set(name, parameters[name]);
     }
     
     /**
-     * Deletes an existing project record.
-     * @deprecated Deprecated as 'projects' are now categories with classId = 'layer' 
-     * - use deleteCategory instead.
-     * @see LabbcatAdmin#deleteCategory
-     * @param {string} project The name/ID of the project.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * F1 and F2 at the midpoint, with a formant ceiling of 5500Hz, or 5000Hz for
+     * participants whose gender is "M".
+     * @param {string} [genderLayerId="participant_gender"] The participant attribute
+     * layer for gender, or null to use the same ceiling for everyone.
+     * @return {PraatMeasurements} The measurements.
      */
-    deleteProject(project, onResult) {
-      this.deleteCategory("layer", project, onResult);
+    static vowelFormants(genderLayerId) {
+      const measurements = new PraatMeasurements().formants([1, 2]).formantCeiling(5500);
+      if (genderLayerId === null) return measurements;
+      return measurements.differentiateBy(genderLayerId || "participant_gender")
+        .formantCeiling(5000, "M");
     }
     
     /**
-     * Reads a list of category records. This overrides the LabbcatView version, and includes
-     * information about the possibility of deletion.
-     * @see LabbcatAdmin#createCategory
-     * @see LabbcatAdmin#updateCategory
-     * @see LabbcatAdmin#deleteCategory
-     * @param {string} class_id What attributes to read; "transcript" or "participant". 
-     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
-     * records will be returned). 
-     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of category records with the following
-     * attributes:
-     * <dl>
-     *  <dt> class_id </dt> <dd> The class_id of the category. </dd>
-     *  <dt> category </dt> <dd> The name/id of the category. </dd>
-     *  <dt> description </dt> <dd> The description of the category. </dd>
-     *  <dt> display_order </dt> <dd> Where the category appears among other categories. </dd>
-     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
-     *    records returned from the server that can not currently be deleted; 
-     *    a string representing the reason the record can't be deleted. </dd>
-     * </dl>
+     * F1, F2, and F3 at the midpoint, using the FastTrack plugin with analysis
+     * frequencies 5000-7000Hz, or 4500-6500Hz for participants whose gender is "M".
+     * @param {string} [genderLayerId="participant_gender"] The participant attribute
+     * layer for gender, or null to use the same frequencies for everyone.
+     * @return {PraatMeasurements} The measurements.
      */
-    readCategories(class_id, pageNumber, pageLength, onResult) {
-      if (typeof pageNumber === "function") { // (onResult)
-        onResult = pageNumber;
-        pageNumber = null;
-        pageLength = null;
-      } else if (typeof l === "function") { // (p, onResult)
-        onResult = l;
-        pageLength = null;
-      }
-      if (class_id == "participant") class_id = "speaker";
-      this.createRequest(
-        `categories/${class_id}`, {
-          pageNumber:pageNumber,
-          pageLength:pageLength
-        }, onResult, `${this.baseUrl}api/admin/categories/${class_id}`)
-        .send();
+    static fastTrackFormants(genderLayerId) {
+      const measurements = new PraatMeasurements()
+            .formants([1, 2, 3]).fastTrack(5000, 7000);
+      if (genderLayerId === null) return measurements;
+      return measurements.differentiateBy(genderLayerId || "participant_gender")
+        .fastTrack(4500, 6500, "M");
     }
     
     /**
-     * Creates a new category record.
-     * @see LabbcatView#readCategories
-     * @see LabbcatAdmin#updateCategory
-     * @see LabbcatAdmin#deleteCategory
-     * @param {string} class_id What attributes the category applies to; "transcript" or
-     * "participant". 
-     * @param {string} category The name/ID of the category.
-     * @param {string} description The description of the category.
-     * @param {number} display_order Where the category appears among other categories.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the category record, 
-     * including <em> category_id </em> - The database key for the record. 
+     * Minimum, mean, and maximum pitch, with a range of 60-500Hz (voicing threshold
+     * 0.5), or 30-250Hz (voicing threshold 0.4) for participants whose gender is "M".
+     * @param {string} [genderLayerId="participant_gender"] The participant attribute
+     * layer for gender, or null to use the same range for everyone.
+     * @return {PraatMeasurements} The measurements.
      */
-    createCategory(class_id, category, description, display_order, onResult) {
-      if (class_id == "participant") class_id = "speaker";
-      this.createRequest(
-        "categories", null, onResult, this.baseUrl+"api/admin/categories", "POST",
-        null, "application/json")
-        .send(JSON.stringify({
-          class_id : class_id,
-          category : category,
-          description : description,
-          display_order : display_order}));
+    static pitchSummary(genderLayerId) {
+      const measurements = new PraatMeasurements().pitch().pitchRange(60, 500, 0.5);
+      if (genderLayerId === null) return measurements;
+      return measurements.differentiateBy(genderLayerId || "participant_gender")
+        .pitchRange(30, 250, 0.4, "M");
     }
     
     /**
-     * Updates an existing category record.
-     * @see LabbcatAdmin#createCategory
-     * @see LabbcatView#readCategories
-     * @see LabbcatAdmin#deleteCategory
-     * @param {string} class_id What attributes the category applies to; "transcript" or
-     * "participant". 
-     * @param {string} category The name/ID of the category.
-     * @param {string} description The description of the category.
-     * @param {number} display_order Where the category appears among other categories.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the category record. 
+     * Centre of gravity, with powers 1, 2, and 2/3 - e.g. for sibilants.
+     * @return {PraatMeasurements} The measurements.
      */
-    updateCategory(class_id, category, description, display_order, onResult) {
-      if (class_id == "participant") class_id = "speaker";
-      this.createRequest(
-        "categories", null, onResult, this.baseUrl+"api/admin/categories", "PUT")
-        .send(JSON.stringify({
-          class_id : class_id,
-          category : category,
-          description : description,
-          display_order : display_order}));
+    static sibilantCOG() {
+      return new PraatMeasurements().cog(1, 2, 23);
     }
     
     /**
-     * Deletes an existing category record.
-     * @see LabbcatAdmin#createCategory
-     * @see LabbcatView#readCategories
-     * @see LabbcatAdmin#updateCategory
-     * @param {string} class_id What attributes the category applies to; "transcript" or
-     * "participant". 
-     * @param {string} category The name/ID of the category.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Sets a parameter, as documented for {@link LabbcatView#praat}. Numbers and
+     * booleans are converted to the strings the server expects where necessary - e.g.
+     * samplePoints 0.5, or fastTrackCoefficients true.
+     * @param {string} name The parameter name.
+     * @param value The parameter value.
+     * @return {PraatMeasurements} These measurements.
      */
-    deleteCategory(class_id, category, onResult) {
-      if (class_id == "participant") class_id = "speaker";
-      this.createRequest(
-        "categories", null, onResult,
-        `${this.baseUrl}api/admin/categories/${class_id}/${category}`,
-        "DELETE").send();
+    set(name, value) {
+      this._parameters[name] = praatParameterValue(name, value);
+      return this;
     }
     
     /**
-     * Creates a new media track record.
-     * @see LabbcatAdmin#readMediaTracks
-     * @see LabbcatAdmin#updateTask
-     * @see LabbcatAdmin#deleteTask
-     * @param {string} suffix The suffix of the mediaTrack.
-     * @param {string} description The description of the mediaTrack.
-     * @param {int} display_order The position of the mediaTrack relative to other mediaTracks.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the mediaTrack record. 
+     * Sets the participant attribute whose value is matched by the patterns of
+     * participant-specific settings given after this.
+     * @param {string} layerId The participant attribute layer ID - e.g.
+     * "participant_gender".
+     * @return {PraatMeasurements} These measurements.
      */
-    createMediaTrack(suffix, description, display_order, onResult) {
-      this.createRequest(
-        "mediaTracks", null, onResult, this.baseUrl+"api/admin/mediatracks", "POST",
-        null, "application/json")
-        .send(JSON.stringify({
-          suffix : suffix,
-          description : description,
-          display_order: display_order}));
+    differentiateBy(layerId) {
+      this._differentiationLayerId = layerId;
+      return this;
+    }
+    
+    // Sets the settings of the given kind of measurement: the defaults if there's no
+    // pattern, or otherwise those for participants whose attribute matches the pattern.
+    setting(kind, pattern, defaults, others) {
+      if (pattern == null) {
+        Object.assign(this._parameters, defaults);
+        return this;
+      }
+      if (!this._differentiationLayerId) {
+        throw new Error("PraatMeasurements: differentiateBy() must be called before "
+                        + "giving a pattern");
+      }
+      this._parameters[kind + "DifferentiationLayerId"] = this._differentiationLayerId;
+      const patterns = kind + "OtherPattern";
+      this._parameters[patterns] = (this._parameters[patterns] || []).concat([pattern]);
+      for (let name in others) {
+        this._parameters[name] = (this._parameters[name] || []).concat([others[name]]);
+      }
+      return this;
     }
     
     /**
-     * Reads a list of media track records.
-     * @see LabbcatAdmin#createMediaTrack
-     * @see LabbcatAdmin#updateTask
-     * @see LabbcatAdmin#deleteTask
-     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
-     * records will be returned). 
-     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of mediaTrack records with the following
-     * attributes:
-     * <dl>
-     *  <dt> suffix </dt> <dd> The suffix of the mediaTrack. </dd>
-     *  <dt> description </dt> <dd> The description of the mediaTrack. </dd>
-     *  <dt> display_order </dt> <dd> The position of the mediaTrack relative to other mediaTracks. </dd>
-     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
-     *    records returned from the server that can not currently be deleted; 
-     *    a string representing the reason the record can't be deleted. </dd>
-     * </dl>
+     * Measures formants.
+     * @param {int[]} [formants=[1,2]] Which formants to measure - 1, 2, and/or 3.
+     * @param {number[]} [samplePoints=[0.5]] The proportional time points to measure
+     * at, between 0 and 1.
+     * @return {PraatMeasurements} These measurements.
      */
-    readMediaTracks(pageNumber, pageLength, onResult) {
-      if (typeof pageNumber === "function") { // (onResult)
-        onResult = pageNumber;
-        pageNumber = null;
-        pageLength = null;
-      } else if (typeof l === "function") { // (p, onResult)
-        onResult = l;
-        pageLength = null;
-      }
-      this.createRequest(
-        "mediaTracks", {
-          pageNumber:pageNumber,
-          pageLength:pageLength
-        }, onResult, this.baseUrl+"api/admin/mediatracks")
-        .send();
+    formants(formants, samplePoints) {
+      for (let f of formants || [1, 2]) this._parameters["extractF" + f] = true;
+      this._parameters.samplePoints = [].concat(samplePoints || [0.5]).join(" ");
+      return this;
     }
     
     /**
-     * Updates an existing media track record.
-     * @see LabbcatAdmin#createMediaTrack
-     * @see LabbcatAdmin#readMediaTracks
-     * @see LabbcatAdmin#deleteMediaTrack
-     * @param {string} suffix The suffix of the mediaTrack.
-     * @param {string} description The description of the mediaTrack.
-     * @param {int} display_order The position of the mediaTrack relative to other mediaTracks.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the mediaTrack record. 
+     * Sets the maximum formant.
+     * @param {int} ceiling The maximum formant, in Hz.
+     * @param {string} [pattern] If set, the ceiling is only for participants whose
+     * attribute matches this regular expression, otherwise it's the default.
+     * @return {PraatMeasurements} These measurements.
      */
-    updateMediaTrack(suffix, description, display_order, onResult) {
-      this.createRequest(
-        "mediaTracks", null, onResult, this.baseUrl+"api/admin/mediatracks", "PUT")
-        .send(JSON.stringify({
-          suffix : suffix,
-          description : description,
-          display_order: display_order}));
+    formantCeiling(ceiling, pattern) {
+      return this.setting("formant", pattern, { formantCeilingDefault: ceiling },
+                          { formantCeilingOther: ceiling });
     }
     
     /**
-     * Deletes an existing media track record.
-     * @see LabbcatAdmin#createMediaTrack
-     * @see LabbcatAdmin#readMediaTracks
-     * @see LabbcatAdmin#updateMediaTrack
-     * @param {string} suffix The suffix of the mediaTrack.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Uses the FastTrack plugin to measure formants, with the given analysis
+     * frequencies.
+     * @param {int} lowestAnalysisFrequency The lowest analysis frequency, in Hz.
+     * @param {int} highestAnalysisFrequency The highest analysis frequency, in Hz.
+     * @param {string} [pattern] If set, the frequencies are only for participants whose
+     * attribute matches this regular expression, otherwise they're the defaults.
+     * @return {PraatMeasurements} These measurements.
+     */
+    fastTrack(lowestAnalysisFrequency, highestAnalysisFrequency, pattern) {
+      this._parameters.useFastTrack = true;
+      return this.setting("fastTrack", pattern, {
+        fastTrackLowestAnalysisFrequencyDefault: lowestAnalysisFrequency,
+        fastTrackHighestAnalysisFrequencyDefault: highestAnalysisFrequency
+      }, {
+        fastTrackLowestAnalysisFrequencyOther: lowestAnalysisFrequency,
+        fastTrackHighestAnalysisFrequencyOther: highestAnalysisFrequency
+      });
+    }
+    
+    /**
+     * Measures pitch.
+     * @param {string[]} [statistics=["minimum","mean","maximum"]] Which statistics to
+     * measure.
+     * @return {PraatMeasurements} These measurements.
      */
-    deleteMediaTrack(suffix, onResult) {
-      this.createRequest(
-        "mediaTracks", null, onResult, `${this.baseUrl}api/admin/mediatracks/${suffix}`,
-        "DELETE").send();
+    pitch(statistics) {
+      for (let statistic of statistics || ["minimum", "mean", "maximum"]) {
+        const name = "extract" + statistic.replace(/^./, c => c.toUpperCase()) + "Pitch";
+        if (!praatParameterTypes[name]) {
+          throw new Error("PraatMeasurements: invalid pitch statistic: " + statistic);
+        }
+        this._parameters[name] = true;
+      }
+      return this;
     }
     
     /**
-     * Creates a new role record.
-     * @see LabbcatAdmin#readRoles
-     * @see LabbcatAdmin#updateRole
-     * @see LabbcatAdmin#deleteRole
-     * @param {string} role_id The name/ID of the role.
-     * @param {string} description The description of the role.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the role record, 
-     * including <em> role_id </em> - The database key for the record. 
+     * Sets the pitch range.
+     * @param {int} floor The pitch floor, in Hz.
+     * @param {int} ceiling The pitch ceiling, in Hz.
+     * @param {number} voicingThreshold The voicing threshold.
+     * @param {string} [pattern] If set, the range is only for participants whose
+     * attribute matches this regular expression, otherwise it's the default.
+     * @return {PraatMeasurements} These measurements.
+     */
+    pitchRange(floor, ceiling, voicingThreshold, pattern) {
+      return this.setting("pitch", pattern, {
+        pitchFloorDefault: floor, pitchCeilingDefault: ceiling,
+        voicingThresholdDefault: voicingThreshold
+      }, {
+        pitchFloorOther: floor, pitchCeilingOther: ceiling,
+        voicingThresholdOther: voicingThreshold
+      });
+    }
+    
+    /**
+     * Measures maximum intensity.
+     * @param {int} [pitchFloor] The pitch floor, in Hz.
+     * @param {string} [pattern] If set, the pitch floor is only for participants whose
+     * attribute matches this regular expression, otherwise it's the default.
+     * @return {PraatMeasurements} These measurements.
      */
-    createRole(role_id, description, onResult) {
-      this.createRequest(
-        "roles", null, onResult, this.baseUrl+"api/admin/roles", "POST",
-        null, "application/json")
-        .send(JSON.stringify({
-          role_id : role_id,
-          description : description}));
+    intensity(pitchFloor, pattern) {
+      this._parameters.extractMaximumIntensity = true;
+      if (pitchFloor == null) return this;
+      return this.setting(
+        "intensity", pattern, { intensityPitchFloorDefault: pitchFloor },
+        { intensityPitchFloorOther: pitchFloor });
     }
     
     /**
-     * Reads a list of role records.
-     * @see LabbcatAdmin#createRole
-     * @see LabbcatAdmin#updateRole
-     * @see LabbcatAdmin#deleteRole
-     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
-     * records will be returned). 
-     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of role records with the following
-     * attributes:
-     * <dl>
-     *  <dt> role_id </dt> <dd> The name/id of the role. </dd>
-     *  <dt> description </dt> <dd> The description of the role. </dd>
-     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
-     *    records returned from the server that can not currently be deleted; 
-     *    a string representing the reason the record can't be deleted. </dd>
-     * </dl>
+     * Measures centre of gravity.
+     * @param {...int} [powers] Which powers to measure - 1, 2, and/or 23 (i.e. 2/3).
+     * (default: all of them)
+     * @return {PraatMeasurements} These measurements.
      */
-    readRoles(pageNumber, pageLength, onResult) {
-      if (typeof pageNumber === "function") { // (onResult)
-        onResult = pageNumber;
-        pageNumber = null;
-        pageLength = null;
-      } else if (typeof l === "function") { // (p, onResult)
-        onResult = l;
-        pageLength = null;
+    cog(...powers) {
+      for (let power of powers.length ? powers : [1, 2, 23]) {
+        this._parameters["extractCOG" + power] = true;
       }
-      this.createRequest(
-        "roles", {
-          pageNumber:pageNumber,
-          pageLength:pageLength
-        }, onResult, this.baseUrl+"api/admin/roles")
-        .send();
+      return this;
     }
     
     /**
-     * Updates an existing role record.
-     * @see LabbcatAdmin#createRole
-     * @see LabbcatAdmin#readRoles
-     * @see LabbcatAdmin#deleteRole
-     * @param {string} role_id The name/ID of the role.
-     * @param {string} description The description of the role.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the role record. 
+     * Runs a custom Praat script on each interval.
+     * @param {string} script The script.
+     * @param {string[]} [attributes] Participant attribute layer IDs to make available
+     * to the script.
+     * @return {PraatMeasurements} These measurements.
      */
-    updateRole(role_id, description, onResult) {
-      this.createRequest(
-        "roles", null, onResult, this.baseUrl+"api/admin/roles", "PUT")
-        .send(JSON.stringify({
-          role_id : role_id,
-          description : description}));
+    script(script, attributes) {
+      this._parameters.script = script;
+      if (attributes) this._parameters.attributes = attributes;
+      return this;
     }
     
     /**
-     * Deletes an existing role record.
-     * @see LabbcatAdmin#createRole
-     * @see LabbcatAdmin#readRoles
-     * @see LabbcatAdmin#updateRole
-     * @param {string} role_id The name/ID of the role.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * The parameters, as passed to {@link LabbcatView#praat}.
      */
-    deleteRole(role_id, onResult) {
-      this.createRequest(
-        "roles", null, onResult, `${this.baseUrl}api/admin/roles/${role_id}`,
-        "DELETE").send();
+    toJSON() {
+      return JSON.parse(JSON.stringify(this._parameters));
     }
     
     /**
-     * Creates a new role permission record.
-     * @see LabbcatAdmin#readRolePermissions
-     * @see LabbcatAdmin#updateRolePermission
-     * @see LabbcatAdmin#deleteRolePermission
-     * @param {string} role_id The name/ID of the role.
-     * @param {string} entity A string indentifying the entities the permission
-     * applies to.
-     * @param {string} layer The ID of a  a transcript attribute layer (or "corpus")
-     * the label of which determines the access.
-     * @param {string} value_pattern A regular expression; if the value of the
-     * label identified by <var> layer </var> matches this pattern, then
-     * access to the entities identfied by <var> entity </var> is granted.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the role permission record, 
-     * including <em> rolePermission_id </em> - The database key for the record. 
-     */
-    createRolePermission(role_id, entity, layer, value_pattern, onResult) {
-      this.createRequest(
-        "rolePermissions", null, (permission, errors, messages, call, id) => {
-          if (permission) {
-            // attribute_name -> layer
-            if (permission.attribute_name == "corpus") {
-              permission.layer = permission.attribute_name;
-            } else {
-              permission.layer = "transcript_" + permission.attribute_name;
-            }
+     * Checks that all parameters are known and have values of the right type, that
+     * something will be measured, and that participant-specific settings have the same
+     * number of values as patterns. If a schema is given, participant attribute layer
+     * IDs are also checked.
+     * @param {Schema} [schema] The schema of the corpus.
+     * @return {string[]} The problems with the parameters, or an empty array if there
+     * are none.
+     */
+    validate(schema) {
+      const errors = [];
+      const parameters = this._parameters;
+      for (let name in parameters) {
+        if (!praatParameterTypes[name]) {
+          errors.push("Unknown measurement parameter: " + name);
+        } else if (!isPraatParameterType(parameters[name], praatParameterTypes[name])) {
+          errors.push(
+            "Invalid value for " + name + ": " + JSON.stringify(parameters[name]));
+        }
+      } // next parameter
+      if (typeof parameters.samplePoints == "string") {
+        for (let point of parameters.samplePoints.trim().split(/\s+/)) {
+          const value = Number(point);
+          if (isNaN(value) || value < 0 || value > 1) {
+            errors.push("Invalid sample point: " + point);
           }
-          if (onResult) onResult(permission, errors, messages, call, id);
-        }, this.baseUrl+"api/admin/roles/permissions", "POST",
-        null, "application/json")
-        .send(JSON.stringify({
-          role_id : role_id,
-          entity : entity,
-          attribute_name : layer.replace(/^transcript_/,""), // layer -> attribute_name
-          value_pattern : value_pattern}));
+        } // next point
+      }
+      if (!Object.keys(parameters).some(
+        name => (/^extract/.test(name) && String(parameters[name]) == "true")
+          || (name == "script" && parameters.script))) {
+        errors.push("Nothing to measure");
+      }
+      const layerIds = [].concat(parameters.attributes || []);
+      for (let kind in praatOtherParameters) {
+        const patternsName = kind + "OtherPattern";
+        const layerIdName = kind + "DifferentiationLayerId";
+        const patterns = [].concat(parameters[patternsName] || []);
+        if (patterns.length && !parameters[layerIdName]) {
+          errors.push(patternsName + " requires " + layerIdName);
+        }
+        if (parameters[layerIdName]) layerIds.push(parameters[layerIdName]);
+        for (let pattern of patterns) {
+          try {
+            new RegExp(pattern);
+          } catch(x) {
+            errors.push("Invalid regular expression in " + patternsName + ": " + pattern);
+          }
+        } // next pattern
+        for (let name of praatOtherParameters[kind]) {
+          const values = [].concat(parameters[name] || []);
+          if (values.length != patterns.length) {
+            errors.push(name + " has " + values.length + " values but " + patternsName
+                        + " has " + patterns.length);
+          }
+        } // next parameter
+      } // next kind
+      if (schema) {
+        const attributes = schema.participantAttributes().map(layer => layer.id);
+        for (let layerId of layerIds.filter((id, i) => layerIds.indexOf(id) == i)) {
+          if (!schema.layer(layerId)) {
+            errors.push("Invalid layer ID: " + layerId);
+          } else if (!attributes.includes(layerId)) {
+            errors.push("Not a participant attribute: " + layerId);
+          }
+        } // next layer
+      }
+      return errors;
     }
-    
+  }
+
+  /**
+   * The definition of a layer of annotations in a {@link Graph}, as returned by
+   * {@link LabbcatView#getLayer}.
+   */
+  class Layer {
     /**
-     * Reads a list of role permission records for a given user role.
-     * @see LabbcatAdmin#createRolePermission
-     * @see LabbcatAdmin#updateRolePermission
-     * @see LabbcatAdmin#deleteRolePermission
-     * @param {string} role_id The name/ID of the role.
-     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
-     * records will be returned). 
-     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of role permission records with the following
-     * attributes:
-     * <dl>
-     *  <dt> role_id </dt> <dd> The name/id of the rolePermission. </dd>
-     *  <dt> entity </dt> <dd> A string indentifying the entities the permission
-     *    applies to. </dd>
-     *  <dt> layer </dt> <dd> The ID of a  a transcript attribute layer (or "corpus")
-     *    the label of which determines the access. </dd>
-     *  <dt> value_pattern </dt> <dd> A regular expression; if the value of the
-     *    label identified by <var> layer </var> matches this pattern, then
-     *    access to the entities identfied by <var> entity </var> is granted. </dd>
-     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
-     *    records returned from the server that can not currently be deleted; 
-     *    a string representing the reason the record can't be deleted. </dd>
-     * </dl>
+     * Create a layer.
+     * @param {object} definition The layer definition, as returned by
+     * {@link LabbcatView#getLayer}.
+     * @param {object} layers The layers of the schema the layer belongs to, keyed by ID,
+     * for finding its parent and children.
+     */
+    constructor(definition, layers) {
+      this._id = definition.id;
+      this._parentId = definition.parentId || null;
+      this._description = definition.description || null;
+      this._alignment = definition.alignment || 0;
+      this._peers = !!definition.peers;
+      this._peersOverlap = !!definition.peersOverlap;
+      this._parentIncludes = definition.parentIncludes !== false;
+      this._saturated = definition.saturated !== false;
+      this._type = definition.type || "string";
+      this._validLabels = definition.validLabels || {};
+      this._category = definition.category || null;
+      this._layers = layers;
+    }
+    /**
+     * The ID of the layer.
+     */
+    get id() { return this._id; }
+    /**
+     * The ID of the parent layer, or null if this is the root layer.
+     */
+    get parentId() { return this._parentId; }
+    /**
+     * The parent layer, or null if this is the root layer.
+     */
+    get parent() { return this._layers[this._parentId] || null; }
+    /**
+     * The layers whose parent is this layer.
+     */
+    get children() {
+      return Object.values(this._layers).filter(layer => layer.parentId == this._id);
+    }
+    /**
+     * The description of the layer.
+     */
+    get description() { return this._description; }
+    /**
+     * The alignment of annotations: 0 for no alignment (i.e. tags), 1 for instants, 2
+     * for intervals.
+     */
+    get alignment() { return this._alignment; }
+    /**
+     * Whether parent annotations can have more than one child on this layer.
+     */
+    get peers() { return this._peers; }
+    /**
+     * Whether peers can overlap in time.
+     */
+    get peersOverlap() { return this._peersOverlap; }
+    /**
+     * Whether annotations are always within the bounds of their parent.
+     */
+    get parentIncludes() { return this._parentIncludes; }
+    /**
+     * Whether children fill the whole duration of their parent.
+     */
+    get saturated() { return this._saturated; }
+    /**
+     * The type of labels - e.g. "string", "number", "ipa".
+     */
+    get type() { return this._type; }
+    /**
+     * The labels that are valid for this layer, mapped to their descriptions.
+     */
+    get validLabels() { return this._validLabels; }
+    /**
+     * The category of the layer, if any.
+     */
+    get category() { return this._category; }
+  }
+
+  /**
+   * The layers of a LaBB-CAT corpus and how they relate to each other, as returned by
+   * {@link LabbcatView#getSchema}, with functions for identifying layers by scope.
+   * @example
+   * const schema = await store.loadSchema();
+   * console.log("word layers: " + schema.wordLayers().map(layer => layer.id));
+   * console.log("speaker attributes: " + schema.participantAttributes().map(l => l.id));
+   */
+  class Schema {
+    /**
+     * Create a schema.
+     * @param {object} json The schema, as returned by {@link LabbcatView#getSchema}.
+     */
+    constructor(json) {
+      json = json || {};
+      this._layers = {};
+      const layers = json.layers || [];
+      for (let definition of Array.isArray(layers) ? layers : Object.values(layers)) {
+        this._layers[definition.id] = new Layer(definition, this._layers);
+      }
+      this._rootLayerId = (json.root && json.root.id) || json.root
+        || Object.keys(this._layers).find(id => !this._layers[id].parentId)
+        || defaultRootLayerId;
+      this._participantLayerId = json.participantLayerId || null;
+      this._turnLayerId = json.turnLayerId || null;
+      this._utteranceLayerId = json.utteranceLayerId || null;
+      this._wordLayerId = json.wordLayerId || null;
+      this._episodeLayerId = json.episodeLayerId || null;
+      this._corpusLayerId = json.corpusLayerId || null;
+      this._segmentLayerId = json.segmentLayerId
+        || (this._layers[defaultSegmentLayerId] ? defaultSegmentLayerId : null);
+    }
+    /**
+     * The layers of the schema, keyed by ID.
+     */
+    get layers() { return Object.assign({}, this._layers); }
+    /**
+     * The ID of the root layer - i.e. the layer of the transcript itself.
+     */
+    get rootLayerId() { return this._rootLayerId; }
+    /**
+     * The ID of the layer of participants.
+     */
+    get participantLayerId() { return this._participantLayerId; }
+    /**
+     * The ID of the layer of speaker turns.
+     */
+    get turnLayerId() { return this._turnLayerId; }
+    /**
+     * The ID of the layer of utterances.
      */
-    readRolePermissions(role_id, pageNumber, pageLength, onResult) {
-      if (typeof pageNumber === "function") { // (onResult)
-        onResult = pageNumber;
-        pageNumber = null;
-        pageLength = null;
-      } else if (typeof l === "function") { // (p, onResult)
-        onResult = l;
-        pageLength = null;
+    get utteranceLayerId() { return this._utteranceLayerId; }
+    /**
+     * The ID of the layer of word tokens.
+     */
+    get wordLayerId() { return this._wordLayerId; }
+    /**
+     * The ID of the layer of phone segments.
+     */
+    get segmentLayerId() { return this._segmentLayerId; }
+    /**
+     * The ID of the layer of episodes.
+     */
+    get episodeLayerId() { return this._episodeLayerId; }
+    /**
+     * The ID of the layer of corpora.
+     */
+    get corpusLayerId() { return this._corpusLayerId; }
+    /**
+     * Gets a layer definition.
+     * @param {string} layerId The layer ID.
+     * @return {Layer} The layer, or null if it isn't in the schema.
+     */
+    layer(layerId) {
+      return this._layers[layerId] || null;
+    }
+    /**
+     * The ancestors of the given layer.
+     * @param {string} layerId The layer ID.
+     * @return {Layer[]} The layer's parent, its parent's parent, etc. up to the root
+     * layer, or an empty array if the layer isn't in the schema.
+     */
+    ancestors(layerId) {
+      const ancestors = [];
+      const layer = this._layers[layerId];
+      for (let ancestor = layer && layer.parent;
+           ancestor && !ancestors.includes(ancestor) && ancestor !== layer;
+           ancestor = ancestor.parent) {
+        ancestors.push(ancestor);
       }
-      this.createRequest(
-        "rolePermissions", {
-          pageNumber:pageNumber,
-          pageLength:pageLength
-        }, (permissions, errors, messages, call, id) => {
-          if (permissions) {
-            // attribute_name -> layer
-            for (var permission of permissions) {
-              if (permission.attribute_name == "corpus") {
-                permission.layer = permission.attribute_name;
-              } else {
-                permission.layer = "transcript_" + permission.attribute_name;
-              }
-            }
-          }
-          if (onResult) onResult(permissions, errors, messages, call, id);
-        }, `${this.baseUrl}api/admin/roles/permissions/${role_id}`)
-        .send();
+      return ancestors;
     }
-    
     /**
-     * Updates an existing role permission record.
-     * @see LabbcatAdmin#createRolePermission
-     * @see LabbcatAdmin#readRolePermissions
-     * @see LabbcatAdmin#deleteRolePermission
-     * @param {string} role_id The name/ID of the role.
-     * @param {string} entity A string indentifying the entities the permission
-     * applies to.
-     * @param {string} layer The ID of a  a transcript attribute layer (or "corpus")
-     * the label of which determines the access.
-     * @param {string} value_pattern A regular expression; if the value of the
-     * label identified by <var> layer </var> matches this pattern, then
-     * access to the entities identfied by <var> entity </var> is granted.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the role permission record. 
+     * Whether the given layer is a tag layer of the given scope - i.e. its parent is the
+     * scope layer, and its annotations are unaligned, so each labels its parent.
+     * @param {string} layerId The layer ID.
+     * @param {string} scope The ID of the scope layer - e.g. "word".
+     * @return {boolean} true if the layer tags annotations on the scope layer.
      */
-    updateRolePermission(role_id, entity, layer, value_pattern, onResult) {
-      var permission = this.createRequest(
-        "rolePermissions", null, (permission, errors, messages, call, id) => {
-          if (permission) {
-            // attribute_name -> layer
-            if (permission.attribute_name == "corpus") {
-              permission.layer = permission.attribute_name;
-            } else {
-              permission.layer = "transcript_" + permission.attribute_name;
-            }
-          }
-          if (onResult) onResult(permission, errors, messages, call, id);
-        }, this.baseUrl+"api/admin/roles/permissions", "PUT")
-          .send(JSON.stringify({
-            role_id : role_id,
-            entity : entity,
-            attribute_name : layer.replace(/^transcript_/,""), // layer -> attribute_name
-            value_pattern : value_pattern}));
+    isTagOf(layerId, scope) {
+      const layer = this._layers[layerId];
+      return !!layer && layer.parentId == scope && !layer.alignment;
     }
-    
     /**
-     * Deletes an existing role permission record.
-     * @see LabbcatAdmin#createRolePermission
-     * @see LabbcatAdmin#readRolePermissions
-     * @see LabbcatAdmin#updateRolePermission
-     * @param {string} rolePermission_id The name/ID of the rolePermission.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * Word-scope layers - i.e. children of the word layer, except segments.
+     * @return {Layer[]} The layers.
      */
-    deleteRolePermission(role_id, entity, onResult) {
-      this.createRequest(
-        "rolePermissions", null, onResult, `${this.baseUrl}api/admin/roles/permissions/${role_id}/${entity}`,
-        "DELETE").send();
+    wordLayers() {
+      return this.childLayers(this._wordLayerId, [this._segmentLayerId]);
     }
-    
     /**
-     * Reads a list of system attribute records.
-     * @see LabbcatAdmin#updateSystemAttribute
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of system attribute records with the following
-     * attributes:
-     * <dl>
-     *  <dt> attribute </dt> <dd> ID of the attribute. </dd>
-     *  <dt> type </dt> <dd> The type of the attribute - "string", "integer",
-     *                       "boolean", "select", etc. </dd>
-     *  <dt> style </dt> <dd> Style definition which depends on <var> type </var> -
-     *                        e.g. whether the "boolean" is shown as a checkbox or
-     *                        radio buttons, etc. </dd>
-     *  <dt> label </dt> <dd> User-facing label for the attribute. </dd>
-     *  <dt> description </dt> <dd> User-facing (long) description for the attribute. </dd>
-     *  <dt> options </dt> <dd> If <var> type </var> is "select", this is an object
-     *                          defining the valid options for the attribute, where
-     *                          the attribute key is the attribute value and the attribute
-     *                          value is the user-facing label for the option. </dd>
-     *  <dt> value </dt> <dd> The value of the attribute. </dd>
-     * </dl>
+     * Segment-scope layers - i.e. children of the segment layer.
+     * @return {Layer[]} The layers.
      */
-    readSystemAttributes(onResult) {
-      this.createRequest(
-        "systemattributes", null, onResult, this.baseUrl+"api/admin/systemattributes")
-        .send();
+    segmentLayers() {
+      return this.childLayers(this._segmentLayerId);
     }
-    
     /**
-     * Updates an existing system attribute record.
-     * @see LabbcatAdmin#readSystemAttributes
-     * @param {string} attribute The ID of the attribute.
-     * @param {string} value The value of the attribute.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the system attribute record. 
+     * Phrase-scope layers - i.e. children of the turn layer, except utterances and words.
+     * @return {Layer[]} The layers.
      */
-    updateSystemAttribute(attribute, value, onResult) {
-      this.createRequest(
-        "systemattributes", null, onResult, this.baseUrl+"api/admin/systemattributes", "PUT")
-        .send(JSON.stringify({
-          attribute : attribute,
-          value : value}));
+    phraseLayers() {
+      return this.childLayers(this._turnLayerId, [this._utteranceLayerId, this._wordLayerId]);
     }
-    
     /**
-     * Uploads an annotator module in preparation for installing it.
-     * @param {string|file} jarFile Annotator .jar file.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object describing the attributes of the
-     * annotator found in the jar file:
-     * <dl>
-     *  <dt> jar </dt><dd> The name of the file uploaded. </dd>
-     *  <dt> annotatorId </dt><dd> The ID of the annotator. </dd>
-     *  <dt> version </dt><dd> The version of the annotator implementation. </dd>
-     *  <dt> installedVersion </dt><dd> The version of the annotator that this one will 
-     *         replace, if the annotator ID has already been installed. </dd> 
-     *  <dt> hasConfigWebapp </dt><dd> Whether the annotator has a
-     *         installation/configuration web-app. </dd>
-     *  <dt> hasTaskWebapp </dt><dd> Whether the annotator has a task definition
-     *         web-app. </dd>
-     *  <dt> hasExtWebapp </dt><dd> Whether the annotator has an 'extensions' web-app. </dd>
-     *  <dt> info </dt><dd> HTML document describing the annotator. </dd>
-     * </dl>
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * Span-scope layers - i.e. aligned children of the root layer.
+     * @return {Layer[]} The layers.
      */
-    uploadAnnotator(jarFile, onResult, onProgress) {
-
-      // create form
-      var fd = new FormData();
-
-      // TODO nzibb/labbcat-server/user-interface thinks it's running on Node when actually
-      // it's running in a browser, so we need a better test for runningOnNode
-      if (runningOnNode || true) {                
-        
-	fd.append("jarFile", jarFile);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "uploadAnnotator";
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	
-	xhr.open("POST", this.baseUrl + "admin/annotator");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-
-	var jarName = jarFile.replace(/.*\//g, "");
-        if (exports.verbose) console.log("jarName: " + jarName);
-        fd.append(
-          "jarFile", 
-	  fs.createReadStream(jarFile).on('error', function(){
-	    onResult(null, ["Invalid jar: " + jarFile], [], "uploadAnnotator", jarFile);
-	  }), jarName);
-        
-	var urlParts = parseUrl(this.baseUrl + "admin/annotator");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "edit/transcript/new");
-          }
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		//console.log('data ' + buffer);
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-                // for this call, the result is an object with one key, whose
-                // value is the threadId - so just return that
-		onResult(
-                  result[jarName], errors, messages, "uploadAnnotator", jarName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "uploadAnnotator", jarName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
+    spanLayers() {
+      return this.childLayers(this._rootLayerId).filter(layer => layer.alignment);
+    }
+    /**
+     * Participant attribute layers - i.e. unaligned children of the participant layer.
+     * @return {Layer[]} The layers.
+     */
+    participantAttributes() {
+      return this.childLayers(this._participantLayerId).filter(layer => !layer.alignment);
+    }
+    /**
+     * Transcript attribute layers - i.e. unaligned children of the root layer, except
+     * participants, episodes, and corpora.
+     * @return {Layer[]} The layers.
+     */
+    transcriptAttributes() {
+      return this.childLayers(this._rootLayerId, [
+        this._participantLayerId, this._episodeLayerId, this._corpusLayerId])
+        .filter(layer => !layer.alignment);
+    }
+    
+    // The children of the given layer, except those with the given IDs.
+    childLayers(layerId, except) {
+      if (!layerId) return [];
+      except = except || [];
+      return Object.values(this._layers)
+        .filter(layer => layer.parentId == layerId && !except.includes(layer.id));
     }
     
     /**
-     * Uploads an annotator module in preparation for installing it.
-     * @param {string} jar Name of the annotator .jar file already uploaded, as
-     * specified by the "jar" attribute of the uploadAnnotator() response. 
-     * @param {boolean} install true to install the annotator, false to cancel the
-     * installation. 
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: the annotator ID if it was installed, and null 
-     * otherwise.
+     * Checks that the given layer IDs are in the schema.
+     * @param {string[]|string} layerIds The layer IDs.
+     * @return {string[]} An error for each layer ID that isn't in the schema, or an empty
+     * array if they're all valid.
      */
-    installAnnotator(jar, install, onResult) {
-      this.createRequest(
-        "installAnnotator", null, onResult, this.baseUrl+"admin/annotator",
-        "POST", // not GET, because the number of parameters can make the URL too long
-        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          jar : jar,
-          action : install?"install":"cancel"
-        }));
+    validate(layerIds) {
+      if (layerIds == null) return [];
+      if (!Array.isArray(layerIds)) layerIds = [ layerIds ];
+      return layerIds.filter(layerId => !this._layers[layerId])
+        .map(layerId => "Invalid layer ID: " + layerId);
     }
+  }
 
+  /**
+   * A point in time in a {@link Graph}, which annotations start or end at.
+   */
+  class Anchor {
     /**
-     * Uploads an annotator module in preparation for installing it.
-     * @param {string} annotatorId ID of the annotator to uninstall.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>.
+     * Create an anchor.
+     * @param {string} id The ID of the anchor.
+     * @param {object} json The anchor's attributes - <var>offset</var> and
+     * <var>confidence</var>.
+     * @param {Graph} graph The graph the anchor belongs to.
      */
-    uninstallAnnotator(annotatorId, onResult) {
-      this.createRequest(
-        "uninstallAnnotator", null, onResult, this.baseUrl+"admin/annotator",
-        "POST", // not GET, because the number of parameters can make the URL too long
-        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          annotatorId : annotatorId,
-          action : "uninstall"
-        }));
+    constructor(id, json, graph) {
+      this._id = id;
+      this._offset = json && json.offset != null ? json.offset : null;
+      this._confidence = json && json.confidence != null ? json.confidence : null;
+      this._graph = graph;
+    }
+    /**
+     * The ID of the anchor.
+     */
+    get id() { return this._id; }
+    /**
+     * The offset of the anchor, in the graph's <var>offsetUnits</var> (usually
+     * seconds), or null if it's not known.
+     */
+    get offset() { return this._offset; }
+    /**
+     * How confident the offset is - e.g. 50 for automatically computed, 100 for set by
+     * a person.
+     */
+    get confidence() { return this._confidence; }
+    /**
+     * The graph the anchor belongs to.
+     */
+    get graph() { return this._graph; }
+    /**
+     * Annotations on the given layer that start at this anchor.
+     * @param {string} layerId The layer ID.
+     * @return {Annotation[]} The annotations.
+     */
+    startOf(layerId) {
+      return this._graph.all(layerId).filter(annotation => annotation.startId == this._id);
+    }
+    /**
+     * Annotations on the given layer that end at this anchor.
+     * @param {string} layerId The layer ID.
+     * @return {Annotation[]} The annotations.
+     */
+    endOf(layerId) {
+      return this._graph.all(layerId).filter(annotation => annotation.endId == this._id);
     }
+  }
 
+  /**
+   * An annotation in a {@link Graph}, which has a label, is on a layer, and is linked to
+   * its start and end anchors, its parent, and its children.
+   */
+  class Annotation {
+    /**
+     * Create an annotation.
+     * @param {object} json The annotation's attributes - <var>id</var>,
+     * <var>label</var>, <var>startId</var>, <var>endId</var>, <var>ordinal</var>, etc.
+     * @param {string} layerId The ID of the annotation's layer.
+     * @param {Graph|Annotation} parent The annotation's parent.
+     * @param {Graph} graph The graph the annotation belongs to.
+     */
+    constructor(json, layerId, parent, graph) {
+      this._id = json.id;
+      this._layerId = layerId;
+      this._label = json.label;
+      this._startId = json.startId || (json.start && json.start.id) || null;
+      this._endId = json.endId || (json.end && json.end.id) || null;
+      this._ordinal = json.ordinal;
+      this._confidence = json.confidence;
+      this._annotator = json.annotator;
+      this._when = json.when;
+      this._parent = parent;
+      this._graph = graph;
+      this._children = {}; // layerId -> annotations, in ordinal order
+    }
+    /**
+     * The ID of the annotation.
+     */
+    get id() { return this._id; }
+    /**
+     * The ID of the annotation's layer.
+     */
+    get layerId() { return this._layerId; }
+    /**
+     * The annotation's layer.
+     */
+    get layer() { return this._graph.layer(this._layerId); }
+    /**
+     * The label of the annotation.
+     */
+    get label() { return this._label; }
+    set label(label) { this._label = label; }
+    /**
+     * The ID of the start anchor.
+     */
+    get startId() { return this._startId; }
+    /**
+     * The ID of the end anchor.
+     */
+    get endId() { return this._endId; }
+    /**
+     * The start anchor.
+     */
+    get start() { return this._graph.anchor(this._startId); }
+    /**
+     * The end anchor.
+     */
+    get end() { return this._graph.anchor(this._endId); }
+    /**
+     * The duration of the annotation, or null if its offsets aren't known.
+     */
+    get duration() {
+      const start = this.start;
+      const end = this.end;
+      return start && end && start.offset != null && end.offset != null ?
+        end.offset - start.offset : null;
+    }
+    /**
+     * The annotation's position among its parent's children on the same layer, starting
+     * at 1.
+     */
+    get ordinal() { return this._ordinal; }
+    /**
+     * How confident the label is - e.g. 50 for automatically generated, 100 for set by a
+     * person.
+     */
+    get confidence() { return this._confidence; }
+    set confidence(confidence) { this._confidence = confidence; }
+    /**
+     * Who or what created the annotation, if known.
+     */
+    get annotator() { return this._annotator; }
+    /**
+     * When the annotation was created, if known.
+     */
+    get when() { return this._when; }
+    /**
+     * The ID of the parent annotation.
+     */
+    get parentId() { return this._parent ? this._parent.id : null; }
+    /**
+     * The parent annotation - or the graph, for annotations on top-level layers.
+     */
+    get parent() { return this._parent; }
+    /**
+     * The graph the annotation belongs to.
+     */
+    get graph() { return this._graph; }
+    /**
+     * The annotation's children on the given layer.
+     * @param {string} layerId The ID of a child layer.
+     * @return {Annotation[]} The child annotations, in ordinal order.
+     */
+    annotations(layerId) {
+      return (this._children[layerId] || []).slice();
+    }
+    /**
+     * Annotations on the given layer that are related to this one: the ancestor on that
+     * layer, if it's an ancestor layer; descendants, if it's a descendant layer - e.g.
+     * <code>word.all("segment")</code>; or otherwise, annotations on the layer that share
+     * an ancestor with this one, and overlap it if they're aligned - e.g.
+     * <code>word.all("utterance")</code> or <code>word.all("participant_gender")</code>.
+     * @param {string} layerId The layer ID.
+     * @return {Annotation[]} The related annotations.
+     */
+    all(layerId) {
+      const ancestry = this._graph.ancestry(layerId);
+      // the closest ancestor (or self) that's also an ancestor of the layer's annotations
+      let common = this;
+      while (common !== this._graph && !ancestry.includes(common.layerId)) {
+        common = common.parent;
+      }
+      if (common.layerId == layerId) return [common];
+      // descend from there to the layer
+      let annotations = [common];
+      for (let l of ancestry.slice(0, ancestry.indexOf(common.layerId)).reverse()) {
+        annotations = [].concat(...annotations.map(annotation => annotation.annotations(l)));
+      }
+      const layer = this._graph.layer(layerId);
+      if (common !== this && layer && layer.alignment) { // only those that overlap
+        annotations = annotations.filter(annotation => annotation.overlaps(this));
+      }
+      return annotations;
+    }
+    /**
+     * The first of the related annotations on the given layer - see
+     * {@link Annotation#all}.
+     * @param {string} layerId The layer ID.
+     * @return {Annotation} The first related annotation, or null if there are none.
+     */
+    first(layerId) {
+      return this.all(layerId)[0] || null;
+    }
     /**
-     * Create a new annotator task with the given ID and description.
-     * @param {string} annotatorId The ID of the annotator that will perform the task.
-     * @param {string} taskId The ID of the task, which must not already exist.
-     * @param {string} description The description of the task.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>.
+     * The next annotation on the same layer with the same parent.
      */
-    newAnnotatorTask(annotatorId, taskId, description, onResult) {
-      this.createRequest(
-        "newAnnotatorTask", null, onResult, null, "POST",
-        this.storeAdminUrl+"newAnnotatorTask",
-        "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          annotatorId: annotatorId,
-          taskId: taskId,
-          description: description
-        }));
+    get next() {
+      const peers = this._parent.annotations(this._layerId);
+      return peers[peers.indexOf(this) + 1] || null;
     }
-    
     /**
-     * Update the annotator task description.
-     * @param {string} taskId The ID of the task, which must not already exist.
-     * @param {string} description The description of the task.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>.
+     * The previous annotation on the same layer with the same parent.
      */
-    saveAnnotatorTaskDescription(taskId, description, onResult) {
-      this.createRequest(
-        "saveAnnotatorTaskDescription", null, onResult, null, "POST",
-        this.storeAdminUrl+"saveAnnotatorTaskDescription",
-        "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          taskId: taskId,
-          description: description
-        }));
+    get previous() {
+      const peers = this._parent.annotations(this._layerId);
+      return peers[peers.indexOf(this) - 1] || null;
     }
-    
     /**
-     * Update the annotator task parameters.
-     * @param {string} taskId The ID of the task, which must not already exist.
-     * @param {string} parameters The task parameters, serialized as a string.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>.
+     * Whether this annotation includes the given annotation or offset - i.e. starts at
+     * or before it, and ends at or after it.
+     * @param {Annotation|number} other The annotation or offset.
+     * @return {boolean} false if any of the offsets are unknown.
      */
-    saveAnnotatorTaskParameters(taskId, parameters, onResult) {
-      this.createRequest(
-        "saveAnnotatorTaskParameters", null, onResult, null, "POST",
-        this.storeAdminUrl+"saveAnnotatorTaskParameters",
-        "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          taskId: taskId,
-          parameters: parameters
-        }));
+    includes(other) {
+      const start = this.start && this.start.offset;
+      const end = this.end && this.end.offset;
+      const otherStart = typeof other == "number" ? other : other.start && other.start.offset;
+      const otherEnd = typeof other == "number" ? other : other.end && other.end.offset;
+      if (start == null || end == null || otherStart == null || otherEnd == null) {
+        return false;
+      }
+      return start <= otherStart && otherEnd <= end;
     }
-    
     /**
-     * Delete the identified automation task.
-     * @param {string} taskId The ID of the task, which must not already exist.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>.
+     * Whether this annotation overlaps the given annotation in time - i.e. there's some
+     * duration during which both are happening.
+     * @param {Annotation} other The other annotation.
+     * @return {boolean} false if any of the offsets are unknown.
      */
-    deleteAnnotatorTask(taskId, onResult) {
-      this.createRequest(
-        "deleteAnnotatorTask", null, onResult, null, "POST",
-        this.storeAdminUrl+"deleteAnnotatorTask",
-        "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          taskId: taskId
-        }));
+    overlaps(other) {
+      const start = this.start && this.start.offset;
+      const end = this.end && this.end.offset;
+      const otherStart = other.start && other.start.offset;
+      const otherEnd = other.end && other.end.offset;
+      if (start == null || end == null || otherStart == null || otherEnd == null) {
+        return false;
+      }
+      return start < otherEnd && otherStart < end
+        || start == otherStart; // instants and zero-length annotations
     }
-    
     /**
-     * Uploads an transcriber module in preparation for installing it.
-     * @param {string|file} jarFile Transcriber .jar file.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: An object describing the attributes of the
-     * transcriber found in the jar file:
-     * <dl>
-     *  <dt> jar </dt><dd> The name of the file uploaded. </dd>
-     *  <dt> transcriberId </dt><dd> The ID of the transcriber. </dd>
-     *  <dt> version </dt><dd> The version of the transcriber implementation. </dd>
-     *  <dt> installedVersion </dt><dd> The version of the transcriber that this one will 
-     *         replace, if the transcriber ID has already been installed. </dd> 
-     *  <dt> hasConfigWebapp </dt><dd> Whether the transcriber has a
-     *         installation/configuration web-app. </dd>
-     *  <dt> info </dt><dd> HTML document describing the transcriber. </dd>
-     * </dl>
-     * @param onProgress Invoked on XMLHttpRequest progress.
+     * The annotation and its descendants as JSON, in the format returned by
+     * {@link LabbcatView#getTranscript}.
      */
-    uploadTranscriber(jarFile, onResult, onProgress) {
-
-      // create form
-      var fd = new FormData();
+    toJSON() {
+      const json = {
+        id: this._id, label: this._label, startId: this._startId, endId: this._endId };
+      if (this._ordinal != null) json.ordinal = this._ordinal;
+      if (this._confidence != null) json.confidence = this._confidence;
+      if (this._annotator != null) json.annotator = this._annotator;
+      if (this._when != null) json.when = this._when;
+      for (let layerId in this._children) json[layerId] = this._children[layerId];
+      return json;
+    }
+  }
 
-      // TODO nzibb/labbcat-server/user-interface thinks it's running on Node when actually
-      // it's running in a browser, so we need a better test for runningOnNode
-      if (runningOnNode || true) {                
-        
-	fd.append("jarFile", jarFile);
-	// create HTTP request
-	var xhr = new XMLHttpRequest();
-	xhr.call = "uploadTranscriber";
-	xhr.onResult = onResult;
-	xhr.addEventListener("load", callComplete, false);
-	xhr.addEventListener("error", callFailed, false);
-	xhr.addEventListener("abort", callCancelled, false);
-	xhr.upload.addEventListener("progress", onProgress, false);
-	
-	xhr.open("POST", this.baseUrl + "admin/transcriber");
-	if (this.username) {
-	  xhr.setRequestHeader("Authorization", "Basic " + btoa(this.username + ":" + this.password))
-	}
-	xhr.setRequestHeader("Accept", "application/json");
-	xhr.send(fd);
-      } else { // runningOnNode
-
-	var jarName = jarFile.replace(/.*\//g, "");
-        if (exports.verbose) console.log("jarName: " + jarName);
-        fd.append(
-          "jarFile", 
-	  fs.createReadStream(jarFile).on('error', function(){
-	    onResult(null, ["Invalid jar: " + jarFile], [], "uploadTranscriber", jarFile);
-	  }), jarName);
-        
-	var urlParts = parseUrl(this.baseUrl + "admin/transcriber");
-	// for tomcat 8, we need to explicitly send the content-type and content-length headers...
-	var labbcat = this;
-        var password = this._password;
-	fd.getLength(function(something, contentLength) {
-	  var requestParameters = {
-	    port: urlParts.port,
-	    path: urlParts.pathname,
-	    host: urlParts.hostname,
-	    headers: {
-	      "Accept" : "application/json",
-	      "content-length" : contentLength,
-	      "Content-Type" : "multipart/form-data; boundary=" + fd.getBoundary()
-	    }
-	  };
-	  if (labbcat.username && password) {
-	    requestParameters.auth = labbcat.username+':'+password;
-	  }
-	  if (/^https.*/.test(labbcat.baseUrl)) {
-	    requestParameters.protocol = "https:";
-	  }
-          if (exports.verbose) {
-            console.log("submit: " + labbcat.baseUrl + "edit/transcript/new");
+  /**
+   * An annotation graph - i.e. a transcript or fragment - as returned by
+   * {@link LabbcatView#getTranscript} or {@link LabbcatView#getFragment}, with
+   * annotations linked to their layers, parents, children, and anchors.
+   * <p>The model follows <a href="https://nzilbb.github.io/ag/">nzilbb.ag</a>: the graph
+   * is the parent of annotations on top-level layers (e.g. participants and transcript
+   * attributes), and each annotation is the parent of annotations on its layer's
+   * children.
+   * @example
+   * const graph = new Graph(
+   *   await store.getTranscript(id, ["utterance", "word", "segment"]),
+   *   await store.getLayers());
+   * for (let utterance of graph.all("utterance")) {
+   *   for (let word of utterance.all("word")) {
+   *     console.log(word.label + " " + word.start.offset + " "
+   *                 + word.all("segment").map(s => s.label).join(""));
+   *   }
+   * }
+   */
+  class Graph {
+    /**
+     * Create a graph.
+     * @param {object} json The graph, as returned by {@link LabbcatView#getTranscript}
+     * or {@link LabbcatView#getFragment}.
+     * @param {Schema|object[]|object} [layers] The schema - e.g. as returned by
+     * {@link LabbcatView#loadSchema} - or its layer definitions - e.g. as returned by
+     * {@link LabbcatView#getLayers}. If not given, layers are inferred from the
+     * structure of the graph.
+     */
+    constructor(json, layers) {
+      json = json || {};
+      this._id = json.id;
+      this._offsetUnits = json.offsetUnits || null;
+      const schema = layers instanceof Schema ? layers : new Schema(
+        layers ? { layers: layers } : json.schema);
+      this._layers = {};
+      for (let definition of Object.values(schema.layers)) {
+        this._layers[definition.id] = new Layer(definition, this._layers);
+      }
+      this._rootLayerId = schema.rootLayerId;
+      if (!this._layers[this._rootLayerId]) {
+        this._layers[this._rootLayerId] = new Layer({ id: this._rootLayerId }, this._layers);
+      }
+      this._anchors = {};
+      for (let id in json.anchors) {
+        this._anchors[id] = new Anchor(id, json.anchors[id], this);
+      }
+      this._annotations = {}; // annotationId -> annotation
+      this._children = {};
+      this.addChildren(json, this);
+    }
+    
+    // Creates the annotations nested in the given JSON object as children of the parent.
+    addChildren(json, parent) {
+      for (let layerId in json) {
+        if (annotationAttributes.includes(layerId) || !Array.isArray(json[layerId])) continue;
+        if (!this._layers[layerId]) { // infer the layer from the structure
+          this._layers[layerId] = new Layer(
+            { id: layerId, parentId: parent.layerId }, this._layers);
+        }
+        const children = [];
+        for (let childJson of json[layerId]) {
+          if (!childJson || typeof childJson != "object") continue;
+          const child = new Annotation(childJson, layerId, parent, this);
+          for (let anchorId of [child.startId, child.endId]) {
+            if (anchorId && !this._anchors[anchorId]) { // anchor wasn't listed
+              const anchorJson = [childJson.start, childJson.end]
+                    .find(anchor => anchor && anchor.id == anchorId);
+              this._anchors[anchorId] = new Anchor(anchorId, anchorJson, this);
+            }
           }
-	  fd.submit(requestParameters, function(err, res) {
-	    var responseText = "";
-	    if (!err) {
-	      res.on('data',function(buffer) {
-		//console.log('data ' + buffer);
-		responseText += buffer;
-	      });
-	      res.on('end',function(){
-                if (exports.verbose) console.log("response: " + responseText);
-	        var result = null;
-	        var errors = null;
-	        var messages = null;
-		try {
-		  var response = JSON.parse(responseText);
-		  result = response.model.result || response.model;
-		  errors = response.errors;
-		  if (errors && errors.length == 0) errors = null
-		  messages = response.messages;
-		  if (messages && messages.length == 0) messages = null
-		} catch(exception) {
-		  result = null
-                  errors = ["" +exception+ ": " + labbcat.responseText];
-                  messages = [];
-		}
-                // for this call, the result is an object with one key, whose
-                // value is the threadId - so just return that
-		onResult(
-                  result[jarName], errors, messages, "uploadTranscriber", jarName);
-	      });
-	    } else {
-	      onResult(null, ["" +err+ ": " + labbcat.responseText], [], "uploadTranscriber", jarName);
-	    }
-	    
-	    if (res) res.resume();
-	  });
-	}); // got length
-      } // runningOnNode
+          this._annotations[child.id] = child;
+          children.push(child);
+          this.addChildren(childJson, child);
+        } // next child
+        parent._children[layerId] = children.sort((a, b) => (a.ordinal || 0) - (b.ordinal || 0));
+      } // next layer
     }
     
     /**
-     * Uploads an transcriber module in preparation for installing it.
-     * @param {string} jar Name of the transcriber .jar file already uploaded, as
-     * specified by the "jar" attribute of the uploadTranscriber() response. 
-     * @param {boolean} install true to install the transcriber, false to cancel the
-     * installation. 
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: the transcriber ID if it was installed, and null 
-     * otherwise.
+     * The ID of the graph - e.g. the transcript name.
      */
-    installTranscriber(jar, install, onResult) {
-      this.createRequest(
-        "installTranscriber", null, onResult, this.baseUrl+"admin/transcriber",
-        "POST", // not GET, because the number of parameters can make the URL too long
-        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          jar : jar,
-          action : install?"install":"cancel"
-        }));
+    get id() { return this._id; }
+    /**
+     * The ID of the graph's layer - i.e. the root layer of the schema.
+     */
+    get layerId() { return this._rootLayerId; }
+    /**
+     * The units of anchor offsets - e.g. "s" for seconds.
+     */
+    get offsetUnits() { return this._offsetUnits; }
+    /**
+     * The layers of the graph, keyed by ID.
+     */
+    get layers() { return Object.assign({}, this._layers); }
+    /**
+     * The anchors of the graph, keyed by ID.
+     */
+    get anchors() { return Object.assign({}, this._anchors); }
+    /**
+     * Gets a layer definition.
+     * @param {string} layerId The layer ID.
+     * @return {Layer} The layer, or null if it isn't in the graph's schema.
+     */
+    layer(layerId) {
+      return this._layers[layerId] || null;
     }
-
     /**
-     * Uploads an transcriber module in preparation for installing it.
-     * @param {string} transcriberId ID of the transcriber to uninstall.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var>.
+     * Gets an anchor.
+     * @param {string} anchorId The anchor ID.
+     * @return {Anchor} The anchor, or null if it isn't in the graph.
      */
-    uninstallTranscriber(transcriberId, onResult) {
-      this.createRequest(
-        "uninstallTranscriber", null, onResult, this.baseUrl+"admin/transcriber",
-        "POST", // not GET, because the number of parameters can make the URL too long
-        null, "application/x-www-form-urlencoded;charset=\"utf-8\"")
-        .send(this.parametersToQueryString({
-          transcriberId : transcriberId,
-          action : "uninstall"
-        }));
+    anchor(anchorId) {
+      return this._anchors[anchorId] || null;
     }
-
     /**
-     * Creates a new user record.
-     * @see LabbcatAdmin#readUsers
-     * @see LabbcatAdmin#updateUser
-     * @see LabbcatAdmin#deleteUser
-     * @param {string} user The ID of the user.
-     * @param {string} email The email address of the user.
-     * @param {boolean} resetPassword Whether the user must reset their password when
-     * they next log in. 
-     * @param {string[]} roles Roles or groups the user belongs to.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the user record, 
-     * including <em> user </em> - The database key for the record. 
+     * Gets an annotation.
+     * @param {string} annotationId The annotation ID.
+     * @return {Annotation} The annotation, or null if it isn't in the graph.
      */
-    createUser(user, email, resetPassword, roles, onResult) {
-      this.createRequest(
-        "users", null, onResult, this.baseUrl+"api/admin/users", "POST",
-        null, "application/json")
-        .send(JSON.stringify({
-          user : user,
-          email : email,
-          resetPassword : resetPassword?1:0,
-          roles : roles}));
+    annotation(annotationId) {
+      return this._annotations[annotationId] || null;
     }
-    
     /**
-     * Reads a list of user records.
-     * @see LabbcatAdmin#createUser
-     * @see LabbcatAdmin#updateUser
-     * @see LabbcatAdmin#deleteUser
-     * @param {int} [pageNumber] The zero-based  page of records to return (if null, all
-     * records will be returned). 
-     * @param {int} [pageLength] The length of pages (if null, the default page length is 20).
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A list of user records with the following
-     * attributes:
-     * <dl>
-     *  <dt> user </dt> <dd> The name/id of the user. </dd>
-     *  <dt> email </dt> <dd> The email address of the user. </dd>
-     *  <dt> resetPassword </dt> <dd> Whether the user must reset their password when
-     * they next log in. </dd>
-     *  <dt> roles </dt> <dd> Roles or groups the user belongs to. </dd>
-     *  <dt> _cantDelete </dt> <dd> This is not a database field, but rather is present in
-     *    records returned from the server that can not currently be deleted; 
-     *    a string representing the reason the record can't be deleted. </dd>
-     * </dl>
+     * The graph's children on the given top-level layer.
+     * @param {string} layerId The ID of a top-level layer.
+     * @return {Annotation[]} The child annotations, in ordinal order.
      */
-    readUsers(pageNumber, pageLength, onResult) {
-      if (typeof pageNumber === "function") { // (onResult)
-        onResult = pageNumber;
-        pageNumber = null;
-        pageLength = null;
-      } else if (typeof l === "function") { // (p, onResult)
-        onResult = l;
-        pageLength = null;
+    annotations(layerId) {
+      return (this._children[layerId] || []).slice();
+    }
+    /**
+     * All annotations in the graph on the given layer.
+     * @param {string} layerId The layer ID.
+     * @return {Annotation[]} The annotations, ordered by start offset and then ordinal.
+     */
+    all(layerId) {
+      return Object.values(this._annotations)
+        .filter(annotation => annotation.layerId == layerId)
+        .sort(compareAnnotations);
+    }
+    /**
+     * The first annotation in the graph on the given layer.
+     * @param {string} layerId The layer ID.
+     * @return {Annotation} The first annotation, or null if there are none.
+     */
+    first(layerId) {
+      return this.all(layerId)[0] || null;
+    }
+    /**
+     * The IDs of the given layer and its ancestors, ending with the root layer.
+     * @param {string} layerId The layer ID.
+     * @return {string[]} The layer IDs.
+     */
+    ancestry(layerId) {
+      const ancestry = [];
+      for (let layer = this._layers[layerId]; layer && !ancestry.includes(layer.id);
+           layer = layer.parent) {
+        ancestry.push(layer.id);
       }
-      this.createRequest(
-        "users", {
-          pageNumber:pageNumber,
-          pageLength:pageLength
-        }, onResult, this.baseUrl+"api/admin/users")
-        .send();
+      if (!ancestry.includes(this._rootLayerId)) ancestry.push(this._rootLayerId);
+      return ancestry;
     }
-    
     /**
-     * Updates an existing user record.
-     * @see LabbcatAdmin#createUser
-     * @see LabbcatAdmin#readUsers
-     * @see LabbcatAdmin#deleteUser
-     * @param {string} user The ID of the user.
-     * @param {string} email The email address of the user.
-     * @param {boolean} resetPassword Whether the user must reset their password when
-     * they next log in. 
-     * @param {string[]} roles Roles or groups the user belongs to.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be: A copy of the user record. 
+     * The graph as JSON, in the format returned by {@link LabbcatView#getTranscript} -
+     * e.g. for saving changes with {@link LabbcatEdit#saveTranscript}.
+     */
+    toJSON() {
+      const json = { id: this._id };
+      if (this._offsetUnits) json.offsetUnits = this._offsetUnits;
+      json.anchors = {};
+      for (let id in this._anchors) {
+        const anchor = this._anchors[id];
+        json.anchors[id] = { offset: anchor.offset, confidence: anchor.confidence };
+      }
+      for (let layerId in this._children) json[layerId] = this._children[layerId];
+      return json;
+    }
+  }
+  
+  /*
+   * The layer, and participant if any, that a tier of a TextGrid or EAF file is for, or
+   * null if it isn't for a layer. The tier name is looked up in the given mapping of
+   * tier names to layer IDs, and then in the schema, and a tier named
+   * "layer - participant" is for that participant's annotations on the layer.
+   */
+  function tierLayer(name, mapping, schema) {
+    if (mapping[name]) {
+      return tierLayer(mapping[name], {}, schema)
+        || { layerId: mapping[name], participant: null };
+    }
+    if (schema.layer(name)) return { layerId: name, participant: null };
+    const separator = name.indexOf(" - ");
+    if (separator > 0) {
+      const layer = tierLayer(name.substring(0, separator), mapping, schema);
+      if (layer) {
+        return { layerId: layer.layerId, participant: name.substring(separator + 3) };
+      }
+    }
+    return null;
+  }
+
+  /*
+   * Converts tiers - each with a name, intervals, each with start, end, and label, and
+   * optionally a participant - into a graph in the format returned by getTranscript.
+   * Each labelled interval becomes an annotation on its tier's layer, whose parent is the
+   * annotation on the parent layer that includes it. Participants are created as needed,
+   * as are turns for participants that have no turn tier.
+   * @return {object} The graph JSON as <var>json</var>, and <var>errors</var>
+   * describing intervals that couldn't be converted.
+   */
+  function tiersToGraph(tiers, start, end, schema, options) {
+    const mapping = options.tiers || {};
+    const participantLayerId = schema.participantLayerId || "participant";
+    const turnLayerId = schema.turnLayerId || "turn";
+    const json = { id: options.id || null, offsetUnits: "s", anchors: {} };
+    const errors = [];
+    let count = 0; // for generating IDs
+    const anchorIds = new Map(); // offset -> anchor ID
+    const anchorId = offset => {
+      if (!anchorIds.has(offset)) {
+        anchorIds.set(offset, "a" + (++count));
+        json.anchors[anchorIds.get(offset)] = { offset: offset, confidence: 100 };
+      }
+      return anchorIds.get(offset);
+    };
+    const added = {}; // layerId -> [{ json, participant, start, end }]
+    const add = (layerId, parent, label, participant, from, to, anchors) => {
+      const annotation = {
+        id: layerId + "_" + (++count), label: label,
+        startId: anchors ? anchors.startId : anchorId(from),
+        endId: anchors ? anchors.endId : anchorId(to) };
+      (parent[layerId] = parent[layerId] || []).push(annotation);
+      (added[layerId] = added[layerId] || []).push({
+        json: annotation, participant: participant, start: from, end: to });
+      return annotation;
+    };
+    const participantAnnotation = name => {
+      const participant = (added[participantLayerId] || [])
+            .find(participant => participant.participant == name);
+      return participant ? participant.json
+        : add(participantLayerId, json, name, name, start, end);
+    };
+    // the annotation that the given interval on the given layer belongs to
+    const parentOf = (layer, participant, from, to) => {
+      if (layer.parentId == schema.rootLayerId) return json;
+      if (layer.parentId == participantLayerId) return participantAnnotation(participant);
+      const candidates = (added[layer.parentId] || []).filter(
+        parent => parent.participant == participant);
+      const parent = candidates.find(parent => parent.start <= from && to <= parent.end);
+      if (parent) return parent.json;
+      if (layer.parentId == turnLayerId && !candidates.length) { // a turn for everything
+        return add(turnLayerId, participantAnnotation(participant), participant,
+                   participant, start, end);
+      }
+      return null;
+    };
+    const depth = tier => schema.ancestors(tier.layerId).length;
+    const mapped = tiers.map(tier => Object.assign(
+      { tier: tier }, tierLayer(tier.name, mapping, schema)))
+        .filter(tier => tier.layerId)
+        .sort((a, b) => depth(a) - depth(b));
+    for (let { tier, layerId, participant } of mapped) {
+      const layer = schema.layer(layerId);
+      if (!layer) {
+        errors.push("Invalid layer ID: " + layerId);
+        continue;
+      }
+      participant = participant || tier.participant || options.participant || null;
+      if (!participant && schema.ancestors(layerId)
+          .some(ancestor => ancestor.id == participantLayerId)) {
+        errors.push("No participant for tier: " + tier.name);
+        continue;
+      }
+      for (let interval of tier.intervals) {
+        if (!String(interval.label).trim()) continue; // a gap
+        const parent = parentOf(layer, participant, interval.start, interval.end);
+        if (!parent) {
+          errors.push("No " + layer.parentId + " for " + tier.name + " at "
+                      + interval.start + "-" + interval.end);
+          continue;
+        }
+        // tags share the anchors of their parent
+        const anchors = !layer.alignment && parent.startId ? parent : null;
+        add(layerId, parent, interval.label, participant, interval.start, interval.end,
+            anchors);
+      } // next interval
+    } // next tier
+    // order children by offset
+    const offset = annotation => json.anchors[annotation.startId].offset;
+    const order = parent => {
+      for (let layerId in parent) {
+        if (annotationAttributes.includes(layerId) || !Array.isArray(parent[layerId])) {
+          continue;
+        }
+        parent[layerId].sort((a, b) => offset(a) - offset(b))
+          .forEach((child, c) => {
+            child.ordinal = c + 1;
+            order(child);
+          });
+      }
+    };
+    order(json);
+    return { json: json, errors: errors };
+  }
+
+  /*
+   * Converts the layers of a graph into tiers for a TextGrid or EAF file: one tier per
+   * layer, or for layers within participants, one per participant, named
+   * "layer - participant". Each tier has a name, layerId, participant, alignment, and
+   * intervals, each with start, end, and label. Unaligned annotations have the offsets
+   * of their closest aligned ancestor. Annotations that overlap earlier ones on the
+   * same tier are left out, as are empty tiers for layers that weren't specified.
+   */
+  function graphToTiers(graph, options) {
+    const mapping = options.tiers || {};
+    const participantLayerId = options.participantLayerId || "participant";
+    const layerIds = options.layerIds || Object.keys(graph.layers).filter(
+      layerId => layerId != graph.layerId && graph.all(layerId).length);
+    const offsets = annotation => {
+      for (let timed = annotation; timed && timed !== graph; timed = timed.parent) {
+        if (timed.start && timed.end && timed.start.offset != null
+            && timed.end.offset != null) {
+          return timed;
+        }
+      }
+      return null;
+    };
+    const tiers = [];
+    for (let layerId of layerIds) {
+      const layer = graph.layer(layerId);
+      if (!layer) continue;
+      const name = Object.keys(mapping).find(tier => mapping[tier] == layerId) || layerId;
+      const byParticipant = layerId != participantLayerId
+            && graph.ancestry(layerId).includes(participantLayerId);
+      for (let participant of byParticipant ? graph.all(participantLayerId) : [ null ]) {
+        const intervals = [];
+        const annotations = participant ? participant.all(layerId) : graph.all(layerId);
+        for (let annotation of annotations.sort(compareAnnotations)) {
+          const timed = offsets(annotation);
+          if (!timed) continue;
+          const last = intervals[intervals.length - 1];
+          if (last && timed.start.offset < last.end) continue; // overlapping
+          intervals.push({
+            start: timed.start.offset, end: timed.end.offset, label: annotation.label });
+        } // next annotation
+        if (!intervals.length && !options.layerIds) continue;
+        tiers.push({
+          name: participant ? name + " - " + participant.label : name,
+          layerId: layerId, participant: participant ? participant.label : null,
+          alignment: layer.alignment, intervals: intervals });
+      } // next participant
+    } // next layer
+    return tiers;
+  }
+
+  /*
+   * Quotes a string for a Praat text file.
+   */
+  function praatString(value) {
+    return '"' + String(value == null ? "" : value).replace(/"/g, '""') + '"';
+  }
+
+  /*
+   * Parses XML into elements, each with a name, attributes, children, and text.
+   * @return {object} The document element.
+   */
+  function parseXml(text) {
+    const unescape = value => value.replace(
+      /&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (entity, hex, decimal, name) =>
+        hex ? String.fromCodePoint(parseInt(hex, 16))
+          : decimal ? String.fromCodePoint(parseInt(decimal, 10))
+          : { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[name] || entity);
+    const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const document = { children: [] };
+    const open = [ document ];
+    const token = new RegExp(
+      "<!--[\\s\\S]*?-->|<\\?[\\s\\S]*?\\?>|<!DOCTYPE[^>]*>"
+        + "|<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|<\\/([^\\s>]+)\\s*>"
+        + "|<([^\\s/>]+)((?:\\s+[^\\s=/>]+\\s*=\\s*(?:\"[^\"]*\"|'[^']*'))*)\\s*(\\/?)>"
+        + "|([^<]+)|<", "g");
+    for (let [ match, cdata, close, name, attributes, empty, content ]
+         of String(text).matchAll(token)) {
+      const element = open[open.length - 1];
+      if (cdata != null) {
+        element.text += cdata;
+      } else if (close) {
+        if (open.length < 2 || element.name != close) {
+          throw new Error("EAF: invalid XML at </" + close + ">");
+        }
+        open.pop();
+      } else if (name) {
+        const child = { name: name, attributes: {}, children: [], text: "" };
+        for (let attribute of attributes.matchAll(attributePattern)) {
+          child.attributes[attribute[1]] = unescape(
+            attribute[2] != null ? attribute[2] : attribute[3]);
+        }
+        element.children.push(child);
+        if (!empty) open.push(child);
+      } else if (content != null) {
+        if (open.length > 1) element.text += unescape(content);
+      } else if (match == "<") {
+        throw new Error("EAF: invalid XML");
+      }
+    } // next token
+    if (open.length > 1 || document.children.length != 1) {
+      throw new Error("EAF: invalid XML");
+    }
+    return document.children[0];
+  }
+
+  /*
+   * Escapes a string for XML content or attribute values.
+   */
+  function xmlEscape(value) {
+    return String(value == null ? "" : value).replace(/[<>&"]/g, c => (
+      { "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+  }
+
+  /**
+   * Options for converting between a {@link TextGrid} or {@link Eaf} and a {@link Graph}.
+   * @typedef {object} TierOptions
+   * @property {object} [tiers] Tier names mapped to the layer IDs they're for, for tiers
+   * that aren't named after layers - e.g. <code>{ Words: "word" }</code>, or
+   * <code>{ Mike: "word - Mike" }</code> for a participant's tier. Tiers named
+   * <q>tier - participant</q> are for that participant.
+   * @property {string[]} [layerIds] The layers to convert into tiers. By default, all
+   * layers with annotations that have offsets are converted.
+   * @property {string} [participantLayerId="participant"] The ID of the layer of
+   * participants, when converting a graph, which has a tier for each participant for
+   * each layer within participants.
+   * @property {string} [participant] The participant of tiers whose names don't
+   * include one, when converting into a graph.
+   * @property {string} [id] The ID of the graph, when converting into a graph.
+   */
+
+  /**
+   * A Praat TextGrid, which can be parsed from or written to a TextGrid file, and
+   * converted to or from a {@link Graph} - e.g. to edit a transcript fragment in Praat
+   * without asking the server to convert it, and check the edited TextGrid against the
+   * {@link Schema} before uploading it with {@link LabbcatEdit#fragmentUpload}.
+   * <p>Tiers are for layers: a tier named after a layer is for that layer, and a tier
+   * named <q>layer - participant</q> is for the participant's annotations on that layer.
+   * Tiers with other names can be mapped to layers with the <var>tiers</var> option of
+   * {@link TierOptions}.
+   * @example
+   * // a fragment as a TextGrid
+   * const fragment = new Graph(
+   *   await store.getFragment(transcriptId, utteranceId, ["word", "orthography"]),
+   *   await store.loadSchema());
+   * fs.writeFileSync("fragment.TextGrid", TextGrid.fromGraph(fragment).toString());
+   * // ...edited in Praat, and checked before uploading
+   * const textGrid = TextGrid.parse(fs.readFileSync("fragment.TextGrid", "utf-8"));
+   * const errors = textGrid.validate(await store.loadSchema());
+   */
+  class TextGrid {
+    /**
+     * Create a TextGrid.
+     * @param {number} xmin The start time, in seconds.
+     * @param {number} xmax The end time, in seconds.
+     * @param {object[]} [tiers] The tiers, each with a <var>name</var>, and either
+     * <var>intervals</var> - each with a <var>start</var>, <var>end</var>, and
+     * <var>label</var> - for an interval tier, or <var>points</var> - each with a
+     * <var>time</var> and <var>label</var> - for a point tier.
      */
-    updateUser(user, email, resetPassword, roles, onResult) {
-      if (exports.verbose) console.log("updateUser("+user+", "+email+", "+resetPassword+", "+JSON.stringify(roles));
-      this.createRequest(
-        "users", null, onResult, this.baseUrl+"api/admin/users", "PUT")
-        .send(JSON.stringify({
-          user : user,
-          email : email,
-          resetPassword : resetPassword?1:0,
-          roles : roles}));
+    constructor(xmin, xmax, tiers) {
+      this._xmin = xmin;
+      this._xmax = xmax;
+      this._tiers = tiers || [];
     }
-    
     /**
-     * Deletes an existing user record.
-     * @see LabbcatAdmin#createUser
-     * @see LabbcatAdmin#readUsers
-     * @see LabbcatAdmin#updateUser
-     * @param {string} user The name/ID of the user.
-     * @param {resultCallback} onResult Invoked when the request has completed.
+     * The start time, in seconds.
      */
-    deleteUser(user, onResult) {
-      this.createRequest(
-        "users", null, onResult, `${this.baseUrl}api/admin/users/${user}`,
-        "DELETE").send();
-    }
-    
+    get xmin() { return this._xmin; }
     /**
-     * Sets a given user's password.
-     * @param {string} user The ID of the user.
-     * @param {string} password The new password.
-     * @param {boolean} resetPassword Whether the user must reset their password when
-     * they next log in. 
-     * @param {resultCallback} onResult Invoked when the request has returned. 
+     * The end time, in seconds.
      */
-    setPassword(user, password, resetPassword, onResult) {
-      if (exports.verbose) console.log(`updateUsersetP(${user}, ****, ${resetPassword})`);
-      this.createRequest(
-        "users", null, onResult, this.baseUrl+"api/admin/password", "PUT")
-        .send(JSON.stringify({
-          user : user,
-          password : password,
-          resetPassword : resetPassword}));
+    get xmax() { return this._xmax; }
+    /**
+     * The tiers, each with a <var>name</var>, and <var>intervals</var> or
+     * <var>points</var>.
+     */
+    get tiers() { return this._tiers.slice(); }
+    /**
+     * Gets a tier.
+     * @param {string} name The name of the tier.
+     * @return {object} The first tier with the given name, or null if there is none.
+     */
+    tier(name) {
+      return this._tiers.find(tier => tier.name == name) || null;
     }
 
     /**
-     * Updates the current license agreement (HTML) document (creating it if it 
-     * doesn't already exist).
-     * @param {string} agreementHtml The HTML content of the document. 
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be "OK" if the operation succeeded.
-     */
-    updateAgreement(agreementHtml, onResult) {
-      this.createRequest(
-        "updateAgreement", null, onResult, this.baseUrl+"agreement.html", "PUT")
-        .send(agreementHtml);
+     * Parses the content of a TextGrid file, in Praat's long or short text format.
+     * @param {string} text The content of the file.
+     * @return {TextGrid} The TextGrid.
+     */
+    static parse(text) {
+      // the values in the file, skipping names and indices
+      const values = [];
+      const token = /"((?:[^"]|"")*)"|\[\s*\d*\s*\]|(-?\d+(?:\.\d*)?(?:[eE][-+]?\d+)?)/g;
+      for (let match of String(text).replace(/^﻿/, "").matchAll(token)) {
+        if (match[1] != null) values.push(match[1].replace(/""/g, '"'));
+        else if (match[2] != null) values.push(parseFloat(match[2]));
+      }
+      let v = 0;
+      const next = type => {
+        if (typeof values[v] != type) throw new Error("TextGrid: invalid TextGrid");
+        return values[v++];
+      };
+      if (values[v++] != "ooTextFile" || values[v++] != "TextGrid") {
+        throw new Error("TextGrid: not a TextGrid");
+      }
+      const xmin = next("number");
+      const xmax = next("number");
+      const tiers = [];
+      for (let t = next("number"); t > 0; t--) {
+        const points = next("string") == "TextTier";
+        const tier = { name: next("string") };
+        next("number"); // xmin
+        next("number"); // xmax
+        const items = [];
+        for (let i = next("number"); i > 0; i--) {
+          items.push(points ? { time: next("number"), label: next("string") } : {
+            start: next("number"), end: next("number"), label: next("string") });
+        }
+        tier[points ? "points" : "intervals"] = items;
+        tiers.push(tier);
+      } // next tier
+      return new TextGrid(xmin, xmax, tiers);
     }
 
     /**
-     * Deletes the current license agreement (HTML) document.
-     * @param {resultCallback} onResult Invoked when the request has returned a 
-     * <var>result</var> which will be "OK" if the operation succeeded.
-     */
-    deleteAgreement(onResult) {
-      this.createRequest(
-        "deleteAgreement", null, onResult, `${this.baseUrl}agreement.html`, "DELETE")
-        .send();
+     * The TextGrid in Praat's long text format. Gaps between intervals are filled with
+     * empty intervals.
+     * @return {string} The content of a TextGrid file.
+     */
+    toString() {
+      const lines = [
+        'File type = "ooTextFile"', 'Object class = "TextGrid"', "",
+        `xmin = ${this._xmin}`, `xmax = ${this._xmax}`, "tiers? <exists>",
+        `size = ${this._tiers.length}`, "item []:" ];
+      this._tiers.forEach((tier, t) => {
+        lines.push(
+          `    item [${t + 1}]:`,
+          `        class = "${tier.points ? "TextTier" : "IntervalTier"}"`,
+          `        name = ${praatString(tier.name)}`,
+          `        xmin = ${this._xmin}`, `        xmax = ${this._xmax}`);
+        if (tier.points) {
+          lines.push(`        points: size = ${tier.points.length}`);
+          tier.points.forEach((point, p) => lines.push(
+            `        points [${p + 1}]:`, `            number = ${point.time}`,
+            `            mark = ${praatString(point.label)}`));
+        } else {
+          const intervals = [];
+          let time = this._xmin;
+          for (let interval of tier.intervals) {
+            if (interval.start > time) {
+              intervals.push({ start: time, end: interval.start, label: "" });
+            }
+            intervals.push(interval);
+            time = interval.end;
+          }
+          if (time < this._xmax) {
+            intervals.push({ start: time, end: this._xmax, label: "" });
+          }
+          lines.push(`        intervals: size = ${intervals.length}`);
+          intervals.forEach((interval, i) => lines.push(
+            `        intervals [${i + 1}]:`, `            xmin = ${interval.start}`,
+            `            xmax = ${interval.end}`,
+            `            text = ${praatString(interval.label)}`));
+        }
+      });
+      return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Converts a graph into a TextGrid, with a tier for each layer, or for layers within
+     * participants - e.g. words - a tier for each participant's annotations. Instant
+     * layers become point tiers. As tiers can't represent overlapping intervals,
+     * annotations that overlap earlier ones on the same tier are left out.
+     * @param {Graph} graph The graph - e.g. a transcript or fragment.
+     * @param {TierOptions} [options] The layers to convert, and how to name their tiers.
+     * By default, there's a tier for each layer with annotations that have offsets.
+     * @return {TextGrid} The TextGrid, which spans the graph's anchors.
+     */
+    static fromGraph(graph, options) {
+      options = options || {};
+      const offsets = Object.values(graph.anchors)
+            .map(anchor => anchor.offset).filter(offset => offset != null);
+      const tiers = graphToTiers(graph, options).map(tier => tier.alignment == 1 ?
+        { name: tier.name, points: tier.intervals.map(
+          interval => ({ time: interval.start, label: interval.label })) }
+        : { name: tier.name, intervals: tier.intervals });
+      let xmin = offsets.length ? offsets[0] : 0;
+      let xmax = xmin;
+      for (let offset of offsets) {
+        xmin = Math.min(xmin, offset);
+        xmax = Math.max(xmax, offset);
+      } // next offset
+      return new TextGrid(xmin, xmax, tiers);
+    }
+
+    /**
+     * Converts the TextGrid into a graph. Each labelled interval or point on a tier
+     * that's for a layer becomes an annotation, whose parent is the annotation on the
+     * parent layer that includes it - e.g. segments are added to the words they're
+     * in. Participants are created from tier names, and if there's no turn tier, each
+     * participant has a single turn.
+     * @param {Schema} schema The schema of the corpus, as returned by
+     * {@link LabbcatView#loadSchema}.
+     * @param {TierOptions} [options] How tiers are mapped to layers.
+     * @return {Graph} The graph.
+     * @throws {Error} If any tiers can't be converted - see {@link TextGrid#validate}.
+     */
+    toGraph(schema, options) {
+      schema = schema instanceof Schema ? schema : new Schema(schema);
+      const { json, errors } = this._convert(schema, options || {});
+      if (errors.length) throw new Error("TextGrid: " + errors.join(", "));
+      return new Graph(json, schema);
     }
 
+    /**
+     * Checks that the TextGrid can be converted into a graph of the given schema - e.g.
+     * before uploading it with {@link LabbcatEdit#fragmentUpload}.
+     * @param {Schema} schema The schema of the corpus, as returned by
+     * {@link LabbcatView#loadSchema}.
+     * @param {TierOptions} [options] How tiers are mapped to layers.
+     * @return {string[]} A list of problems - e.g. tiers that aren't for any layer, or
+     * intervals with no parent annotation - or an empty array if there are none.
+     */
+    validate(schema, options) {
+      schema = schema instanceof Schema ? schema : new Schema(schema);
+      options = options || {};
+      return this._tiers
+        .filter(tier => !tierLayer(tier.name, options.tiers || {}, schema))
+        .map(tier => "Tier isn't for a layer: " + tier.name)
+        .concat(this._convert(schema, options).errors);
+    }
+
+    // Converts the tiers into graph JSON, returning { json, errors }.
+    _convert(schema, options) {
+      return tiersToGraph(this._tiers.map(tier => ({
+        name: tier.name, intervals: tier.intervals || tier.points.map(
+          point => ({ start: point.time, end: point.time, label: point.label }))
+      })), this._xmin, this._xmax, schema, options);
+    }
   }
-  
+
   /**
-   * Interpreter for match ID strings.
-   * <p>The schema is:</p>
-   * <ul>
-   * 	<li>
-   * 		when there's a defining annotation UID:<br>
-   * 		g_<i>ag_id</i>;<em>uid</em><br>
-   * 		e.g. <tt>g_243;em_12_20035</tt></li>
-   * 	<li>
-   * 		when there's anchor IDs:<br>
-   * 		g_<i>ag_id</i>;<em>startuid</em>-<em>enduid</em><br>
-   * 		e.g. <tt>g_243;n_72700-n_72709</tt></li>
-   * 	<li>
-   * 		when there's anchor offsets:<br>
-   * 		g_<i>ag_id</i>;<em>startoffset</em>-<em>endoffset</em><br>
-   * 		e.g. <tt>g_243;39.400-46.279</tt></li>
-   * 	<li>
-   * 		when there's a participant/speaker number, it will be appended:<br>
-   * 		<em>...</em>;p_<em>speakernumber</em><br>
-   * 		e.g.&nbsp;<tt>g_243;n_72700-n_72709;p_76</tt></li>
-   * 	<li>
-   * 		matching subparts can be identified by appending a list of annotation UIDs for insertion into {@link #mMatchAnnotationUids}, the keys being enclosed in square brackets:<br>
-   * 		...;<em>[key]=uid;[key]=uid</em><br>
-   * 		e.g. <samp>g_243;n_72700-n_72709;[0,0]=ew_0_123;[1,0]ew_0_234</samp></li>
-   * 	<li>
-   * 		a target annotation by appending a uid prefixed by <samp>#=</samp>:<br>
-   * 		...;#=<em>uid</em><br>
-   * 		e.g. <samp>g_243;n_72700-n_72709;#=ew_0_123</samp></li>
-   * 	<li>
-   * 		other items (search name or prefix) could then come after all that, and key=value pairs:<br>
-   * 		...;<em>key</em>=<em>value</em><br>
-   * 		e.g.&nbsp;<tt>g_243;n_72700-n_72709;ew_0_123-ew_0_234;prefix=024-;name=the_aeiou</tt></li>
-   * <p>These can be something like:
-   * <ul>
-   * <li><q>g_3;em_11_23;n_19985-n_20003;p_4;#=ew_0_12611;prefix=001-;[0]=ew_0_12611</q></li>
-   * <li><q>AgnesShacklock-01.trs;60.897-67.922;prefix=001-</q></li>
-   * <li><q>AgnesShacklock-01.trs;60.897-67.922;m_-1_23</q></li>
-   * </ul>
+   * An ELAN annotation file (EAF), which can be parsed from or written to a .eaf file,
+   * and converted to or from a {@link Graph} - e.g. to check how an EAF file's tiers
+   * will be mapped to layers before uploading it with
+   * {@link LabbcatEdit#transcriptUpload}, or to export a transcript for offline work in
+   * ELAN.
+   * <p>Tiers are for layers: a tier named after a layer is for that layer, and a tier
+   * named <q>layer - participant</q>, or with a <q>PARTICIPANT</q> attribute, is for the
+   * participant's annotations on that layer. Tiers with other names can be mapped to
+   * layers with the <var>tiers</var> option of {@link TierOptions}.
+   * @example
+   * // check an EAF file's tiers before uploading it
+   * const eaf = Eaf.parse(fs.readFileSync("interview.eaf", "utf-8"));
+   * const schema = await store.loadSchema();
+   * const errors = eaf.validate(schema, { tiers: { Words: "word" } });
+   * const upload = await store.transcriptUpload("interview.eaf", false);
+   * await store.transcriptUploadParameters(upload.id, eaf.uploadParameters(schema, {
+   *   tiers: { Words: "word" }, parameters: upload.parameters }));
    */
-  class MatchId {
+  class Eaf {
     /**
-     * String constructor.
+     * Create an EAF document.
+     * @param {object[]} [tiers] The tiers, each with a <var>name</var>, optional
+     * <var>participant</var>, and <var>intervals</var>, each with a <var>start</var> and
+     * <var>end</var> in seconds, and a <var>label</var>. A tier that has a
+     * <var>parent</var> tier name and is an <var>association</var> has intervals that
+     * are each associated with the parent's interval with the same start and end.
+     * @param {object[]} [media] The media files, each with a <var>url</var> and
+     * <var>mimeType</var>.
      */
-    constructor(matchId) {
-      this._transcriptId = null;
-      this._startAnchorId = null;
-      this._endAnchorId = null;
-      this._startOffset = null;
-      this._endOffset = null;
-      this._utteranceId = null;
-      this._participantId = null;
-      this._targetId = null;
-      this._prefix = null;
-      if (matchId) {
-        const parts = matchId.split(";");
-        this._transcriptId = parts[0];
-        let intervalPart = null;
-        for (let part of parts) {
-          if (part == parts[0]) continue;
-          if (part.indexOf("-") > 0) {
-            intervalPart = part;
-            break;
-          }
-        } // next part
-        const interval = intervalPart.split("-");
-        if (interval[0].startsWith("n_")) { // anchor IDs
-          this._startAnchorId = interval[0];
-          this._endAnchorId = interval[1];
-        } else { // offsets
-          this._startOffset = parseFloat(interval[0]);
-          this._endOffset = parseFloat(interval[1]);
-        }
-        for (let part of parts) {
-          if (part.startsWith("prefix=")) {
-            this._prefix = part.substring("prefix=".length);
-          } else if (part.startsWith("em_") || part.startsWith("m_")) {
-            this._utteranceId = part;
-          } else if (part.startsWith("p_")) {
-            this._participantId = part;
-          } else if (part.startsWith("#=")) {
-            this._targetId = part.substring("#=".length);
-          }
-        } // next part
-      } // string was given
+    constructor(tiers, media) {
+      this._tiers = tiers || [];
+      this._media = media || [];
     }
     /**
-     * The transcript identifier.
+     * The tiers, each with a <var>name</var>, <var>participant</var>,
+     * <var>parent</var>, <var>association</var>, and <var>intervals</var>.
      */
-    get transcriptId() { return this._transcriptId; }
+    get tiers() { return this._tiers.slice(); }
     /**
-     * ID of the start anchor.
+     * The media files, each with a <var>url</var> and <var>mimeType</var>.
      */
-    get startAnchorId() { return this._startAnchorId; }
+    get media() { return this._media.slice(); }
     /**
-     * ID of the end anchor.
+     * Gets a tier.
+     * @param {string} name The name - i.e. TIER_ID - of the tier.
+     * @return {object} The tier, or null if there is none.
      */
-    get endAnchorId() { return this._endAnchorId; }
+    tier(name) {
+      return this._tiers.find(tier => tier.name == name) || null;
+    }
+
     /**
-     * Offset of the start anchor.
-     */
-    get startOffset() { return this._startOffset; }
+     * Parses the content of an EAF file. Annotations that refer to other annotations
+     * have the times of the annotation they refer to, divided evenly between them if
+     * they're subdivisions, and time slots with no time are interpolated.
+     * @param {string} text The content of the file.
+     * @return {Eaf} The EAF document.
+     */
+    static parse(text) {
+      const document = parseXml(String(text).replace(/^﻿/, ""));
+      if (document.name != "ANNOTATION_DOCUMENT") throw new Error("EAF: not an EAF file");
+      const children = (element, name) => element.children.filter(
+        child => child.name == name);
+      const header = children(document, "HEADER")[0] || { attributes: {}, children: [] };
+      const units = header.attributes.TIME_UNITS == "NTSC-frames" ? 1 / 29.97
+            : header.attributes.TIME_UNITS == "PAL-frames" ? 1 / 25 : 0.001;
+      const media = children(header, "MEDIA_DESCRIPTOR").map(descriptor => ({
+        url: descriptor.attributes.MEDIA_URL,
+        mimeType: descriptor.attributes.MIME_TYPE }));
+      // time slots, in order, interpolating those with no value
+      const slots = [].concat(...children(document, "TIME_ORDER").map(
+        order => children(order, "TIME_SLOT")));
+      const times = slots.map(slot => slot.attributes.TIME_VALUE == null ? null
+                              : parseFloat(slot.attributes.TIME_VALUE) * units);
+      const slotTimes = {};
+      slots.forEach((slot, s) => {
+        if (times[s] == null) {
+          let previous = s - 1;
+          while (previous >= 0 && times[previous] == null) previous--;
+          let next = s + 1;
+          while (next < times.length && times[next] == null) next++;
+          const from = previous < 0 ? null : times[previous];
+          const to = next < times.length ? times[next] : null;
+          times[s] = from == null ? to : to == null ? from
+            : from + (to - from) * (s - previous) / (next - previous);
+        }
+        slotTimes[slot.attributes.TIME_SLOT_ID] = times[s];
+      });
+      const types = {};
+      for (let type of children(document, "LINGUISTIC_TYPE")) {
+        types[type.attributes.LINGUISTIC_TYPE_ID] = type.attributes.CONSTRAINTS;
+      }
+      const annotations = {}; // ID -> annotation
+      const tiers = children(document, "TIER").map(element => {
+        const tier = {
+          name: element.attributes.TIER_ID,
+          participant: element.attributes.PARTICIPANT || null,
+          parent: element.attributes.PARENT_REF || null,
+          association: types[element.attributes.LINGUISTIC_TYPE_REF]
+            == "Symbolic_Association",
+          intervals: [] };
+        for (let wrapper of children(element, "ANNOTATION")) {
+          for (let annotation of wrapper.children) {
+            const value = children(annotation, "ANNOTATION_VALUE")[0];
+            const attributes = annotation.attributes;
+            annotations[attributes.ANNOTATION_ID] = {
+              tier: tier, label: value ? value.text : "",
+              start: slotTimes[attributes.TIME_SLOT_REF1],
+              end: slotTimes[attributes.TIME_SLOT_REF2],
+              ref: attributes.ANNOTATION_REF };
+          } // next annotation
+        } // next wrapper
+        return tier;
+      });
+      // referring annotations get their times from the annotations they refer to
+      const referrers = {}; // ID -> annotations referring to it, in order
+      for (let annotation of Object.values(annotations)) {
+        if (annotation.ref) (referrers[annotation.ref] = referrers[annotation.ref] || [])
+          .push(annotation);
+      }
+      const resolve = (annotation, visited) => {
+        if (annotation.start != null || !annotation.ref) return;
+        const referent = annotations[annotation.ref];
+        if (!referent || visited.has(referent)) return; // missing or circular
+        visited.add(annotation);
+        resolve(referent, visited);
+        if (referent.start == null) return;
+        const siblings = referrers[annotation.ref].filter(
+          sibling => sibling.tier === annotation.tier);
+        const duration = (referent.end - referent.start) / siblings.length;
+        siblings.forEach((sibling, s) => { // divide the referent between them
+          sibling.start = referent.start + duration * s;
+          sibling.end = s == siblings.length - 1 ? referent.end
+            : sibling.start + duration;
+        });
+      };
+      for (let id in annotations) {
+        const annotation = annotations[id];
+        resolve(annotation, new Set());
+        if (annotation.start != null && annotation.end != null) {
+          annotation.tier.intervals.push({
+            start: annotation.start, end: annotation.end, label: annotation.label });
+        }
+      } // next annotation
+      for (let tier of tiers) tier.intervals.sort((a, b) => a.start - b.start);
+      return new Eaf(tiers, media);
+    }
+
     /**
-     * Offset of the end anchor.
-     */
-    get endOffset() { return this._endOffset; }
+     * The EAF document, in EAF 3.0 format. Tiers that are associations of a parent tier
+     * are written with symbolic association annotations, and other tiers are written
+     * with time-aligned annotations.
+     * @return {string} The content of an EAF file.
+     */
+    toString() {
+      const slots = new Map(); // milliseconds -> time slot ID
+      const slot = seconds => {
+        const milliseconds = Math.round(seconds * 1000);
+        if (!slots.has(milliseconds)) slots.set(milliseconds, "ts" + (slots.size + 1));
+        return slots.get(milliseconds);
+      };
+      let count = 0; // for annotation IDs
+      const ids = new Map(); // tier -> interval -> annotation ID
+      const tiers = this._tiers.map(tier => {
+        const parent = tier.association && ids.get(this.tier(tier.parent));
+        const refs = parent && tier.intervals.map(interval => parent.get(
+          [...parent.keys()].find(
+            p => p.start == interval.start && p.end == interval.end)));
+        const associated = refs && refs.every(ref => ref);
+        const tierIds = new Map();
+        ids.set(tier, tierIds);
+        const lines = [
+          `    <TIER LINGUISTIC_TYPE_REF="${associated ? "association" : "default-lt"}"`
+            + (associated ? ` PARENT_REF="${xmlEscape(tier.parent)}"` : "")
+            + (tier.participant ? ` PARTICIPANT="${xmlEscape(tier.participant)}"` : "")
+            + ` TIER_ID="${xmlEscape(tier.name)}">` ];
+        tier.intervals.forEach((interval, i) => {
+          const id = "a" + (++count);
+          tierIds.set(interval, id);
+          lines.push(
+            "        <ANNOTATION>",
+            associated ? `            <REF_ANNOTATION ANNOTATION_ID="${id}"`
+              + ` ANNOTATION_REF="${refs[i]}">`
+              : `            <ALIGNABLE_ANNOTATION ANNOTATION_ID="${id}"`
+              + ` TIME_SLOT_REF1="${slot(interval.start)}"`
+              + ` TIME_SLOT_REF2="${slot(interval.end)}">`,
+            `                <ANNOTATION_VALUE>${xmlEscape(interval.label)}`
+              + "</ANNOTATION_VALUE>",
+            associated ? "            </REF_ANNOTATION>"
+              : "            </ALIGNABLE_ANNOTATION>",
+            "        </ANNOTATION>");
+        }); // next interval
+        lines.push("    </TIER>");
+        return lines.join("\n");
+      });
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<ANNOTATION_DOCUMENT AUTHOR="" DATE="${new Date().toISOString()}" FORMAT="3.0"`
+          + ' VERSION="3.0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+          + ' xsi:noNamespaceSchemaLocation="http://www.mpi.nl/tools/elan/EAFv3.0.xsd">',
+        '    <HEADER MEDIA_FILE="" TIME_UNITS="milliseconds">',
+        ...this._media.map(media => `        <MEDIA_DESCRIPTOR`
+                           + ` MEDIA_URL="${xmlEscape(media.url)}"`
+                           + ` MIME_TYPE="${xmlEscape(media.mimeType)}"/>`),
+        "    </HEADER>",
+        "    <TIME_ORDER>",
+        ...[...slots.keys()].sort((a, b) => a - b).map(
+          milliseconds => `        <TIME_SLOT TIME_SLOT_ID="${slots.get(milliseconds)}"`
+            + ` TIME_VALUE="${milliseconds}"/>`),
+        "    </TIME_ORDER>",
+        ...tiers,
+        '    <LINGUISTIC_TYPE GRAPHIC_REFERENCES="false" LINGUISTIC_TYPE_ID="default-lt"'
+          + ' TIME_ALIGNABLE="true"/>',
+        '    <LINGUISTIC_TYPE CONSTRAINTS="Symbolic_Association"'
+          + ' GRAPHIC_REFERENCES="false" LINGUISTIC_TYPE_ID="association"'
+          + ' TIME_ALIGNABLE="false"/>',
+        '    <CONSTRAINT DESCRIPTION="1-1 association with a parent annotation"'
+          + ' STEREOTYPE="Symbolic_Association"/>',
+        "</ANNOTATION_DOCUMENT>", "" ].join("\n");
+    }
+
     /**
-     * ID of the participant.
+     * Converts a graph - e.g. as returned by {@link LabbcatView#getTranscript} - into an
+     * EAF document, with a tier for each layer, or for layers within participants - e.g.
+     * words - a tier for each participant's annotations. Tag layers - e.g. orthography
+     * - are associations of their parent layer's tier, if it's included. As tiers can't
+     * represent overlapping intervals, annotations that overlap earlier ones on the same
+     * tier are left out.
+     * @param {Graph} graph The graph.
+     * @param {TierOptions} [options] The layers to convert, and how to name their tiers.
+     * By default, there's a tier for each layer with annotations that have offsets.
+     * @param {object[]} [media] The media files, each with a <var>url</var> and
+     * <var>mimeType</var> - e.g. as returned by {@link LabbcatView#getAvailableMedia}.
+     * @return {Eaf} The EAF document.
+     */
+    static fromGraph(graph, options, media) {
+      const tiers = graphToTiers(graph, options || {});
+      return new Eaf(tiers.map(tier => {
+        const layer = graph.layer(tier.layerId);
+        const parent = !tier.alignment && tiers.find(
+          parent => parent.layerId == layer.parentId
+            && parent.participant == tier.participant);
+        return {
+          name: tier.name, participant: tier.participant,
+          parent: parent ? parent.name : null, association: !!parent,
+          intervals: tier.intervals };
+      }), (media || []).map(file => ({ url: file.url, mimeType: file.mimeType })));
+    }
+
+    /**
+     * The layer and participant each tier is for.
+     * @param {Schema} schema The schema of the corpus, as returned by
+     * {@link LabbcatView#loadSchema}.
+     * @param {TierOptions} [options] How tiers are mapped to layers.
+     * @return {object[]} An object for each tier, with its <var>tier</var> name, the
+     * <var>layerId</var> it's for - or null if it's not for a layer - and
+     * <var>participant</var>.
+     */
+    mapping(schema, options) {
+      schema = schema instanceof Schema ? schema : new Schema(schema);
+      const mapping = (options || {}).tiers || {};
+      return this._tiers.map(tier => {
+        const layer = tierLayer(tier.name, mapping, schema) || {};
+        return {
+          tier: tier.name, layerId: layer.layerId || null,
+          participant: layer.participant || tier.participant || null };
+      });
+    }
+
+    /**
+     * The parameter values for {@link LabbcatEdit#transcriptUploadParameters} when the
+     * file is uploaded: the layer ID for each tier - or an empty string for tiers
+     * that aren't for a layer - along with the corpus, episode, and transcript type, if
+     * given.
+     * @param {Schema} schema The schema of the corpus, as returned by
+     * {@link LabbcatView#loadSchema}.
+     * @param {object} [options] How tiers are mapped to layers - as in
+     * {@link TierOptions} - and the following:
+     * @param {object[]} [options.parameters] The parameters returned by
+     * {@link LabbcatEdit#transcriptUpload}. If given, their default values are
+     * included, and tier mappings are only included for tiers that have a parameter.
+     * @param {string} [options.corpus] The value for <q>labbcat_corpus</q>.
+     * @param {string} [options.episode] The value for <q>labbcat_episode</q>.
+     * @param {string} [options.transcriptType] The value for
+     * <q>labbcat_transcript_type</q>.
+     * @return {object} The parameter values, keyed by parameter name.
+     */
+    uploadParameters(schema, options) {
+      options = options || {};
+      const parameters = {};
+      for (let parameter of options.parameters || []) {
+        parameters[parameter.name] = parameter.value;
+      }
+      for (let { tier, layerId } of this.mapping(schema, options)) {
+        if (!options.parameters || tier in parameters) parameters[tier] = layerId || "";
+      }
+      if (options.corpus) parameters.labbcat_corpus = options.corpus;
+      if (options.episode) parameters.labbcat_episode = options.episode;
+      if (options.transcriptType) {
+        parameters.labbcat_transcript_type = options.transcriptType;
+      }
+      return parameters;
+    }
+
+    /**
+     * Converts the EAF document into a graph. Each annotation on a tier that's for a
+     * layer becomes an annotation, whose parent is the annotation on the parent layer
+     * that includes it - e.g. words are added to the turns they're in. Participants are
+     * created from tier names or PARTICIPANT attributes, and if there's no turn tier,
+     * each participant has a single turn.
+     * @param {Schema} schema The schema of the corpus, as returned by
+     * {@link LabbcatView#loadSchema}.
+     * @param {TierOptions} [options] How tiers are mapped to layers.
+     * @return {Graph} The graph.
+     * @throws {Error} If any tiers can't be converted - see {@link Eaf#validate}.
+     */
+    toGraph(schema, options) {
+      schema = schema instanceof Schema ? schema : new Schema(schema);
+      const { json, errors } = this._convert(schema, options || {});
+      if (errors.length) throw new Error("EAF: " + errors.join(", "));
+      return new Graph(json, schema);
+    }
+
+    /**
+     * Checks that the EAF document can be converted into a graph of the given schema -
+     * e.g. before uploading it with {@link LabbcatEdit#transcriptUpload}.
+     * @param {Schema} schema The schema of the corpus, as returned by
+     * {@link LabbcatView#loadSchema}.
+     * @param {TierOptions} [options] How tiers are mapped to layers.
+     * @return {string[]} A list of problems - e.g. tiers that aren't for any layer, or
+     * annotations with no parent annotation - or an empty array if there are none.
+     */
+    validate(schema, options) {
+      schema = schema instanceof Schema ? schema : new Schema(schema);
+      options = options || {};
+      return this.mapping(schema, options)
+        .filter(tier => !tier.layerId)
+        .map(tier => "Tier isn't for a layer: " + tier.tier)
+        .concat(this._convert(schema, options).errors);
+    }
+
+    // Converts the tiers into graph JSON, returning { json, errors }.
+    _convert(schema, options) {
+      let end = 0;
+      for (let tier of this._tiers) {
+        for (let interval of tier.intervals) end = Math.max(end, interval.end);
+      } // next tier
+      return tiersToGraph(this._tiers, 0, end, schema, options);
+    }
+  }
+
+  /**
+   * An event dispatched by a {@link TaskMonitor}.
+   * @extends Event
+   */
+  class TaskEvent extends Event {
+    /**
+     * @param {string} type The event type - "progress", "done", "failed", or "cancelled".
+     * @param {string} threadId The ID of the task.
+     * @param {object} task The latest status of the task, as returned by
+     * {@link LabbcatView#taskStatus}, or null if it couldn't be determined.
+     * @param {LabbcatError} [error] Why the task failed or was cancelled.
+     */
+    constructor(type, threadId, task, error) {
+      super(type);
+      /** The ID of the task. */
+      this.threadId = threadId;
+      /** The latest status of the task, including <var>percentComplete</var> and
+       * <var>status</var>. */
+      this.task = task;
+      /** Why the task failed or was cancelled, for "failed" and "cancelled" events. */
+      this.error = error || null;
+    }
+  }
+
+  /**
+   * Watches server tasks - e.g. started by {@link LabbcatView#search},
+   * {@link LabbcatView#praat}, or {@link LabbcatEdit#newTranscript} - and dispatches a
+   * {@link TaskEvent} when each makes progress or finishes:
+   * <dl>
+   *  <dt>progress</dt> <dd>The task's <var>percentComplete</var> or <var>status</var>
+   *   changed.</dd>
+   *  <dt>done</dt> <dd>The task finished successfully.</dd>
+   *  <dt>failed</dt> <dd>The task finished with an error, its status couldn't be
+   *   determined, or it timed out and wasn't cancelled.</dd>
+   *  <dt>cancelled</dt> <dd>The task was cancelled - e.g. because it timed out.</dd>
+   * </dl>
+   * <p>Tasks are polled at intervals that start short and get longer while the task
+   * doesn't change, so that quick tasks are reported quickly, and long tasks don't
+   * generate lots of requests.
+   * @example
+   * const monitor = new TaskMonitor(store, { timeout: 600000, cancelOnTimeout: true });
+   * monitor.addEventListener("progress", event => {
+   *   console.log(event.threadId + ": " + event.task.percentComplete + "%");
+   * });
+   * monitor.addEventListener("failed", event => console.error(event.error));
+   * const task = await monitor.watch((await store.search(pattern)).threadId);
+   * @extends EventTarget
+   */
+  class TaskMonitor extends EventTarget {
+    /**
+     * Create a task monitor.
+     * @param {LabbcatView} labbcat The LaBB-CAT client to check task status with.
+     * @param {object} [options] Polling settings:
+     * <dl>
+     *  <dt> initialInterval (number) </dt><dd> The milliseconds between checks of a
+     *   task's status after it changes. (default: 500) </dd>
+     *  <dt> maxInterval (number) </dt><dd> The maximum milliseconds between checks.
+     *   (default: 10000) </dd>
+     *  <dt> backoffFactor (number) </dt><dd> The factor by which the interval increases
+     *   each time the task's status hasn't changed. (default: 1.5) </dd>
+     *  <dt> timeout (number) </dt><dd> The milliseconds to watch each task for before
+     *   giving up, or 0 to watch until it finishes. (default: 0) </dd>
+     *  <dt> cancelOnTimeout (boolean) </dt><dd> Whether to cancel tasks that time out.
+     *   (default: false) </dd>
+     * </dl>
      */
-    get participantId() { return this._participantId; }
+    constructor(labbcat, options) {
+      super();
+      this._labbcat = labbcat;
+      this._options = Object.assign({
+        initialInterval: 500, maxInterval: 10000, backoffFactor: 1.5,
+        timeout: 0, cancelOnTimeout: false }, options);
+      this._watches = {}; // threadId -> { timer, deadline, interval, task, settle }
+    }
+    
     /**
-     * ID of the match utterance.
+     * The IDs of the tasks being watched.
      */
-    get utteranceId() { return this._utteranceId; }
+    get watching() {
+      return Object.keys(this._watches);
+    }
+    
     /**
-     * ID of the match target annotation.
+     * Starts watching the given task.
+     * @param {string} threadId The ID of the task.
+     * @param {object} [options] Overrides of the monitor's <var>timeout</var> and
+     * <var>cancelOnTimeout</var> settings for this task.
+     * @return {Promise} A Promise that resolves with the final task status when the task
+     * is done, or is rejected with a {@link LabbcatError} if it fails, or a
+     * {@link CancelledError} if it's cancelled or times out.
+     */
+    watch(threadId, options) {
+      options = Object.assign({}, this._options, options);
+      if (this._watches[threadId]) return this._watches[threadId].promise;
+      const watch = {
+        interval: options.initialInterval, task: null, options: options,
+        deadline: options.timeout ? Date.now() + options.timeout : null };
+      watch.promise = new Promise((resolve, reject) => {
+        watch.settle = (type, error) => {
+          clearTimeout(watch.timer);
+          delete this._watches[threadId];
+          this.dispatchEvent(new TaskEvent(type, threadId, watch.task, error));
+          if (error) reject(error); else resolve(watch.task);
+        };
+      });
+      // listeners may handle failures instead of the Promise
+      watch.promise.catch(() => {});
+      this._watches[threadId] = watch;
+      this.poll(threadId);
+      return watch.promise;
+    }
+    
+    /**
+     * Stops watching the given task, without dispatching any more events for it.
+     * @param {string} threadId The ID of the task.
      */
-    get targetId() { return this._targetId; }
+    unwatch(threadId) {
+      const watch = this._watches[threadId];
+      if (watch) {
+        clearTimeout(watch.timer);
+        delete this._watches[threadId];
+      }
+    }
+    
     /**
-     * Match prefix for fragments.
+     * Stops watching all tasks.
      */
-    get prefix() { return this._prefix; }
+    stop() {
+      for (let threadId of this.watching) this.unwatch(threadId);
+    }
+    
+    // Checks the status of the task, and schedules the next check if it's still running.
+    poll(threadId) {
+      const watch = this._watches[threadId];
+      if (!watch) return;
+      this._labbcat.taskStatus(threadId, (task, errors, messages, call, id, error) => {
+        if (this._watches[threadId] !== watch) return; // unwatched in the meantime
+        if (errors) {
+          watch.settle("failed", error || new LabbcatError(errors, messages, call, id));
+          return;
+        }
+        const previous = watch.task;
+        watch.task = task;
+        const changed = !previous || previous.percentComplete != task.percentComplete
+              || previous.status != task.status;
+        if (changed) this.dispatchEvent(new TaskEvent("progress", threadId, task));
+        if (!task.running) {
+          if (task.lastException) {
+            watch.settle("failed", new LabbcatError(
+              [task.lastException], [task.status], "taskStatus", threadId));
+          } else if (/^cancel/i.test(task.status)) {
+            watch.settle("cancelled", new CancelledError(
+              [task.status], [], "taskStatus", threadId));
+          } else {
+            watch.settle("done");
+          }
+          return;
+        }
+        if (watch.deadline && Date.now() >= watch.deadline) {
+          this.timedOut(threadId);
+          return;
+        }
+        // check sooner if the task is changing, and less often if it's not
+        const options = watch.options;
+        watch.interval = changed ? options.initialInterval
+          : Math.min(options.maxInterval, watch.interval * options.backoffFactor);
+        let delay = watch.interval;
+        if (watch.deadline) delay = Math.min(delay, watch.deadline - Date.now());
+        watch.timer = setTimeout(() => this.poll(threadId), delay);
+      });
+    }
+    
+    // Gives up on a task that's taken too long, cancelling it if configured to.
+    timedOut(threadId) {
+      const watch = this._watches[threadId];
+      const error = new TimeoutError(
+        ["Task timed out: " + threadId], [], "taskStatus", threadId);
+      if (!watch.options.cancelOnTimeout) {
+        watch.settle("failed", error);
+        return;
+      }
+      if (exports.verbose) console.log("TaskMonitor cancelling " + threadId);
+      this._labbcat.cancelTask(threadId, () => watch.settle("cancelled", error));
+    }
   }
-  
+
+  // API functions return a Promise if no resultCallback is passed
+  promisify(LabbcatView, [
+    "parametersToQueryString", "iterateMatchingParticipantIds",
+    "iterateMatchingTranscriptIds", "iterateAnnotations", "iterateMatchingAnnotations",
+    "iterateMatches", "iterateSearch"]);
+  promisify(LabbcatEdit, []);
+  promisify(LabbcatAdmin, ["iterateCorpora", "iterateRoles", "iterateUsers"]);
+
   exports.LabbcatView = LabbcatView;
   exports.LabbcatEdit = LabbcatEdit;
   exports.LabbcatAdmin = LabbcatAdmin;
   exports.MatchId = MatchId;
+  exports.Graph = Graph;
+  exports.Schema = Schema;
+  exports.SearchPattern = SearchPattern;
+  exports.PraatMeasurements = PraatMeasurements;
+  exports.TextGrid = TextGrid;
+  exports.Eaf = Eaf;
+  exports.TaskMonitor = TaskMonitor;
+  exports.TaskEvent = TaskEvent;
+  exports.Layer = Layer;
+  exports.Annotation = Annotation;
+  exports.Anchor = Anchor;
+  exports.Form = Form;
+  exports.FetchTransport = FetchTransport;
+  exports.XhrTransport = XhrTransport;
+  exports.RecordingTransport = RecordingTransport;
+  exports.ReplayTransport = ReplayTransport;
+  exports.LabbcatError = LabbcatError;
+  exports.AuthenticationError = AuthenticationError;
+  exports.PermissionError = PermissionError;
+  exports.NotFoundError = NotFoundError;
+  exports.ServerError = ServerError;
+  exports.NetworkError = NetworkError;
+  exports.CancelledError = CancelledError;
+  exports.TimeoutError = TimeoutError;
+  exports.ParseError = ParseError;
   exports.verbose = false;
   exports.language = false;
 
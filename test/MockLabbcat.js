@@ -0,0 +1,2284 @@
+'use strict';
+
+/**
+ * An in-process stand-in for a LaBB-CAT server, so that the unit tests can be run
+ * without a live LaBB-CAT instance.
+ * <p>The mock implements the api/store, api/edit/store, api/admin/*, api/search,
+ * api/results, api/media/fragments and api/task endpoints - and the handful of other
+ * endpoints the client library uses - against a small in-memory corpus, seeded from the
+ * test/labbcat-js.test.* fixtures. Each instance has its own copy of the corpus, so
+ * changes made by one test suite are not seen by another.
+ * <p>It is a test double, not a LaBB-CAT implementation: query expressions are
+ * evaluated as JavaScript, search patterns are matched word-by-word with JavaScript
+ * regular expressions, tasks finish as soon as they are started, only plain-text
+ * transcripts can be uploaded, and uploaded fragments are accepted but not merged.
+ * @example
+ * const mock = new MockLabbcat("labbcat", "labbcat");
+ * const baseUrl = await mock.start();
+ * const store = new labbcat.LabbcatView(baseUrl, "labbcat", "labbcat");
+ * // ...
+ * await mock.stop();
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const version = "20260101.0000";
+
+// media and documents of the seed transcripts
+const fixtureMedia = path.join(__dirname, "labbcat-js.test.wav");
+const fixtureDocument = path.join(__dirname, "labbcat-js.test.doc");
+
+// the transcripts the corpus starts with, in the format of labbcat-js.test.txt
+const seedTranscripts = [
+  { id: "AP511_MikeThorpe.eaf", corpus: "UC", type: "interview", language: "en",
+    text: "AP511_MikeThorpe: I was born in Christchurch and I grew up there.\n"
+      + "AP511_MikeThorpe: We lived in a house by the river and the school was across the road.\n"
+      + "AP511_MikeThorpe: I think the earthquake changed the city.\n"
+      + "AP511_MikeThorpe: I only remember the river." },
+  { id: "BR2044_OllyOhlson.eaf", corpus: "UC", type: "monologue", language: "en",
+    text: "BR2044_OllyOhlson: Well I remember the old farm and the animals.\n"
+      + "BR2044_OllyOhlson: My father would see the sheep in the morning." }
+];
+const seedParticipants = {
+  "AP511_MikeThorpe": { participant_gender: "M", participant_notes: "Seed participant" },
+  "BR2044_OllyOhlson": { participant_gender: "F", participant_notes: "Seed participant" }
+};
+
+// DISC pronunciations for the phonemes and segment layers - the first is the one segmented
+const lexicon = {
+  "a": ["1", "@"], "across": ["@krQs"], "and": ["&nd", "@nd", "@n"], "animals": ["&nIm@lz"],
+  "born": ["b$n"], "by": ["b2"], "changed": ["J1nJd"], "christchurch": ["kr2stS3tS"],
+  "city": ["sIti"], "earthquake": ["3Tkw1k"], "farm": ["f#m"], "father": ["f#D@"],
+  "grew": ["gru"], "house": ["h6s"], "i": ["2"], "in": ["In"], "is": ["Iz"],
+  "lived": ["lIvd"], "morning": ["m$nIN"], "my": ["m2"], "old": ["5ld"], "only": ["5nli"],
+  "remember": ["rImEmb@"], "river": ["rIv@"], "road": ["r5d"], "school": ["skul"],
+  "see": ["si"], "sheep": ["Sip"], "test": ["tEst"], "the": ["D@", "Di"],
+  "there": ["D8", "D@"], "think": ["TIN"], "this": ["DIs"], "transcript": ["tr&nskrIpt"],
+  "up": ["Vp"], "was": ["wQz", "w@z"], "we": ["wi"], "well": ["wEl"], "would": ["wUd", "w@d"]
+};
+
+// layers are [id, parentId, alignment, peers, peersOverlap, saturated, type, description]
+const seedLayers = [
+  ["transcript", null, 0, false, false, true, "string", "Transcript"],
+  ["corpus", "transcript", 0, false, false, true, "string", "Corpus"],
+  ["episode", "transcript", 0, false, false, true, "string", "Episode"],
+  ["transcript_type", "transcript", 0, false, false, true, "string", "Type of transcript"],
+  ["transcript_language", "transcript", 0, false, false, true, "string", "Language"],
+  ["transcript_version", "transcript", 0, false, false, true, "string", "Version"],
+  ["transcript_versionDate", "transcript", 0, false, false, true, "date", "Version date"],
+  ["participant", "transcript", 0, true, true, true, "string", "Participants"],
+  ["participant_gender", "participant", 0, false, false, true, "string", "Gender"],
+  ["participant_notes", "participant", 0, false, false, true, "string", "Notes"],
+  ["turn", "participant", 2, true, false, false, "string", "Speaker turns"],
+  ["utterance", "turn", 2, true, false, true, "string", "Lines"],
+  ["word", "turn", 2, true, false, false, "string", "Words"],
+  ["orthography", "word", 0, false, false, true, "string", "Orthographic spelling"],
+  ["phonemes", "word", 0, true, true, true, "ipa", "Pronunciations"],
+  ["lexical", "word", 0, true, true, true, "string", "Lexical tags"],
+  ["segment", "word", 2, true, false, true, "ipa", "Phones"],
+  ["comment", "transcript", 2, true, true, false, "string", "Comments"],
+  ["noise", "transcript", 2, true, true, false, "string", "Noises"]
+];
+
+// numbers that appear in annotation IDs, as they do in LaBB-CAT
+const layerNumbers = { word: 0, segment: 1, orthography: 2, turn: 11, utterance: 12 };
+
+// descriptors of the only format the mock can read and write, and of TextGrids
+const formats = [
+  { name: "Plain Text Document", mimeType: "text/plain", version: "1.0",
+    icon: "txt.png", numberOfInputs: 1, fileSuffixes: ["txt"], minimumApiVersion: "1.0.0" },
+  { name: "Praat TextGrid", mimeType: "text/praat-textgrid", version: "1.0",
+    icon: "textgrid.png", numberOfInputs: 2, fileSuffixes: ["textgrid"],
+    minimumApiVersion: "1.0.0" }
+];
+
+const mimeTypes = {
+  wav: "audio/wav", mp3: "audio/mpeg", mp4: "video/mp4", webm: "video/webm",
+  txt: "text/plain", doc: "application/msword", pdf: "application/pdf",
+  textgrid: "text/praat-textgrid", csv: "text/csv"
+};
+
+// "not found" messages are localized, so that tests can check the Accept-Language header
+const localizedKinds = {
+  Corpus: "El corpus", Layer: "La capa", Media: "El archivo", Participant: "El participante",
+  Record: "El registro", Task: "La tarea", Transcript: "La transcripción",
+  Upload: "La carga"
+};
+
+//
+// An error that is returned to the client as an HTTP error response.
+//
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+//
+// Returns a rounded offset, so that arithmetic noise doesn't appear in responses.
+//
+function round(offset) {
+  return Math.round(offset * 1000) / 1000;
+}
+
+//
+// Returns the MIME type of a file, from its name.
+//
+function mimeTypeOf(fileName) {
+  const suffix = path.extname(fileName).substring(1).toLowerCase();
+  return mimeTypes[suffix] || "application/octet-stream";
+}
+
+//
+// Returns the given page of a list.
+//
+function pageOf(list, pageLength, pageNumber) {
+  pageLength = parseInt(pageLength);
+  if (!pageLength) return list;
+  const start = pageLength * (parseInt(pageNumber) || 0);
+  return list.slice(start, start + pageLength);
+}
+
+//
+// Parses a multipart/form-data request body into fields and files.
+//
+function parseMultipart(body, contentType) {
+  const form = { fields: {}, files: {} };
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+  if (!boundary) return form;
+  const delimiter = Buffer.from("\r\n--" + (boundary[1] || boundary[2]));
+  // a leading CRLF makes the first delimiter look like the others
+  const data = Buffer.concat([Buffer.from("\r\n"), body]);
+  let p = data.indexOf(delimiter);
+  while (p >= 0) {
+    let start = p + delimiter.length;
+    if (data.toString("ascii", start, start + 2) == "--") break; // closing delimiter
+    start += 2; // CRLF
+    const next = data.indexOf(delimiter, start);
+    if (next < 0) break;
+    const part = data.subarray(start, next);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    const headers = part.toString("utf8", 0, headerEnd);
+    const content = part.subarray(headerEnd + 4);
+    const name = /;\s*name="([^"]*)"/i.exec(headers);
+    const fileName = /;\s*filename="([^"]*)"/i.exec(headers);
+    if (name) {
+      if (fileName) {
+        const type = /content-type:\s*([^\r\n;]+)/i.exec(headers);
+        form.files[name[1]] = form.files[name[1]] || [];
+        form.files[name[1]].push({
+          fileName: fileName[1], mimeType: type ? type[1] : mimeTypeOf(fileName[1]),
+          data: content });
+      } else {
+        form.fields[name[1]] = form.fields[name[1]] || [];
+        form.fields[name[1]].push(content.toString("utf8"));
+      }
+    }
+    p = next;
+  } // next part
+  return form;
+}
+
+//
+// Parses CSV text into an array of rows, skipping blank lines.
+//
+function parseCsv(text, delimiter) {
+  delimiter = delimiter || ",";
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c == '"' && text[i + 1] == '"') {
+        value += c;
+        i++;
+      } else if (c == '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c == '"') {
+      quoted = true;
+    } else if (c == delimiter) {
+      row.push(value);
+      value = "";
+    } else if (c == "\n" || c == "\r") {
+      if (c == "\r" && text[i + 1] == "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += c;
+    }
+  } // next character
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v != ""));
+}
+
+//
+// Formats rows as CSV text.
+//
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    value = value == null ? "" : String(value);
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+  }).join(",")).join("\n") + "\n";
+}
+
+//
+// Returns the format and sample data of a WAV file, or null if it's not a WAV file.
+//
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString("ascii", 0, 4) != "RIFF"
+      || buffer.toString("ascii", 8, 12) != "WAVE") {
+    return null;
+  }
+  let format = null;
+  let data = null;
+  for (let p = 12; p + 8 <= buffer.length; ) {
+    const id = buffer.toString("ascii", p, p + 4);
+    const size = buffer.readUInt32LE(p + 4);
+    if (id == "fmt ") {
+      format = {
+        channels: buffer.readUInt16LE(p + 10),
+        sampleRate: buffer.readUInt32LE(p + 12),
+        bitsPerSample: buffer.readUInt16LE(p + 22) };
+    } else if (id == "data") {
+      data = buffer.subarray(p + 8, Math.min(p + 8 + size, buffer.length));
+    }
+    p += 8 + size + (size % 2);
+  } // next chunk
+  if (!format || !data) return null;
+  format.frameSize = format.channels * format.bitsPerSample / 8;
+  format.data = data;
+  format.duration = data.length / format.frameSize / format.sampleRate;
+  return format;
+}
+
+//
+// Returns a WAV file containing the given interval of the given WAV, resampled if a
+// sample rate is given.
+//
+function wavFragment(wav, start, end, sampleRate) {
+  const frames = wav.data.length / wav.frameSize;
+  const clip = frame => Math.max(0, Math.min(frames, Math.round(frame)));
+  let data = wav.data.subarray(
+    clip(start * wav.sampleRate) * wav.frameSize, clip(end * wav.sampleRate) * wav.frameSize);
+  let rate = wav.sampleRate;
+  if (sampleRate && sampleRate != rate) { // nearest-neighbour is good enough for tests
+    const sourceFrames = data.length / wav.frameSize;
+    const resampled = Buffer.alloc(
+      Math.floor(sourceFrames * sampleRate / rate) * wav.frameSize);
+    for (let f = 0; f * wav.frameSize < resampled.length; f++) {
+      const source = Math.min(sourceFrames - 1, Math.floor(f * rate / sampleRate));
+      data.copy(resampled, f * wav.frameSize,
+                source * wav.frameSize, (source + 1) * wav.frameSize);
+    }
+    data = resampled;
+    rate = sampleRate;
+  }
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVEfmt ", 8, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(wav.channels, 22);
+  header.writeUInt32LE(rate, 24);
+  header.writeUInt32LE(rate * wav.frameSize, 28);
+  header.writeUInt16LE(wav.frameSize, 32);
+  header.writeUInt16LE(wav.bitsPerSample, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+//
+// Formats interval tiers as a Praat TextGrid. Each tier is {name, intervals}, where each
+// interval is {start, end, label}. Gaps are filled with empty intervals, and intervals
+// that overlap earlier ones are left out, as TextGrid tiers can't represent them.
+//
+function textGrid(start, end, tiers) {
+  const lines = [
+    'File type = "ooTextFile"', 'Object class = "TextGrid"', "",
+    `xmin = ${start}`, `xmax = ${end}`, "tiers? <exists>", `size = ${tiers.length}`,
+    "item []:" ];
+  tiers.forEach((tier, t) => {
+    const intervals = [];
+    let time = start;
+    for (let interval of tier.intervals.sort((a, b) => a.start - b.start)) {
+      const from = Math.max(interval.start, start);
+      const to = Math.min(interval.end, end);
+      if (from < time || to <= from) continue;
+      if (from > time) intervals.push({ start: time, end: from, label: "" });
+      intervals.push({ start: from, end: to, label: interval.label });
+      time = to;
+    } // next interval
+    if (time < end) intervals.push({ start: time, end: end, label: "" });
+    lines.push(
+      `    item [${t + 1}]:`, '        class = "IntervalTier"',
+      `        name = "${tier.name}"`, `        xmin = ${start}`, `        xmax = ${end}`,
+      `        intervals: size = ${intervals.length}`);
+    intervals.forEach((interval, i) => {
+      lines.push(
+        `        intervals [${i + 1}]:`, `            xmin = ${round(interval.start)}`,
+        `            xmax = ${round(interval.end)}`,
+        `            text = "${String(interval.label).replace(/"/g, '""')}"`);
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+//
+// The CRC-32 checksum of a buffer.
+//
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+//
+// Creates a ZIP archive of the given files, each {name, data}, compressed with DEFLATE.
+//
+function zip(files) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (let file of files) {
+    const name = Buffer.from(file.name, "utf8");
+    const data = zlib.deflateRawSync(file.data);
+    const fields = Buffer.alloc(26); // version, flags, method, time, date, crc, sizes...
+    fields.writeUInt16LE(20, 0);
+    fields.writeUInt16LE(8, 4); // DEFLATE
+    fields.writeUInt32LE(crc32(file.data), 10);
+    fields.writeUInt32LE(data.length, 14);
+    fields.writeUInt32LE(file.data.length, 18);
+    fields.writeUInt16LE(name.length, 22);
+    const local = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), fields, name]);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    fields.copy(central, 6);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, name);
+    parts.push(local, data);
+    offset += local.length + data.length;
+  } // next file
+  const size = directory.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, ...directory, end]);
+}
+
+//
+// Compiles a LaBB-CAT query expression into a function that takes a context object,
+// which supplies the values of identifiers like id, label, and first(layerId).
+//
+function compileExpression(expression) {
+  if (!expression) throw new HttpError(400, "No expression was specified.");
+  const source = expression
+  // LaBB-CAT accepts = as well as == for equality
+        .replace(/([^=!<>])=([^=>])/g, "$1==$2")
+  // and tuples as well as arrays of values
+        .replace(/\(((?:\s*'[^']*'\s*,)+\s*'[^']*'\s*)\)\.includes/g, "[$1].includes");
+  try {
+    // not strict, so that the context can supply identifiers via 'with'
+    return new Function("context", `with (context) { return (${source}); }`);
+  } catch(exception) {
+    // LaBB-CAT's parser ignores trailing tokens it can't parse, e.g. a stray quote
+    if (/['"]\s*$/.test(expression)) {
+      return compileExpression(expression.replace(/['"]\s*$/, ""));
+    }
+    throw new HttpError(400, `Invalid expression: ${expression} - ${exception.message}`);
+  }
+}
+
+//
+// Evaluates a compiled expression, converting errors into HTTP errors.
+//
+function evaluate(compiled, context, expression) {
+  try {
+    return compiled(context);
+  } catch(exception) {
+    throw new HttpError(400, `Invalid expression: ${expression} - ${exception.message}`);
+  }
+}
+
+//
+// A transcript in the mock corpus, i.e. an annotation graph.
+//
+class Transcript {
+  constructor(id, number) {
+    this.id = id;
+    this.number = number;
+    this.anchors = {}; // anchorId -> {id, offset, confidence}
+    this.annotations = []; // {id, layerId, label, startId, endId, parentId, ordinal, confidence}
+    this.media = []; // {name, mimeType, trackSuffix, data}
+    this.documents = []; // {name, mimeType, data}
+  }
+  annotation(id) {
+    return this.annotations.find(a => a.id == id);
+  }
+  all(layerId) {
+    return this.annotations.filter(a => a.layerId == layerId);
+  }
+  children(parent, layerId) {
+    return this.annotations.filter(a => a.parentId == parent.id && a.layerId == layerId);
+  }
+  start(annotation) {
+    return this.anchors[annotation.startId].offset;
+  }
+  end(annotation) {
+    return this.anchors[annotation.endId].offset;
+  }
+  label(layerId) {
+    const annotation = this.all(layerId)[0];
+    return annotation ? annotation.label : null;
+  }
+  // words in order
+  words() {
+    return this.all("word").sort((a, b) => this.start(a) - this.start(b));
+  }
+  // the participant annotation a turn, word, etc. belongs to
+  participantOf(annotation) {
+    while (annotation && annotation.layerId != "participant") {
+      annotation = this.annotation(annotation.parentId);
+    }
+    return annotation;
+  }
+  // the annotations on the given layer that contain the given annotation's start
+  containing(annotation, layerId) {
+    const offset = this.start(annotation);
+    return this.all(layerId).filter(a => this.start(a) <= offset && offset < this.end(a));
+  }
+}
+
+//
+// A table of admin records, e.g. corpora or roles, identified by the given key fields.
+//
+class Table {
+  constructor(kind, keys, rows) {
+    this.kind = kind;
+    this.keys = keys;
+    this.rows = rows;
+  }
+  find(record) {
+    return this.rows.find(row => this.keys.every(key => row[key] == record[key]));
+  }
+  create(record) {
+    for (let key of this.keys) {
+      if (record[key] == null) throw new HttpError(400, `No ${key} specified.`);
+    }
+    if (this.find(record)) {
+      throw new HttpError(
+        409, `${this.kind} already exists: ${this.keys.map(k => record[k]).join(" ")}`);
+    }
+    this.rows.push(Object.assign({}, record));
+    return Object.assign({}, record);
+  }
+  update(record, request) {
+    const row = this.find(record);
+    if (!row) throw notFound(request, this.kind, this.keys.map(k => record[k]).join(" "));
+    Object.assign(row, record);
+    return Object.assign({}, row);
+  }
+  delete(record, request) {
+    const row = this.find(record);
+    if (!row) throw notFound(request, this.kind, this.keys.map(k => record[k]).join(" "));
+    if (row._cantDelete) throw new HttpError(400, row._cantDelete);
+    this.rows.splice(this.rows.indexOf(row), 1);
+    return row;
+  }
+}
+
+//
+// Returns an error for a record that doesn't exist, localized for the request.
+//
+function notFound(request, kind, id) {
+  if (request && request.language == "es") {
+    return new HttpError(404, `${localizedKinds[kind] || kind} no existe: ${id}`);
+  }
+  return new HttpError(404, `${kind} not found: ${id}`);
+}
+
+//
+// Responses returned by request handlers.
+//
+function reply(model, messages) { // a JSON model
+  return { model: model === undefined ? null : model, messages: messages || [] };
+}
+function result(value, messages) { // a graph store function result
+  // the client reads falsy results, e.g. a count of 0, from the model itself
+  return reply(value == null ? null : value ? { result: value } : value, messages);
+}
+function content(body, mimeType, fileName) { // a document
+  const headers = { "Content-Type": mimeType };
+  if (fileName) headers["Content-Disposition"] = `attachment; filename=${fileName}`;
+  return { status: 200, headers: headers, body: body };
+}
+
+/**
+ * An in-process mock LaBB-CAT server.
+ */
+class MockLabbcat {
+  /**
+   * Creates a mock server that accepts the given credentials.
+   * @param {string} username The username requests must be authenticated with.
+   * @param {string} password The password requests must be authenticated with.
+   */
+  constructor(username, password) {
+    this.username = username;
+    this.password = password;
+    this.server = null;
+    this._baseUrl = null;
+    this.nextId = 1;
+    this.nextTranscriptNumber = 1;
+    this.nextParticipantNumber = 1;
+    this.nextThreadId = 1;
+    this.nextUploadId = 1;
+    // the number of status requests for which each task reports that it's still running
+    this.taskPolls = 0;
+    // whether requests for several fragments return them in a ZIP archive
+    this.zipFragments = true;
+    // the number of media range requests honoured before the Range header is ignored,
+    // like a server that stops supporting ranges part way through a download
+    this.rangeRequests = Infinity;
+    this.layers = {};
+    this.transcripts = new Map(); // transcriptId -> Transcript
+    this.participants = new Map(); // participant name -> {number, attributes}
+    this.tasks = new Map(); // threadId -> task
+    this.uploads = new Map(); // uploadId -> transcript/fragment upload
+    this.agreement = "";
+    this.corpora = new Table("Corpus", ["corpus_name"], [
+      { corpus_id: 1, corpus_name: "UC", corpus_language: "en",
+        corpus_description: "Unit test corpus" } ]);
+    this.categories = new Table("Record", ["class_id", "category"], [
+      { class_id: "transcript", category: "General", description: "Transcript attributes",
+        display_order: 0 },
+      { class_id: "speaker", category: "Demographics", description: "Participant attributes",
+        display_order: 0 },
+      { class_id: "layer", category: "Phonology", description: "Phonological layers",
+        display_order: 0 } ]);
+    this.mediaTracks = new Table("Record", ["suffix"], [
+      { suffix: "", description: "Audio", display_order: 0 } ]);
+    this.roles = new Table("Record", ["role_id"], [
+      { role_id: "view", description: "Can browse and search", _cantDelete: "Built-in role" },
+      { role_id: "edit", description: "Can edit", _cantDelete: "Built-in role" },
+      { role_id: "admin", description: "Can administer", _cantDelete: "Built-in role" } ]);
+    this.rolePermissions = new Table("Record", ["role_id", "entity"], []);
+    this.systemAttributes = new Table("Record", ["attribute"], [
+      { attribute: "title", type: "string", style: "", label: "Title",
+        description: "Title of this LaBB-CAT instance", value: "Mock LaBB-CAT" },
+      { attribute: "blurb", type: "html", style: "", label: "Blurb",
+        description: "Text on the home page", value: "<p>Unit test corpus</p>" } ]);
+    this.users = new Table("Record", ["user"], [
+      { user: username, email: null, resetPassword: false, roles: ["view", "edit", "admin"],
+        _cantDelete: "Current user" } ]);
+
+    for (let [id, parentId, alignment, peers, peersOverlap, saturated, type, description]
+         of seedLayers) {
+      this.addLayer({ id, parentId, alignment, peers, peersOverlap, saturated, type,
+                      description });
+    }
+    this.layers.transcript_type.validLabels = {
+      interview: "interview", monologue: "monologue", reading: "reading" };
+    this.layers.participant_gender.validLabels = { M: "M", F: "F", X: "X" };
+    this.seed();
+  }
+
+  /**
+   * The URL of the mock LaBB-CAT, once it has been started.
+   */
+  get baseUrl() {
+    return this._baseUrl;
+  }
+
+  /**
+   * Starts the server.
+   * @param {number} [port=0] The port to listen on - by default, any free port.
+   * @return {Promise} A Promise that resolves to the base URL of the mock LaBB-CAT.
+   */
+  start(port) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => this.receive(request, response));
+      this.server.on("error", reject);
+      this.server.listen(port || 0, "127.0.0.1", () => {
+        this._baseUrl = `http://127.0.0.1:${this.server.address().port}/labbcat/`;
+        resolve(this._baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stops the server.
+   * @return {Promise} A Promise that resolves when the server has stopped.
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  // Creates the seed corpus.
+  seed() {
+    const media = fs.readFileSync(fixtureMedia);
+    const duration = parseWav(media).duration;
+    for (let seed of seedTranscripts) {
+      const transcript = this.createTranscript(seed.id, seed.text, duration);
+      this.setAttribute(transcript, "corpus", seed.corpus);
+      this.setAttribute(transcript, "episode", seed.id.replace(/\.[^.]*$/, ""));
+      this.setAttribute(transcript, "transcript_type", seed.type);
+      this.setAttribute(transcript, "transcript_language", seed.language);
+      transcript.media.push({
+        name: seed.id.replace(/\.[^.]*$/, ".wav"), mimeType: "audio/wav", trackSuffix: "",
+        data: media });
+      transcript.documents.push({
+        name: path.basename(fixtureDocument), mimeType: "application/msword",
+        data: fs.readFileSync(fixtureDocument) });
+    } // next transcript
+    for (let name in seedParticipants) {
+      for (let layerId in seedParticipants[name]) {
+        this.participants.get(name).attributes[layerId] = [ seedParticipants[name][layerId] ];
+      }
+    } // next participant
+  }
+
+  //
+  // HTTP plumbing
+  //
+
+  // Receives an HTTP request, and sends the response.
+  receive(request, response) {
+    const chunks = [];
+    request.on("data", chunk => chunks.push(chunk));
+    request.on("end", () => {
+      let reply = null;
+      try {
+        reply = this.handle(request, Buffer.concat(chunks));
+      } catch(exception) {
+        if (!(exception instanceof HttpError)) console.error(exception);
+        reply = this.errorResponse(exception.status || 500, exception.message);
+      }
+      if (reply.body === undefined) { // a JSON model
+        reply = {
+          status: 200, headers: { "Content-Type": "application/json;charset=UTF-8" },
+          body: this.envelope(reply.model, [], reply.messages) };
+      }
+      response.writeHead(reply.status, reply.headers);
+      response.end(reply.body);
+    });
+  }
+
+  // Wraps a response model in the standard LaBB-CAT JSON envelope.
+  envelope(model, errors, messages) {
+    return JSON.stringify({
+      title: "LaBB-CAT", version: version, code: errors.length ? 1 : 0,
+      errors: errors, messages: messages, model: model });
+  }
+
+  errorResponse(status, message) {
+    const headers = { "Content-Type": "application/json;charset=UTF-8" };
+    if (status == 401) headers["WWW-Authenticate"] = 'Basic realm="LaBB-CAT"';
+    return { status: status, headers: headers, body: this.envelope(null, [message], []) };
+  }
+
+  // Routes an HTTP request to its handler.
+  handle(httpRequest, body) {
+    const url = new URL(httpRequest.url, "http://localhost");
+    if (!url.pathname.startsWith("/labbcat/")) {
+      throw new HttpError(404, `Not found: ${url.pathname}`);
+    }
+    const credentials = /^Basic (.+)$/.exec(httpRequest.headers["authorization"] || "");
+    if (!credentials || Buffer.from(credentials[1], "base64").toString("utf8")
+        != `${this.username}:${this.password}`) {
+      throw new HttpError(401, "Unauthorized: 401");
+    }
+    const request = {
+      method: httpRequest.method,
+      path: url.pathname.substring("/labbcat/".length),
+      headers: httpRequest.headers,
+      body: body,
+      language: (httpRequest.headers["accept-language"] || "en").substring(0, 2),
+      parameters: new URLSearchParams(url.searchParams)
+    };
+    const contentType = httpRequest.headers["content-type"] || "";
+    if (/x-www-form-urlencoded/i.test(contentType)) { // form parameters are parameters too
+      for (let [name, value] of new URLSearchParams(body.toString("utf8"))) {
+        request.parameters.append(name, value);
+      }
+    } else if (/multipart\/form-data/i.test(contentType)) {
+      request.form = parseMultipart(body, contentType);
+    }
+    for (let [method, pattern, handler] of this.routes()) {
+      const match = method == request.method && pattern.exec(request.path);
+      if (match) {
+        return handler.call(
+          this, request, ...match.slice(1).map(c => c && decodeURIComponent(c)));
+      }
+    } // next route
+    throw notFound(request, "Record", request.path);
+  }
+
+  routes() {
+    if (this._routes) return this._routes;
+    const table = (kind, table) => [ // admin CRUD endpoints
+      ["GET", new RegExp(`^api/admin/${kind}$`),
+       r => reply(pageOf(table.rows, this.parameter(r, "pageLength"),
+                         this.parameter(r, "pageNumber")))],
+      ["POST", new RegExp(`^api/admin/${kind}$`),
+       r => reply(table.create(this.json(r)), ["Record created."])],
+      ["PUT", new RegExp(`^api/admin/${kind}$`),
+       r => reply(table.update(this.json(r), r), ["Record updated."])],
+      ["DELETE", new RegExp(`^api/admin/${kind}/([^/]*)$`),
+       (r, key) => reply(
+         table.delete({ [table.keys[0]]: key }, r) && null, ["Record deleted."])]
+    ];
+    this._routes = [
+      ["GET", /^api\/versions$/, this.versions],
+      ["GET", /^doc\/$/, () => content("<h1>Mock LaBB-CAT</h1>", "text/html")],
+      ["GET", /^api\/store\/(\w+)$/, this.storeCall],
+      ["POST", /^api\/store\/(\w+)$/, this.storeCall],
+      ["POST", /^api\/edit\/store\/(\w+)$/, this.editStoreCall],
+      ["POST", /^api\/admin\/store\/(\w+)$/, this.adminStoreCall],
+      ["GET", /^api\/corpus\/([^/]+)$/, this.corpusInfo],
+      ["GET", /^files\/([^/]+)\/([^/]+)$/, this.file],
+      ["GET", /^api\/task\/?$/, this.taskList],
+      ["GET", /^api\/task\/([^/]+)$/, this.taskStatus],
+      ["DELETE", /^api\/task\/([^/]+)$/, this.taskDelete],
+      ["GET", /^api\/task\/([^/]+)\/result$/, this.taskResult],
+      ["POST", /^api\/search$/, this.search],
+      ["POST", /^api\/utterances$/, this.allUtterances],
+      ["GET", /^api\/results$/, this.results],
+      ["POST", /^api\/results\/upload$/, this.resultsUpload],
+      ["POST", /^api\/annotation\/intervals$/, this.intervalAnnotations],
+      ["POST", /^api\/praat$/, this.praat],
+      ["GET", /^api\/media\/fragments$/, this.soundFragment],
+      ["POST", /^api\/media\/fragments$/, r => this.fragments(r, this.soundFragment)],
+      ["GET", /^api\/serialize\/fragment$/, this.serializeFragment],
+      ["POST", /^api\/serialize\/fragment$/,
+       r => this.fragments(r, this.serializeFragment)],
+      ["GET", /^api\/attributes$/, this.transcriptAttributes],
+      ["GET", /^participantsExport$/, this.participantAttributes],
+      ["GET", /^api\/systemattributes\/([^/]+)$/, (r, attribute) => {
+        const record = this.systemAttributes.find({ attribute: attribute });
+        if (!record) throw notFound(r, "Record", attribute);
+        return reply({ name: attribute, value: record.value });
+      }],
+      ["GET", /^api\/layers\/managers$/, () => reply([
+        { layer_manager_id: "MockLexicon", version: version, name: "Mock Lexicon",
+          description: "Supplies phonemes and segment annotations for the seed corpus",
+          layer_type: "W" } ])],
+      ["GET", /^api\/user$/, () => reply(
+        { user: this.username, roles: this.users.find({ user: this.username }).roles })],
+      ["GET", /^api\/dashboard(?:\/(\w+))?$/, this.dashboardItems],
+      ["GET", /^api\/dashboard\/item\/(\d+)$/, this.dashboardItem],
+      ["GET", /^api\/dictionaries$/, () => reply({ MockLexicon: ["orthography->phonemes"] })],
+      ["GET", /^api\/categories\/([^/]+)$/, (r, class_id) => reply(
+        this.categories.rows.filter(c => c.class_id == class_id))],
+      ["POST", /^api\/edit\/transcript\/upload$/, this.transcriptUpload],
+      ["PUT", /^api\/edit\/transcript\/upload\/([^/]+)$/, this.transcriptUploadParameters],
+      ["DELETE", /^api\/edit\/transcript\/upload\/([^/]+)$/, this.uploadDelete],
+      ["POST", /^api\/edit\/fragment\/upload$/, this.fragmentUpload],
+      ["PUT", /^api\/edit\/fragment\/upload\/([^/]+)$/, this.fragmentUploadParameters],
+      ["DELETE", /^api\/edit\/fragment\/upload\/([^/]+)$/, this.uploadDelete],
+      ["POST", /^api\/edit\/participants\/attributes\/upload$/,
+       this.uploadParticipantAttributes],
+      ["POST", /^api\/edit\/transcripts\/attributes\/upload$/,
+       this.uploadTranscriptAttributes],
+      ["POST", /^api\/edit\/annotations\/tokens$/, this.uploadTokenAnnotations],
+      ["POST", /^api\/edit\/annotations\/intervals$/, this.uploadIntervalAnnotations],
+      // more specific admin routes first
+      ["GET", /^api\/admin\/categories\/([^/]+)$/, (r, class_id) => reply(pageOf(
+        this.categories.rows.filter(c => c.class_id == class_id),
+        this.parameter(r, "pageLength"), this.parameter(r, "pageNumber")))],
+      ["DELETE", /^api\/admin\/categories\/([^/]+)\/([^/]+)$/, (r, class_id, category) => reply(
+        this.categories.delete({ class_id, category }, r) && null, ["Record deleted."])],
+      ["GET", /^api\/admin\/roles\/permissions\/([^/]+)$/, (r, role_id) => reply(
+        this.rolePermissions.rows.filter(p => p.role_id == role_id))],
+      ["POST", /^api\/admin\/roles\/permissions$/, r => {
+        const record = this.json(r);
+        if (!this.roles.find(record)) throw notFound(r, "Record", record.role_id);
+        return reply(this.rolePermissions.create(record), ["Record created."]);
+      }],
+      ["PUT", /^api\/admin\/roles\/permissions$/, r => reply(
+        this.rolePermissions.update(this.json(r), r), ["Record updated."])],
+      ["DELETE", /^api\/admin\/roles\/permissions\/([^/]+)\/([^/]+)$/, (r, role_id, entity) =>
+        reply(this.rolePermissions.delete({ role_id, entity }, r) && null,
+              ["Record deleted."])],
+      ...table("corpora", this.corpora),
+      ...table("categories", this.categories),
+      ...table("mediatracks", this.mediaTracks),
+      ...table("roles", this.roles),
+      ...table("users", this.users),
+      ["GET", /^api\/admin\/systemattributes$/, () => reply(this.systemAttributes.rows)],
+      ["PUT", /^api\/admin\/systemattributes$/, r => {
+        const record = this.json(r);
+        return reply(this.systemAttributes.update(
+          { attribute: record.attribute, value: record.value }, r), ["Record updated."]);
+      }],
+      ["PUT", /^api\/(?:admin\/)?password$/, () => reply(null, ["Password changed."])],
+      ["GET", /^agreement\.html$/, () => content(this.agreement, "text/html")],
+      ["PUT", /^agreement\.html$/, r => {
+        this.agreement = r.body.toString("utf8");
+        return reply(null, ["License agreement updated."]);
+      }],
+      ["DELETE", /^agreement\.html$/, () => {
+        this.agreement = "";
+        return reply(null, ["License agreement deleted."]);
+      }]
+    ];
+    return this._routes;
+  }
+
+  // Returns the value of a request parameter, or null.
+  parameter(request, name) {
+    return request.parameters.get(name);
+  }
+
+  // Returns all values of a request parameter.
+  parameters(request, name) {
+    return request.parameters.getAll(name);
+  }
+
+  // Parses the request body as JSON.
+  json(request) {
+    try {
+      return JSON.parse(request.body.toString("utf8"));
+    } catch(exception) {
+      throw new HttpError(400, `Invalid JSON: ${exception.message}`);
+    }
+  }
+
+  // Returns the value of a multipart form field, or null.
+  field(request, name) {
+    const values = request.form && request.form.fields[name];
+    return values ? values[0] : null;
+  }
+
+  // Returns the given uploaded file.
+  upload(request, name) {
+    const files = request.form && request.form.files[name];
+    if (!files) throw new HttpError(400, `No file uploaded: ${name}`);
+    return files[0];
+  }
+
+  //
+  // Corpus model
+  //
+
+  // Adds a layer definition to the schema.
+  addLayer(layer) {
+    this.layers[layer.id] = Object.assign({
+      parentId: "transcript", description: layer.id, alignment: 0, peers: false,
+      peersOverlap: false, parentIncludes: true, saturated: true, type: "string",
+      validLabels: {}, category: null }, layer);
+    if (!(layer.id in layerNumbers)) {
+      layerNumbers[layer.id] = 100 + Object.keys(this.layers).length;
+    }
+    return this.layers[layer.id];
+  }
+
+  layer(request, layerId) {
+    const layer = this.layers[layerId];
+    if (!layer) throw notFound(request, "Layer", layerId);
+    return layer;
+  }
+
+  // Whether the first layer is the second, or a descendant of it.
+  isDescendant(layerId, ancestorId) {
+    for (let l = this.layers[layerId]; l; l = this.layers[l.parentId]) {
+      if (l.id == ancestorId) return true;
+    }
+    return false;
+  }
+
+  // Whether the layer is a transcript attribute, e.g. transcript_type.
+  isTranscriptAttribute(layerId) {
+    const layer = this.layers[layerId];
+    return layer && layer.parentId == "transcript" && layer.alignment == 0
+      && layerId != "participant";
+  }
+
+  // Whether the layer is a participant attribute, e.g. participant_gender.
+  isParticipantAttribute(layerId) {
+    const layer = this.layers[layerId];
+    return layer && layer.parentId == "participant" && layer.alignment == 0;
+  }
+
+  transcript(request, id) {
+    const transcript = this.transcripts.get(id);
+    if (!transcript) throw notFound(request, "Transcript", id);
+    return transcript;
+  }
+
+  participant(request, name) {
+    const participant = this.participants.get(name);
+    if (!participant) throw notFound(request, "Participant", name);
+    return participant;
+  }
+
+  // Returns the participant with the given name, creating it if necessary.
+  ensureParticipant(name) {
+    if (!this.participants.has(name)) {
+      this.participants.set(name, { number: this.nextParticipantNumber++, attributes: {} });
+    }
+    return this.participants.get(name);
+  }
+
+  // The IDs of the transcripts a participant is in.
+  transcriptsWith(name) {
+    return [...this.transcripts.values()]
+      .filter(t => t.all("participant").some(p => p.label == name));
+  }
+
+  addAnchor(transcript, offset) {
+    const anchor = { id: `n_${this.nextId++}`, offset: round(offset), confidence: 50 };
+    transcript.anchors[anchor.id] = anchor;
+    return anchor;
+  }
+
+  // Returns an existing anchor at the given offset, or a new one.
+  anchorAt(transcript, offset) {
+    offset = round(offset);
+    return Object.values(transcript.anchors).find(a => a.offset == offset)
+      || this.addAnchor(transcript, offset);
+  }
+
+  addAnnotation(transcript, layerId, label, startId, endId, parentId) {
+    const scope = this.isTranscriptAttribute(layerId) ? "t"
+          : this.isDescendant(layerId, "segment") ? "s"
+          : this.isDescendant(layerId, "word") ? "w" : "m";
+    const annotation = {
+      id: layerId == "participant" ? `m_-2_${this.ensureParticipant(label).number}`
+        : `e${scope}_${layerNumbers[layerId]}_${this.nextId++}`,
+      layerId: layerId, label: String(label), startId: startId, endId: endId,
+      parentId: parentId, confidence: 100,
+      ordinal: transcript.annotations.filter(
+        a => a.parentId == parentId && a.layerId == layerId).length + 1
+    };
+    transcript.annotations.push(annotation);
+    return annotation;
+  }
+
+  // Replaces the value of a transcript attribute.
+  setAttribute(transcript, layerId, label) {
+    transcript.annotations = transcript.annotations.filter(a => a.layerId != layerId);
+    if (label == null || label === "") return;
+    const start = Object.values(transcript.anchors)[0];
+    const end = Object.values(transcript.anchors)[1];
+    this.addAnnotation(transcript, layerId, label, start.id, end.id, transcript.id);
+  }
+
+  // Parses plain text - lines like "speaker: words..." - into lines of words.
+  parseText(id, text) {
+    let speaker = id.replace(/\.[^.]*$/, "");
+    const lines = [];
+    for (let line of text.split(/\r?\n/)) {
+      const turn = /^([^:\s][^:]*):\s*(.*)$/.exec(line);
+      if (turn) {
+        speaker = turn[1].trim();
+        line = turn[2];
+      }
+      const words = line.split(/\s+/).filter(w => w);
+      if (words.length) lines.push({ speaker: speaker, words: words });
+    } // next line
+    if (!lines.length) throw new HttpError(400, `No words in transcript: ${id}`);
+    return lines;
+  }
+
+  // Creates a transcript from plain text, with the words spread evenly over the duration.
+  createTranscript(id, text, duration, number) {
+    const lines = this.parseText(id, text);
+    const transcript = new Transcript(id, number || this.nextTranscriptNumber++);
+    const wordCount = lines.reduce((n, line) => n + line.words.length, 0);
+    duration = duration || (wordCount + lines.length) * 0.5;
+    const unit = duration / (wordCount + lines.length); // lines have half a unit of silence
+    const start = this.addAnchor(transcript, 0);
+    const end = this.addAnchor(transcript, duration);
+    let participant = null;
+    let turn = null;
+    let time = 0;
+    for (let line of lines) {
+      if (!participant || participant.label != line.speaker) {
+        participant = transcript.all("participant").find(p => p.label == line.speaker)
+          || this.addAnnotation(
+            transcript, "participant", line.speaker, start.id, end.id, transcript.id);
+        turn = null;
+      }
+      time += unit / 2;
+      let anchor = this.addAnchor(transcript, time);
+      const lineStart = anchor;
+      if (!turn) {
+        turn = this.addAnnotation(
+          transcript, "turn", line.speaker, anchor.id, anchor.id, participant.id);
+      }
+      for (let token of line.words) {
+        time += unit;
+        const wordEnd = this.addAnchor(transcript, time);
+        const word = this.addAnnotation(transcript, "word", token, anchor.id, wordEnd.id, turn.id);
+        const orthography = token.toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, "");
+        this.addAnnotation(transcript, "orthography", orthography, anchor.id, wordEnd.id, word.id);
+        const pronunciations = lexicon[orthography] || [];
+        for (let phonemes of pronunciations) {
+          this.addAnnotation(transcript, "phonemes", phonemes, anchor.id, wordEnd.id, word.id);
+        }
+        if (pronunciations.length) {
+          const segments = [...pronunciations[0]];
+          let segmentStart = anchor;
+          segments.forEach((segment, s) => {
+            const segmentEnd = s == segments.length - 1 ? wordEnd
+                  : this.addAnchor(transcript, time - unit + unit * (s + 1) / segments.length);
+            this.addAnnotation(
+              transcript, "segment", segment, segmentStart.id, segmentEnd.id, word.id);
+            segmentStart = segmentEnd;
+          });
+        }
+        anchor = wordEnd;
+      } // next word
+      this.addAnnotation(
+        transcript, "utterance", line.speaker, lineStart.id, anchor.id, turn.id);
+      turn.endId = anchor.id;
+      time += unit / 2;
+    } // next line
+    this.transcripts.set(id, transcript);
+    return transcript;
+  }
+
+  //
+  // Expressions
+  //
+
+  // The context for evaluating expressions about the given annotation (or transcript).
+  annotationContext(transcript, annotation) {
+    const all = layerId => this.related(transcript, annotation, layerId);
+    return this.context(all, annotation ? {
+      id: annotation.id, label: annotation.label, layerId: annotation.layerId,
+      layer: { id: annotation.layerId }, ordinal: annotation.ordinal,
+      confidence: annotation.confidence, graph: { id: transcript.id },
+      start: transcript.anchors[annotation.startId],
+      end: transcript.anchors[annotation.endId]
+    } : { id: transcript.id, label: transcript.id });
+  }
+
+  // The context for evaluating expressions about the given participant.
+  participantContext(name) {
+    const participant = this.participants.get(name);
+    const transcripts = this.transcriptsWith(name);
+    const all = layerId => {
+      if (layerId == "transcript") return transcripts.map(t => ({ label: t.id }));
+      if (this.isParticipantAttribute(layerId)) {
+        return (participant.attributes[layerId] || []).map(label => ({ label: label }));
+      }
+      return [].concat(...transcripts.map(t => this.related(t, null, layerId)));
+    };
+    return this.context(all, { id: name, label: name });
+  }
+
+  context(all, properties) {
+    return Object.assign({
+      all: all,
+      list: all,
+      labels: layerId => all(layerId).map(a => a.label),
+      first: layerId => all(layerId)[0] || {},
+      annotators: () => [] // who made annotations isn't recorded
+    }, properties);
+  }
+
+  // The annotations on the given layer that are related to the given annotation.
+  related(transcript, annotation, layerId) {
+    if (layerId == "transcript") return [{ id: transcript.id, label: transcript.id }];
+    if (this.isTranscriptAttribute(layerId)) return transcript.all(layerId);
+    const participant = annotation && transcript.participantOf(annotation);
+    if (this.isParticipantAttribute(layerId)) {
+      const names = participant ? [participant.label]
+            : transcript.all("participant").map(p => p.label);
+      return [].concat(...names.map(name => (
+        (this.participants.get(name) || { attributes: {} }).attributes[layerId] || [])
+                                    .map(label => ({ label: label }))));
+    }
+    if (!annotation) return transcript.all(layerId);
+    if (layerId == "participant") return participant ? [participant] : [];
+    if (this.isDescendant(annotation.layerId, layerId)) { // ancestor
+      let ancestor = annotation;
+      while (ancestor && ancestor.layerId != layerId) {
+        ancestor = transcript.annotation(ancestor.parentId);
+      }
+      return ancestor ? [ancestor] : [];
+    }
+    if (this.layers[layerId] && this.layers[layerId].parentId == annotation.layerId) {
+      return transcript.children(annotation, layerId);
+    }
+    return transcript.containing(annotation, layerId);
+  }
+
+  // The IDs of transcripts that match the given expression.
+  matchingTranscriptIds(expression) {
+    const compiled = compileExpression(expression);
+    return [...this.transcripts.keys()].sort().filter(id => evaluate(
+      compiled, this.annotationContext(this.transcripts.get(id), null), expression));
+  }
+
+  // The IDs of participants that match the given expression.
+  matchingParticipantIds(expression) {
+    const compiled = compileExpression(expression);
+    return [...this.participants.keys()].sort().filter(name => evaluate(
+      compiled, this.participantContext(name), expression));
+  }
+
+  // The annotations that match the given expression, as [transcript, annotation] pairs.
+  matchingAnnotations(expression) {
+    const compiled = compileExpression(expression);
+    const matches = [];
+    for (let id of [...this.transcripts.keys()].sort()) {
+      const transcript = this.transcripts.get(id);
+      for (let annotation of transcript.annotations) {
+        if (evaluate(compiled, this.annotationContext(transcript, annotation), expression)) {
+          matches.push([transcript, annotation]);
+        }
+      } // next annotation
+    } // next transcript
+    return matches;
+  }
+
+  //
+  // Serialization
+  //
+
+  annotationJson(transcript, annotation, includeAnchors) {
+    const json = {
+      id: annotation.id, layerId: annotation.layerId, label: annotation.label,
+      startId: annotation.startId, endId: annotation.endId, parentId: annotation.parentId,
+      ordinal: annotation.ordinal, confidence: annotation.confidence };
+    if (includeAnchors) {
+      json.start = Object.assign({}, transcript.anchors[annotation.startId]);
+      json.end = Object.assign({}, transcript.anchors[annotation.endId]);
+    }
+    return json;
+  }
+
+  // Returns a transcript as JSON, with annotations nested under their parents.
+  transcriptJson(transcript, layerIds) {
+    // ancestors are included, so that annotations can be nested in them
+    const included = new Set();
+    for (let layerId of layerIds) {
+      for (let l = this.layers[layerId]; l && l.id != "transcript"; l = this.layers[l.parentId]) {
+        included.add(l.id);
+      }
+    } // next layer
+    const json = { id: transcript.id, label: transcript.id, offsetUnits: "s", anchors: {} };
+    const addChildren = (parentJson, parentId, parentLayerId) => {
+      for (let layerId of included) {
+        if (this.layers[layerId].parentId != parentLayerId) continue;
+        const children = transcript.annotations.filter(
+          a => a.layerId == layerId && a.parentId == parentId);
+        if (!children.length) continue;
+        parentJson[layerId] = children.map(annotation => {
+          const annotationJson = this.annotationJson(transcript, annotation);
+          delete annotationJson.layerId;
+          delete annotationJson.parentId;
+          for (let anchorId of [annotation.startId, annotation.endId]) {
+            const anchor = transcript.anchors[anchorId];
+            json.anchors[anchorId] = { offset: anchor.offset, confidence: anchor.confidence };
+          }
+          addChildren(annotationJson, annotation.id, layerId);
+          return annotationJson;
+        });
+      } // next layer
+    };
+    addChildren(json, transcript.id, "transcript");
+    return json;
+  }
+
+  //
+  // api/store
+  //
+
+  storeCall(request, call) {
+    const handler = this.storeCalls()[call];
+    if (!handler) throw notFound(request, "Record", `api/store/${call}`);
+    return handler(request);
+  }
+
+  editStoreCall(request, call) {
+    const handler = this.editStoreCalls()[call] || this.storeCalls()[call];
+    if (!handler) throw notFound(request, "Record", `api/edit/store/${call}`);
+    return handler(request);
+  }
+
+  adminStoreCall(request, call) {
+    const handler = this.adminStoreCalls()[call];
+    if (!handler) throw notFound(request, "Record", `api/admin/store/${call}`);
+    return handler(request);
+  }
+
+  storeCalls() {
+    const p = (r, name) => this.parameter(r, name);
+    const page = (r, list) => pageOf(list, p(r, "pageLength"), p(r, "pageNumber"));
+    const mediaJson = (transcript, file) => ({
+      name: file.name, mimeType: file.mimeType, trackSuffix: file.trackSuffix || "",
+      type: file.mimeType.replace(/\/.*/, ""),
+      url: `${this.baseUrl}files/${encodeURIComponent(transcript.id)}/${encodeURIComponent(file.name)}` });
+    return {
+      getId: () => result(this.baseUrl),
+      getSchema: () => result({
+        layers: this.layers, root: "transcript", participantLayerId: "participant",
+        turnLayerId: "turn", utteranceLayerId: "utterance", wordLayerId: "word",
+        episodeLayerId: "episode", corpusLayerId: "corpus" }),
+      getLayerIds: () => result(Object.keys(this.layers)),
+      getLayers: () => result(Object.values(this.layers)),
+      // like LaBB-CAT, an unknown layer is not an error
+      getLayer: r => result(this.layers[p(r, "id")] || null),
+      getCorpusIds: () => result(this.corpora.rows.map(c => c.corpus_name)),
+      getParticipantIds: () => result([...this.participants.keys()].sort()),
+      getParticipant: r => {
+        const name = p(r, "id");
+        const participant = this.participants.get(name);
+        if (!participant) return result(null);
+        const annotations = {};
+        for (let layerId of this.parameters(r, "layerIds")) {
+          annotations[layerId] = (participant.attributes[layerId] || []).map((label, i) => ({
+            id: `${layerId}_${participant.number}_${i}`, layerId: layerId, label: label,
+            parentId: `m_-2_${participant.number}`, ordinal: i + 1 }));
+        }
+        return result({
+          id: name, label: name, layerId: "participant", annotations: annotations });
+      },
+      countMatchingParticipantIds: r => result(
+        this.matchingParticipantIds(p(r, "expression")).length),
+      getMatchingParticipantIds: r => result(
+        page(r, this.matchingParticipantIds(p(r, "expression")))),
+      countMatchingTranscriptIds: r => result(
+        this.matchingTranscriptIds(p(r, "expression")).length),
+      getMatchingTranscriptIds: r => {
+        const ids = this.matchingTranscriptIds(p(r, "expression"));
+        if (/desc/i.test(p(r, "order"))) ids.reverse();
+        return result(page(r, ids));
+      },
+      getTranscriptIds: () => result([...this.transcripts.keys()].sort()),
+      getTranscriptIdsInCorpus: r => result([...this.transcripts.values()]
+        .filter(t => t.label("corpus") == p(r, "id")).map(t => t.id).sort()),
+      getTranscriptIdsWithParticipant: r => result(
+        this.transcriptsWith(p(r, "id")).map(t => t.id).sort()),
+      countAnnotations: r => result(this.annotations(r).length),
+      getAnnotations: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        return result(page(r, this.annotations(r)).map(
+          a => this.annotationJson(transcript, a, p(r, "includeAnchors") == "true")));
+      },
+      countMatchingAnnotations: r => result(this.matchingAnnotations(p(r, "expression")).length),
+      getMatchingAnnotations: r => result(page(r, this.matchingAnnotations(p(r, "expression")))
+        .map(([transcript, annotation]) => this.annotationJson(transcript, annotation))),
+      aggregateMatchingAnnotations: r => {
+        const labels = this.matchingAnnotations(p(r, "expression")).map(([t, a]) => a.label);
+        const distinct = [...new Set(labels)];
+        return result([].concat(...(p(r, "operation") || "").split(",").map(operation => {
+          switch (operation.trim().toUpperCase()) {
+          case "DISTINCT": return distinct;
+          case "COUNT": return [String(labels.length)];
+          case "COUNT DISTINCT": return [String(distinct.length)];
+          case "MAX": return labels.length ? [labels.sort().pop()] : [];
+          case "MIN": return labels.length ? [labels.sort()[0]] : [];
+          default: throw new HttpError(400, `Invalid operation: ${operation}`);
+          }
+        })));
+      },
+      getTranscript: r => result(
+        this.transcriptJson(this.transcript(r, p(r, "id")), this.parameters(r, "layerIds"))),
+      getAnchors: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        return result(this.parameters(r, "anchorIds")
+                      .filter(id => transcript.anchors[id])
+                      .map(id => Object.assign({}, transcript.anchors[id])));
+      },
+      getMediaTracks: () => result(this.mediaTracks.rows),
+      getAvailableMedia: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        return result(transcript.media.map(m => mediaJson(transcript, m)));
+      },
+      getEpisodeDocuments: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        return result(transcript.documents.map(d => mediaJson(transcript, d)));
+      },
+      getMedia: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        const file = transcript.media.find(
+          m => m.trackSuffix == (p(r, "trackSuffix") || "")
+            && m.mimeType == (p(r, "mimeType") || "audio/wav"));
+        if (!file) return result(null);
+        if (p(r, "startOffset") == null) return result(mediaJson(transcript, file).url);
+        return result(`${this.baseUrl}api/media/fragments?id=${encodeURIComponent(transcript.id)}`
+                      + `&start=${p(r, "startOffset")}&end=${p(r, "endOffset")}`);
+      },
+      getSerializerDescriptors: () => result(formats),
+      getDeserializerDescriptors: () => result(formats.slice(0, 1)),
+      getAnnotatorDescriptors: () => result([]),
+      getTranscriberDescriptors: () => result([])
+    };
+  }
+
+  // The annotations selected by the id, layerId, and maxOrdinal parameters.
+  annotations(request) {
+    const transcript = this.transcript(request, this.parameter(request, "id"));
+    const layer = this.layer(request, this.parameter(request, "layerId"));
+    const maxOrdinal = parseInt(this.parameter(request, "maxOrdinal")) || Infinity;
+    return transcript.all(layer.id)
+      .filter(a => a.ordinal <= maxOrdinal)
+      .sort((a, b) => transcript.start(a) - transcript.start(b));
+  }
+
+  versions() {
+    return reply({
+      "System": { "LaBB-CAT": version, "nzilbb.ag": version },
+      "Formats": { "Plain Text Document": "1.0", "Praat TextGrid": "1.0" },
+      "Layer Managers": { "MockLexicon": version } });
+  }
+
+  corpusInfo(request, id) {
+    const corpus = this.corpora.find({ corpus_name: id });
+    if (!corpus) throw notFound(request, "Corpus", id);
+    const transcripts = [...this.transcripts.values()].filter(t => t.label("corpus") == id);
+    return reply({
+      "Name": corpus.corpus_name, "Language": corpus.corpus_language,
+      "Description": corpus.corpus_description, "Transcripts": String(transcripts.length),
+      "Words": String(transcripts.reduce((n, t) => n + t.all("word").length, 0)) });
+  }
+
+  // Returns a media file or episode document, or the byte range of it that was requested.
+  file(request, transcriptId, name) {
+    const transcript = this.transcript(request, transcriptId);
+    const file = transcript.media.concat(transcript.documents).find(f => f.name == name);
+    if (!file) throw notFound(request, "Media", name);
+    const reply = content(file.data, file.mimeType, file.name);
+    const range = /^bytes=(\d+)-(\d*)$/.exec(request.headers["range"] || "");
+    if (range && this.rangeRequests-- > 0) {
+      const size = file.data.length;
+      const start = parseInt(range[1]);
+      const end = Math.min(range[2] ? parseInt(range[2]) : size - 1, size - 1);
+      if (start >= size) {
+        return { status: 416, headers: { "Content-Range": `bytes */${size}` }, body: "" };
+      }
+      reply.status = 206;
+      reply.headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+      reply.body = file.data.subarray(start, end + 1);
+    }
+    return reply;
+  }
+
+  dashboardItems(request, dashboard) {
+    if (dashboard && dashboard != "home") return reply([]);
+    return reply([
+      { item_id: 1, type: "sql", label: "Transcripts", icon: "cabinet.svg" },
+      { item_id: 2, type: "sql", label: "Participants", icon: "people.svg" },
+      { item_id: 3, type: "sql", label: "Words", icon: "word.svg" } ]);
+  }
+
+  dashboardItem(request, id) {
+    const values = {
+      1: this.transcripts.size, 2: this.participants.size,
+      3: [...this.transcripts.values()].reduce((n, t) => n + t.all("word").length, 0) };
+    if (!(id in values)) throw notFound(request, "Record", id);
+    return result(String(values[id]));
+  }
+
+  //
+  // api/edit/store
+  //
+
+  editStoreCalls() {
+    const p = (r, name) => this.parameter(r, name);
+    return {
+      saveTranscript: r => {
+        const graph = this.json(r);
+        const transcript = this.transcript(r, graph.id);
+        const save = (json, parentId, parentLayerId) => {
+          for (let layerId in json) {
+            const layer = this.layers[layerId];
+            if (!layer || layer.parentId != parentLayerId || !Array.isArray(json[layerId])) {
+              continue;
+            }
+            for (let annotationJson of json[layerId]) {
+              let annotation = annotationJson.id && transcript.annotation(annotationJson.id);
+              if (annotation) {
+                if (annotationJson.label != null) annotation.label = String(annotationJson.label);
+                if (annotationJson.confidence != null) {
+                  annotation.confidence = annotationJson.confidence;
+                }
+              } else if (annotationJson.label != null) { // new annotation
+                const parent = transcript.annotation(parentId);
+                const startId = transcript.anchors[annotationJson.startId]
+                      ? annotationJson.startId : parent ? parent.startId
+                      : Object.keys(transcript.anchors)[0];
+                const endId = transcript.anchors[annotationJson.endId]
+                      ? annotationJson.endId : parent ? parent.endId
+                      : Object.keys(transcript.anchors)[1];
+                annotation = this.addAnnotation(
+                  transcript, layerId, annotationJson.label, startId, endId, parentId);
+              } else {
+                continue;
+              }
+              save(annotationJson, annotation.id, layerId);
+            } // next annotation
+          } // next layer
+        };
+        save(graph, transcript.id, "transcript");
+        return result(true);
+      },
+      saveMedia: r => {
+        const transcript = this.transcript(r, this.field(r, "id"));
+        const upload = this.upload(r, "media");
+        const trackSuffix = this.field(r, "trackSuffix") || "";
+        const file = {
+          name: transcript.id.replace(/\.[^.]*$/, "") + trackSuffix
+            + path.extname(upload.fileName),
+          mimeType: mimeTypeOf(upload.fileName), trackSuffix: trackSuffix, data: upload.data };
+        transcript.media = transcript.media.filter(m => m.name != file.name);
+        transcript.media.push(file);
+        return result(this.storeCalls().getAvailableMedia({
+          parameters: new URLSearchParams({ id: transcript.id })
+        }).model.result.find(m => m.name == file.name));
+      },
+      saveEpisodeDocument: r => {
+        const transcript = this.transcript(r, this.field(r, "id"));
+        const upload = this.upload(r, "document");
+        const file = {
+          name: upload.fileName, mimeType: mimeTypeOf(upload.fileName), data: upload.data };
+        transcript.documents = transcript.documents.filter(d => d.name != file.name);
+        transcript.documents.push(file);
+        return result({
+          name: file.name, mimeType: file.mimeType, trackSuffix: "",
+          url: `${this.baseUrl}files/${encodeURIComponent(transcript.id)}/${encodeURIComponent(file.name)}` });
+      },
+      deleteMedia: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        const name = p(r, "fileName");
+        if (!transcript.media.concat(transcript.documents).find(f => f.name == name)) {
+          throw notFound(r, "Media", name);
+        }
+        transcript.media = transcript.media.filter(f => f.name != name);
+        transcript.documents = transcript.documents.filter(f => f.name != name);
+        return result(null);
+      },
+      deleteTranscript: r => {
+        this.transcripts.delete(this.transcript(r, p(r, "id")).id);
+        return result(null);
+      },
+      saveParticipant: r => {
+        const id = p(r, "id");
+        const label = p(r, "label") || id;
+        const participant = this.ensureParticipant(id);
+        if (label != id) { // rename
+          if (this.participants.has(label)) {
+            throw new HttpError(400, `Participant already exists: ${label}`);
+          }
+          this.participants.delete(id);
+          this.participants.set(label, participant);
+          for (let transcript of this.transcripts.values()) {
+            for (let annotation of transcript.all("participant")) {
+              if (annotation.label == id) annotation.label = label;
+            }
+          } // next transcript
+        }
+        for (let [name, value] of r.parameters) {
+          if (this.isParticipantAttribute(name)) participant.attributes[name] = [ value ];
+        }
+        return result(true);
+      },
+      deleteParticipant: r => {
+        this.participant(r, p(r, "id"));
+        this.participants.delete(p(r, "id"));
+        return result(null);
+      },
+      createAnnotation: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        const layer = this.layer(r, p(r, "layerId"));
+        const annotation = this.addAnnotation(
+          transcript, layer.id, p(r, "label") || "", p(r, "fromId"), p(r, "toId"),
+          p(r, "parentId"));
+        if (p(r, "confidence")) annotation.confidence = parseInt(p(r, "confidence"));
+        return result(annotation.id);
+      },
+      updateAnnotationLabel: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        const annotation = transcript.annotation(p(r, "annotationId"));
+        if (!annotation) throw notFound(r, "Record", p(r, "annotationId"));
+        annotation.label = p(r, "label") || "";
+        if (p(r, "confidence")) annotation.confidence = parseInt(p(r, "confidence"));
+        return result(null);
+      },
+      destroyAnnotation: r => {
+        const transcript = this.transcript(r, p(r, "id"));
+        const annotation = transcript.annotation(p(r, "annotationId"));
+        if (!annotation) throw notFound(r, "Record", p(r, "annotationId"));
+        transcript.annotations = transcript.annotations.filter(
+          a => a != annotation && a.parentId != annotation.id);
+        return result(null);
+      }
+    };
+  }
+
+  //
+  // api/admin/store
+  //
+
+  adminStoreCalls() {
+    const definition = (r, layer) => {
+      layer.alignment = Number(layer.alignment) || 0;
+      for (let attribute of ["peers", "peersOverlap", "parentIncludes", "saturated"]) {
+        layer[attribute] = layer[attribute] === true || layer[attribute] == "true";
+      }
+      return layer;
+    };
+    return {
+      newLayer: r => {
+        const layer = definition(r, this.json(r));
+        if (!layer.id) throw new HttpError(400, "No layer ID specified.");
+        if (this.layers[layer.id]) throw new HttpError(409, `Layer already exists: ${layer.id}`);
+        this.layer(r, layer.parentId);
+        return result(this.addLayer(layer));
+      },
+      saveLayer: r => {
+        const changes = definition(r, this.json(r));
+        const layer = this.layer(r, changes.id);
+        for (let attribute of [ // the parent can't be changed
+          "description", "alignment", "peers", "peersOverlap", "parentIncludes", "saturated",
+          "type", "validLabels", "category"]) {
+          if (changes[attribute] !== undefined) layer[attribute] = changes[attribute];
+        }
+        return result(layer);
+      },
+      deleteLayer: r => {
+        const layer = this.layer(r, this.parameter(r, "id"));
+        if (layer.id in layerNumbers && layerNumbers[layer.id] < 100
+            || seedLayers.some(l => l[0] == layer.id)) {
+          throw new HttpError(400, `Can't delete system layer: ${layer.id}`);
+        }
+        if (Object.values(this.layers).some(l => l.parentId == layer.id)) {
+          throw new HttpError(400, `Layer has child layers: ${layer.id}`);
+        }
+        delete this.layers[layer.id];
+        for (let transcript of this.transcripts.values()) {
+          transcript.annotations = transcript.annotations.filter(a => a.layerId != layer.id);
+        }
+        return result(null);
+      }
+    };
+  }
+
+  //
+  // Tasks and results
+  //
+
+  // Runs a task, which finishes immediately, with the status returned by the given work.
+  startTask(threadName, work) {
+    const task = {
+      threadId: String(this.nextThreadId++), threadName: threadName, who: this.username,
+      running: true, percentComplete: 0, status: "Starting...", refreshSeconds: 1,
+      duration: 0, resultUrl: null, log: [] };
+    this.tasks.set(task.threadId, task);
+    try {
+      task.status = work(task) || "Finished.";
+    } catch(exception) {
+      task.status = `Failed: ${exception.message}`;
+      task.lastException = exception.message;
+    }
+    task.log.push(task.status);
+    if (this.taskPolls > 0) { // pretend to still be running
+      task._polls = {
+        remaining: this.taskPolls, total: this.taskPolls, status: task.status };
+      task.status = "Running...";
+    } else {
+      task.percentComplete = 100;
+      task.running = false;
+    }
+    return task;
+  }
+
+  // like the real server, lists tasks as an object mapping thread IDs to thread names
+  taskList() {
+    const names = {};
+    for (let task of this.tasks.values()) names[task.threadId] = task.threadName;
+    return reply(names);
+  }
+
+  task(request, threadId) {
+    const task = this.tasks.get(threadId);
+    if (!task) throw notFound(request, "Task", threadId);
+    return task;
+  }
+
+  taskStatus(request, threadId) {
+    const task = this.task(request, threadId);
+    if (task._polls && task.running) { // progress towards finishing
+      const polls = task._polls;
+      polls.remaining--;
+      task.percentComplete = Math.round(
+        100 * (polls.total - polls.remaining) / polls.total);
+      if (polls.remaining <= 0) {
+        task.running = false;
+        task.status = polls.status;
+      }
+    }
+    const status = {};
+    for (let attribute in task) {
+      if (attribute != "matches" && attribute != "log" && !attribute.startsWith("_")) {
+        status[attribute] = task[attribute];
+      }
+    }
+    if (this.parameter(request, "log") == "true") status.log = task.log.join("\n");
+    return reply(status);
+  }
+
+  taskDelete(request, threadId) {
+    const task = this.task(request, threadId);
+    if (this.parameter(request, "cancel") == "true") {
+      if (task.running) {
+        task.running = false;
+        task.status = "Cancelled.";
+      }
+      return reply(null, ["Task cancelled."]);
+    }
+    this.tasks.delete(threadId);
+    return reply(null, ["Task released."]);
+  }
+
+  // The file produced by a task, which the task stores as {data, mimeType, fileName}.
+  taskResult(request, threadId) {
+    const task = this.task(request, threadId);
+    if (!task._result) throw notFound(request, "Result", threadId);
+    return content(task._result.data, task._result.mimeType, task._result.fileName);
+  }
+
+  // Sets the file produced by a task, and its resultUrl.
+  setTaskResult(task, data, mimeType, fileName) {
+    task._result = { data: data, mimeType: mimeType, fileName: fileName };
+    task.resultUrl = `${this.baseUrl}api/task/${task.threadId}/result`;
+  }
+
+  // Returns a match for the given word tokens.
+  match(transcript, tokens, number) {
+    const first = tokens[0];
+    const utterance = transcript.containing(first, "utterance")[0];
+    const participant = transcript.participantOf(first);
+    const words = transcript.words().filter(w => transcript.containing(w, "utterance")[0] == utterance);
+    const from = words.indexOf(first);
+    const to = words.indexOf(tokens[tokens.length - 1]) + 1;
+    return {
+      MatchId: `g_${transcript.number};${utterance.id};${utterance.startId}-${utterance.endId};`
+        + `p_${this.participants.get(participant.label).number};#=${first.id};`
+        + `prefix=${String(number).padStart(3, "0")}-;`
+        + tokens.map((token, t) => `[${t}]=${token.id}`).join(";"),
+      Transcript: transcript.id,
+      Participant: participant.label,
+      Corpus: transcript.label("corpus"),
+      Line: transcript.start(utterance),
+      LineEnd: transcript.end(utterance),
+      BeforeMatch: words.slice(0, from).map(w => w.label).join(" "),
+      Text: words.slice(from, to).map(w => w.label).join(" "),
+      AfterMatch: words.slice(to).map(w => w.label).join(" ")
+    };
+  }
+
+  // Returns the transcript and target annotation identified by a MatchId.
+  resolveMatch(matchId) {
+    const parts = matchId.split(";");
+    const graph = /^g_(\d+)$/.exec(parts[0]);
+    const transcript = graph
+          ? [...this.transcripts.values()].find(t => t.number == graph[1])
+          : this.transcripts.get(parts[0]);
+    const target = parts.find(part => part.startsWith("#="));
+    return {
+      transcript: transcript,
+      target: transcript && target && transcript.annotation(target.substring(2))
+    };
+  }
+
+  search(request) {
+    let pattern = null;
+    try {
+      pattern = JSON.parse(this.parameter(request, "searchJson"));
+    } catch(exception) {
+      throw new HttpError(400, `Invalid search pattern: ${exception.message}`);
+    }
+    // compile the pattern into a list of conditions per column
+    const columns = (pattern.columns || []).map(column => {
+      const conditions = [];
+      for (let layerId in column.layers || {}) {
+        const condition = column.layers[layerId];
+        if (!condition || (!condition.pattern && condition.min == null
+                           && condition.max == null)) {
+          continue;
+        }
+        this.layer(request, layerId);
+        let regexp = null;
+        if (condition.pattern) {
+          try {
+            regexp = new RegExp(`^(?:${condition.pattern})$`, "u");
+          } catch(exception) {
+            throw new HttpError(400, `Invalid pattern: ${exception.message}`);
+          }
+        }
+        conditions.push({ layerId, regexp, not: condition.not, min: condition.min,
+                          max: condition.max });
+      } // next layer
+      return { conditions: conditions, adj: parseInt(column.adj) || 1 };
+    });
+    if (!columns.some(column => column.conditions.length)) {
+      throw new HttpError(400, "No search pattern was specified.");
+    }
+    const participantQuery = this.parameter(request, "participantQuery");
+    const participants = participantQuery && this.matchingParticipantIds(participantQuery);
+    const transcriptQuery = this.parameter(request, "transcriptQuery");
+    const transcriptIds = transcriptQuery ? this.matchingTranscriptIds(transcriptQuery)
+          : [...this.transcripts.keys()].sort();
+    const matchesPerTranscript = parseInt(this.parameter(request, "matchesPerTranscript"));
+    const name = columns.map(column => column.conditions.map(
+      c => `${c.layerId}${c.not ? "≠" : "="}${c.regexp ? c.regexp.source.slice(4, -2) : ""}`)
+                             .join("&")).join(" ");
+    // a word matches a condition if any of its related labels match
+    const matches = (transcript, word, condition) => {
+      const labels = condition.layerId == "word" ? [word.label]
+            : this.related(transcript, word, condition.layerId).map(a => a.label);
+      const matched = labels.some(label => (!condition.regexp || condition.regexp.test(label))
+                                  && (condition.min == null || Number(label) >= condition.min)
+                                  && (condition.max == null || Number(label) < condition.max));
+      return condition.not ? !matched : matched;
+    };
+    const task = this.startTask(`Search: ${name}`, task => {
+      task.name = name;
+      task.matches = [];
+      for (let id of transcriptIds) {
+        const transcript = this.transcripts.get(id);
+        let count = 0;
+        for (let turn of transcript.all("turn")) {
+          if (participants && !participants.includes(transcript.participantOf(turn).label)) {
+            continue;
+          }
+          const words = transcript.words().filter(w => w.parentId == turn.id);
+          for (let w = 0; w < words.length; w++) {
+            // match each column in turn
+            let tokens = [];
+            let next = w;
+            for (let column of columns) {
+              const candidates = tokens.length
+                    ? words.slice(next, next + column.adj) : [words[next]];
+              const token = candidates.find(word => word && column.conditions.every(
+                condition => matches(transcript, word, condition)));
+              if (!token) {
+                tokens = null;
+                break;
+              }
+              tokens.push(token);
+              next = words.indexOf(token) + 1;
+            } // next column
+            if (tokens && (!matchesPerTranscript || count < matchesPerTranscript)) {
+              task.matches.push(this.match(transcript, tokens, task.matches.length + 1));
+              count++;
+            }
+          } // next word
+        } // next turn
+      } // next transcript
+      return `Found ${task.matches.length} matches.`;
+    });
+    return reply({ threadId: task.threadId });
+  }
+
+  allUtterances(request) {
+    const participants = this.parameters(request, "id");
+    const types = this.parameters(request, "transcript_type");
+    const task = this.startTask("Utterances", task => {
+      task.name = `Utterances of ${participants.join(", ")}`;
+      task.matches = [];
+      for (let id of [...this.transcripts.keys()].sort()) {
+        const transcript = this.transcripts.get(id);
+        if (types.length && !types.includes(transcript.label("transcript_type"))) continue;
+        for (let utterance of transcript.all("utterance")) {
+          const participant = transcript.participantOf(utterance);
+          if (!participants.includes(participant.label)) continue;
+          const match = this.match(transcript, transcript.words().filter(
+            w => w.parentId == utterance.parentId
+              && transcript.containing(w, "utterance")[0] == utterance),
+                                   task.matches.length + 1);
+          match.MatchId = match.MatchId.replace(/#=[^;]+/, `#=${utterance.id}`);
+          task.matches.push(match);
+        } // next utterance
+      } // next transcript
+      return `Found ${task.matches.length} utterances.`;
+    });
+    return reply({ threadId: task.threadId });
+  }
+
+  results(request) {
+    const task = this.task(request, this.parameter(request, "threadId"));
+    if (!task.matches) throw new HttpError(400, `Task has no results: ${task.threadId}`);
+    let matches = pageOf(task.matches, this.parameter(request, "pageLength"),
+                         this.parameter(request, "pageNumber"));
+    const layerIds = this.parameters(request, "csv_layer");
+    if (layerIds.length) { // include annotations of the target token
+      const targetOffset = parseInt(this.parameter(request, "targetOffset")) || 0;
+      const annotationsPerLayer = parseInt(
+        this.parameter(request, "annotationsPerLayer")) || 1;
+      matches = matches.map(match => {
+        const { transcript, target } = this.resolveMatch(match.MatchId);
+        let token = null;
+        if (target) {
+          const words = transcript.words();
+          token = words[words.indexOf(target) + targetOffset];
+        }
+        const row = Object.assign({}, match);
+        for (let layerId of layerIds) {
+          this.layer(request, layerId);
+          row[layerId] = !token ? []
+            : (layerId == "word" ? [token] : this.related(transcript, token, layerId))
+            .filter(a => a.id) // not participant attributes
+            .slice(0, annotationsPerLayer)
+            .map(a => this.annotationJson(transcript, a, true));
+        } // next layer
+        return row;
+      });
+    }
+    return reply({ name: task.name, matches: matches });
+  }
+
+  resultsUpload(request) {
+    const upload = this.upload(request, "results");
+    const rows = parseCsv(upload.data.toString("utf8"),
+                          this.field(request, "csvFieldDelimiter") || ",");
+    const header = rows.shift() || [];
+    const targetColumn = this.field(request, "targetColumn") || "MatchId";
+    const column = isNaN(targetColumn) ? header.indexOf(targetColumn) : parseInt(targetColumn);
+    if (column < 0) throw new HttpError(400, `No column: ${targetColumn}`);
+    const task = this.startTask(`Results: ${upload.fileName}`, task => {
+      task.name = upload.fileName;
+      task.matches = rows.map(row => {
+        const { transcript, target } = this.resolveMatch(row[column]);
+        return target ? Object.assign(this.match(transcript, [target], 0), {
+          MatchId: row[column] }) : { MatchId: row[column] };
+      });
+      return `Read ${task.matches.length} matches.`;
+    });
+    return reply({ threadId: task.threadId });
+  }
+
+  intervalAnnotations(request) {
+    const upload = this.upload(request, "csv");
+    const rows = parseCsv(upload.data.toString("utf8"));
+    const header = rows.shift() || [];
+    const column = name => parseInt(this.field(request, name));
+    const transcriptColumn = column("transcriptColumn");
+    const participantColumn = column("participantColumn");
+    const startColumn = column("startTimeColumn");
+    const endColumn = column("endTimeColumn");
+    const layerIds = request.form.fields.layerId || [];
+    layerIds.forEach(layerId => this.layer(request, layerId));
+    const passThroughData = this.field(request, "passThroughData") == "true";
+    const delimiter = this.field(request, "labelDelimiter") || " ";
+    const partial = this.field(request, "containment") == "partial";
+    const task = this.startTask(`Intervals: ${upload.fileName}`, task => {
+      const columns = passThroughData ? header : [
+        header[transcriptColumn], header[participantColumn],
+        header[startColumn], header[endColumn]];
+      const output = [ columns.concat(layerIds) ];
+      for (let row of rows) {
+        const transcript = this.transcripts.get(row[transcriptColumn]);
+        const start = parseFloat(row[startColumn]);
+        const end = parseFloat(row[endColumn]);
+        const labels = layerIds.map(layerId => {
+          if (!transcript || isNaN(start) || isNaN(end)) return "";
+          return transcript.all(layerId)
+            .filter(a => !this.isDescendant(layerId, "participant")
+                    || transcript.participantOf(a).label == row[participantColumn])
+            .filter(a => partial ? transcript.start(a) < end && start < transcript.end(a)
+                    : start <= transcript.start(a) && transcript.end(a) <= end)
+            .sort((a, b) => transcript.start(a) - transcript.start(b))
+            .map(a => a.label).join(delimiter);
+        });
+        output.push((passThroughData ? row : [
+          row[transcriptColumn], row[participantColumn],
+          row[startColumn], row[endColumn]]).concat(labels));
+      } // next row
+      this.setTaskResult(task, toCsv(output), "text/csv",
+                         upload.fileName.replace(/\.csv$/, "") + "-intervals.csv");
+      return `Finished: ${rows.length} intervals.`;
+    });
+    return reply({ threadId: task.threadId });
+  }
+
+  // Pretends to measure the given intervals with Praat. Measurements are synthesized
+  // from the time, and are "--undefined--" if the interval is empty.
+  praat(request) {
+    const upload = this.upload(request, "csv");
+    const rows = parseCsv(upload.data.toString("utf8"));
+    const header = rows.shift() || [];
+    const column = name => parseInt(this.field(request, name));
+    const inputColumns = [ column("transcriptColumn"), column("participantColumn"),
+                           column("startTimeColumn"), column("endTimeColumn") ];
+    const [ transcriptColumn, , startColumn, endColumn ] = inputColumns;
+    const passThroughData = this.field(request, "passThroughData") == "true";
+    const setting = name => this.field(request, name) == "true";
+    const points = (this.field(request, "samplePoints") || "0.5").trim().split(/\s+/);
+    const formants = [1, 2, 3].filter(f => setting(`extractF${f}`));
+    const measures = []; // [column, function of start and end]
+    if (formants.length) {
+      for (let point of points) {
+        const time = (start, end) => round(start + (end - start) * parseFloat(point));
+        measures.push([`time_${point}`, time]);
+        for (let f of formants) {
+          measures.push([`F${f}-time_${point}`, (start, end) => round(
+            f * 500 + (time(start, end) * 1000) % 300)]);
+        }
+      } // next point
+    }
+    for (let [parameter, name, base] of [
+      ["extractMinimumPitch", "minPitch", 90], ["extractMeanPitch", "meanPitch", 120],
+      ["extractMaximumPitch", "maxPitch", 150],
+      ["extractMaximumIntensity", "maxIntensity", 70],
+      ["extractCOG1", "cog1", 4000], ["extractCOG2", "cog2", 5000],
+      ["extractCOG23", "cog23", 6000]]) {
+      if (setting(parameter)) {
+        measures.push([name, (start, end) => round(base + end - start)]);
+      }
+    }
+    const task = this.startTask(`Praat: ${upload.fileName}`, task => {
+      const columns = passThroughData ? header : inputColumns.map(c => header[c]);
+      const output = [ columns.concat(["Error"], measures.map(([name]) => name)) ];
+      for (let row of rows) {
+        const start = parseFloat(row[startColumn]);
+        const end = parseFloat(row[endColumn]);
+        const error = !this.transcripts.has(row[transcriptColumn]) ?
+              `Transcript not found: ${row[transcriptColumn]}`
+              : isNaN(start) || isNaN(end) ? "Invalid start/end times" : "";
+        output.push((passThroughData ? row : inputColumns.map(c => row[c])).concat(
+          [error], measures.map(([name, measure]) => error ? ""
+                                : end <= start ? "--undefined--" : measure(start, end))));
+      } // next row
+      this.setTaskResult(task, toCsv(output), "text/csv",
+                         upload.fileName.replace(/\.csv$/, "") + "-praat.csv");
+      return `Finished: ${rows.length} intervals.`;
+    });
+    return reply({ threadId: task.threadId });
+  }
+
+  //
+  // Fragments and attributes
+  //
+
+  // The transcript and interval of a fragment request.
+  fragment(request) {
+    const transcript = this.transcript(request, this.parameter(request, "id"));
+    const start = parseFloat(this.parameter(request, "start"));
+    const end = parseFloat(this.parameter(request, "end"));
+    if (isNaN(start) || isNaN(end) || end < start) {
+      throw new HttpError(400, "Invalid start/end offsets.");
+    }
+    const name = `${transcript.id.replace(/\.[^.]*$/, "")}__${start.toFixed(3)}-${end.toFixed(3)}`;
+    return { transcript, start, end, name };
+  }
+
+  soundFragment(request) {
+    const { transcript, start, end, name } = this.fragment(request);
+    const file = transcript.media.find(m => m.mimeType == "audio/wav" && !m.trackSuffix);
+    const wav = file && parseWav(file.data);
+    if (!wav) throw notFound(request, "Media", `${transcript.id} audio/wav`);
+    return content(wavFragment(wav, start, end, parseInt(this.parameter(request, "sampleRate"))),
+                   "audio/wav", `${name}.wav`);
+  }
+
+  // Several fragments in a ZIP archive, each produced by the given fragment handler.
+  fragments(request, handler) {
+    if (!this.zipFragments) throw new HttpError(405, "Method not allowed");
+    const [ ids, starts, ends ] = [ "id", "start", "end" ].map(
+      name => this.parameters(request, name));
+    return content(zip(ids.map((id, i) => {
+      const parameters = new URLSearchParams(request.parameters);
+      parameters.set("id", id);
+      parameters.set("start", starts[i]);
+      parameters.set("end", ends[i]);
+      const fragment = handler.call(this, Object.assign({}, request, { parameters }));
+      return {
+        name: fragment.headers["Content-Disposition"].replace(/.*=/, ""),
+        data: Buffer.from(fragment.body) };
+    })), "application/zip", "fragments.zip");
+  }
+
+  serializeFragment(request) {
+    const mimeType = this.parameter(request, "mimeType");
+    if (mimeType != "text/praat-textgrid") {
+      throw new HttpError(400, `No serializer for: ${mimeType}`);
+    }
+    const { transcript, start, end, name } = this.fragment(request);
+    const tiers = this.parameters(request, "layerId").map(layerId => {
+      this.layer(request, layerId);
+      return {
+        name: layerId,
+        intervals: transcript.all(layerId).map(a => ({
+          start: transcript.start(a), end: transcript.end(a), label: a.label }))
+      };
+    });
+    return content(textGrid(start, end, tiers), mimeType, `${name}.TextGrid`);
+  }
+
+  transcriptAttributes(request) {
+    const layerIds = this.parameters(request, "layer").filter(l => l != "transcript");
+    const rows = [["transcript", ...layerIds]];
+    for (let id of this.parameters(request, "id")) {
+      const transcript = this.transcript(request, id);
+      rows.push([id, ...layerIds.map(
+        layerId => transcript.all(layerId).map(a => a.label).join("\n"))]);
+    }
+    return content(toCsv(rows), "text/csv", "transcripts.csv");
+  }
+
+  participantAttributes(request) {
+    const layerIds = this.parameters(request, "layer");
+    const rows = [["participant", ...layerIds]];
+    for (let name of this.parameters(request, "participantId")) {
+      const participant = this.participant(request, name);
+      rows.push([name, ...layerIds.map(
+        layerId => (participant.attributes[layerId] || []).join("\n"))]);
+    }
+    return content(toCsv(rows), "text/csv", "participants.csv");
+  }
+
+  //
+  // Uploads
+  //
+
+  transcriptUpload(request) {
+    const file = this.upload(request, "transcript");
+    const merge = this.field(request, "merge") == "true";
+    if (path.extname(file.fileName).toLowerCase() != ".txt") {
+      throw new HttpError(400, `No deserializer for: ${file.fileName}`);
+    }
+    if (merge && !this.transcripts.has(file.fileName)) {
+      throw notFound(request, "Transcript", file.fileName);
+    }
+    if (!merge && this.transcripts.has(file.fileName)) {
+      throw new HttpError(409, `Transcript already exists: ${file.fileName}`);
+    }
+    this.parseText(file.fileName, file.data.toString("utf8")); // validate it now
+    const media = [];
+    for (let field in request.form.files) {
+      if (!field.startsWith("media")) continue;
+      for (let upload of request.form.files[field]) {
+        media.push({ trackSuffix: field.substring("media".length), upload: upload });
+      }
+    } // next field
+    const id = `upload-${this.nextUploadId++}`;
+    this.uploads.set(id, { transcript: file, merge: merge, media: media });
+    const parameters = [
+      { name: "labbcat_generate", label: "Generate", hint: "Generate layers",
+        type: "java.lang.Boolean", required: false, value: true }];
+    if (!merge) {
+      parameters.unshift(
+        { name: "labbcat_corpus", label: "Corpus", hint: "The corpus the transcript is in",
+          type: "java.lang.String", required: true, value: this.corpora.rows[0].corpus_name,
+          possibleValues: this.corpora.rows.map(c => c.corpus_name) },
+        { name: "labbcat_episode", label: "Episode", hint: "The episode of the transcript",
+          type: "java.lang.String", required: true,
+          value: file.fileName.replace(/\.[^.]*$/, "") },
+        { name: "labbcat_transcript_type", label: "Type", hint: "The type of transcript",
+          type: "java.lang.String", required: true,
+          value: Object.keys(this.layers.transcript_type.validLabels)[0],
+          possibleValues: Object.keys(this.layers.transcript_type.validLabels) });
+    }
+    return reply({ id: id, parameters: parameters });
+  }
+
+  transcriptUploadParameters(request, id) {
+    const upload = this.uploads.get(id);
+    if (!upload || !upload.transcript) throw notFound(request, "Upload", id);
+    this.uploads.delete(id);
+    const fileName = upload.transcript.fileName;
+    const text = upload.transcript.data.toString("utf8");
+    const wav = upload.media.map(m => parseWav(m.upload.data)).find(w => w);
+    const task = this.startTask(`Upload: ${fileName}`, task => {
+      const existing = this.transcripts.get(fileName);
+      const transcript = this.createTranscript(
+        fileName, text, wav && wav.duration, existing && existing.number);
+      if (existing) { // keep the attributes and media
+        for (let annotation of existing.annotations) {
+          if (this.isTranscriptAttribute(annotation.layerId)) {
+            this.setAttribute(transcript, annotation.layerId, annotation.label);
+          }
+        }
+        transcript.media = existing.media;
+        transcript.documents = existing.documents;
+      } else {
+        const p = name => this.parameter(request, name);
+        this.setAttribute(transcript, "corpus", p("labbcat_corpus")
+                          || this.corpora.rows[0].corpus_name);
+        this.setAttribute(transcript, "episode", p("labbcat_episode")
+                          || fileName.replace(/\.[^.]*$/, ""));
+        this.setAttribute(transcript, "transcript_type", p("labbcat_transcript_type")
+                          || Object.keys(this.layers.transcript_type.validLabels)[0]);
+      }
+      for (let { trackSuffix, upload: file } of upload.media) {
+        transcript.media.push({
+          name: fileName.replace(/\.[^.]*$/, "") + trackSuffix + path.extname(file.fileName),
+          mimeType: mimeTypeOf(file.fileName), trackSuffix: trackSuffix, data: file.data });
+      }
+      task.resultUrl = `${this.baseUrl}transcript?transcript=${encodeURIComponent(fileName)}`;
+      return `Transcript ${existing ? "updated" : "added"}: ${fileName}`;
+    });
+    return reply({ transcripts: { [fileName]: task.threadId } });
+  }
+
+  uploadDelete(request, id) {
+    if (!this.uploads.has(id)) throw notFound(request, "Upload", id);
+    this.uploads.delete(id);
+    return reply(null);
+  }
+
+  fragmentUpload(request) {
+    const file = this.upload(request, "fragment");
+    // fragment names are like "transcript__start-end.TextGrid"
+    const name = /^(.+)__([\d.]+)-([\d.]+)\.[^.]+$/.exec(file.fileName);
+    const transcript = name && [...this.transcripts.values()].find(
+      t => t.id.replace(/\.[^.]*$/, "") == name[1]);
+    if (!transcript) throw notFound(request, "Transcript", file.fileName);
+    const id = `upload-${this.nextUploadId++}`;
+    this.uploads.set(id, { fragment: file, transcript: transcript.id });
+    const tiers = [...file.data.toString("utf8").matchAll(/name = "([^"]*)"/g)].map(t => t[1]);
+    return reply({
+      id: id, transcript: transcript.id, start: parseFloat(name[2]), end: parseFloat(name[3]),
+      parameters: tiers.map(tier => ({
+        name: tier, label: tier, hint: `Layer for tier ${tier}`, type: "java.lang.String",
+        required: false, value: this.layers[tier] ? tier : "",
+        possibleValues: Object.keys(this.layers) })) });
+  }
+
+  fragmentUploadParameters(request, id) {
+    const upload = this.uploads.get(id);
+    if (!upload || !upload.fragment) throw notFound(request, "Upload", id);
+    this.uploads.delete(id);
+    return reply({
+      url: `${this.baseUrl}transcript?transcript=${encodeURIComponent(upload.transcript)}` });
+  }
+
+  // Parses an uploaded CSV file into rows, and returns them with the column layers.
+  csvUpload(request) {
+    const upload = this.upload(request, "csv");
+    const rows = parseCsv(upload.data.toString("utf8"));
+    rows.shift(); // headers
+    const columnLayer = (request.form.fields.columnLayer || []).map(layerId => {
+      if (layerId) this.layer(request, layerId);
+      return layerId;
+    });
+    return { name: upload.fileName, rows: rows, columnLayer: columnLayer };
+  }
+
+  uploadParticipantAttributes(request) {
+    const { rows, columnLayer } = this.csvUpload(request);
+    const idColumn = parseInt(this.field(request, "idColumn")) || 0;
+    const counts = { created: 0, updated: 0 };
+    for (let row of rows) {
+      counts[this.participants.has(row[idColumn]) ? "updated" : "created"]++;
+      const participant = this.ensureParticipant(row[idColumn]);
+      columnLayer.forEach((layerId, c) => {
+        if (layerId && c != idColumn) participant.attributes[layerId] = [ row[c] ];
+      });
+    } // next row
+    return reply(counts);
+  }
+
+  uploadTranscriptAttributes(request) {
+    const { rows, columnLayer } = this.csvUpload(request);
+    const idColumn = parseInt(this.field(request, "idColumn")) || 0;
+    const counts = { updated: 0, missing: 0 };
+    for (let row of rows) {
+      const transcript = this.transcripts.get(row[idColumn]);
+      if (!transcript) {
+        counts.missing++;
+        continue;
+      }
+      counts.updated++;
+      columnLayer.forEach((layerId, c) => {
+        if (layerId && c != idColumn) this.setAttribute(transcript, layerId, row[c]);
+      });
+    } // next row
+    return reply(counts);
+  }
+
+  uploadTokenAnnotations(request) {
+    const { name, rows, columnLayer } = this.csvUpload(request);
+    const idColumn = parseInt(this.field(request, "idColumn")) || 0;
+    const task = this.startTask(`Token annotations: ${name}`, task => {
+      let added = 0;
+      let missing = 0;
+      for (let row of rows) {
+        const { transcript, target } = this.resolveMatch(row[idColumn] || "");
+        if (!target) {
+          task.log.push(`Token not found: ${row[idColumn]}`);
+          missing++;
+          continue;
+        }
+        columnLayer.forEach((layerId, c) => {
+          if (!layerId || c == idColumn || this.layers[layerId].parentId != target.layerId) {
+            return;
+          }
+          transcript.annotations = transcript.annotations.filter(
+            a => a.parentId != target.id || a.layerId != layerId);
+          this.addAnnotation(
+            transcript, layerId, row[c], target.startId, target.endId, target.id);
+          added++;
+        });
+      } // next row
+      return `Finished: ${added} annotations added, ${missing} tokens not found.`;
+    });
+    return reply({ threadId: task.threadId });
+  }
+
+  uploadIntervalAnnotations(request) {
+    const { name, rows, columnLayer } = this.csvUpload(request);
+    const transcriptColumn = parseInt(this.field(request, "transcriptColumn"));
+    const startColumn = parseInt(this.field(request, "startTimeColumn"));
+    const endColumn = parseInt(this.field(request, "endTimeColumn"));
+    const task = this.startTask(`Interval annotations: ${name}`, task => {
+      let added = 0;
+      let missing = 0;
+      for (let row of rows) {
+        const transcript = this.transcripts.get(row[transcriptColumn]);
+        const start = parseFloat(row[startColumn]);
+        const end = parseFloat(row[endColumn]);
+        if (!transcript || isNaN(start) || isNaN(end)) {
+          task.log.push(`Skipped: ${row[transcriptColumn]} ${row[startColumn]}-${row[endColumn]}`);
+          missing++;
+          continue;
+        }
+        columnLayer.forEach((layerId, c) => {
+          const layer = this.layers[layerId];
+          if (!layer || layer.parentId != "transcript" || layer.alignment != 2) return;
+          this.addAnnotation(
+            transcript, layerId, row[c], this.anchorAt(transcript, start).id,
+            this.anchorAt(transcript, end).id, transcript.id);
+          added++;
+        });
+      } // next row
+      return `Finished: ${added} annotations added, ${missing} rows skipped.`;
+    });
+    return reply({ threadId: task.threadId });
+  }
+}
+
+module.exports = MockLabbcat;
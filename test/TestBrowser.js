@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Unit tests for functions that work differently in browsers.
+ * <p>The library is loaded into a context without <q>require</q>, like a browser's, and
+ * tested against the mock LaBB-CAT server.
+ */
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const MockLabbcat = require('./MockLabbcat');
+
+const username = "labbcat";
+const password = "labbcat";
+
+// loads the library as a browser would, with only the globals a browser has, and any
+// others given
+function loadInBrowser(globals) {
+  const window = Object.assign({
+    fetch, Blob, File, FormData, URL, URLSearchParams, AbortController, TextDecoder,
+    TextEncoder, Event, EventTarget, ReadableStream, WritableStream, btoa, setTimeout,
+    clearTimeout, console }, globals);
+  vm.createContext(window);
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "..", "nzilbb.labbcat.js"), "utf-8"), window);
+  return window.labbcat;
+}
+
+describe("#Browser", function() {
+  this.timeout(45000);
+  let mock = null;
+  let labbcat = null;
+  let store = null;
+
+  before(async ()=>{
+    mock = new MockLabbcat(username, password);
+    const baseUrl = await mock.start();
+    labbcat = loadInBrowser();
+    store = new labbcat.LabbcatView(baseUrl, username, password);
+  });
+  after(()=> mock.stop());
+
+  it("returns sound fragments as Files", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const wavs = await store.getSoundFragments(
+      [ transcriptId, "nonexistent.wav", transcriptId ], [ 1.0, 1.0, 2.0 ],
+      [ 1.5, 1.5, 2.5 ], { concurrency: 2 }).catch(error => {
+        assert.instanceOf(error.failures[1], labbcat.NotFoundError);
+        return error.result;
+      });
+    assert.equal(wavs.length, 3, "One element per fragment");
+    assert.instanceOf(wavs[0], File, "Fragment is a File");
+    assert.equal(wavs[0].name, "AP511_MikeThorpe__1.000-1.500.wav", "Server's name");
+    assert.equal(wavs[0].type, "audio/wav", "MIME type");
+    assert.equal(Buffer.from(await wavs[0].arrayBuffer()).toString("latin1", 0, 4),
+                 "RIFF", "Content is a wav file");
+    assert.isNull(wavs[1], "Failed fragment is null");
+    assert.equal(wavs[2].name, "AP511_MikeThorpe__2.000-2.500.wav",
+                 "Files are in the same order as the fragments");
+  });
+
+  it("returns fragments as Files", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const textGrids = await store.getFragments(
+      [ transcriptId ], [ 1.0 ], [ 2.0 ], [ "orthography" ], "text/praat-textgrid");
+    assert.equal(textGrids.length, 1, "One element per fragment");
+    assert.equal(textGrids[0].name, "AP511_MikeThorpe__1.000-2.000.TextGrid");
+    assert.include(await textGrids[0].text(), "orthography", "Content is a TextGrid");
+  });
+
+  it("returns attributes as Files", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const transcripts = await store.getTranscriptAttributes(
+      [ transcriptId ], [ "transcript_language" ]);
+    assert.instanceOf(transcripts, File, "Transcript attributes are a File");
+    assert.equal(transcripts.name, "transcript-attributes.csv", "Default name");
+    assert.equal((await transcripts.text()).split("\n")[0],
+                 "transcript,transcript_language", "Content is CSV");
+
+    const participantId = (await store.getParticipantIds())[0];
+    const participants = await store.getParticipantAttributes(
+      [ participantId ], [ "participant_gender" ], "participants.csv");
+    assert.instanceOf(participants, File, "Participant attributes are a File");
+    assert.equal(participants.name, "participants.csv", "Given name");
+    assert.include(await participants.text(), participantId, "Content is CSV");
+  });
+
+  it("uploads strings as content", async ()=>{
+    const store = new labbcat.LabbcatEdit(mock.baseUrl, username, password);
+    const counts = await store.uploadParticipantAttributes(
+      "ID,gender", 0, [ null, "participant_gender" ]);
+    assert.equal(counts.created, 0, "Single line isn't mistaken for a path");
+  });
+
+  it("starts media downloads again if the server stops honouring ranges", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const wav = fs.readFileSync(path.join(__dirname, "labbcat-js.test.wav"));
+    mock.rangeRequests = 1;
+    try {
+      const blob = await store.downloadMedia(
+        transcriptId, "", "audio/wav", { chunkSize: 30000 });
+      assert.isTrue(wav.equals(Buffer.from(await blob.arrayBuffer())),
+                    "Blob contains the media once");
+    } finally {
+      mock.rangeRequests = Infinity;
+    }
+  });
+
+  it("sends requests with XMLHttpRequest where available", ()=>{
+    assert.instanceOf(store.transport, labbcat.FetchTransport, "fetch is used otherwise");
+    const xhrBrowser = loadInBrowser({ XMLHttpRequest: class {} });
+    const edit = new xhrBrowser.LabbcatEdit(mock.baseUrl, username, password);
+    assert.instanceOf(edit.transport, xhrBrowser.XhrTransport,
+                      "XMLHttpRequest is used by default, for upload progress");
+  });
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Unit tests for Eaf.
+ * <p>These tests don't require a LaBB-CAT server; graphs are in the format returned
+ * by getTranscript.
+ */
+
+const assert = require('chai').assert;
+const labbcat = require('../nzilbb.labbcat');
+
+const { schema, transcript } = require('./fixtures');
+
+// an EAF file as ELAN writes them, with unaligned time slots and referring annotations
+const elanFile = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- exported from ELAN -->
+<ANNOTATION_DOCUMENT AUTHOR="" DATE="2024-01-01T00:00:00+12:00" FORMAT="3.0" VERSION="3.0">
+    <HEADER MEDIA_FILE="" TIME_UNITS="milliseconds">
+        <MEDIA_DESCRIPTOR MEDIA_URL="file:///interview.wav" MIME_TYPE="audio/x-wav"/>
+        <PROPERTY NAME="lastUsedAnnotationId">6</PROPERTY>
+    </HEADER>
+    <TIME_ORDER>
+        <TIME_SLOT TIME_SLOT_ID="ts1" TIME_VALUE="0"/>
+        <TIME_SLOT TIME_SLOT_ID="ts2"/>
+        <TIME_SLOT TIME_SLOT_ID="ts3" TIME_VALUE="2000"/>
+    </TIME_ORDER>
+    <TIER LINGUISTIC_TYPE_REF="default-lt" PARTICIPANT="Ana" TIER_ID="Words">
+        <ANNOTATION>
+            <ALIGNABLE_ANNOTATION ANNOTATION_ID="a1" TIME_SLOT_REF1="ts1" TIME_SLOT_REF2="ts2">
+                <ANNOTATION_VALUE>kia</ANNOTATION_VALUE>
+            </ALIGNABLE_ANNOTATION>
+        </ANNOTATION>
+        <ANNOTATION>
+            <ALIGNABLE_ANNOTATION ANNOTATION_ID="a2" TIME_SLOT_REF1="ts2" TIME_SLOT_REF2="ts3">
+                <ANNOTATION_VALUE>ora &amp; <![CDATA[<hi>]]></ANNOTATION_VALUE>
+            </ALIGNABLE_ANNOTATION>
+        </ANNOTATION>
+    </TIER>
+    <TIER LINGUISTIC_TYPE_REF="tag" PARENT_REF="Words" PARTICIPANT="Ana" TIER_ID="orthography">
+        <ANNOTATION>
+            <REF_ANNOTATION ANNOTATION_ID="a3" ANNOTATION_REF="a1">
+                <ANNOTATION_VALUE>kia</ANNOTATION_VALUE>
+            </REF_ANNOTATION>
+        </ANNOTATION>
+    </TIER>
+    <TIER LINGUISTIC_TYPE_REF="syllables" PARENT_REF="Words" TIER_ID="segment - Ana">
+        <ANNOTATION>
+            <REF_ANNOTATION ANNOTATION_ID="a4" ANNOTATION_REF="a2">
+                <ANNOTATION_VALUE>o</ANNOTATION_VALUE>
+            </REF_ANNOTATION>
+        </ANNOTATION>
+        <ANNOTATION>
+            <REF_ANNOTATION ANNOTATION_ID="a5" ANNOTATION_REF="a2" PREVIOUS_ANNOTATION="a4">
+                <ANNOTATION_VALUE>ra</ANNOTATION_VALUE>
+            </REF_ANNOTATION>
+        </ANNOTATION>
+    </TIER>
+    <TIER LINGUISTIC_TYPE_REF="default-lt" TIER_ID="Comments"/>
+    <LINGUISTIC_TYPE LINGUISTIC_TYPE_ID="default-lt" TIME_ALIGNABLE="true"/>
+    <LINGUISTIC_TYPE CONSTRAINTS="Symbolic_Association" LINGUISTIC_TYPE_ID="tag" TIME_ALIGNABLE="false"/>
+    <LINGUISTIC_TYPE CONSTRAINTS="Symbolic_Subdivision" LINGUISTIC_TYPE_ID="syllables" TIME_ALIGNABLE="false"/>
+</ANNOTATION_DOCUMENT>
+`;
+
+describe("#Eaf", ()=>{
+
+  it("parses EAF files", ()=>{
+    const eaf = labbcat.Eaf.parse(elanFile);
+    assert.deepEqual(eaf.media, [
+      { url: "file:///interview.wav", mimeType: "audio/x-wav" } ]);
+    assert.deepEqual(eaf.tiers.map(tier => tier.name),
+                     ["Words", "orthography", "segment - Ana", "Comments"]);
+    assert.deepEqual(eaf.tier("Words"), {
+      name: "Words", participant: "Ana", parent: null, association: false,
+      intervals: [
+        { start: 0, end: 1, label: "kia" },
+        { start: 1, end: 2, label: "ora & <hi>" }] },
+                 "unaligned time slots are interpolated");
+    assert.deepEqual(eaf.tier("orthography"), {
+      name: "orthography", participant: "Ana", parent: "Words", association: true,
+      intervals: [ { start: 0, end: 1, label: "kia" } ] },
+                   "associations have their referent's times");
+    assert.deepEqual(eaf.tier("segment - Ana").intervals, [
+      { start: 1, end: 1.5, label: "o" },
+      { start: 1.5, end: 2, label: "ra" }], "subdivisions divide their referent");
+    assert.isNull(eaf.tier("Nothing"));
+    assert.throws(() => labbcat.Eaf.parse("<TEI/>"), /not an EAF file/);
+    assert.throws(() => labbcat.Eaf.parse("<ANNOTATION_DOCUMENT><TIER>"),
+                  /invalid XML/);
+  });
+
+  it("maps tiers to layers", ()=>{
+    const eaf = labbcat.Eaf.parse(elanFile);
+    assert.deepEqual(eaf.mapping(schema, { tiers: { Words: "word" } }), [
+      { tier: "Words", layerId: "word", participant: "Ana" },
+      { tier: "orthography", layerId: "orthography", participant: "Ana" },
+      { tier: "segment - Ana", layerId: "segment", participant: "Ana" },
+      { tier: "Comments", layerId: null, participant: null }]);
+    assert.deepEqual(eaf.validate(schema, { tiers: { Words: "word" } }), [
+      "Tier isn't for a layer: Comments"]);
+    assert.deepEqual(eaf.validate(schema), [
+      "Tier isn't for a layer: Words",
+      "Tier isn't for a layer: Comments",
+      "No word for orthography at 0-1",
+      "No word for segment - Ana at 1-1.5",
+      "No word for segment - Ana at 1.5-2"]);
+  });
+
+  it("previews upload parameters", ()=>{
+    const eaf = labbcat.Eaf.parse(elanFile);
+    assert.deepEqual(eaf.uploadParameters(schema, {
+      tiers: { Words: "word" }, corpus: "UC", transcriptType: "interview" }), {
+        Words: "word", orthography: "orthography", "segment - Ana": "segment",
+        Comments: "", labbcat_corpus: "UC",
+        labbcat_transcript_type: "interview" });
+    assert.deepEqual(eaf.uploadParameters(schema, {
+      tiers: { Words: "word" }, episode: "interviews",
+      parameters: [
+        { name: "labbcat_corpus", value: "QB" },
+        { name: "labbcat_episode", value: "test" },
+        { name: "Words", value: "" },
+        { name: "Comments", value: "comment" }] }), {
+          labbcat_corpus: "QB", labbcat_episode: "interviews",
+          Words: "word", Comments: ""
+        }, "for the parameters returned on upload");
+  });
+
+  it("converts to a graph", ()=>{
+    const graph = labbcat.Eaf.parse(elanFile).toGraph(schema, {
+      tiers: { Words: "word", Comments: "noise" } });
+    assert.deepEqual(graph.all("participant").map(p => p.label), ["Ana"]);
+    assert.equal(graph.all("turn").length, 1, "a turn is created");
+    const words = graph.all("word");
+    assert.deepEqual(words.map(word => word.label), ["kia", "ora & <hi>"]);
+    assert.deepEqual(words.map(word => word.end.offset), [1, 2]);
+    assert.equal(words[0].annotations("orthography")[0].label, "kia");
+    assert.deepEqual(words[1].all("segment").map(segment => segment.label),
+                     ["o", "ra"]);
+    assert.throws(() => labbcat.Eaf.parse(elanFile).toGraph(schema),
+                  /EAF: No word for orthography at 0-1/);
+  });
+
+  it("converts from a graph", ()=>{
+    const graph = new labbcat.Graph(transcript(), schema);
+    const eaf = labbcat.Eaf.fromGraph(graph, {
+      layerIds: ["turn", "word", "orthography", "noise"],
+      tiers: { Noises: "noise" } }, [
+      { url: "https://labbcat/files/test.wav", mimeType: "audio/wav",
+        trackSuffix: "" }]);
+    assert.deepEqual(eaf.media, [
+      { url: "https://labbcat/files/test.wav", mimeType: "audio/wav" }]);
+    assert.deepEqual(
+      eaf.tiers.map(tier => [tier.name, tier.participant, tier.parent]), [
+        ["turn - Mike", "Mike", null],
+        ["word - Mike", "Mike", null],
+        ["orthography - Mike", "Mike", "word - Mike"],
+        ["Noises", null, null]]);
+    assert.isTrue(eaf.tier("orthography - Mike").association);
+    assert.isFalse(eaf.tier("word - Mike").association);
+
+    const text = eaf.toString();
+    assert.match(text, /<REF_ANNOTATION ANNOTATION_ID="a\d+" ANNOTATION_REF="a\d+">/,
+                 "tags are associations");
+    assert.match(
+      text, /<ANNOTATION_VALUE>&lt;cough&gt; &amp; &lt;sneeze&gt;<\/ANNOTATION_VALUE>/);
+    assert.match(text, /<TIME_SLOT TIME_SLOT_ID="ts\d+" TIME_VALUE="500"\/>/);
+    const parsed = labbcat.Eaf.parse(text);
+    assert.deepEqual(parsed.tiers, eaf.tiers, "round trip");
+    assert.deepEqual(parsed.media, eaf.media);
+
+    const copy = parsed.toGraph(schema, { tiers: { Noises: "noise" } });
+    assert.deepEqual(copy.all("word").map(word => word.label),
+                     ["hello", "there", "mate"]);
+    assert.deepEqual(copy.all("orthography").map(tag => tag.label), ["hello"]);
+    assert.equal(copy.first("orthography").parent, copy.first("word"),
+                 "tags are on their words");
+    assert.deepEqual(copy.all("noise").map(noise => noise.label),
+                     ["<cough> & <sneeze>"]);
+  });
+
+  it("converts large files", ()=>{
+    const intervals = [];
+    for (let i = 0; i < 200000; i++) {
+      intervals.push({ start: i, end: i + 1, label: "<cough>" });
+    }
+    const eaf = new labbcat.Eaf([{ name: "Noises", intervals: intervals }]);
+    assert.deepEqual(eaf.validate(schema, { tiers: { Noises: "noise" } }), []);
+  });
+});
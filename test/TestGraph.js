@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Unit tests for Graph, Layer, Annotation, and Anchor.
+ * <p>These tests don't require a LaBB-CAT server; the graph is in the format returned
+ * by getTranscript.
+ */
+
+const assert = require('chai').assert;
+const labbcat = require('../nzilbb.labbcat');
+
+const { layers: layerDefinitions, transcript } = require('./fixtures');
+
+// a list of layer definitions, which Graph takes as well as a Schema
+const layers = Object.values(layerDefinitions);
+
+describe("#Graph", ()=>{
+
+  it("links annotations to anchors, layers, parents, and children", ()=>{
+    const graph = new labbcat.Graph(transcript(), layers);
+    assert.equal(graph.id, "test.eaf");
+    assert.equal(graph.offsetUnits, "s");
+    assert.equal(graph.layerId, "transcript", "root layer");
+
+    const word = graph.annotation("w1");
+    assert.instanceOf(word, labbcat.Annotation);
+    assert.equal(word.label, "hello");
+    assert.equal(word.layerId, "word");
+    assert.instanceOf(word.layer, labbcat.Layer);
+    assert.equal(word.layer.alignment, 2);
+    assert.equal(word.layer.parent.id, "turn");
+    assert.instanceOf(word.start, labbcat.Anchor);
+    assert.equal(word.start.offset, 0.0);
+    assert.equal(word.start.confidence, 100);
+    assert.equal(word.end.offset, 1.0);
+    assert.equal(word.duration, 1.0);
+    assert.equal(word.parent.id, "t1");
+    assert.equal(word.parentId, "t1");
+    assert.strictEqual(graph.annotation("p1").parent, graph, "top-level parent is graph");
+    assert.deepEqual(word.annotations("segment").map(a => a.label), ["h", "@"]);
+    assert.deepEqual(graph.anchor("a1").startOf("segment").map(a => a.id), ["s2"]);
+    assert.deepEqual(graph.anchor("a2").endOf("word").map(a => a.id), ["w1"]);
+    assert.isNull(graph.annotation("nonexistent"));
+  });
+
+  it("orders annotations", ()=>{
+    const graph = new labbcat.Graph(transcript(), layers);
+    assert.deepEqual(graph.annotation("t1").annotations("utterance").map(a => a.id),
+                     ["u1", "u2"], "children by ordinal");
+    assert.deepEqual(graph.all("word").map(a => a.label), ["hello", "there", "mate"],
+                     "all by offset");
+    assert.equal(graph.first("corpus").label, "UC");
+    const there = graph.annotation("w2");
+    assert.equal(there.next.label, "mate");
+    assert.equal(there.previous.label, "hello");
+    assert.isNull(there.next.next, "no next");
+    assert.isNull(there.previous.previous, "no previous");
+  });
+
+  it("finds related annotations", ()=>{
+    const graph = new labbcat.Graph(transcript(), layers);
+    const hello = graph.annotation("w1");
+    assert.deepEqual(hello.all("segment").map(a => a.label), ["h", "@"], "descendants");
+    assert.equal(hello.first("orthography").label, "hello", "tag");
+    assert.equal(hello.first("turn").id, "t1", "ancestor");
+    assert.equal(hello.first("participant").label, "Mike", "ancestor");
+    assert.equal(hello.first("participant_gender").label, "M", "participant attribute");
+    assert.equal(hello.first("corpus").label, "UC", "transcript attribute");
+    assert.deepEqual(hello.all("utterance").map(a => a.id), ["u1"], "overlapping");
+    assert.deepEqual(graph.annotation("u1").all("word").map(a => a.label),
+                     ["hello", "there"], "overlapping");
+    assert.deepEqual(graph.annotation("p1").all("segment").map(a => a.label),
+                     ["h", "@"], "deep descendants");
+    assert.isNull(graph.annotation("w3").first("segment"), "none");
+  });
+
+  it("compares offsets", ()=>{
+    const graph = new labbcat.Graph(transcript(), layers);
+    const utterance = graph.annotation("u1");
+    assert.isTrue(utterance.includes(graph.annotation("w1")));
+    assert.isTrue(utterance.includes(graph.annotation("w2")));
+    assert.isFalse(utterance.includes(graph.annotation("w3")));
+    assert.isTrue(utterance.includes(1.5), "offset");
+    assert.isFalse(utterance.includes(2.5), "offset");
+    assert.isTrue(utterance.overlaps(graph.annotation("w2")));
+    assert.isFalse(utterance.overlaps(graph.annotation("w3")), "only touching");
+    assert.isTrue(graph.annotation("t1").overlaps(utterance));
+  });
+
+  it("infers layers from the structure if there's no schema", ()=>{
+    const graph = new labbcat.Graph(transcript());
+    assert.equal(graph.layer("segment").parentId, "word");
+    assert.equal(graph.layer("participant").parentId, "transcript");
+    assert.equal(graph.annotation("s1").first("word").id, "w1");
+    assert.equal(graph.annotation("w1").first("participant_gender").label, "M");
+  });
+
+  it("serializes as JSON", ()=>{
+    const graph = new labbcat.Graph(transcript(), layers);
+    graph.annotation("w3").label = "mates";
+    const json = JSON.parse(JSON.stringify(graph));
+    assert.equal(json.id, "test.eaf");
+    assert.deepEqual(json.anchors.a1, { offset: 0.5, confidence: 50 });
+    const word = json.participant[0].turn[0].word[2];
+    assert.equal(word.label, "mates", "change is included");
+    assert.equal(word.startId, "a3");
+    assert.equal(json.participant[0].turn[0].word[0].segment.length, 2);
+    const copy = new labbcat.Graph(json, layers);
+    assert.equal(copy.annotation("s2").first("word").label, "hello", "round trip");
+  });
+});
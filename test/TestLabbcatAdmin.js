@@ -3,33 +3,46 @@
 /**
  * Unit tests for LabbcatAdmin.
  * <p>These tests test the functionality of the client library, not the server. 
- * <p>They assume the existence of a valid LaBB-CAT instance (configured by
- * <var>labbcatUrl</var>) which responds correctly to requests, but do not generally test
- * that the server behaves correctly , nor assume specific corpus content. For the tests
+ * <p>They assume the existence of a valid LaBB-CAT instance (configured by the
+ * <var>LABBCAT_URL</var> environment variable) which responds correctly to requests -
+ * if LABBCAT_URL is not set, a mock server (MockLabbcat.js) is started instead. They do
+ * not generally test that the server behaves correctly , nor assume specific corpus
+ * content. For the tests
  * to work, the first transcript listed in LaBB-CAT must have some words and some media, and
  * the first participant listed must have some transcripts. 
  */
 
 const assert = require('chai').assert;
 const labbcat = require('../nzilbb.labbcat');
+const MockLabbcat = require('./MockLabbcat');
 
-// YOU MUST ENSURE THE FOLLOWING SETTINGS ARE VALID FOR YOU TEST LABBCAT SERVER:
-const baseUrl = "http://localhost:8080/labbcat/";
-const username = "labbcat";
-const password = "labbcat";
+// YOU MUST ENSURE THE FOLLOWING SETTINGS ARE VALID FOR YOU TEST LABBCAT SERVER,
+// or leave LABBCAT_URL unset to test against a mock server:
+let baseUrl = process.env.LABBCAT_URL; // e.g. "http://localhost:8080/labbcat/"
+const username = process.env.LABBCAT_USERNAME || "labbcat";
+const password = process.env.LABBCAT_PASSWORD || "labbcat";
 var store = null;
+var mock = null;
 
 describe("#LabbcatAdmin", function() {
     // waitForTask and getMatches can take a few seconds
     this.timeout(45000);
 
+    before(()=>{
+        if (!baseUrl) { // no LaBB-CAT server is configured, so test against a mock one
+            mock = new MockLabbcat(username, password);
+            return mock.start().then(url => baseUrl = url);
+        }
+    });
+    after(()=> mock && mock.stop());
+
     before((done)=>{
         store = new labbcat.LabbcatAdmin(baseUrl, username, password);
         store.getId((id, errors, messages)=>{
             assert.isNull(
                 errors, "\nCould not connect to LaBB-CAT."
                     +"\nThese unit tests require a running LaBB-CAT server to test against."
-                    +"\nPlease check the baseUrl variable refers to a running LaBB-CAT server.");
+                    +"\nPlease check LABBCAT_URL refers to a running LaBB-CAT server.");
             done();
         });
     });
@@ -63,6 +76,24 @@ describe("#LabbcatAdmin", function() {
             });                                            
     });
     
+    it("implements iterateCorpora, iterateRoles, and iterateUsers", async ()=>{
+        const corpora = [];
+        for await (const corpus of store.iterateCorpora({ pageLength: 1 })) {
+            corpora.push(corpus.corpus_name);
+        }
+        assert.deepEqual(corpora, (await store.readCorpora()).map(c => c.corpus_name),
+                         "All corpora iterated");
+        const roles = [];
+        for await (const role of store.iterateRoles({ pageLength: 2, prefetch: true })) {
+            roles.push(role.role_id);
+        }
+        assert.deepEqual(roles, (await store.readRoles()).map(r => r.role_id),
+                         "All roles iterated");
+        const users = [];
+        for await (const user of store.iterateUsers()) users.push(user.user);
+        assert.include(users, username, "Current user is listed");
+    });
+
     it("implements corpus CRUD operations", (done)=>{
         
         const corpus_name = "unit-test";
@@ -3,33 +3,47 @@
 /**
  * Unit tests for LabbcatEdit.
  * <p>These tests test the functionality of the client library, not the server. 
- * <p>They assume the existence of a valid LaBB-CAT instance (configured by
- * <var>labbcatUrl</var>) which responds correctly to requests, but do not generally test
- * that the server behaves correctly , nor assume specific corpus content. For the tests
+ * <p>They assume the existence of a valid LaBB-CAT instance (configured by the
+ * <var>LABBCAT_URL</var> environment variable) which responds correctly to requests -
+ * if LABBCAT_URL is not set, a mock server (MockLabbcat.js) is started instead. They do
+ * not generally test that the server behaves correctly , nor assume specific corpus
+ * content. For the tests
  * to work, the first transcript listed in LaBB-CAT must have some words and some media, and
  * the first participant listed must have some transcripts. 
  */
 
 const assert = require('chai').assert;
+const fs = require('fs');
 const labbcat = require('../nzilbb.labbcat');
+const MockLabbcat = require('./MockLabbcat');
 
-// YOU MUST ENSURE THE FOLLOWING SETTINGS ARE VALID FOR YOU TEST LABBCAT SERVER:
-const baseUrl = "http://localhost:8080/labbcat/";
-const username = "labbcat";
-const password = "labbcat";
+// YOU MUST ENSURE THE FOLLOWING SETTINGS ARE VALID FOR YOU TEST LABBCAT SERVER,
+// or leave LABBCAT_URL unset to test against a mock server:
+let baseUrl = process.env.LABBCAT_URL; // e.g. "http://localhost:8080/labbcat/"
+const username = process.env.LABBCAT_USERNAME || "labbcat";
+const password = process.env.LABBCAT_PASSWORD || "labbcat";
 var store = null;
+var mock = null;
 
 describe("#LabbcatEdit", function() {
   // waitForTask and getMatches can take a few seconds
   this.timeout(45000);
 
+  before(()=>{
+    if (!baseUrl) { // no LaBB-CAT server is configured, so test against a mock one
+      mock = new MockLabbcat(username, password);
+      return mock.start().then(url => baseUrl = url);
+    }
+  });
+  after(()=> mock && mock.stop());
+
   before((done)=>{
     store = new labbcat.LabbcatEdit(baseUrl, username, password);
     store.getId((id, errors, messages)=>{
       assert.isNull(
         errors, "\nCould not connect to LaBB-CAT."
           +"\nThese unit tests require a running LaBB-CAT server to test against."
-          +"\nPlease check the baseUrl variable refers to a running LaBB-CAT server.");
+          +"\nPlease check LABBCAT_URL refers to a running LaBB-CAT server.");
       done();
     });
   });
@@ -514,6 +528,13 @@ describe("#LabbcatEdit", function() {
     });
   });
   
+  it("implements deleteParticipant for participants of deleted transcripts", async ()=>{
+    // deleting the transcripts of earlier tests doesn't delete their participant
+    const participantId = "UnitTester";
+    await store.deleteParticipant(participantId).catch(()=>{});
+    assert.isNull(await store.getParticipant(participantId), "Participant deleted");
+  });
+
   it("implements uploadParticipantAttributes", (done)=>{
     const participantId = "UnitTester";
     const csvName = "participants.csv";
@@ -547,6 +568,73 @@ describe("#LabbcatEdit", function() {
       });
   });
 
+  it("updates existing participants with uploadParticipantAttributes", async ()=>{
+    const participantId = "UnitTester";
+    const columnLayer = [ null, "participant_gender", "", "participant_notes" ];
+    // ensure the participant doesn't exist to start with
+    await store.deleteParticipant(participantId).catch(()=>{});
+    try {
+      let counts = await store.uploadParticipantAttributes(
+        "test/participants.csv", 0, columnLayer);
+      assert.equal(1, counts.created, "One participant created");
+      counts = await store.uploadParticipantAttributes(
+        "test/participants.csv", 0, columnLayer);
+      assert.equal(0, counts.created, "No participant created");
+      assert.equal(1, counts.updated, "One participant updated");
+    } finally {
+      await store.deleteParticipant(participantId);
+    }
+  });
+
+  it("implements uploadParticipantAttributes with in-memory rows", async ()=>{
+    const participantId = "UnitTester";
+    const rows = [ { ID: participantId, gender: "X", notes: "In-memory notes" } ];
+    // ensure the participant doesn't exist to start with
+    await store.deleteParticipant(participantId).catch(()=>{});
+    try {
+      const counts = await store.uploadParticipantAttributes(
+        rows, 0, [ null, "participant_gender", "participant_notes" ]);
+      assert.equal(1, counts.created, "One participant created");
+      const participant = await store.getParticipant(
+        participantId, ["participant_gender", "participant_notes"]);
+      assert.equal(
+        participant.annotations["participant_notes"][0].label,
+        "In-memory notes", "Notes correct");
+    } finally {
+      await store.deleteParticipant(participantId);
+    }
+  });
+
+  it("rejects paths of files that don't exist", async ()=>{
+    for (let [call, expected] of [
+      [() => store.uploadParticipantAttributes(
+        "test/no-such.csv", 0, [ null, "participant_gender" ]),
+       "Invalid file: no-such.csv"],
+      [() => store.transcriptUpload("test/no-such-transcript.txt", false),
+       "Invalid transcript: no-such-transcript.txt"]]) {
+      try {
+        await call();
+        assert.fail("Missing file fails: " + expected);
+      } catch(error) {
+        assert.instanceOf(error, labbcat.LabbcatError);
+        assert.deepEqual(error.errors, [expected]);
+      }
+    } // next call
+  });
+
+  it("returns a Promise if onResult is null, even if onProgress is given", async ()=>{
+    const promise = store.saveMedia(
+      "no-such-transcript.txt", "test/no-such-media.wav", "", null, () => {});
+    assert.instanceOf(promise, Promise, "Promise is returned");
+    try {
+      await promise;
+      assert.fail("Missing media fails");
+    } catch(error) {
+      assert.instanceOf(error, labbcat.LabbcatError, "Promise is rejected");
+      assert.deepEqual(error.errors, ["Invalid media: no-such-media.wav"]);
+    }
+  });
+
   it("implements uploadTranscriptAttributes", (done)=>{
     const participantName = "UnitTester";
     const transcriptName = "labbcat-js.test.txt";
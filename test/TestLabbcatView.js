@@ -3,34 +3,50 @@
 /**
  * Unit tests for LabbcatView.
  * <p>These tests test the functionality of the client library, not the server. 
- * <p>They assume the existence of a valid LaBB-CAT instance (configured by
- * <var>labbcatUrl</var>) which responds correctly to requests, but do not generally test
- * that the server behaves correctly , nor assume specific corpus content. For the tests
+ * <p>They assume the existence of a valid LaBB-CAT instance (configured by the
+ * <var>LABBCAT_URL</var> environment variable) which responds correctly to requests -
+ * if LABBCAT_URL is not set, a mock server (MockLabbcat.js) is started instead. They do
+ * not generally test that the server behaves correctly , nor assume specific corpus
+ * content. For the tests
  * to work, the first graph listed in LaBB-CAT must have some words and some media, and
  * the first participant listed must have some transcripts. 
  */
 
 const assert = require('chai').assert;
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const labbcat = require('../nzilbb.labbcat');
+const MockLabbcat = require('./MockLabbcat');
+const zlib = require('zlib');
 
-// YOU MUST ENSURE THE FOLLOWING SETTINGS ARE VALID FOR YOU TEST LABB-CAT SERVER:
-const baseUrl = "http://localhost:8080/labbcat/";
-const username = "labbcat";
-const password = "labbcat";
+// YOU MUST ENSURE THE FOLLOWING SETTINGS ARE VALID FOR YOU TEST LABB-CAT SERVER,
+// or leave LABBCAT_URL unset to test against a mock server:
+let baseUrl = process.env.LABBCAT_URL; // e.g. "http://localhost:8080/labbcat/"
+const username = process.env.LABBCAT_USERNAME || "labbcat";
+const password = process.env.LABBCAT_PASSWORD || "labbcat";
 var store = null; 
+var mock = null;
 
 describe("#LabbcatView", function() {
   // waitForTask and getMatches can take a few seconds
   this.timeout(45000);
 
+  before(()=>{
+    if (!baseUrl) { // no LaBB-CAT server is configured, so test against a mock one
+      mock = new MockLabbcat(username, password);
+      return mock.start().then(url => baseUrl = url);
+    }
+  });
+  after(()=> mock && mock.stop());
+
   before((done)=>{
     store = new labbcat.LabbcatView(baseUrl, username, password);
     store.getId((id, errors, messages)=>{
       assert.isNull(
         errors, "\nCould not connect to LaBB-CAT."
           +"\nThese unit tests require a running LaBB-CAT server to test against."
-          +"\nPlease check the baseUrl variable refers to a running LaBB-CAT server.");
+          +"\nPlease check LABBCAT_URL refers to a running LaBB-CAT server.");
       done();
     });
   });
@@ -42,10 +58,15 @@ describe("#LabbcatView", function() {
   
   it("handles invalid credentials", (done)=>{
     let testStore = new labbcat.LabbcatView(baseUrl, username, "wrong password");
-    testStore.getId((id, errors, messages)=>{
+    testStore.getId((id, errors, messages, call, requestId, error)=>{
       assert.isNotNull(errors, "Requires username and password");
       assert.isTrue(errors[0].endsWith("401"),
                     "HTTP status is returned in error: " + JSON.stringify(errors));
+      assert.instanceOf(error, labbcat.AuthenticationError, "Error is typed");
+      assert.instanceOf(error, labbcat.LabbcatError, "Error is a LabbcatError");
+      assert.equal(error.status, 401, "Error has HTTP status");
+      assert.equal(error.call, "getId", "Error has call name");
+      assert.equal(error.url, baseUrl + "api/store/getId", "Error has request URL");
       done();
     });
   });
@@ -59,6 +80,182 @@ describe("#LabbcatView", function() {
     });
   });
   
+  it("returns a Promise if no callback is given", async ()=>{
+    const promise = store.getId();
+    assert.instanceOf(promise, Promise);
+    assert.equal(await promise, baseUrl);
+
+    const ids = await store.getMatchingTranscriptIds("/.+/.test(id)", 1, 0);
+    assert.isArray(ids);
+    assert.equal(ids.length, 1, "Optional parameters are still interpreted");
+
+    let testStore = new labbcat.LabbcatView(baseUrl, username, "wrong password");
+    let error = null;
+    try {
+      await testStore.getId();
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.LabbcatError, "Promise is rejected with errors");
+    assert.instanceOf(error, labbcat.AuthenticationError, "Rejection is typed");
+    assert.equal(error.call, "getId");
+    assert.isArray(error.errors);
+  });
+
+  it("supports a retry policy", async ()=>{
+    let testStore = new labbcat.LabbcatView(baseUrl, username, password);
+    assert.equal(testStore.retryPolicy.maxAttempts, 1, "Requests not retried by default");
+    testStore.retryPolicy = { maxAttempts: 3, initialDelay: 10 };
+    assert.equal(testStore.retryPolicy.maxAttempts, 3, "Setting is applied");
+    assert.equal(testStore.retryPolicy.initialDelay, 10, "Setting is applied");
+    assert.include(testStore.retryPolicy.retryStatuses, 503, "Default statuses are kept");
+    assert.notInclude(testStore.retryPolicy.retryMethods, "POST", "POST is not retried");
+    assert.equal(await testStore.getId(), baseUrl, "Requests still succeed");
+
+    // authentication failures are not transient, so are not retried
+    testStore = new labbcat.LabbcatView(baseUrl, username, "wrong password");
+    testStore.retryPolicy = { maxAttempts: 3, initialDelay: 10000 };
+    let error = null;
+    try {
+      await testStore.getId();
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.AuthenticationError, "Failure is returned immediately");
+  });
+
+  it("supports a custom transport", async ()=>{
+    assert.instanceOf(store.transport, labbcat.FetchTransport, "fetch is the default");
+    const requests = [];
+    const testStore = new labbcat.LabbcatView(baseUrl, username, password, {
+      transport: {
+        send: (request, onResponse)=>{
+          requests.push(request);
+          onResponse(null, {
+            status: 200, url: request.url, headers: {},
+            body: JSON.stringify({ model: { result: "canned" } }) });
+        }
+      }
+    });
+    assert.equal(await testStore.getId(), "canned", "Transport response is used");
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, "GET");
+    assert.equal(requests[0].url, baseUrl + "api/store/getId");
+    assert.isNotNull(requests[0].headers["Authorization"], "Credentials are sent");
+
+    const offline = new labbcat.LabbcatView(baseUrl, username, password, {
+      transport: { send: (request, onResponse)=>onResponse(new Error("offline")) }
+    });
+    let error = null;
+    try {
+      await offline.getId();
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.NetworkError, "Transport failure is a network error");
+  });
+
+  it("reports XhrTransport form failures", async ()=>{
+    const sent = [];
+    global.XMLHttpRequest = class { // only what XhrTransport uses
+      constructor() { this.upload = { addEventListener: ()=>{} }; }
+      open() {}
+      setRequestHeader() {}
+      addEventListener() {}
+      send(body) { sent.push(body); }
+    };
+    try {
+      const form = new labbcat.Form();
+      const stream = new (require("stream").Readable)({
+        read() { this.destroy(new Error("unreadable")); } });
+      assert.isTrue(form.appendFile("csv", stream, "upload.csv"));
+      const failure = await new Promise(resolve => new labbcat.XhrTransport().send(
+        { method: "POST", url: baseUrl + "api/edit/transcript/upload", headers: {},
+          body: form }, resolve));
+      assert.instanceOf(failure, Error, "Failure is reported");
+      assert.equal(failure.name, "NetworkError");
+      assert.equal(failure.message, "unreadable");
+      assert.equal(sent.length, 0, "Nothing is sent");
+    } finally {
+      delete global.XMLHttpRequest;
+    }
+  });
+
+  it("records and replays exchanges", async ()=>{
+    const fixtures = fs.mkdtempSync(path.join(os.tmpdir(), "labbcat-fixtures-"));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "labbcat-fragments-"));
+    // a session including a binary download and a multipart upload
+    const session = async (testStore)=>{
+      const id = await testStore.getId();
+      const transcriptId = (await testStore.getTranscriptIds())[0];
+      const fragments = await testStore.getSoundFragments([transcriptId], [0], [1], dir);
+      const wav = fs.readFileSync(fragments[0]);
+      const threadId = (await testStore.search({"orthography" : "i"}, null, false)).threadId;
+      await testStore.waitForTask(threadId, 30);
+      const matches = (await testStore.getMatches(threadId, 1)).matches;
+      await testStore.releaseTask(threadId);
+      const annotations = await testStore.getMatchAnnotations(
+        matches.slice(0, 2).map(match => match.MatchId), ["orthography"]);
+      return { id, wav, matches, annotations };
+    };
+    try {
+      const recorded = await session(new labbcat.LabbcatView(baseUrl, username, password, {
+        transport: new labbcat.RecordingTransport(fixtures)
+      }));
+      const files = fs.readdirSync(fixtures);
+      assert.isAtLeast(files.length, 7, "Exchanges were recorded");
+      const text = files.map(file => fs.readFileSync(path.join(fixtures, file), "utf8"));
+      const credentials = Buffer.from(username + ":" + password).toString("base64");
+      assert.isFalse(text.some(t => t.includes(credentials)), "Credentials are scrubbed");
+      assert.isTrue(text.some(t => t.includes('"[scrubbed]"')), "Authorization is scrubbed");
+      assert.isTrue(text.some(t => t.includes('"base64"')), "Binary response recorded");
+      assert.isTrue(text.some(t => t.includes('"form"')), "Multipart request recorded");
+
+      const replayStore = new labbcat.LabbcatView(baseUrl, username, "not the password", {
+        transport: new labbcat.ReplayTransport(fixtures)
+      });
+      const replayed = await session(replayStore);
+      assert.equal(replayed.id, recorded.id, "Replayed result");
+      assert.isTrue(replayed.wav.equals(recorded.wav), "Replayed binary response");
+      assert.deepEqual(replayed.matches, recorded.matches, "Replayed search");
+      assert.deepEqual(replayed.annotations, recorded.annotations, "Replayed upload");
+      let error = null;
+      try {
+        await replayStore.getLayerIds();
+      } catch(x) {
+        error = x;
+      }
+      assert.instanceOf(error, labbcat.NetworkError, "Unrecorded requests fail");
+    } finally {
+      fs.rmSync(fixtures, { recursive: true, force: true });
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("supports cancellation and timeouts", async ()=>{
+    assert.equal(await store.getId({ timeout: 30000 }), baseUrl, "Options are accepted");
+
+    const controller = new AbortController();
+    controller.abort();
+    let error = null;
+    try {
+      await store.getLayerIds({ signal: controller.signal });
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.CancelledError, "Cancelled request fails");
+    assert.equal(error.call, "getLayerIds");
+
+    // callbacks can be used with options too
+    await new Promise(resolve => {
+      store.getId((result, errors, messages, call, id, error)=>{
+        assert.isNull(result);
+        assert.instanceOf(error, labbcat.CancelledError, "Cancellation passed to callback");
+        resolve();
+      }, { signal: controller.signal });
+    });
+  });
+
   it("implements versionInfo", (done)=>{
     assert.equal(baseUrl + "api/store/", store.storeUrl);
     store.versionInfo((version, errors, messages)=>{
@@ -78,6 +275,19 @@ describe("#LabbcatView", function() {
       done();
     });
   });
+
+  it("reports getInfo failures", async ()=>{
+    const testStore = new labbcat.LabbcatView(baseUrl, username, "wrong password");
+    let error = null;
+    try {
+      await testStore.getInfo();
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.AuthenticationError, "Error page isn't the result");
+    assert.equal(error.status, 401);
+    assert.equal(error.call, "getInfo");
+  });
   
   it("implements getLayerIds", (done)=>{
     //labbcat.verbose = true;
@@ -109,6 +319,79 @@ describe("#LabbcatView", function() {
     });
   });
   
+  it("implements loadSchema", async ()=>{
+    const requests = [];
+    const transport = new labbcat.FetchTransport();
+    const testStore = new labbcat.LabbcatView(baseUrl, username, password, {
+      transport: { send: (request, onResponse) => {
+        requests.push(request.url);
+        transport.send(request, onResponse);
+      } }
+    });
+    const schema = await testStore.loadSchema();
+    assert.instanceOf(schema, labbcat.Schema);
+    assert.equal(schema.wordLayerId, "word", "Has word layer");
+    assert.include(
+      schema.ancestors("word").map(layer => layer.id), schema.turnLayerId, "Word in turn");
+    assert.include(
+      schema.transcriptAttributes().map(layer => layer.id), "transcript_type",
+      "Has transcript_type attribute");
+    assert.strictEqual(await testStore.loadSchema(), schema, "Schema is cached");
+    assert.equal(requests.length, 1, "Only one request");
+
+    // invalid layer IDs fail without a request
+    for (let call of [
+      () => testStore.search({ orthgraphy: "the" }),
+      () => testStore.getMatchAnnotations(
+        ["g_1;em_12_1;n_1-n_2;p_1;#=ew_0_1"], ["orthgraphy"]),
+      () => testStore.getFragments(["test.eaf"], [0], [1], ["orthgraphy"], "text/plain")]) {
+      let error = null;
+      try {
+        await call();
+      } catch(x) {
+        error = x;
+      }
+      assert.instanceOf(error, labbcat.LabbcatError, "Invalid layer ID fails");
+      assert.deepEqual(error.errors, ["Invalid layer ID: orthgraphy"]);
+    }
+    const error = await new Promise(resolve => testStore.search(
+      { orthgraphy: "the" },
+      (result, errors, messages, call, id, error) => resolve(error)));
+    assert.instanceOf(error, labbcat.LabbcatError, "Callbacks get the error too");
+    assert.deepEqual(error.errors, ["Invalid layer ID: orthgraphy"]);
+    assert.isTrue(requests.every(url => /\/getSchema/.test(url)),
+                  "No requests with invalid layer IDs, apart from the schema");
+    assert.equal(requests.length, 5, "Schema is reloaded once by each invalid call");
+  });
+  
+  it("reloads a cached schema that's missing a layer", async ()=>{
+    const requests = [];
+    let stale = true; // the first schema predates the orthography layer
+    const transport = new labbcat.FetchTransport();
+    const testStore = new labbcat.LabbcatView(baseUrl, username, password, {
+      transport: { send: (request, onResponse) => {
+        requests.push(request.url);
+        transport.send(request, (failure, response) => {
+          if (stale && /\/getSchema/.test(request.url)) {
+            stale = false;
+            const json = JSON.parse(response.body);
+            delete json.model.result.layers.orthography;
+            response.body = JSON.stringify(json);
+          }
+          onResponse(failure, response);
+        });
+      } }
+    });
+    assert.isNull((await testStore.loadSchema()).layer("orthography"), "Stale schema");
+    const response = await testStore.search({ orthography: "the" });
+    assert.isNotNull(response.threadId, "Search succeeds once the schema is reloaded");
+    await testStore.releaseTask(response.threadId);
+    assert.isNotNull((await testStore.loadSchema()).layer("orthography"),
+                     "Reloaded schema is cached");
+    assert.equal(requests.filter(url => /\/getSchema/.test(url)).length, 2,
+                 "Schema is reloaded once");
+  });
+  
   it("implements getCorpusIds", (done)=>{
     store.getCorpusIds((ids, errors, messages)=>{
       assert.isNull(errors);
@@ -392,6 +675,97 @@ describe("#LabbcatView", function() {
     });
   });
 
+  it("implements downloadMedia", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const wav = fs.readFileSync(path.join(__dirname, "labbcat-js.test.wav"));
+    const fileName = path.join(os.tmpdir(), "labbcat-js-downloadMedia.wav");
+    try {
+      const progress = [];
+      assert.equal(
+        await store.downloadMedia(transcriptId, "", "audio/wav", {
+          file: fileName, chunkSize: 30000, onProgress: p => progress.push(p) }),
+        fileName, "File name is returned");
+      assert.isTrue(wav.equals(fs.readFileSync(fileName)), "Media is downloaded");
+      assert.deepEqual(progress.map(p => p.loaded), [30000, 60000, 90000, wav.length],
+                       "Media is downloaded in chunks");
+      assert.isTrue(progress.every(p => p.total == wav.length), "Total is reported");
+
+      // resume an interrupted download
+      fs.truncateSync(fileName, 50000);
+      progress.length = 0;
+      await store.downloadMedia(transcriptId, "", "audio/wav", {
+        file: fileName, resume: true, chunkSize: 30000,
+        onProgress: p => progress.push(p) });
+      assert.isTrue(wav.equals(fs.readFileSync(fileName)), "Download is resumed");
+      assert.deepEqual(progress.map(p => p.loaded), [80000, wav.length],
+                       "Only the rest of the media is downloaded");
+      progress.length = 0;
+      await store.downloadMedia(transcriptId, "", "audio/wav", {
+        file: fileName, resume: true, onProgress: p => progress.push(p) });
+      assert.isTrue(wav.equals(fs.readFileSync(fileName)), "Complete file is unchanged");
+      assert.isEmpty(progress, "Complete file isn't downloaded again");
+    } finally {
+      fs.rmSync(fileName, { force: true });
+    }
+
+    // to a stream
+    const chunks = [];
+    const stream = new (require("stream").Writable)({
+      write: (chunk, encoding, callback) => { chunks.push(chunk); callback(); } });
+    assert.equal(
+      await store.downloadMedia(transcriptId, "", "audio/wav", { stream: stream }),
+      stream, "Stream is returned");
+    assert.isTrue(stream.writableEnded, "Stream is ended");
+    assert.isTrue(wav.equals(Buffer.concat(chunks)), "Media is written to the stream");
+
+    // an interval, to the default file
+    const fragment = await store.downloadMedia(
+      transcriptId, "", "audio/wav", { startOffset: 1.0, endOffset: 2.0 });
+    assert.equal(path.dirname(fragment), os.tmpdir(), "Default file is temporary");
+    const data = fs.readFileSync(fragment);
+    fs.unlinkSync(fragment);
+    assert.equal(data.toString("latin1", 0, 4), "RIFF", "Fragment is a wav file");
+    assert.isBelow(data.length, wav.length, "Fragment is shorter than the recording");
+
+    try {
+      await store.downloadMedia(transcriptId, "", "video/mp4");
+      assert.fail("Nonexistent media fails");
+    } catch(error) {
+      assert.instanceOf(error, labbcat.NotFoundError, "Nonexistent media not found");
+    }
+  });
+
+  it("handles servers that stop honouring ranges during downloadMedia", async ()=>{
+    if (!mock) return; // only the mock server can be told to ignore ranges
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const wav = fs.readFileSync(path.join(__dirname, "labbcat-js.test.wav"));
+    const fileName = path.join(os.tmpdir(), "labbcat-js-ignoredRange.wav");
+    try {
+      mock.rangeRequests = 1;
+      await store.downloadMedia(
+        transcriptId, "", "audio/wav", { file: fileName, chunkSize: 30000 });
+      assert.isTrue(wav.equals(fs.readFileSync(fileName)), "File is started again");
+
+      // what's been written to a stream can't be taken back
+      mock.rangeRequests = 1;
+      const chunks = [];
+      const stream = new (require("stream").Writable)({
+        write: (chunk, encoding, callback) => { chunks.push(chunk); callback(); } });
+      try {
+        await store.downloadMedia(
+          transcriptId, "", "audio/wav", { stream: stream, chunkSize: 30000 });
+        assert.fail("Download to a stream fails");
+      } catch(error) {
+        assert.instanceOf(error, labbcat.LabbcatError, "Download to a stream fails");
+        assert.equal(Buffer.concat(chunks).length, 30000,
+                     "Only the first chunk is written");
+      }
+    } finally {
+      mock.rangeRequests = Infinity;
+      fs.rmSync(fileName, { force: true });
+    }
+  });
+
   it("implements getLayer", (done)=>{
     store.getLayer("orthography", (layer, errors, messages)=>{
       assert.isNull(errors);
@@ -453,6 +827,72 @@ describe("#LabbcatView", function() {
       });
   });
   
+  it("implements async iterators", async ()=>{
+    const expression = "layer.id == 'orthography' && label == 'and'";
+    const all = await store.getMatchingAnnotations(expression);
+    assert.isAtLeast(all.length, 2, "There are enough annotations to test paging");
+    const iterated = [];
+    for await (const annotation of store.iterateMatchingAnnotations(
+      expression, { pageLength: 1 })) {
+      iterated.push(annotation);
+    }
+    assert.deepEqual(iterated, all, "Pages are fetched until there are no more");
+    
+    const participantIds = [];
+    for await (const id of store.iterateMatchingParticipantIds(
+      "/.+/.test(id)", { pageLength: 1, prefetch: true })) {
+      participantIds.push(id);
+    }
+    assert.deepEqual(
+      participantIds, await store.getMatchingParticipantIds("/.+/.test(id)"),
+      "Prefetching returns the same items");
+
+    const transcriptId = (await store.getMatchingTranscriptIds("/.+/.test(id)", 1, 0))[0];
+    const utterances = [];
+    for await (const utterance of store.iterateAnnotations(
+      transcriptId, "utterance", { pageLength: 2 })) {
+      utterances.push(utterance.id);
+    }
+    assert.equal(
+      utterances.length, await store.countAnnotations(transcriptId, "utterance"),
+      "All annotations iterated");
+
+    // cancellation
+    const controller = new AbortController();
+    const cancelled = [];
+    let error = null;
+    try {
+      for await (const annotation of store.iterateMatchingAnnotations(
+        expression, { pageLength: 1, signal: controller.signal })) {
+        cancelled.push(annotation);
+        controller.abort();
+      }
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.CancelledError, "Iteration is cancelled");
+    assert.equal(cancelled.length, 1, "No more pages after cancellation");
+  });
+
+  it("builds a Graph from getTranscript", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const graph = new labbcat.Graph(
+      await store.getTranscript(transcriptId, ["utterance", "word", "segment"]),
+      await store.getLayers());
+    assert.equal(graph.id, transcriptId);
+    const words = graph.all("word");
+    assert.isNotEmpty(words, "Some words are returned");
+    const word = words[0];
+    assert.isNotNull(word.start.offset, "Word is aligned");
+    assert.equal(word.first("turn").id, word.parentId, "Word is in a turn");
+    assert.isNotNull(word.first("utterance"), "Word is in an utterance");
+    assert.isTrue(word.first("utterance").includes(word), "Utterance includes word");
+    for (let segment of word.all("segment")) {
+      assert.isTrue(word.includes(segment), "Word includes segment");
+      assert.strictEqual(segment.parent, word, "Segment is linked to word");
+    }
+  });
+
   it("implements getMediaTracks", (done)=>{
     store.getMediaTracks((tracks, errors, messages)=> {
       assert.isNull(errors);
@@ -523,12 +963,12 @@ describe("#LabbcatView", function() {
         
         store.getTasks((tasks, errors, messages)=>{
           assert.isNull(errors, JSON.stringify(errors))
-          assert.isArray(tasks);
+          assert.isObject(tasks);
           // not sure what we expect, but let's just print out what we got
-          if (tasks.length == 0) {
+          if (Object.keys(tasks).length == 0) {
             console.warn("There are no tasks, can't test for well-formed response.");
           } else {
-            const firstTaskId = tasks[0];
+            const firstTaskId = Object.keys(tasks)[0];
             assert.isFalse(isNaN(firstTaskId));
           }
           done();
@@ -652,6 +1092,410 @@ describe("#LabbcatView", function() {
     });
   });
   
+  it("implements search with a SearchPattern", async ()=>{
+    let error = null;
+    try {
+      await store.search(new labbcat.SearchPattern()
+                         .column().layer("orthography").max(2)
+                         .column().layer("orthgraphy").matches("the"));
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.LabbcatError, "Invalid pattern fails");
+    assert.deepEqual(error.errors, [
+      "Layer is not numeric, so min/max cannot be used: orthography",
+      "Invalid layer ID: orthgraphy"]);
+
+    const response = await store.search(
+      new labbcat.SearchPattern().column().layer("orthography").matches(".*"), null, false);
+    assert.isNotNull(response.threadId, "Search started");
+    await store.waitForTask(response.threadId, 30);
+    const result = await store.getMatches(response.threadId);
+    assert.isNotEmpty(result.matches, "Some matches are returned");
+    await store.releaseTask(response.threadId);
+  });
+  
+  it("implements searchAndCollect and iterateSearch", async ()=>{
+    const pattern = { orthography: ".*" };
+    const progress = [];
+    const matches = await store.searchAndCollect(pattern, {
+      mainParticipantOnly: false, wordsContext: 1, pageLength: 2,
+      onProgress: task => progress.push(task) });
+    assert.isNotEmpty(matches, "Some matches are returned");
+    assert.containsAllKeys(
+      matches[0], ["MatchId", "Transcript", "Text"], "Looks like a match");
+    assert.isNotEmpty(progress, "Progress is reported");
+    const threadId = progress[0].threadId;
+    assert.isFalse(progress[progress.length - 1].running, "Search finished");
+    let error = null;
+    try {
+      await store.taskStatus(threadId);
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.NotFoundError, "Task is released");
+
+    // streaming, with cancellation
+    const controller = new AbortController();
+    const streamed = [];
+    let streamThreadId = null;
+    error = null;
+    try {
+      for await (const match of store.iterateSearch(pattern, {
+        mainParticipantOnly: false, pageLength: 1, signal: controller.signal,
+        onProgress: task => streamThreadId = task.threadId })) {
+        streamed.push(match);
+        controller.abort();
+      }
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.CancelledError, "Iteration is cancelled");
+    assert.equal(streamed.length, 1, "No more matches after cancellation");
+    error = null;
+    try {
+      await store.taskStatus(streamThreadId);
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.NotFoundError, "Cancelled task is released");
+
+    // invalid pattern
+    error = null;
+    try {
+      await store.searchAndCollect({ orthgraphy: "the" });
+    } catch(x) {
+      error = x;
+    }
+    assert.instanceOf(error, labbcat.LabbcatError, "Invalid search fails");
+    assert.deepEqual(error.errors, ["Invalid layer ID: orthgraphy"]);
+  });
+  
+  it("implements TaskMonitor", async ()=>{
+    if (mock) mock.taskPolls = 3; // tasks take a few polls to finish
+    try {
+      const monitor = new labbcat.TaskMonitor(store, { initialInterval: 50 });
+      const events = [];
+      for (let type of ["progress", "done", "failed", "cancelled"]) {
+        monitor.addEventListener(type, event => events.push(event));
+      }
+      const pattern = { orthography: ".*" };
+      const threadIds = [
+        (await store.search(pattern, null, false)).threadId,
+        (await store.search(pattern, null, false)).threadId];
+      const tasks = await Promise.all(threadIds.map(threadId => monitor.watch(threadId)));
+      for (let task of tasks) assert.isFalse(task.running, "Task finished");
+      assert.isEmpty(monitor.watching, "Not watching finished tasks");
+      for (let threadId of threadIds) {
+        const progress = events.filter(
+          e => e.type == "progress" && e.threadId == threadId);
+        assert.isNotEmpty(progress, "Progress is reported for " + threadId);
+        assert.instanceOf(progress[0], labbcat.TaskEvent);
+        assert.equal(progress[progress.length - 1].task.percentComplete, 100, "Complete");
+        assert.equal(events.filter(e => e.type == "done" && e.threadId == threadId).length,
+                     1, "Done once for " + threadId);
+        await store.releaseTask(threadId);
+      }
+
+      // a task that doesn't exist fails
+      let error = null;
+      try {
+        await monitor.watch("nonexistent");
+      } catch(x) {
+        error = x;
+      }
+      assert.instanceOf(error, labbcat.LabbcatError, "Watching nonexistent task fails");
+      assert.strictEqual(events[events.length - 1].error, error, "Failure is dispatched");
+      assert.equal(events[events.length - 1].type, "failed");
+
+      if (mock) { // a task that takes too long is cancelled
+        mock.taskPolls = 1000;
+        const threadId = (await store.search(pattern, null, false)).threadId;
+        error = null;
+        try {
+          await monitor.watch(threadId, { timeout: 300, cancelOnTimeout: true });
+        } catch(x) {
+          error = x;
+        }
+        assert.instanceOf(error, labbcat.TimeoutError, "Task times out");
+        assert.equal(
+          events[events.length - 1].type, "cancelled", "Cancellation is dispatched");
+        assert.isFalse((await store.taskStatus(threadId)).running, "Task was cancelled");
+        await store.releaseTask(threadId);
+      }
+    } finally {
+      if (mock) mock.taskPolls = 0;
+    }
+  });
+  
+  it("implements exportMatches", async ()=>{
+    const response = await store.search({ orthography: ".*" }, null, false);
+    const threadId = response.threadId;
+    try {
+      await store.waitForTask(threadId, 30);
+      const fileName = path.join(os.tmpdir(), "labbcat-js-exportMatches.csv");
+      const csv = await store.exportMatches(
+        threadId, ["orthography", "word"], { fileName: fileName });
+      assert.equal(csv, fileName, "File name is returned");
+      const lines = fs.readFileSync(fileName, "utf-8").trim().split("\n");
+      fs.unlinkSync(fileName);
+      assert.equal(
+        lines[0],
+        "Title,DataVersion,SearchName,Number,Transcript,Speaker,Line,LineEnd,MatchId,URL,"
+          +"Before Match,Text,After Match,orthography,word,word start,word end",
+        "Columns are the same as LaBB-CAT's");
+      const matches = (await store.getMatches(threadId)).matches;
+      assert.equal(lines.length, matches.length + 1, "One row per match");
+      assert.include(lines[1], matches[0].MatchId, "Row includes MatchId");
+
+      // the file can be uploaded as results
+      const exported = await store.exportMatches(matches.slice(0, 2), ["orthography"]);
+      const upload = await store.resultsUpload(exported);
+      fs.unlinkSync(exported);
+      await store.waitForTask(upload.threadId, 30);
+      const uploaded = (await store.getMatches(upload.threadId)).matches;
+      await store.releaseTask(upload.threadId);
+      assert.deepEqual(uploaded.map(match => match.MatchId),
+                       matches.slice(0, 2).map(match => match.MatchId),
+                       "Exported matches can be uploaded");
+    } finally {
+      await store.releaseTask(threadId);
+    }
+  });
+  
+  it("accepts in-memory results for resultsUpload", async ()=>{
+    const response = await store.search({ orthography: ".*" }, null, false);
+    const threadId = response.threadId;
+    try {
+      await store.waitForTask(threadId, 30);
+      const matchIds = (await store.getMatches(threadId)).matches
+            .slice(0, 3).map(match => match.MatchId);
+      const uploadedIds = async (results) => {
+        const upload = await store.resultsUpload(results);
+        try {
+          await store.waitForTask(upload.threadId, 30);
+          return (await store.getMatches(upload.threadId)).matches
+            .map(match => match.MatchId);
+        } finally {
+          await store.releaseTask(upload.threadId);
+        }
+      };
+      assert.deepEqual(
+        await uploadedIds(
+          matchIds.map(id => ({ Text: "a \"quoted\", match", MatchId: id }))),
+        matchIds, "Array of row objects");
+      assert.deepEqual(
+        await uploadedIds([ ["MatchId"] ].concat(matchIds.map(id => [id]))),
+        matchIds, "Array of row arrays");
+      const csv = "MatchId\n" + matchIds.join("\n") + "\n";
+      assert.deepEqual(await uploadedIds(csv), matchIds, "CSV string");
+      assert.deepEqual(await uploadedIds(Buffer.from(csv)), matchIds, "Buffer");
+      assert.deepEqual(await uploadedIds(require("stream").Readable.from([csv])),
+                       matchIds, "Stream");
+    } finally {
+      await store.releaseTask(threadId);
+    }
+  });
+  
+  it("implements intervalAnnotations and getIntervalAnnotations", async ()=>{
+    const response = await store.search({ orthography: ".*" }, null, false);
+    let matches = null;
+    try {
+      await store.waitForTask(response.threadId, 30);
+      matches = (await store.getMatches(response.threadId)).matches.slice(0, 2);
+    } finally {
+      await store.releaseTask(response.threadId);
+    }
+    const intervals = matches.map(match => ({
+      transcript: match.Transcript, participant: match.Participant,
+      start: match.Line, end: match.LineEnd, note: "pass, through" }));
+    const task = await store.intervalAnnotations(
+      intervals, 0, 1, 2, 3, ["orthography"], true, "_", "entire");
+    assert.isNotNull(task.threadId, "threadId is returned");
+    const fileName = path.join(os.tmpdir(), "labbcat-js-intervals.csv");
+    const csv = await store.getIntervalAnnotations(task.threadId, fileName);
+    assert.equal(csv, fileName, "File name is returned");
+    const lines = fs.readFileSync(fileName, "utf-8").trim().split("\n");
+    fs.unlinkSync(fileName);
+    assert.equal(lines[0], "transcript,participant,start,end,note,orthography",
+                 "Data is passed through, and there's a column for the layer");
+    assert.equal(lines.length, matches.length + 1, "One row per interval");
+    assert.include(lines[1], '"pass, through"', "Row includes pass-through data");
+    assert.include(lines[1].split(",").pop().split("_"), matches[0].Text.toLowerCase(),
+                   "Row includes the labels in the interval");
+    try {
+      await store.taskStatus(task.threadId);
+      assert.fail("Task is released");
+    } catch(error) {
+      assert.instanceOf(error, labbcat.NotFoundError, "Task is released");
+    }
+
+    // a single layer ID, and the default file name
+    const task2 = await store.intervalAnnotations(intervals, 0, 1, 2, 3, "orthography");
+    const defaultFile = await store.getIntervalAnnotations(task2.threadId);
+    assert.equal(path.dirname(defaultFile), os.tmpdir(), "Default file is temporary");
+    assert.equal(fs.readFileSync(defaultFile, "utf-8").split("\n")[0],
+                 "transcript,participant,start,end,orthography", "No pass-through data");
+    fs.unlinkSync(defaultFile);
+
+    // some optional parameters omitted
+    const task3 = await store.intervalAnnotations(
+      intervals, 0, 1, 2, 3, ["orthography"], true);
+    const partialFile = await store.getIntervalAnnotations(task3.threadId);
+    const partialLines = fs.readFileSync(partialFile, "utf-8").trim().split("\n");
+    fs.unlinkSync(partialFile);
+    assert.equal(partialLines[0], lines[0], "Data is passed through");
+    assert.equal(partialLines[1].split(",").pop(),
+                 lines[1].split(",").pop().split("_").join(" "),
+                 "Omitted labelDelimiter defaults to a space");
+  });
+  
+  it("implements praat and getTaskResult", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const participantId = (await store.getParticipantIds())[0];
+    const intervals = [
+      { transcript: transcriptId, participant: participantId, start: 1.0, end: 1.5 },
+      { transcript: transcriptId, participant: participantId, start: 2.0, end: 2.0 },
+      { transcript: "007", participant: "007", start: 1.0, end: 1.5 } ];
+    const task = await store.praat(intervals, 0, 1, 2, 3, 0.025, false, {
+      extractF1: true, extractF2: true, samplePoints: "0.5", extractMeanPitch: true });
+    assert.isNotNull(task.threadId, "threadId is returned");
+    try {
+      let rows = await store.getTaskResult(task.threadId, { as: "rows" });
+      assert.equal(rows.length, 3, "One row per interval");
+      assert.isString(rows[0].transcript, "Text columns are strings");
+      assert.isString(rows[0].start, "Input columns are strings");
+      assert.strictEqual(rows[2].participant, "007", "IDs aren't converted to numbers");
+      assert.isNumber(rows[0]["F1-time_0.5"], "F1 is a number");
+      assert.isNumber(rows[0]["F2-time_0.5"], "F2 is a number");
+      assert.isNumber(rows[0].meanPitch, "Pitch is a number");
+      assert.isNull(rows[1]["F1-time_0.5"], "Unmeasurable values are null");
+      assert.strictEqual(rows[0].Error, "", "Blank text column is a string");
+
+      rows = await store.getTaskResult(
+        task.threadId, { as: "rows", numbers: [ "start", "end" ] });
+      assert.strictEqual(rows[0].start, 1, "Chosen columns are numbers");
+      assert.strictEqual(rows[0].end, 1.5, "Chosen columns are numbers");
+      assert.isString(rows[0]["F1-time_0.5"], "Other columns are strings");
+
+      const fileName = await store.getTaskResult(task.threadId);
+      const lines = fs.readFileSync(fileName, "utf-8").trim().split("\n");
+      fs.unlinkSync(fileName);
+      assert.equal(path.dirname(fileName), os.tmpdir(), "Default file is temporary");
+      assert.equal(
+        lines[0], "transcript,participant,start,end,Error,time_0.5,F1-time_0.5,"
+          +"F2-time_0.5,meanPitch", "CSV file is saved");
+
+      const bodies = [];
+      const transport = new labbcat.FetchTransport();
+      const streamingStore = new labbcat.LabbcatView(baseUrl, username, password, {
+        transport: { send: (request, onResponse) => transport.send(
+          request, (failure, response) => {
+            if (response) bodies.push(response.body);
+            onResponse(failure, response);
+          }) } });
+      const chunks = [];
+      for await (const chunk of await streamingStore.getTaskResult(
+        task.threadId, { as: "stream" })) {
+        chunks.push(chunk);
+      }
+      assert.equal(Buffer.concat(chunks).toString("utf-8").trim().split("\n")[0],
+                   lines[0], "Stream has the content");
+      assert.instanceOf(bodies[bodies.length - 1], ReadableStream,
+                        "Response is streamed, not buffered");
+
+      try {
+        await store.getTaskResult(task.threadId, { as: "json" });
+        assert.fail("Invalid as value fails");
+      } catch(error) {
+        assert.instanceOf(error, labbcat.LabbcatError);
+        assert.include(error.message, "Invalid value for as: json");
+      }
+    } finally {
+      await store.releaseTask(task.threadId);
+    }
+
+    // a task with no result
+    const response = await store.search({ orthography: "the" }, null, false);
+    try {
+      await store.getTaskResult(response.threadId);
+      assert.fail("Task with no result fails");
+    } catch(error) {
+      assert.instanceOf(error, labbcat.LabbcatError);
+      assert.include(error.message, "No result for task");
+    } finally {
+      await store.releaseTask(response.threadId);
+    }
+  });
+  
+  it("checks praat measurement parameters before uploading", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const participantId = (await store.getParticipantIds())[0];
+    const intervals = [
+      { transcript: transcriptId, participant: participantId, start: 1.0, end: 1.5 } ];
+    for (let [parameters, expected] of [
+      [{ extractF1: true, extractF4: true }, "Unknown measurement parameter: extractF4"],
+      [labbcat.PraatMeasurements.vowelFormants("participant_gendr"),
+       "Invalid layer ID: participant_gendr"]]) {
+      try {
+        await store.praat(intervals, 0, 1, 2, 3, 0.025, false, parameters);
+        assert.fail("Invalid parameters fail: " + expected);
+      } catch(error) {
+        assert.instanceOf(error, labbcat.LabbcatError);
+        assert.deepEqual(error.errors, [expected]);
+      }
+    } // next case
+    const error = await new Promise(resolve => store.praat(
+      intervals, 0, 1, 2, 3, 0.025, false, { extractF4: true },
+      (result, errors, messages, call, id, error) => resolve(error)));
+    assert.instanceOf(error, labbcat.LabbcatError, "Callbacks get the error too");
+    
+    const task = await store.praat(
+      intervals, 0, 1, 2, 3, 0.025, false, labbcat.PraatMeasurements.vowelFormants());
+    try {
+      const rows = await store.getTaskResult(task.threadId, { as: "rows" });
+      assert.isNumber(rows[0]["F1-time_0.5"], "PraatMeasurements are sent");
+    } finally {
+      await store.releaseTask(task.threadId);
+    }
+  });
+  
+  it("implements praatMatches", async ()=>{
+    const matches = (await store.searchAndCollect({ orthography: ".*" })).slice(0, 3);
+    const measured = await store.praatMatches(
+      matches, labbcat.PraatMeasurements.vowelFormants(), { layerId: "segment" });
+    assert.equal(measured.length, matches.length, "One result per match");
+    const segments = await store.getMatchAnnotations(matches, ["segment"]);
+    measured.forEach((match, m) => {
+      assert.equal(match.MatchId, matches[m].MatchId, "Results are in order");
+      assert.isUndefined(matches[m]["F1-time_0.5"], "Matches aren't changed");
+      assert.strictEqual(match.Error, "", "No error");
+      assert.isNumber(match["F1-time_0.5"], "F1 is a number");
+      const segment = segments[m].segment[0];
+      assert.closeTo(match["time_0.5"], (segment.start.offset + segment.end.offset) / 2,
+                     0.001, "Segment is measured");
+    });
+
+    // utterance intervals, explicit intervals, and unmeasurable matches
+    const mixed = await store.praatMatches([
+      matches[0],
+      { transcript: matches[1].Transcript, participant: matches[1].Participant,
+        start: 1.0, end: 2.0 },
+      { transcript: matches[2].Transcript }
+    ], { extractMeanPitch: true });
+    assert.closeTo(mixed[0].meanPitch, 120 + matches[0].LineEnd - matches[0].Line, 0.001,
+                   "Utterance is measured");
+    assert.closeTo(mixed[1].meanPitch, 121, 0.001, "Given interval is measured");
+    assert.equal(mixed[2].Error, "No interval to measure");
+
+    try {
+      await store.praatMatches(matches, { extractF4: true });
+      assert.fail("Invalid measurement parameters fail");
+    } catch(error) {
+      assert.deepEqual(error.errors, ["Unknown measurement parameter: extractF4"]);
+    }
+  });
+  
   it("implements search, getMatches and getMatchAnnotations", (done)=>{
     // get a participant ID to use
     store.getParticipantIds((ids, errors, messages)=>{
@@ -1078,6 +1922,145 @@ describe("#LabbcatView", function() {
     });
   });
 
+  it("downloads fragments concurrently", async ()=>{
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const transcriptIds = [ transcriptId, transcriptId, transcriptId, transcriptId ];
+    const startOffsets = [ 1.0, 2.0, 3.0, 4.0 ];
+    const endOffsets = [ 1.5, 2.5, 3.5, 4.5 ];
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "labbcat-concurrent-"));
+    try {
+      const progress = [];
+      const wavs = await store.getSoundFragments(
+        transcriptIds, startOffsets, endOffsets,
+        { dir: dir, concurrency: 3, onProgress: p => progress.push(p) });
+      assert.equal(wavs.length, 4, "One file per fragment");
+      for (let i = 0; i < wavs.length; i++) {
+        assert.equal(path.basename(wavs[i]),
+                     transcriptId.replace(/\.[^.]*$/, "")
+                     + "__" + startOffsets[i].toFixed(3) + "-" + endOffsets[i].toFixed(3)
+                     + ".wav", "Files are in the same order as the fragments");
+        assert.isTrue(fs.existsSync(wavs[i]), "File exists: " + wavs[i]);
+      }
+      assert.equal(progress.length, 4, "Progress is reported for each fragment");
+      assert.deepEqual(progress.map(p => p.completed), [1, 2, 3, 4], "completed counts");
+      assert.isTrue(progress.every(p => p.total == 4 && !p.skipped && !p.error));
+      assert.sameMembers(progress.map(p => p.index), [0, 1, 2, 3]);
+
+      // existing files are not downloaded again
+      const skipped = [];
+      assert.deepEqual(
+        await store.getSoundFragments(
+          transcriptIds, startOffsets, endOffsets,
+          { dir: dir, skipExisting: true, onProgress: p => skipped.push(p) }),
+        wavs, "Existing files are returned");
+      assert.isTrue(skipped.every(p => p.skipped), "Existing files are skipped");
+
+      // one bad fragment doesn't prevent the others from downloading
+      try {
+        await store.getSoundFragments(
+          [ transcriptId, "nonexistent.wav", transcriptId ], startOffsets.slice(0, 3),
+          endOffsets.slice(0, 3),
+          { dir: dir, concurrency: 2 });
+        assert.fail("Failed fragment fails the call");
+      } catch(error) {
+        assert.instanceOf(error, labbcat.NotFoundError, "Error is for the status");
+        assert.isNull(error.result[1], "Failed fragment is null");
+        assert.equal(error.result[0], wavs[0], "Earlier fragment is downloaded");
+        assert.equal(error.result[2], wavs[2], "Later fragment is downloaded");
+        assert.isNull(error.failures[0], "No failure for successful fragment");
+        assert.instanceOf(error.failures[1], labbcat.LabbcatError, "Failure is listed");
+        assert.equal(error.failures[1].id, 1, "Failure has the fragment index");
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("implements getFragmentsZip", async ()=>{
+    // the files in a ZIP archive, checked against their CRCs
+    const unzip = archive => {
+      const files = {};
+      for (let offset = 0; archive.readUInt32LE(offset) == 0x04034b50; ) {
+        const size = archive.readUInt32LE(offset + 22);
+        const nameLength = archive.readUInt16LE(offset + 26);
+        const start = offset + 30 + nameLength + archive.readUInt16LE(offset + 28);
+        const stored = archive.subarray(start, start + archive.readUInt32LE(offset + 18));
+        const data = archive.readUInt16LE(offset + 8) ? // compression method
+          zlib.inflateRawSync(stored) : stored;
+        assert.equal(data.length, size, "Size is correct");
+        let crc = 0xFFFFFFFF;
+        for (let byte of data) {
+          crc ^= byte;
+          for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+          }
+        }
+        assert.equal((crc ^ 0xFFFFFFFF) >>> 0, archive.readUInt32LE(offset + 14),
+                     "CRC is correct");
+        files[archive.toString("utf8", offset + 30, offset + 30 + nameLength)] = data;
+        offset = start + stored.length;
+      }
+      return files;
+    };
+    const transcriptId = (await store.getTranscriptIds())[0];
+    const stem = transcriptId.replace(/\.[^.]*$/, "");
+    const matches = [
+      { MatchId: "g_1;em_12_1;n_1-n_2;p_1;#=ew_0_1;[0]=ew_0_1", Transcript: transcriptId,
+        Line: 1.0, LineEnd: 1.5 },
+      { MatchId: "g_1;em_12_2;n_3-n_4;p_1;#=ew_0_2;[0]=ew_0_2", Transcript: transcriptId,
+        Line: 2.0, LineEnd: 2.5 } ];
+    matches.push(matches[0]); // a repeated fragment
+    const fileName = path.join(os.tmpdir(), "labbcat-js-fragments.zip");
+    try {
+      assert.equal(
+        await store.getFragmentsZip(matches, {
+          mimeTypes: [ "audio/wav", "text/praat-textgrid" ], layerIds: [ "orthography" ],
+          file: fileName }),
+        fileName, "File name is returned");
+      const files = unzip(fs.readFileSync(fileName));
+      assert.deepEqual(Object.keys(files), [
+        stem + "__1.000-1.500.wav", stem + "__2.000-2.500.wav",
+        stem + "__1.000-1.500.TextGrid", stem + "__2.000-2.500.TextGrid",
+        "manifest.csv" ], "Each fragment is archived once, with a manifest");
+      assert.equal(files[stem + "__1.000-1.500.wav"].toString("latin1", 0, 4), "RIFF");
+      assert.include(files[stem + "__1.000-1.500.TextGrid"].toString(), "orthography");
+      const manifest = files["manifest.csv"].toString().trim().split("\n");
+      assert.equal(manifest[0], "file,MatchId,transcript,start,end,mimeType,error");
+      assert.equal(manifest.length, 7, "A row for each fragment in each format");
+      assert.equal(manifest[3], `${stem}__1.000-1.500.wav,${matches[0].MatchId},`
+                   + `${transcriptId},1,1.5,audio/wav,`, "Rows map files to matches");
+      assert.equal(manifest[5].split(",")[0], stem + "__2.000-2.500.TextGrid");
+
+      // without server support, fragments are downloaded individually, and zipped here
+      if (mock) {
+        mock.zipFragments = false;
+        try {
+          await store.getFragmentsZip(
+            [ transcriptId, "nonexistent.wav" ], [ 1.0, 2.0 ], [ 1.5, 2.5 ],
+            { matchIds: [ "m1", "m2" ], file: fileName });
+          assert.fail("Failed fragment fails the call");
+        } catch(error) {
+          assert.instanceOf(error, labbcat.NotFoundError, "Error is for the status");
+          assert.equal(error.result, fileName, "Archive is still produced");
+          assert.isNull(error.failures[0], "No failure for successful fragment");
+          assert.instanceOf(error.failures[1], labbcat.LabbcatError, "Failure is listed");
+        }
+        const zipped = unzip(fs.readFileSync(fileName));
+        assert.deepEqual(Object.keys(zipped),
+                         [ stem + "__1.000-1.500.wav", "manifest.csv" ]);
+        assert.isTrue(zipped[stem + "__1.000-1.500.wav"].equals(
+          files[stem + "__1.000-1.500.wav"]), "Fragment is the same as the server's");
+        const rows = zipped["manifest.csv"].toString().trim().split("\n");
+        assert.match(rows[1], /,m1,.*,$/, "No error for successful fragment");
+        assert.match(rows[2], /^,m2,nonexistent.wav,2,2.5,audio\/wav,.+/,
+                     "Failed fragment has no file, and an error");
+      }
+    } finally {
+      if (mock) mock.zipFragments = true;
+      fs.rmSync(fileName, { force: true });
+    }
+  });
+
   it("implements getFragments", (done)=>{
     // get a participant ID to use
     store.getParticipantIds((ids, errors, messages)=>{
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Unit tests for PraatMeasurements.
+ * <p>These tests don't require a LaBB-CAT server.
+ */
+
+const assert = require('chai').assert;
+const labbcat = require('../nzilbb.labbcat');
+
+const { schema } = require('./fixtures');
+
+describe("#PraatMeasurements", ()=>{
+
+  it("builds measurement parameters", ()=>{
+    const measurements = new labbcat.PraatMeasurements()
+          .formants([1, 2], [0.25, 0.5, 0.75])
+          .differentiateBy("participant_gender")
+          .formantCeiling(5500)
+          .formantCeiling(5000, "M")
+          .pitch(["mean"])
+          .intensity()
+          .set("fastTrackCoefficients", "false");
+    assert.deepEqual(measurements.toJSON(), {
+      extractF1: true, extractF2: true, samplePoints: "0.25 0.5 0.75",
+      formantCeilingDefault: 5500,
+      formantDifferentiationLayerId: "participant_gender",
+      formantOtherPattern: ["M"], formantCeilingOther: [5000],
+      extractMeanPitch: true, extractMaximumIntensity: true,
+      fastTrackCoefficients: "false" });
+    assert.deepEqual(measurements.validate(schema), []);
+  });
+
+  it("requires differentiateBy before patterns", ()=>{
+    assert.throws(() => new labbcat.PraatMeasurements().formantCeiling(5000, "M"),
+                  /differentiateBy\(\) must be called/);
+    assert.throws(() => new labbcat.PraatMeasurements().pitch(["median"]),
+                  /invalid pitch statistic: median/);
+  });
+
+  it("has presets", ()=>{
+    for (let preset of ["vowelFormants", "fastTrackFormants", "pitchSummary",
+                        "sibilantCOG"]) {
+      assert.deepEqual(
+        labbcat.PraatMeasurements[preset]().validate(schema), [], preset);
+    }
+    const fastTrack = labbcat.PraatMeasurements.fastTrackFormants().toJSON();
+    assert.isTrue(fastTrack.useFastTrack);
+    assert.deepEqual(fastTrack.fastTrackOtherPattern, ["M"]);
+    assert.deepEqual(fastTrack.fastTrackLowestAnalysisFrequencyOther, [4500]);
+    assert.deepEqual(fastTrack.fastTrackHighestAnalysisFrequencyOther, [6500]);
+    const pitch = labbcat.PraatMeasurements.pitchSummary(null).toJSON();
+    assert.isTrue(pitch.extractMinimumPitch && pitch.extractMeanPitch
+                  && pitch.extractMaximumPitch);
+    assert.isUndefined(pitch.pitchOtherPattern, "No differentiation");
+    assert.deepEqual(labbcat.PraatMeasurements.sibilantCOG().toJSON(), {
+      extractCOG1: true, extractCOG2: true, extractCOG23: true });
+  });
+
+  it("rejects unknown parameters and invalid values", ()=>{
+    assert.deepEqual(
+      new labbcat.PraatMeasurements({
+        extractF1: true, extractF4: true, formantCeilingDefault: "high",
+        samplePoints: "0.5 1.5", fastTrackEnableRhoticHeuristic: "yes"
+      }).validate(), [
+        "Unknown measurement parameter: extractF4",
+        "Invalid value for formantCeilingDefault: \"high\"",
+        "Invalid value for fastTrackEnableRhoticHeuristic: \"yes\"",
+        "Invalid sample point: 1.5"]);
+    assert.deepEqual(
+      new labbcat.PraatMeasurements().validate(), ["Nothing to measure"]);
+    assert.deepEqual(new labbcat.PraatMeasurements({
+      extractF1: "true", formantCeilingDefault: "5500" }).validate(), [],
+                   "String values as sent by the form");
+  });
+
+  it("converts numbers and booleans to the values the server expects", ()=>{
+    const measurements = new labbcat.PraatMeasurements({
+      extractF1: true, samplePoints: 0.5, fastTrackEnableF1FrequencyHeuristic: true,
+      fastTrackCoefficients: false, formantCeilingDefault: 5500 });
+    assert.deepEqual(measurements.validate(), []);
+    assert.deepEqual(measurements.toJSON(), {
+      extractF1: true, samplePoints: "0.5",
+      fastTrackEnableF1FrequencyHeuristic: "true", fastTrackCoefficients: "false",
+      formantCeilingDefault: 5500 });
+    assert.equal(measurements.set("samplePoints", [0.25, 0.75]).toJSON().samplePoints,
+                 "0.25 0.75");
+  });
+
+  it("checks participant-specific settings", ()=>{
+    assert.deepEqual(
+      new labbcat.PraatMeasurements({
+        extractMeanPitch: true,
+        pitchOtherPattern: ["M", "(F"],
+        pitchFloorOther: [30, 60], pitchCeilingOther: [250],
+        intensityPitchFloorOther: [30]
+      }).validate(), [
+        "pitchOtherPattern requires pitchDifferentiationLayerId",
+        "Invalid regular expression in pitchOtherPattern: (F",
+        "pitchCeilingOther has 1 values but pitchOtherPattern has 2",
+        "voicingThresholdOther has 0 values but pitchOtherPattern has 2",
+        "intensityPitchFloorOther has 1 values but intensityOtherPattern has 0"]);
+  });
+
+  it("checks participant attributes against the schema", ()=>{
+    assert.deepEqual(
+      labbcat.PraatMeasurements.vowelFormants("participant_gendr").validate(schema),
+      ["Invalid layer ID: participant_gendr"]);
+    assert.deepEqual(
+      labbcat.PraatMeasurements.sibilantCOG()
+        .script("# nothing", ["orthography"]).validate(schema),
+      ["Not a participant attribute: orthography"]);
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Unit tests for Schema.
+ * <p>These tests don't require a LaBB-CAT server; the schema is in the format returned
+ * by getSchema.
+ */
+
+const assert = require('chai').assert;
+const labbcat = require('../nzilbb.labbcat');
+
+const { schemaJson } = require('./fixtures');
+
+const ids = layers => layers.map(layer => layer.id).sort();
+
+describe("#Schema", ()=>{
+
+  it("identifies layers", ()=>{
+    const schema = new labbcat.Schema(schemaJson);
+    assert.equal(schema.rootLayerId, "transcript");
+    assert.equal(schema.wordLayerId, "word");
+    assert.equal(schema.segmentLayerId, "segment");
+    assert.instanceOf(schema.layer("word"), labbcat.Layer);
+    assert.equal(schema.layer("word").alignment, 2);
+    assert.equal(schema.layer("word").parent.id, "turn");
+    assert.deepEqual(ids(schema.layer("word").children),
+                     ["frequency", "orthography", "pause", "phonemes", "segment"]);
+    assert.isNull(schema.layer("nonexistent"));
+  });
+
+  it("lists layers by scope", ()=>{
+    const schema = new labbcat.Schema(schemaJson);
+    assert.deepEqual(ids(schema.wordLayers()),
+                     ["frequency", "orthography", "pause", "phonemes"]);
+    assert.deepEqual(ids(schema.segmentLayers()), ["stress"]);
+    assert.deepEqual(ids(schema.phraseLayers()), ["language"]);
+    assert.deepEqual(ids(schema.spanLayers()), ["noise"]);
+    assert.deepEqual(ids(schema.participantAttributes()), ["participant_gender"]);
+    assert.deepEqual(ids(schema.transcriptAttributes()), ["transcript_type"]);
+  });
+
+  it("implements ancestors and isTagOf", ()=>{
+    const schema = new labbcat.Schema(schemaJson);
+    assert.deepEqual(schema.ancestors("segment").map(layer => layer.id),
+                     ["word", "turn", "participant", "transcript"]);
+    assert.deepEqual(schema.ancestors("transcript"), [], "root has no ancestors");
+    assert.deepEqual(schema.ancestors("nonexistent"), [], "unknown layer");
+    assert.isTrue(schema.isTagOf("orthography", "word"));
+    assert.isFalse(schema.isTagOf("segment", "word"), "aligned");
+    assert.isFalse(schema.isTagOf("stress", "word"), "not a child");
+    assert.isTrue(schema.isTagOf("participant_gender", "participant"));
+  });
+
+  it("validates layer IDs", ()=>{
+    const schema = new labbcat.Schema(schemaJson);
+    assert.deepEqual(schema.validate(["word", "orthography"]), []);
+    assert.deepEqual(schema.validate(["word", "orthgraphy", "foo"]), [
+      "Invalid layer ID: orthgraphy", "Invalid layer ID: foo"]);
+    assert.deepEqual(schema.validate("foo"), ["Invalid layer ID: foo"], "single ID");
+    assert.deepEqual(schema.validate(null), [], "no IDs");
+  });
+
+  it("can be used by Graph", ()=>{
+    const schema = new labbcat.Schema(schemaJson);
+    const graph = new labbcat.Graph({
+      id: "test", anchors: {},
+      participant: [ { id: "p1", label: "Mike" } ]
+    }, schema);
+    assert.equal(graph.layerId, "transcript");
+    assert.equal(graph.layer("segment").parentId, "word", "layers from schema");
+    assert.equal(graph.annotation("p1").layer.parentId, "transcript");
+  });
+});
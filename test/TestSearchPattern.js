@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Unit tests for SearchPattern.
+ * <p>These tests don't require a LaBB-CAT server.
+ */
+
+const assert = require('chai').assert;
+const labbcat = require('../nzilbb.labbcat');
+
+const { schema } = require('./fixtures');
+
+describe("#SearchPattern", ()=>{
+
+  it("serializes as search JSON", ()=>{
+    const pattern = new labbcat.SearchPattern()
+          .column().layer("orthography").matches("the").adj(2)
+          .column().layer("phonemes").not().matches("[aeiou].*").target()
+          .layer("frequency").between(1, 2)
+          .layer("segment").matches("p").anchorStart().anchorEnd();
+    assert.deepEqual(JSON.parse(JSON.stringify(pattern)), {
+      columns: [
+        { layers: { orthography: { pattern: "the" } }, adj: 2 },
+        { layers: {
+          phonemes: { not: true, pattern: "[aeiou].*", target: true },
+          frequency: { min: "1", max: "2" },
+          segment: { pattern: "p", anchorStart: true, anchorEnd: true } } }
+      ]});
+    assert.deepEqual(pattern.validate(schema), []);
+  });
+
+  it("starts a column if there is none", ()=>{
+    const pattern = new labbcat.SearchPattern().layer("orthography").matches("the");
+    assert.deepEqual(pattern.toJSON(), {
+      columns: [ { layers: { orthography: { pattern: "the" } } } ]});
+  });
+
+  it("requires a layer before conditions", ()=>{
+    assert.throws(() => new labbcat.SearchPattern().column().matches("the"),
+                  /layer\(\) must be called before matches\(\)/);
+    assert.throws(() => new labbcat.SearchPattern().adj(2),
+                  /column\(\) must be called before adj\(\)/);
+  });
+
+  it("validates without a schema", ()=>{
+    assert.deepEqual(new labbcat.SearchPattern().validate(), ["Pattern has no columns"]);
+    assert.deepEqual(
+      new labbcat.SearchPattern()
+        .column().layer("orthography")
+        .column()
+        .column().layer("frequency").min("lots")
+        .column().layer("orthography").matches("a").target()
+        .layer("phonemes").matches("b").target()
+        .validate(), [
+          "No pattern or range for orthography in column 1",
+          "Column 2 has no layers",
+          "Invalid min for frequency: lots",
+          "Pattern has more than one target"]);
+  });
+
+  it("validates against the schema", ()=>{
+    assert.deepEqual(
+      new labbcat.SearchPattern()
+        .column().layer("orthgraphy").matches("the")
+        .column().layer("participant_gender").matches("M")
+        .column().layer("orthography").max(10)
+        .column().layer("language").matches("mi").layer("noise").matches("cough")
+        .validate(schema), [
+          "Invalid layer ID: orthgraphy",
+          "Layer cannot be searched: participant_gender",
+          "Layer is not numeric, so min/max cannot be used: orthography"]);
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Unit tests for TextGrid.
+ * <p>These tests don't require a LaBB-CAT server; graphs are in the format returned
+ * by getTranscript.
+ */
+
+const assert = require('chai').assert;
+const labbcat = require('../nzilbb.labbcat');
+
+const { schema, fragment } = require('./fixtures');
+
+const longFormat = `File type = "ooTextFile"
+Object class = "TextGrid"
+
+xmin = 0
+xmax = 3
+tiers? <exists>
+size = 2
+item []:
+    item [1]:
+        class = "IntervalTier"
+        name = "word - Mike"
+        xmin = 0
+        xmax = 3
+        intervals: size = 3
+        intervals [1]:
+            xmin = 0
+            xmax = 1
+            text = "hello"
+        intervals [2]:
+            xmin = 1
+            xmax = 2
+            text = ""
+        intervals [3]:
+            xmin = 2
+            xmax = 3
+            text = "say ""when"""
+    item [2]:
+        class = "TextTier"
+        name = "pause - Mike"
+        xmin = 0
+        xmax = 3
+        points: size = 1
+        points [1]:
+            number = 1.5
+            mark = "long"
+`;
+
+const shortFormat = `File type = "ooTextFile"
+Object class = "TextGrid"
+
+0
+3
+<exists>
+2
+"IntervalTier"
+"word - Mike"
+0
+3
+3
+0
+1
+"hello"
+1
+2
+""
+2
+3
+"say ""when"""
+"TextTier"
+"pause - Mike"
+0
+3
+1
+1.5
+"long"
+`;
+
+describe("#TextGrid", ()=>{
+
+  it("parses long and short formats", ()=>{
+    for (let text of [longFormat, "﻿" + shortFormat]) {
+      const textGrid = labbcat.TextGrid.parse(text);
+      assert.equal(textGrid.xmin, 0);
+      assert.equal(textGrid.xmax, 3);
+      assert.deepEqual(textGrid.tiers.map(tier => tier.name),
+                       ["word - Mike", "pause - Mike"]);
+      assert.deepEqual(textGrid.tier("word - Mike").intervals, [
+        { start: 0, end: 1, label: "hello" },
+        { start: 1, end: 2, label: "" },
+        { start: 2, end: 3, label: "say \"when\"" }]);
+      assert.deepEqual(textGrid.tier("pause - Mike").points, [
+        { time: 1.5, label: "long" }]);
+      assert.isNull(textGrid.tier("segment"));
+    }
+    assert.throws(() => labbcat.TextGrid.parse("hello"), /not a TextGrid/);
+    assert.throws(() => labbcat.TextGrid.parse(longFormat.substring(0, 400)),
+                  /invalid TextGrid/);
+  });
+
+  it("writes the long format", ()=>{
+    const textGrid = new labbcat.TextGrid(0, 3, [
+      { name: "word - Mike", intervals: [
+        { start: 0, end: 1, label: "hello" },
+        { start: 2, end: 3, label: "say \"when\"" }] },
+      { name: "pause - Mike", points: [ { time: 1.5, label: "long" } ] }]);
+    assert.equal(textGrid.toString(), longFormat, "gaps are filled");
+    assert.deepEqual(labbcat.TextGrid.parse(textGrid.toString()).tiers,
+                     labbcat.TextGrid.parse(longFormat).tiers, "round trip");
+  });
+
+  it("converts from a graph", ()=>{
+    const graph = new labbcat.Graph(fragment(), schema);
+    let textGrid = labbcat.TextGrid.fromGraph(graph);
+    assert.equal(textGrid.xmin, 0);
+    assert.equal(textGrid.xmax, 3);
+    assert.deepEqual(textGrid.tiers.map(tier => tier.name), [
+      "turn - Mike", "word - Mike", "orthography - Mike", "segment - Mike"],
+                   "tiers for layers with annotations, for each participant");
+    assert.deepEqual(textGrid.tier("orthography - Mike").intervals, [
+      { start: 0, end: 1, label: "hello" }], "tags have their parent's offsets");
+
+    textGrid = labbcat.TextGrid.fromGraph(graph, {
+      layerIds: ["word", "noise"], tiers: { Words: "word" } });
+    assert.deepEqual(textGrid.tiers, [
+      { name: "Words - Mike", intervals: [
+        { start: 0, end: 1, label: "hello" },
+        { start: 2, end: 3, label: "\"mate\"" }] },
+      { name: "noise", intervals: [] }], "specified layers and tier names");
+  });
+
+  it("converts large graphs", ()=>{
+    const json = fragment();
+    for (let a = 5; a < 200000; a++) json.anchors["a" + a] = { offset: a };
+    const textGrid = labbcat.TextGrid.fromGraph(new labbcat.Graph(json, schema));
+    assert.equal(textGrid.xmin, 0);
+    assert.equal(textGrid.xmax, 199999);
+  });
+
+  it("converts to a graph", ()=>{
+    const textGrid = labbcat.TextGrid.parse(
+      labbcat.TextGrid.fromGraph(new labbcat.Graph(fragment(), schema), {
+        layerIds: ["segment", "word", "orthography"] }).toString());
+    const graph = textGrid.toGraph(schema, { id: "edited" });
+    assert.equal(graph.id, "edited");
+    assert.deepEqual(graph.all("participant").map(p => p.label), ["Mike"]);
+    const turns = graph.all("turn");
+    assert.equal(turns.length, 1, "a turn is created");
+    assert.equal(turns[0].start.offset, 0);
+    assert.equal(turns[0].end.offset, 3);
+    const words = graph.all("word");
+    assert.deepEqual(words.map(word => word.label), ["hello", "\"mate\""]);
+    assert.deepEqual(words.map(word => word.ordinal), [1, 2]);
+    assert.equal(words[0].parent, turns[0]);
+    assert.deepEqual(words[0].all("segment").map(segment => segment.label),
+                     ["h", "@"], "segments are in their words");
+    assert.equal(words[0].annotations("orthography")[0].label, "hello");
+    assert.equal(words[0].annotations("orthography")[0].start, words[0].start,
+                 "tags share their parent's anchors");
+    assert.equal(words[0].end, words[0].all("segment")[1].end, "anchors are shared");
+  });
+
+  it("validates against the schema", ()=>{
+    const textGrid = new labbcat.TextGrid(0, 3, [
+      { name: "Words", intervals: [ { start: 0, end: 1, label: "hello" } ] },
+      { name: "segment - Mike", intervals: [ { start: 2, end: 3, label: "m" } ] },
+      { name: "orthography", intervals: [ { start: 0, end: 1, label: "hello" } ] },
+      { name: "comments", intervals: [ { start: 0, end: 1, label: "note" } ] }]);
+    assert.deepEqual(textGrid.validate(schema, { tiers: { Words: "word - Mike" } }), [
+      "Tier isn't for a layer: comments",
+      "No word for segment - Mike at 2-3",
+      "No participant for tier: orthography"]);
+    assert.throws(() => textGrid.toGraph(schema), /TextGrid: No word for segment - Mike/);
+    assert.deepEqual(
+      textGrid.validate(schema, { tiers: { Words: "word" }, participant: "Mike" }), [
+        "Tier isn't for a layer: comments",
+        "No word for segment - Mike at 2-3"], "default participant");
+  });
+});
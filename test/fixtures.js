@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Fixtures shared by the unit tests that don't require a LaBB-CAT server: a schema in
+ * the format returned by getSchema, and graphs in the format returned by getTranscript.
+ * <p>The graphs are returned by functions, so that each test gets its own copy to
+ * change.
+ * @example
+ * const { schema, transcript } = require('./fixtures');
+ * const graph = new labbcat.Graph(transcript(), schema);
+ */
+
+const labbcat = require('../nzilbb.labbcat');
+
+// layer definitions, keyed by ID
+const layers = {};
+for (let [id, parentId, alignment, type] of [
+  ["transcript", null, 0, "string"],
+  ["corpus", "transcript", 0, "string"],
+  ["episode", "transcript", 0, "string"],
+  ["transcript_type", "transcript", 0, "string"],
+  ["participant", "transcript", 0, "string"],
+  ["participant_gender", "participant", 0, "string"],
+  ["turn", "participant", 2, "string"],
+  ["utterance", "turn", 2, "string"],
+  ["language", "turn", 2, "string"],
+  ["word", "turn", 2, "string"],
+  ["orthography", "word", 0, "string"],
+  ["phonemes", "word", 0, "ipa"],
+  ["frequency", "word", 0, "number"],
+  ["pause", "word", 1, "string"],
+  ["segment", "word", 2, "ipa"],
+  ["stress", "segment", 0, "string"],
+  ["noise", "transcript", 2, "string"]]) {
+  layers[id] = { id: id, parentId: parentId, alignment: alignment, type: type };
+}
+
+// the schema, as returned by getSchema
+const schemaJson = {
+  layers: layers, root: "transcript", participantLayerId: "participant",
+  turnLayerId: "turn", utteranceLayerId: "utterance", wordLayerId: "word",
+  episodeLayerId: "episode", corpusLayerId: "corpus"
+};
+
+// a whole transcript, with transcript and participant attributes, and a noise
+function transcript() {
+  return {
+    id: "test.eaf",
+    offsetUnits: "s",
+    anchors: {
+      a0: { offset: 0.0, confidence: 100 },
+      a1: { offset: 0.5, confidence: 50 },
+      a2: { offset: 1.0, confidence: 50 },
+      a3: { offset: 2.0, confidence: 100 },
+      a4: { offset: 3.0, confidence: 100 }
+    },
+    corpus: [ { id: "c1", label: "UC", startId: "a0", endId: "a4" } ],
+    participant: [ {
+      id: "p1", label: "Mike", startId: "a0", endId: "a4",
+      participant_gender: [ { id: "g1", label: "M", startId: "a0", endId: "a4" } ],
+      turn: [ {
+        id: "t1", label: "Mike", startId: "a0", endId: "a4", ordinal: 1,
+        utterance: [
+          { id: "u2", label: "Mike", startId: "a3", endId: "a4", ordinal: 2 },
+          { id: "u1", label: "Mike", startId: "a0", endId: "a3", ordinal: 1 }
+        ],
+        word: [
+          { id: "w1", label: "hello", startId: "a0", endId: "a2", ordinal: 1,
+            orthography: [
+              { id: "o1", label: "hello", startId: "a0", endId: "a2" } ],
+            segment: [
+              { id: "s1", label: "h", startId: "a0", endId: "a1", ordinal: 1 },
+              { id: "s2", label: "@", startId: "a1", endId: "a2", ordinal: 2 }
+            ] },
+          { id: "w2", label: "there", startId: "a2", endId: "a3", ordinal: 2 },
+          { id: "w3", label: "mate", startId: "a3", endId: "a4", ordinal: 3 }
+        ]
+      } ]
+    } ],
+    noise: [ { id: "n1", label: "<cough> & <sneeze>", startId: "a1", endId: "a3" } ]
+  };
+}
+
+// a fragment of a transcript, with a tag that has no anchors of its own
+function fragment() {
+  return {
+    id: "test.eaf__0.000-3.000",
+    offsetUnits: "s",
+    anchors: {
+      a0: { offset: 0.0, confidence: 100 },
+      a1: { offset: 0.5, confidence: 50 },
+      a2: { offset: 1.0, confidence: 50 },
+      a3: { offset: 2.0, confidence: 100 },
+      a4: { offset: 3.0, confidence: 100 }
+    },
+    participant: [ {
+      id: "p1", label: "Mike",
+      turn: [ {
+        id: "t1", label: "Mike", startId: "a0", endId: "a4", ordinal: 1,
+        word: [
+          { id: "w1", label: "hello", startId: "a0", endId: "a2", ordinal: 1,
+            orthography: [ { id: "o1", label: "hello" } ],
+            segment: [
+              { id: "s1", label: "h", startId: "a0", endId: "a1", ordinal: 1 },
+              { id: "s2", label: "@", startId: "a1", endId: "a2", ordinal: 2 }
+            ] },
+          { id: "w2", label: "\"mate\"", startId: "a3", endId: "a4", ordinal: 2 }
+        ]
+      } ]
+    } ]
+  };
+}
+
+module.exports = {
+  layers: layers,
+  schemaJson: schemaJson,
+  schema: new labbcat.Schema(schemaJson),
+  transcript: transcript,
+  fragment: fragment
+};